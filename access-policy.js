@@ -0,0 +1,279 @@
+/**
+ * Access policy: who the agent answers and what it may do for them.
+ *
+ * The policy is stored in data/access_policy.json:
+ *
+ *   {
+ *     "default": { "action": "deny" },
+ *     "rules": [
+ *       { "type": "group", "value": "123-456@g.us", "action": "allow", "requireMention": true },
+ *       { "type": "contact", "value": "919876543210@c.us", "action": "allow", "capabilities": ["search"] },
+ *       { "type": "pattern", "value": "1800*", "action": "deny" }
+ *     ]
+ *   }
+ *
+ * A contact rule matches the sender (in direct and group chats), a group rule
+ * the group chat and a pattern rule the sender's number, with * matching any
+ * digits. The most specific rule wins: contact rules before group rules
+ * before patterns, and a deny before an allow at the same level. Rules
+ * without "capabilities" allow all of them.
+ *
+ * The group restriction settings (GROUP_RESTRICTION_ENABLED and
+ * ALLOWED_GROUP_IDS) form a baseline below the file: the allowed groups are
+ * added as group rules, and the restriction sets the default when the file
+ * doesn't set one.
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const POLICY_FILE = path.join(DATA_DIR, 'access_policy.json');
+const CAPABILITIES = ['search', 'phone', 'persona', 'mcp', 'schedule', 'knowledge'];
+const RULE_TYPES = ['contact', 'group', 'pattern'];
+const ACTIONS = ['allow', 'deny'];
+
+/**
+ * Turns a phone number or WhatsApp ID into a serialized contact ID
+ * @param {string} value e.g. "+91 98765 43210" or "919876543210@c.us"
+ * @returns {string} e.g. 919876543210@c.us
+ */
+function normalizeContactId(value) {
+  if (value.includes('@')) return value;
+  return `${value.replace(/\D/g, '')}@c.us`;
+}
+
+// The number part of a WhatsApp ID
+function numberOf(id) {
+  return (id || '').split('@')[0];
+}
+
+function patternToRegExp(pattern) {
+  const digits = pattern.replace(/[^\d*?]/g, '');
+  return new RegExp(`^${digits.replace(/\*/g, '\\d*').replace(/\?/g, '\\d')}$`);
+}
+
+/**
+ * Checks a rule for mistakes before it is stored
+ * @param {Object} rule The rule
+ * @returns {Array<string>} Problems found, empty when the rule is valid
+ */
+function validateRule(rule) {
+  const errors = [];
+  if (!RULE_TYPES.includes(rule.type)) errors.push(`type must be one of ${RULE_TYPES.join(', ')}`);
+  if (!rule.value || typeof rule.value !== 'string') errors.push('value is required');
+  if (!ACTIONS.includes(rule.action)) errors.push(`action must be one of ${ACTIONS.join(', ')}`);
+  if (rule.capabilities !== undefined) {
+    if (!Array.isArray(rule.capabilities)) {
+      errors.push('capabilities must be a list');
+    } else {
+      for (const capability of rule.capabilities) {
+        if (!CAPABILITIES.includes(capability)) errors.push(`unknown capability "${capability}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parses the arguments of a "!agent policy allow|deny" command, e.g.
+ * "group caps=search,phone mention" or "contact +91 98765 43210 caps=none"
+ * @param {Array<string>} words The words after allow/deny
+ * @returns {{type: string, value: string, capabilities: (Array<string>|undefined), requireMention: boolean}}
+ */
+function parseRuleArgs(words) {
+  const [type, ...rest] = words;
+  const valueWords = [];
+  let capabilities;
+  let requireMention = false;
+
+  for (const word of rest) {
+    if (word.startsWith('caps=')) {
+      const list = word.slice('caps='.length);
+      capabilities = list === 'none' ? [] : list === 'all' ? undefined : list.split(',').filter(Boolean);
+    } else if (word === 'mention') {
+      requireMention = true;
+    } else {
+      valueWords.push(word);
+    }
+  }
+
+  return { type, value: valueWords.join(' '), capabilities, requireMention };
+}
+
+class AccessPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] Where the policy is persisted
+   * @param {Function} [options.getBaseline] Returns the rules and default derived from the settings
+   */
+  constructor({ file = POLICY_FILE, getBaseline = () => AccessPolicy.fromGroupRestriction(false) } = {}) {
+    this.file = file;
+    this.getBaseline = getBaseline;
+    this.policy = { rules: [] };
+  }
+
+  /**
+   * Builds the baseline from the GROUP_RESTRICTION_ENABLED and
+   * ALLOWED_GROUP_IDS settings: either everyone, or only the listed groups
+   * @param {boolean} groupRestriction Whether only listed groups are answered
+   * @param {Array<string>} allowedGroupIds The listed groups
+   * @returns {{default: Object, rules: Array<Object>}}
+   */
+  static fromGroupRestriction(groupRestriction, allowedGroupIds = []) {
+    if (!groupRestriction) return { default: { action: 'allow' }, rules: [] };
+    return {
+      default: { action: 'deny' },
+      rules: allowedGroupIds.map(id => ({ type: 'group', value: id, action: 'allow' }))
+    };
+  }
+
+  /**
+   * Loads the policy from disk
+   */
+  async load() {
+    try {
+      const stored = await readJson(this.file, { rules: [] });
+      this.policy = { rules: stored.rules || [] };
+      if (stored.default) this.policy.default = stored.default;
+      console.log(`Loaded access policy with ${this.policy.rules.length} rules`);
+    } catch (error) {
+      console.error('Error loading access policy:', error);
+    }
+  }
+
+  /**
+   * Persists the policy to disk
+   */
+  async save() {
+    await writeJson(this.file, this.policy);
+  }
+
+  get rules() {
+    return this.policy.rules;
+  }
+
+  // The default of the file, or else the one from the settings
+  get defaultRule() {
+    return this.policy.default || this.getBaseline().default;
+  }
+
+  /**
+   * Decides whether a message is answered and with which capabilities
+   * @param {Object} message
+   * @param {string} message.chatId The serialized chat ID
+   * @param {boolean} message.isGroup Whether the chat is a group
+   * @param {string} message.senderId The serialized ID of the sender
+   * @returns {{allowed: boolean, capabilities: Array<string>, requireMention: boolean, rule: (Object|null)}}
+   */
+  evaluate({ chatId, isGroup, senderId }) {
+    const matches = {
+      contact: rule => rule.value === senderId || numberOf(rule.value) === numberOf(senderId),
+      group: rule => isGroup && rule.value === chatId,
+      pattern: rule => patternToRegExp(rule.value).test(numberOf(senderId))
+    };
+
+    const rules = [...this.rules, ...this.getBaseline().rules];
+    let rule = null;
+    for (const type of RULE_TYPES) {
+      const matching = rules.filter(candidate => candidate.type === type && matches[type](candidate));
+      if (matching.length > 0) {
+        rule = matching.find(candidate => candidate.action === 'deny') || matching[0];
+        break;
+      }
+    }
+
+    const applied = rule || this.defaultRule;
+    return {
+      allowed: applied.action === 'allow',
+      capabilities: applied.capabilities || CAPABILITIES,
+      requireMention: Boolean(isGroup && applied.requireMention),
+      rule
+    };
+  }
+
+  /**
+   * Adds a rule, replacing an existing rule for the same contact, group or pattern
+   * @param {Object} rule The rule
+   * @returns {Object} The stored rule
+   */
+  addRule(rule) {
+    const stored = { type: rule.type, value: rule.value, action: rule.action };
+    if (stored.type === 'contact' && stored.value) stored.value = normalizeContactId(stored.value);
+    if (rule.capabilities !== undefined) stored.capabilities = rule.capabilities;
+    if (rule.requireMention) stored.requireMention = true;
+
+    const errors = validateRule(stored);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule: ${errors.join('; ')}`);
+    }
+
+    const index = this.rules.findIndex(existing => existing.type === stored.type && existing.value === stored.value);
+    if (index >= 0) {
+      this.rules[index] = stored;
+    } else {
+      this.rules.push(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Removes a rule by its position in describe()
+   * @param {number} number 1-based rule number
+   * @returns {Object|null} The removed rule
+   */
+  removeRule(number) {
+    if (!Number.isInteger(number) || number < 1 || number > this.rules.length) return null;
+    return this.rules.splice(number - 1, 1)[0];
+  }
+
+  /**
+   * Sets what happens to chats that no rule matches
+   * @param {Object} defaults { action, capabilities, requireMention }
+   */
+  setDefault({ action, capabilities, requireMention }) {
+    const errors = validateRule({ type: 'group', value: '*', action, capabilities });
+    if (errors.length > 0) {
+      throw new Error(`Invalid default: ${errors.join('; ')}`);
+    }
+    this.policy.default = { action };
+    if (capabilities !== undefined) this.policy.default.capabilities = capabilities;
+    if (requireMention) this.policy.default.requireMention = true;
+  }
+
+  /**
+   * Removes the default of the file, so the group restriction settings decide again
+   */
+  resetDefault() {
+    delete this.policy.default;
+  }
+
+  /**
+   * Describes the policy for a chat message
+   * @returns {string}
+   */
+  describe() {
+    const describeRule = (rule) => {
+      let text = `${rule.action} ${rule.type} ${rule.value}`;
+      if (rule.capabilities) text += ` (capabilities: ${rule.capabilities.join(', ') || 'none'})`;
+      if (rule.requireMention) text += ' (needs @mention in groups)';
+      return text;
+    };
+
+    const lines = this.rules.map((rule, index) => `${index + 1}. ${describeRule(rule)}`);
+    const baseline = this.getBaseline();
+    if (baseline.rules.length > 0) {
+      lines.push('From ALLOWED_GROUP_IDS:', ...baseline.rules.map(rule => `- ${describeRule(rule)}`));
+    }
+    let defaults = describeRule({ ...this.defaultRule, type: 'everyone', value: 'else' });
+    if (!this.policy.default) defaults += ' (from GROUP_RESTRICTION_ENABLED)';
+    return `${lines.length > 0 ? lines.join('\n') : 'No rules.'}\nDefault: ${defaults}`;
+  }
+}
+
+module.exports = {
+  AccessPolicy,
+  CAPABILITIES,
+  normalizeContactId,
+  parseRuleArgs,
+  validateRule
+};
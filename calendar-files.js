@@ -0,0 +1,470 @@
+/**
+ * Parsers for iCalendar (.ics) and vCard (.vcf) files.
+ *
+ * Covers what phone and desktop calendar exports use in practice: events
+ * with TZID, UTC, floating and all-day times, DURATION, RRULE recurrences
+ * (DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY and BYMONTH), EXDATE and RECURRENCE-ID overrides.
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimeZone, zonedTimeToUtc, wallToMs, msToWall, addDays } = require('./time-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 5000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Join folded lines (continuations start with a space or tab) and split into content lines
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim());
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parses a content line such as DTSTART;TZID=Europe/Berlin:20240612T103000
+ * @param {string} line The unfolded line
+ * @returns {{name: string, params: Object, value: string}}
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon that isn't inside a quoted parameter
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  const head = colon === -1 ? line : line.substring(0, colon);
+  const value = colon === -1 ? '' : line.substring(colon + 1);
+
+  const [rawName, ...rawParams] = head.split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  // vCard group prefixes like item1.TEL are dropped
+  const name = rawName.toUpperCase().replace(/^[^.]+\./, '');
+  return { name, params, value };
+}
+
+/**
+ * Parses an iCalendar date or date-time value
+ * @param {string} value e.g. 20240612, 20240612T103000 or 20240612T103000Z
+ * @param {Object} params The property parameters (TZID, VALUE)
+ * @param {string} defaultZone Zone for floating times and dates
+ * @returns {{wall: Object, timeZone: string, allDay: boolean, utc: boolean}}
+ */
+function parseDateValue(value, params = {}, defaultZone = DEFAULT_TIMEZONE) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+
+  let timeZone = defaultZone;
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (params.TZID && isValidTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+
+  return {
+    wall: {
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hour: allDay ? 0 : parseInt(hour),
+      minute: allDay ? 0 : parseInt(minute),
+      second: allDay ? 0 : parseInt(second || '0')
+    },
+    timeZone,
+    allDay,
+    utc: Boolean(utc)
+  };
+}
+
+/**
+ * Parses an iCalendar duration such as P1D, PT1H30M or -PT15M
+ * @param {string} value The duration
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((parseInt(weeks || 0) * 7 + parseInt(days || 0)) * 86400 +
+    parseInt(hours || 0) * 3600 + parseInt(minutes || 0) * 60 + parseInt(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parses an RRULE value
+ * @param {string} value e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+ * @returns {Object} The rule with freq, interval, count, until, byDay, byMonthDay, byMonth
+ */
+function parseRRule(value, defaultZone = DEFAULT_TIMEZONE) {
+  const rule = { interval: 1 };
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = val.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(val));
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val);
+        break;
+      case 'UNTIL': {
+        const until = parseDateValue(val, {}, defaultZone);
+        rule.until = until.allDay
+          ? zonedTimeToUtc(addDays(until.wall, 1), until.timeZone).getTime() - 1
+          : zonedTimeToUtc(until.wall, until.timeZone).getTime();
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(day => {
+          const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(day.trim().toUpperCase());
+          return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) } : null;
+        }).filter(Boolean);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(day => parseInt(day));
+        break;
+      case 'BYMONTH':
+        rule.byMonth = val.split(',').map(month => parseInt(month));
+        break;
+    }
+  }
+  return rule;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Days of a month matching BYDAY entries, e.g. 2MO (second Monday) or -1FR (last Friday)
+function monthDaysForByDay(year, month, byDay) {
+  const total = daysInMonth(year, month);
+  const days = [];
+  for (const { ordinal, weekday } of byDay) {
+    const matching = [];
+    for (let day = 1; day <= total; day++) {
+      if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() === weekday) matching.push(day);
+    }
+    if (ordinal === null) {
+      days.push(...matching);
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) days.push(day);
+    }
+  }
+  return days;
+}
+
+function monthDaysForByMonthDay(year, month, byMonthDay) {
+  const total = daysInMonth(year, month);
+  return byMonthDay
+    .map(day => (day < 0 ? total + day + 1 : day))
+    .filter(day => day >= 1 && day <= total);
+}
+
+/**
+ * Lists the wall-clock start times of a recurring event, in order, up to a limit.
+ * Occurrences are generated in the event's own zone so they keep their local
+ * time across DST changes.
+ * @param {Object} start The parsed DTSTART
+ * @param {Object} rule The parsed RRULE
+ * @param {number} untilMs Stop once occurrences start after this instant
+ * @param {number} [fromMs] Occurrences before this instant may be skipped (never with COUNT,
+ *   which needs every occurrence from the start)
+ * @returns {Array<Object>} Wall times of the occurrences
+ */
+function expandRecurrence(start, rule, untilMs, fromMs = -Infinity) {
+  const occurrences = [];
+  const startMs = wallToMs(start.wall);
+  const time = { hour: start.wall.hour, minute: start.wall.minute, second: start.wall.second };
+  const lastMs = rule.until != null ? Math.min(rule.until, untilMs) : untilMs;
+
+  // Returns false once generation should stop
+  const add = (wall) => {
+    const naive = wallToMs(wall);
+    if (naive < startMs) return true;
+    const instant = zonedTimeToUtc(wall, start.timeZone).getTime();
+    if (instant > lastMs) return false;
+    occurrences.push(wall);
+    return !(rule.count && occurrences.length >= rule.count) && occurrences.length < MAX_OCCURRENCES;
+  };
+
+  const withTime = (year, month, day) => ({ year, month, day, ...time });
+  const startWeekday = msToWall(startMs).weekday;
+  let period = 0;
+
+  // Long-running daily and weekly rules jump close to the range instead of walking from the start
+  if (!rule.count && Number.isFinite(fromMs) && (rule.freq === 'DAILY' || rule.freq === 'WEEKLY')) {
+    const periodMs = (rule.freq === 'DAILY' ? 1 : 7) * rule.interval * DAY_MS;
+    period = Math.max(0, Math.floor((fromMs - startMs) / periodMs) - 2);
+  }
+
+  for (let generated = 0; generated < MAX_OCCURRENCES; generated++) {
+    let candidates = [];
+
+    if (rule.freq === 'DAILY') {
+      candidates = [msToWall(startMs + period * rule.interval * DAY_MS)];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday; generate the weekdays of this period's week
+      const weekStart = startMs - ((startWeekday + 6) % 7) * DAY_MS;
+      const base = weekStart + period * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byDay ? rule.byDay.map(d => d.weekday) : [startWeekday];
+      candidates = [...new Set(weekdays)]
+        .map(weekday => msToWall(base + ((weekday + 6) % 7) * DAY_MS))
+        .sort((a, b) => wallToMs(a) - wallToMs(b));
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = start.wall.month - 1 + period * rule.interval;
+      const year = start.wall.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      let days;
+      if (rule.byDay) days = monthDaysForByDay(year, month, rule.byDay);
+      else if (rule.byMonthDay) days = monthDaysForByMonthDay(year, month, rule.byMonthDay);
+      else days = start.wall.day <= daysInMonth(year, month) ? [start.wall.day] : [];
+      candidates = [...new Set(days)].sort((a, b) => a - b).map(day => withTime(year, month, day));
+    } else if (rule.freq === 'YEARLY') {
+      const year = start.wall.year + period * rule.interval;
+      const months = rule.byMonth || [start.wall.month];
+      for (const month of months) {
+        let days;
+        if (rule.byDay && rule.byMonth) days = monthDaysForByDay(year, month, rule.byDay);
+        else if (rule.byMonthDay) days = monthDaysForByMonthDay(year, month, rule.byMonthDay);
+        else days = start.wall.day <= daysInMonth(year, month) ? [start.wall.day] : [];
+        candidates.push(...[...new Set(days)].sort((a, b) => a - b).map(day => withTime(year, month, day)));
+      }
+    } else {
+      // Unsupported frequency: only the first occurrence
+      return [start.wall];
+    }
+
+    for (const candidate of candidates) {
+      if (!add(candidate)) return occurrences;
+    }
+    period++;
+  }
+  return occurrences;
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar file
+ * @param {string} text The file content
+ * @param {string} [defaultZone] Zone for floating times
+ * @returns {Array<Object>} Raw events with start, end/duration, rrule and exdates
+ */
+function parseIcs(text, defaultZone = DEFAULT_TIMEZONE) {
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of unfoldLines(text)) {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { attendees: [], exdates: [] };
+      depth = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    // Skip nested components such as VALARM
+    if (name === 'BEGIN') {
+      depth++;
+      continue;
+    }
+    if (name === 'END') {
+      if (depth > 0) {
+        depth--;
+      } else if (value.toUpperCase() === 'VEVENT') {
+        if (current.start) events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (depth > 0) continue;
+
+    try {
+      switch (name) {
+        case 'UID':
+          current.uid = value;
+          break;
+        case 'SUMMARY':
+          current.title = unescapeText(value);
+          break;
+        case 'DESCRIPTION':
+          current.description = unescapeText(value);
+          break;
+        case 'LOCATION':
+          current.location = unescapeText(value);
+          break;
+        case 'STATUS':
+          current.status = value.toUpperCase();
+          break;
+        case 'DTSTART':
+          current.start = parseDateValue(value, params, defaultZone);
+          break;
+        case 'DTEND':
+          current.end = parseDateValue(value, params, defaultZone);
+          break;
+        case 'DURATION':
+          current.durationMs = parseDuration(value);
+          break;
+        case 'RRULE':
+          current.rrule = parseRRule(value, defaultZone);
+          break;
+        case 'EXDATE':
+          for (const exdate of value.split(',')) {
+            const parsed = parseDateValue(exdate, params, defaultZone);
+            current.exdates.push(zonedTimeToUtc(parsed.wall, parsed.timeZone).getTime());
+          }
+          break;
+        case 'RECURRENCE-ID': {
+          const parsed = parseDateValue(value, params, defaultZone);
+          current.recurrenceId = zonedTimeToUtc(parsed.wall, parsed.timeZone).getTime();
+          break;
+        }
+        case 'ORGANIZER':
+        case 'ATTENDEE':
+          current.attendees.push(params.CN || value.replace(/^mailto:/i, ''));
+          break;
+      }
+    } catch (error) {
+      // A malformed property shouldn't make the whole calendar unreadable
+      console.error(`Skipping invalid ${name} in calendar: ${error.message}`);
+    }
+  }
+  return events;
+}
+
+/**
+ * Expands raw events into the occurrences that overlap a time range
+ * @param {Array<Object>} events Events returned by parseIcs
+ * @param {number} fromMs Range start
+ * @param {number} toMs Range end
+ * @returns {Array<{uid: string, title: string, start: Date, end: Date, allDay: boolean,
+ *   timeZone: string, location: string, description: string, attendees: Array<string>}>}
+ *   Occurrences sorted by start
+ */
+function expandEvents(events, fromMs, toMs) {
+  const overrides = new Map();
+  for (const event of events) {
+    if (event.recurrenceId != null) overrides.set(`${event.uid}@${event.recurrenceId}`, event);
+  }
+
+  const occurrences = [];
+  for (const event of events) {
+    if (event.recurrenceId != null || event.status === 'CANCELLED') continue;
+
+    const startInstant = zonedTimeToUtc(event.start.wall, event.start.timeZone).getTime();
+    let durationMs = event.durationMs;
+    if (durationMs == null && event.end) {
+      durationMs = zonedTimeToUtc(event.end.wall, event.end.timeZone).getTime() - startInstant;
+    }
+    if (durationMs == null) durationMs = event.start.allDay ? DAY_MS : 0;
+
+    const starts = event.rrule
+      ? expandRecurrence(event.start, event.rrule, toMs, fromMs - durationMs)
+      : [event.start.wall];
+
+    for (const wall of starts) {
+      const start = zonedTimeToUtc(wall, event.start.timeZone).getTime();
+      if (event.exdates.includes(start)) continue;
+
+      const source = overrides.get(`${event.uid}@${start}`) || event;
+      const actualStart = source === event ? start : zonedTimeToUtc(source.start.wall, source.start.timeZone).getTime();
+      const actualEnd = source === event || !source.end
+        ? actualStart + durationMs
+        : zonedTimeToUtc(source.end.wall, source.end.timeZone).getTime();
+      if (source.status === 'CANCELLED') continue;
+      if (actualEnd < fromMs || actualStart > toMs) continue;
+
+      occurrences.push({
+        uid: event.uid,
+        title: source.title || event.title || '(no title)',
+        start: new Date(actualStart),
+        end: new Date(Math.max(actualEnd, actualStart)),
+        allDay: event.start.allDay,
+        timeZone: event.start.timeZone,
+        location: source.location || event.location || '',
+        description: source.description || event.description || '',
+        attendees: source.attendees.length > 0 ? source.attendees : event.attendees
+      });
+    }
+  }
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parses the cards of a vCard file
+ * @param {string} text The file content
+ * @returns {Array<{name: string, phoneNumbers: Array<string>, emails: Array<string>,
+ *   organization: string, birthday: string}>}
+ */
+function parseVcf(text) {
+  const contacts = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    const { name, value } = parseContentLine(line);
+    if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      current = { name: '', phoneNumbers: [], emails: [], organization: '', birthday: '' };
+      continue;
+    }
+    if (!current) continue;
+
+    switch (name) {
+      case 'END':
+        if (!current.name && current.structuredName) current.name = current.structuredName;
+        delete current.structuredName;
+        if (current.name || current.phoneNumbers.length > 0) contacts.push(current);
+        current = null;
+        break;
+      case 'FN':
+        current.name = unescapeText(value);
+        break;
+      case 'N': {
+        // Family;Given;Additional;Prefix;Suffix
+        const [family, given] = value.split(';').map(unescapeText);
+        current.structuredName = [given, family].filter(Boolean).join(' ');
+        break;
+      }
+      case 'TEL':
+        current.phoneNumbers.push(value.replace(/^tel:/i, ''));
+        break;
+      case 'EMAIL':
+        current.emails.push(value);
+        break;
+      case 'ORG':
+        current.organization = unescapeText(value.split(';')[0]);
+        break;
+      case 'BDAY':
+        current.birthday = value;
+        break;
+    }
+  }
+  return contacts;
+}
+
+module.exports = {
+  parseIcs,
+  parseVcf,
+  expandEvents,
+  expandRecurrence,
+  parseRRule,
+  parseDateValue,
+  parseDuration
+};
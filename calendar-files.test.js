@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseIcs,
+  parseVcf,
+  expandEvents,
+  expandRecurrence,
+  parseRRule,
+  parseDateValue,
+  parseDuration
+} = require('./calendar-files');
+
+const ZONE = 'Europe/Berlin';
+
+// Exports in the shape phone and desktop clients write them, with CRLF and folded lines
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'local', name), 'utf8');
+
+// Occurrences as [start, end, title], in UTC
+const summary = (occurrences) => occurrences.map(event => [event.start.toISOString(), event.end.toISOString(), event.title]);
+
+test('parseDateValue tells UTC, zoned, floating and all-day values apart', () => {
+  assert.deepEqual(parseDateValue('20261023T150000Z', {}, ZONE), {
+    wall: { year: 2026, month: 10, day: 23, hour: 15, minute: 0, second: 0 }, timeZone: 'UTC', allDay: false, utc: true
+  });
+  assert.equal(parseDateValue('20261022T093000', { TZID: 'America/New_York' }, ZONE).timeZone, 'America/New_York');
+  // Zones only Outlook knows fall back to the user's zone
+  assert.equal(parseDateValue('20261022T093000', { TZID: 'W. Europe Standard Time' }, ZONE).timeZone, ZONE);
+  assert.equal(parseDateValue('20261101', { VALUE: 'DATE' }, ZONE).allDay, true);
+  assert.throws(() => parseDateValue('next tuesday'), /Invalid date value/);
+});
+
+test('parseDuration and parseRRule read the parts exports use', () => {
+  assert.equal(parseDuration('PT1H30M'), 90 * 60 * 1000);
+  assert.equal(parseDuration('P1W2D'), 9 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('-PT15M'), -15 * 60 * 1000);
+  assert.equal(parseDuration('soon'), 0);
+
+  assert.deepEqual(parseRRule('FREQ=MONTHLY;INTERVAL=2;BYDAY=2MO,-1FR;COUNT=4'), {
+    interval: 2,
+    freq: 'MONTHLY',
+    byDay: [{ ordinal: 2, weekday: 1 }, { ordinal: -1, weekday: 5 }],
+    count: 4
+  });
+  // An all-day UNTIL includes the whole day
+  assert.equal(parseRRule('FREQ=DAILY;UNTIL=20261031', ZONE).until, Date.UTC(2026, 9, 31, 23, 0) - 1);
+});
+
+test('parseIcs reads events with unfolded, unescaped text and skips alarms', () => {
+  const events = parseIcs(fixture('calendar.ics'), ZONE);
+  assert.deepEqual(events.map(event => event.title), [
+    'Dentist', 'Standup', 'Standup (moved)', "Anna's birthday", 'Call with Bob', 'Team drinks', 'Yoga'
+  ]);
+
+  const [dentist, standup] = events;
+  assert.equal(dentist.location, 'Praxis Dr. Weber, Hauptstr. 5');
+  assert.equal(dentist.description, 'Bring the insurance card.\nCheck-up and cleaning; about 45 minutes.');
+  assert.deepEqual(standup.attendees, ['Priya Patel', 'Jonas Becker']);
+  assert.equal(standup.durationMs, 15 * 60 * 1000);
+  assert.equal(events[5].start.timeZone, ZONE, 'floating times are in the user\'s zone');
+});
+
+test('expandEvents applies recurrences, exceptions, moved occurrences and cancellations', () => {
+  const events = parseIcs(fixture('calendar.ics'), ZONE);
+  const occurrences = expandEvents(events, Date.UTC(2026, 9, 19), Date.UTC(2026, 10, 3));
+  assert.deepEqual(summary(occurrences), [
+    ['2026-10-19T07:00:00.000Z', '2026-10-19T07:15:00.000Z', 'Standup'],
+    ['2026-10-21T07:00:00.000Z', '2026-10-21T07:15:00.000Z', 'Standup'],
+    ['2026-10-22T07:30:00.000Z', '2026-10-22T08:15:00.000Z', 'Dentist'],
+    ['2026-10-23T15:00:00.000Z', '2026-10-23T16:00:00.000Z', 'Call with Bob'],
+    // Monday the 26th is an exception, Wednesday the 28th was moved an hour later
+    ['2026-10-28T09:00:00.000Z', '2026-10-28T09:15:00.000Z', 'Standup (moved)'],
+    ['2026-10-30T16:00:00.000Z', '2026-10-30T19:00:00.000Z', 'Team drinks'],
+    ['2026-10-31T23:00:00.000Z', '2026-11-01T23:00:00.000Z', "Anna's birthday"],
+    // Still at 9:00 in Berlin after the clocks went back
+    ['2026-11-02T08:00:00.000Z', '2026-11-02T08:15:00.000Z', 'Standup']
+  ]);
+  const moved = occurrences.find(event => event.title === 'Standup (moved)');
+  assert.deepEqual(moved.attendees, ['Priya Patel', 'Jonas Becker']);
+  assert.equal(occurrences.find(event => event.allDay).title, "Anna's birthday");
+});
+
+test('COUNT and UNTIL end a recurrence', () => {
+  const events = parseIcs(fixture('calendar.ics'), ZONE);
+  const occurrences = expandEvents(events, Date.UTC(2026, 9, 1), Date.UTC(2027, 2, 1));
+  assert.deepEqual(occurrences.filter(event => event.title === 'Team drinks').map(event => event.start.toISOString()), [
+    '2026-10-30T16:00:00.000Z', '2026-11-27T16:00:00.000Z', '2026-12-25T16:00:00.000Z'
+  ]);
+  const standups = occurrences.filter(event => event.title === 'Standup');
+  assert.equal(standups.at(-1).start.toISOString(), '2026-12-30T08:00:00.000Z');
+});
+
+test('expandRecurrence keeps month ends and leap days in range', () => {
+  const start = parseDateValue('20260131T100000', {}, ZONE);
+  const months = expandRecurrence(start, parseRRule('FREQ=MONTHLY;COUNT=3'), Date.UTC(2027, 0, 1));
+  assert.deepEqual(months.map(wall => `${wall.month}-${wall.day}`), ['1-31', '3-31', '5-31']);
+
+  const lastDays = expandRecurrence(start, parseRRule('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2'), Date.UTC(2027, 0, 1));
+  assert.deepEqual(lastDays.map(wall => `${wall.month}-${wall.day}`), ['1-31', '2-28']);
+
+  const leap = parseDateValue('20240229', { VALUE: 'DATE' }, ZONE);
+  const years = expandRecurrence(leap, parseRRule('FREQ=YEARLY'), Date.UTC(2029, 0, 1));
+  assert.deepEqual(years.map(wall => wall.year), [2024, 2028]);
+});
+
+test('parseVcf reads names, numbers and emails from vCard 3 and 4', () => {
+  assert.deepEqual(parseVcf(fixture('contacts.vcf')), [
+    { name: 'Priya Patel', phoneNumbers: ['+49 151 23456789'], emails: ['priya@example.com'], organization: 'Acme GmbH', birthday: '1988-04-12' },
+    // No FN: the name is built from N
+    { name: 'Klaus Weber', phoneNumbers: ['+49-30-1234567'], emails: [], organization: '', birthday: '' },
+    { name: 'Anna Schmidt', phoneNumbers: ['0170 9876543'], emails: ['anna@example.org'], organization: '', birthday: '' }
+  ]);
+  assert.deepEqual(parseVcf(''), []);
+});
@@ -0,0 +1,758 @@
+/**
+ * Owner commands sent from your own account, e.g. "!agent status".
+ *
+ * Each command is a handler that gets the parsed arguments and the chat it
+ * was sent in and returns the reply text. Handlers only talk to the services
+ * passed to createOwnerCommands(), so they can be run without a WhatsApp
+ * client:
+ *
+ *   const commands = createOwnerCommands({ settings, accessPolicy, ... });
+ *   const result = await commands.handle('!agent pause', { chatId: '123@c.us', isGroup: false });
+ *   // { reply: '⏸️ Paused in this chat...', private: false }
+ */
+
+const { parseRuleArgs } = require('./access-policy');
+const { formatValue } = require('./settings-store');
+const { formatJob } = require('./scheduler');
+const { formatCounts } = require('./privacy');
+const { formatUsage, NO_CHAT } = require('./usage-tracker');
+const { formatInZone } = require('./time-utils');
+const { formatIndexStats } = require('./knowledge-base');
+const { parseSince } = require('./summarizer');
+
+const COMMAND_PREFIX = '!agent';
+
+/**
+ * Splits command arguments on whitespace, keeping "quoted text" together
+ * @param {string} text The arguments
+ * @returns {Array<string>}
+ */
+function parseArgs(text) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+// "1d 2h 5m" style durations for the status command
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const parts = [];
+  if (minutes >= 1440) parts.push(`${Math.floor(minutes / 1440)}d`);
+  if (minutes >= 60) parts.push(`${Math.floor(minutes / 60) % 24}h`);
+  parts.push(`${minutes % 60}m`);
+  return parts.join(' ');
+}
+
+// Parses on/off arguments, or returns null when there is none
+function parseSwitch(value) {
+  if (value === undefined) return null;
+  if (['on', 'true', 'yes', 'enable'].includes(value.toLowerCase())) return true;
+  if (['off', 'false', 'no', 'disable'].includes(value.toLowerCase())) return false;
+  throw new Error(`Expected "on" or "off", got "${value}"`);
+}
+
+class CommandRouter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] The text every command starts with
+   */
+  constructor({ prefix = COMMAND_PREFIX } = {}) {
+    this.prefix = prefix;
+    this.commands = new Map();
+  }
+
+  /**
+   * Adds a command
+   * @param {Object} command
+   * @param {string} command.name The word after the prefix, e.g. status
+   * @param {string} command.description One line shown in the help listing
+   * @param {string} [command.usage] The arguments, e.g. "<key> <value>"
+   * @param {boolean} [command.private] Send the reply to your own chat instead of the chat the command was sent in
+   * @param {Function} command.handler async ({ args, rest, chatId, isGroup }) => reply text
+   */
+  register(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('A command needs a name and a handler');
+    }
+    this.commands.set(command.name, command);
+  }
+
+  /**
+   * Splits a message into the command name and its arguments
+   * @param {string} text The message text
+   * @returns {{name: string, args: Array<string>, rest: string}|null} null when the message isn't a command
+   */
+  parse(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed !== this.prefix && !trimmed.startsWith(`${this.prefix} `)) return null;
+
+    // A bare prefix shows the help
+    const match = /^(\S+)\s*([\s\S]*)$/.exec(trimmed.slice(this.prefix.length).trim());
+    const name = match ? match[1].toLowerCase() : 'help';
+    const rest = match ? match[2].trim() : '';
+    return { name, args: parseArgs(rest), rest };
+  }
+
+  /**
+   * Runs the command in a message
+   * @param {string} text The message text
+   * @param {Object} chat The chat the command was sent in
+   * @param {string} chat.chatId The serialized chat ID
+   * @param {boolean} chat.isGroup Whether the chat is a group
+   * @returns {Promise<{reply: string, private: boolean}|null>} null when the message isn't a command
+   */
+  async handle(text, { chatId, isGroup } = {}) {
+    const parsed = this.parse(text);
+    if (!parsed) return null;
+
+    const command = this.commands.get(parsed.name);
+    if (!command) {
+      return { reply: `Unknown command "${parsed.name}". Send "${this.prefix} help" for the list of commands.`, private: false };
+    }
+
+    try {
+      const reply = await command.handler({ args: parsed.args, rest: parsed.rest, chatId, isGroup });
+      return { reply, private: Boolean(command.private) };
+    } catch (error) {
+      console.error(`Error processing ${parsed.name} command:`, error.message);
+      // The error can quote what the command works on, so it goes where the reply would
+      return { reply: `❌ ${error.message}`, private: Boolean(command.private) };
+    }
+  }
+
+  /**
+   * Describes the commands, or one command in detail
+   * @param {string} [name] A command name
+   * @returns {string}
+   */
+  help(name) {
+    const describe = (command) => `${this.prefix} ${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+    if (name) {
+      const command = this.commands.get(name);
+      if (!command) return `Unknown command "${name}".`;
+      return `${describe(command)}\n${command.description}`;
+    }
+    const lines = [...this.commands.values()].map(command => `${describe(command)}\n  ${command.description}`);
+    return `Commands:\n${lines.join('\n')}`;
+  }
+}
+
+/**
+ * Creates the router with all owner commands
+ * @param {Object} deps The services the commands use
+ * @param {SettingsStore} deps.settings Runtime settings
+ * @param {AccessPolicy} deps.accessPolicy Access rules
+ * @param {ConversationMemory} deps.conversationMemory Per-chat history
+ * @param {Function} deps.ask async (question) => the agent's answer
+ * @param {DraftManager} deps.drafts Replies waiting for approval
+ * @param {Function} deps.deliverDraft async (draft, text, edited) => sends an approved draft
+ * @param {Scheduler} deps.scheduler Reminders and scheduled messages
+ * @param {Function} deps.getOwnChatId Returns the ID of your own chat, where reminders are sent
+ * @param {PrivacyManager} deps.privacy Export and deletion of stored chat data
+ * @param {UsageTracker} deps.usage Model usage and the daily budget
+ * @param {RateLimiter} deps.rateLimiter Message limits per chat and overall
+ * @param {LoopDetector} deps.loopDetector Chats paused because of a reply loop
+ * @param {MessageQueue} deps.inbox Received messages waiting for an answer, and the failed ones
+ * @param {KnowledgeBase} deps.knowledge Your notes and chat history, for the search_knowledge tool
+ * @param {Function} deps.summarizeChat async (chatId, { limit, since }) => summary of the chat
+ * @param {Function} deps.rewriteStyleSummary async (chatId) => new style summary of the chat, or of all chats without one
+ * @param {Function} deps.buildDigest async () => digest of the allowed groups, or null when they have no new messages
+ * @param {Function} [deps.getChatName] async (chatId) => name of the chat
+ * @param {Object} [deps.llm] The LLM layer, for the models shown in the status
+ * @param {number} [deps.startedAt] When the agent started
+ * @param {Function} [deps.now] Returns the current time in milliseconds
+ * @returns {CommandRouter}
+ */
+function createOwnerCommands({
+  settings,
+  accessPolicy,
+  conversationMemory,
+  ask,
+  drafts,
+  deliverDraft,
+  scheduler,
+  getOwnChatId,
+  privacy,
+  usage,
+  rateLimiter,
+  loopDetector,
+  inbox,
+  knowledge,
+  summarizeChat,
+  rewriteStyleSummary,
+  buildDigest,
+  getChatName = async () => null,
+  llm = require('./llm'),
+  startedAt = Date.now(),
+  now = Date.now
+}) {
+  const router = new CommandRouter();
+
+  // on/off commands for a boolean setting
+  const toggle = (name, key, label) => router.register({
+    name,
+    usage: 'on|off',
+    description: `Turn ${label} on or off`,
+    handler: async ({ args }) => {
+      const value = parseSwitch(args[0]);
+      if (value === null) return `${label} is ${settings.get(key) ? 'on' : 'off'}.`;
+      await settings.set(key, value);
+      return `✅ ${label} is now ${value ? 'on' : 'off'}.`;
+    }
+  });
+
+  router.register({
+    name: 'help',
+    usage: '[command]',
+    description: 'List the commands, or explain one',
+    handler: async ({ args }) => router.help(args[0])
+  });
+
+  router.register({
+    name: 'status',
+    description: 'Show uptime, models and enabled features',
+    handler: async ({ chatId }) => {
+      const models = ['routing', 'answer', 'persona'].map(feature => {
+        try {
+          const provider = llm.getProvider(feature);
+          return `${feature}: ${provider.name}/${provider.model}`;
+        } catch (error) {
+          return `${feature}: not configured (${error.message})`;
+        }
+      });
+      const features = settings.list()
+        .filter(setting => typeof setting.value === 'boolean' && setting.key !== 'AGENT_PAUSED')
+        .map(setting => `${setting.key}: ${setting.value ? 'on' : 'off'}`);
+      const pausedChats = settings.get('PAUSED_CHAT_IDS');
+
+      let paused = 'no';
+      if (settings.get('AGENT_PAUSED')) paused = 'everywhere';
+      else if (pausedChats.includes(chatId)) paused = 'in this chat';
+      else if (pausedChats.length > 0) paused = `in ${pausedChats.length} chats`;
+
+      return [
+        `Uptime: ${formatDuration(now() - startedAt)}`,
+        `Paused: ${paused}`,
+        `Models:\n${models.map(line => `- ${line}`).join('\n')}`,
+        `Features:\n${features.map(line => `- ${line}`).join('\n')}`,
+        `Access rules: ${accessPolicy.rules.length}, default: ${accessPolicy.defaultRule.action}`
+      ].join('\n');
+    }
+  });
+
+  router.register({
+    name: 'usage',
+    usage: '[days]',
+    private: true,
+    description: 'Show the model usage per feature and per chat, today or over the last days',
+    handler: async ({ args }) => {
+      const days = args[0] === undefined ? 1 : parseInt(args[0]);
+      if (!(days >= 1 && days <= 30)) throw new Error('Usage: !agent usage [days], with 1 to 30 days');
+
+      const history = usage.history(days);
+      const name = async (id) => id === '*' ? 'all chats' : (await getChatName(id).catch(() => null)) || id;
+      const chatNames = {};
+      for (const id of new Set(history.flatMap(day => Object.keys(day.chats)))) {
+        if (id !== NO_CHAT) chatNames[id] = await getChatName(id).catch(() => null);
+      }
+      const budget = days === 1
+        ? { requests: settings.get('DAILY_REQUEST_BUDGET'), tokens: settings.get('DAILY_TOKEN_BUDGET') }
+        : undefined;
+
+      const lines = [formatUsage(history, { budget, chatNames })];
+      if (usage.isOverBudget()) {
+        lines.push('⚠️ The daily budget is used up. Messages get short answers until tomorrow.');
+      }
+      for (const { chatId, retryAfterMs } of rateLimiter.cooldowns()) {
+        lines.push(`⏳ Rate limited: ${await name(chatId)}, for ${Math.ceil(retryAfterMs / 1000)}s more`);
+      }
+      for (const { chatId, retryAfterMs } of loopDetector.paused()) {
+        lines.push(`🔁 Paused for a reply loop: ${await name(chatId)}, for ${Math.ceil(retryAfterMs / 60000)} min more`);
+      }
+      return lines.join('\n');
+    }
+  });
+
+  router.register({
+    name: 'failed',
+    usage: '[clear]',
+    private: true,
+    description: 'List the messages that could not be answered, or forget them with "clear"',
+    handler: async ({ args }) => {
+      if (args[0] === 'clear') {
+        const count = await inbox.clearDeadLetters();
+        return `🧹 Forgot ${count} failed ${count === 1 ? 'message' : 'messages'}.`;
+      }
+      const waiting = inbox.pending().length;
+      const lines = inbox.deadLetters().map(item =>
+        `${item.id} · ${item.chatName} · ${formatInZone(item.timestamp)}: "${item.preview}"\n  ${item.attempts} attempts, last error: ${item.lastError}`);
+      lines.unshift(lines.length > 0 ? '📭 Messages that could not be answered:' : 'No failed messages.');
+      if (waiting > 0) lines.push(`${waiting} ${waiting === 1 ? 'message is' : 'messages are'} waiting for an answer.`);
+      if (inbox.deadLetters().length > 0) lines.push('Send "!agent replay <id>" or "!agent replay all" to try again.');
+      return lines.join('\n');
+    }
+  });
+
+  router.register({
+    name: 'replay',
+    usage: '<id|all>',
+    private: true,
+    description: 'Try again to answer a failed message, or all of them',
+    handler: async ({ args }) => {
+      if (!args[0]) throw new Error('Usage: !agent replay <id|all>');
+      const replayed = await inbox.replay(args[0]);
+      if (replayed.length === 0) throw new Error(`No failed message with ID "${args[0]}". See "!agent failed".`);
+      return `🔄 Answering ${replayed.length === 1 ? `the message from ${replayed[0].chatName}` : `${replayed.length} messages`} again.`;
+    }
+  });
+
+  router.register({
+    name: 'summarize',
+    usage: '[N|since <time>]',
+    private: true,
+    description: 'Summarize the last N messages of this chat, or the ones since a time like "2h", "9am" or "yesterday"',
+    handler: async ({ args, chatId }) => {
+      if (args[0] === 'since') {
+        return await summarizeChat(chatId, { since: parseSince(args.slice(1).join(' '), { now: now() }) });
+      }
+      if (args[0] && !/^\d+$/.test(args[0])) throw new Error('Usage: !agent summarize [N|since <time>]');
+      return await summarizeChat(chatId, { limit: args[0] ? parseInt(args[0]) : undefined });
+    }
+  });
+
+  router.register({
+    name: 'digest',
+    usage: '[on|off]',
+    private: true,
+    description: 'Get the digest of the allowed groups now, or turn the daily digest on or off',
+    handler: async ({ args }) => {
+      const value = parseSwitch(args[0]);
+      if (value !== null) {
+        await settings.set('DIGEST_ENABLED', value);
+        return `✅ The daily digest is now ${value ? `on, sent at ${settings.get('DIGEST_HOUR')}:00` : 'off'}.`;
+      }
+      if (settings.get('ALLOWED_GROUP_IDS').length === 0) {
+        throw new Error('The digest covers the groups in ALLOWED_GROUP_IDS, and there are none yet.');
+      }
+      return await buildDigest() || 'No new messages in the allowed groups.';
+    }
+  });
+
+  router.register({
+    name: 'reindex',
+    usage: '[full]',
+    private: true,
+    description: 'Update the knowledge base now, or build it again from scratch with "full"',
+    handler: async ({ args }) => {
+      const stats = await knowledge.reindex({ full: args[0] === 'full' });
+      const lines = [`📚 ${formatIndexStats(stats)}`];
+      for (const error of stats.errors.slice(0, 3)) lines.push(`⚠️ ${error}`);
+      if (stats.errors.length > 3) lines.push(`...and ${stats.errors.length - 3} more errors.`);
+      if (!settings.get('KNOWLEDGE_ENABLED')) {
+        lines.push('The knowledge base is off; turn it on with "!agent set KNOWLEDGE_ENABLED on".');
+      }
+      return lines.join('\n');
+    }
+  });
+
+  router.register({
+    name: 'pause',
+    usage: '[all]',
+    description: 'Stop answering in this chat, or everywhere with "all"',
+    handler: async ({ args, chatId }) => {
+      if (args[0] === 'all') {
+        await settings.set('AGENT_PAUSED', true);
+        return '⏸️ Paused everywhere. Send "!agent resume all" to continue.';
+      }
+      const pausedChats = settings.get('PAUSED_CHAT_IDS');
+      if (!pausedChats.includes(chatId)) {
+        await settings.set('PAUSED_CHAT_IDS', [...pausedChats, chatId]);
+      }
+      return '⏸️ Paused in this chat. Send "!agent resume" to continue.';
+    }
+  });
+
+  router.register({
+    name: 'resume',
+    usage: '[all]',
+    description: 'Answer again in this chat, or everywhere with "all"',
+    handler: async ({ args, chatId }) => {
+      if (args[0] === 'all') {
+        await settings.set('AGENT_PAUSED', false);
+        await settings.set('PAUSED_CHAT_IDS', []);
+        return '▶️ Resumed everywhere.';
+      }
+      await settings.set('PAUSED_CHAT_IDS', settings.get('PAUSED_CHAT_IDS').filter(id => id !== chatId));
+      return settings.get('AGENT_PAUSED')
+        ? '▶️ Resumed in this chat, but the agent is still paused everywhere ("!agent resume all").'
+        : '▶️ Resumed in this chat.';
+    }
+  });
+
+  router.register({
+    name: 'allow',
+    description: 'Answer messages in this group (turns on the group restriction)',
+    handler: async ({ chatId, isGroup }) => {
+      if (!isGroup) return 'This command only works in group chats.';
+
+      const allowedGroupIds = settings.get('ALLOWED_GROUP_IDS');
+      if (settings.get('GROUP_RESTRICTION_ENABLED') && allowedGroupIds.includes(chatId)) {
+        return 'This group is already in my allowed list.';
+      }
+      if (!allowedGroupIds.includes(chatId)) {
+        await settings.set('ALLOWED_GROUP_IDS', [...allowedGroupIds, chatId]);
+      }
+      await settings.set('GROUP_RESTRICTION_ENABLED', true);
+      console.log(`Added group ${chatId} to allowed list`);
+      return '✅ This group has been added to my allowed groups list. I will now respond to messages here.';
+    }
+  });
+
+  router.register({
+    name: 'disallow',
+    description: 'Stop answering messages in this chat',
+    handler: async ({ chatId, isGroup }) => {
+      const allowedGroupIds = settings.get('ALLOWED_GROUP_IDS');
+      if (allowedGroupIds.includes(chatId)) {
+        await settings.set('ALLOWED_GROUP_IDS', allowedGroupIds.filter(id => id !== chatId));
+      }
+
+      const type = isGroup ? 'group' : 'contact';
+      const access = () => accessPolicy.evaluate({ chatId, isGroup, senderId: isGroup ? '' : chatId });
+      // Drop allow rules for this chat, and deny it if it would still be answered
+      const index = accessPolicy.rules.findIndex(rule => rule.type === type && rule.value === chatId && rule.action === 'allow');
+      if (index >= 0) accessPolicy.removeRule(index + 1);
+      if (access().allowed) accessPolicy.addRule({ type, value: chatId, action: 'deny' });
+      await accessPolicy.save();
+
+      return '🚫 I will no longer respond to messages in this chat.';
+    }
+  });
+
+  router.register({
+    name: 'groups',
+    description: 'List the groups the agent answers in',
+    handler: async () => {
+      // Groups from the settings and from allow rules of the access policy
+      const groupIds = new Set([
+        ...(settings.get('GROUP_RESTRICTION_ENABLED') ? settings.get('ALLOWED_GROUP_IDS') : []),
+        ...accessPolicy.rules.filter(rule => rule.type === 'group' && rule.action === 'allow').map(rule => rule.value)
+      ]);
+      if (groupIds.size === 0) return 'No groups are currently allowed.';
+
+      const lines = [];
+      for (const id of groupIds) {
+        const name = await getChatName(id).catch(() => null);
+        lines.push(`- ${name || 'Unknown group'} (${id})`);
+      }
+      return `Currently allowed groups:\n${lines.join('\n')}`;
+    }
+  });
+
+  router.register({
+    name: 'forget',
+    description: 'Clear the conversation history of this chat',
+    handler: async ({ chatId }) => {
+      const forgotten = await conversationMemory.clear(chatId);
+      return forgotten
+        ? '🧹 I have forgotten our conversation in this chat.'
+        : 'There is no conversation history stored for this chat.';
+    }
+  });
+
+  router.register({
+    name: 'export',
+    usage: '[all]',
+    private: true,
+    description: 'Save what is stored about this chat, or about all chats with "all", to a file',
+    handler: async ({ args, chatId }) => {
+      const file = await privacy.export(args[0] === 'all' ? null : chatId);
+      return `📦 Exported to ${file}\nThe export is not encrypted. Delete it once you have copied it somewhere safe.`;
+    }
+  });
+
+  router.register({
+    name: 'wipe',
+    usage: '[all] confirm',
+    private: true,
+    description: 'Delete what is stored about this chat, or everything with "all"',
+    handler: async ({ args, chatId }) => {
+      const all = args[0] === 'all';
+      const target = all ? null : chatId;
+      if (!args.includes('confirm')) {
+        const counts = await privacy.describe(target);
+        return `This deletes ${formatCounts(counts)} of ${all ? 'all chats, as well as the search cache and earlier exports' : 'this chat'}. ` +
+          `Send "!agent wipe${all ? ' all' : ''} confirm" to go ahead.`;
+      }
+      const counts = await privacy.wipe(target);
+      return `🗑️ Deleted ${formatCounts(counts)} of ${all ? 'all chats' : 'this chat'}.`;
+    }
+  });
+
+  toggle('persona', 'USER_PERSONA_ENABLED', 'Answering in your style');
+  router.register({
+    name: 'learn',
+    usage: 'on|off',
+    description: 'Learn your writing style from this chat, or stop learning from it',
+    handler: async ({ args, chatId }) => {
+      const value = parseSwitch(args[0]);
+      const excluded = settings.get('PERSONA_EXCLUDED_CHAT_IDS');
+      if (value === null) {
+        return `Learning from this chat is ${excluded.includes(chatId) ? 'off' : 'on'}.`;
+      }
+      const others = excluded.filter(id => id !== chatId);
+      await settings.set('PERSONA_EXCLUDED_CHAT_IDS', value ? others : [...others, chatId]);
+      if (value && !settings.get('USER_PERSONA_LEARNING_MODE')) {
+        return '✅ This chat is no longer excluded, but learning is off everywhere (USER_PERSONA_LEARNING_MODE).';
+      }
+      return `✅ Learning from this chat is now ${value ? 'on' : 'off'}.`;
+    }
+  });
+
+  router.register({
+    name: 'style',
+    usage: '[all]',
+    private: true,
+    description: 'Write the summary of your style in this chat, or with "all" over all chats, again now',
+    handler: async ({ args, chatId }) => {
+      const all = args[0] === 'all';
+      const summary = await rewriteStyleSummary(all ? null : chatId);
+      return `📝 Persona replies ${all ? 'in chats without their own summary' : 'in this chat'} now follow this summary of your style:\n\n${summary}`;
+    }
+  });
+
+  toggle('search', 'SEARCH_ENABLED', 'Web search');
+  toggle('debug', 'DEBUG_MODE', 'Debug logging');
+
+  router.register({
+    name: 'ask',
+    usage: '<question>',
+    private: true,
+    description: 'Ask the agent something; the answer is sent to your own chat',
+    handler: async ({ rest }) => {
+      if (!rest) throw new Error('Usage: !agent ask <question>');
+      return await ask(rest);
+    }
+  });
+
+  router.register({
+    name: 'approval',
+    usage: 'on|off [all]',
+    description: 'Turn reply approval on or off for this chat, or for all chats with "all"',
+    handler: async ({ args, chatId }) => {
+      const value = parseSwitch(args[0]);
+      const approvalChats = settings.get('DRAFT_APPROVAL_CHAT_IDS');
+      if (value === null) {
+        const enabled = settings.get('DRAFT_APPROVAL_ENABLED') || approvalChats.includes(chatId);
+        return `Approval is ${enabled ? 'on' : 'off'} in this chat.`;
+      }
+
+      if (args[1] === 'all') {
+        await settings.set('DRAFT_APPROVAL_ENABLED', value);
+        if (!value) await settings.set('DRAFT_APPROVAL_CHAT_IDS', []);
+        return `✅ Approval is now ${value ? 'on' : 'off'} for all chats.`;
+      }
+      const others = approvalChats.filter(id => id !== chatId);
+      await settings.set('DRAFT_APPROVAL_CHAT_IDS', value ? [...others, chatId] : others);
+      if (!value && settings.get('DRAFT_APPROVAL_ENABLED')) {
+        return '✅ Approval is off for this chat, but still on for all chats ("!agent approval off all").';
+      }
+      return `✅ Approval is now ${value ? 'on' : 'off'} for this chat. Drafts are sent to your own chat.`;
+    }
+  });
+
+  router.register({
+    name: 'drafts',
+    private: true,
+    description: 'List the replies waiting for approval',
+    handler: async () => {
+      const pending = drafts.list();
+      if (pending.length === 0) return 'No drafts are waiting for approval.';
+      return pending.map(draft => `${draft.id} for ${draft.chatName}: ${draft.reply.slice(0, 80)}`).join('\n');
+    }
+  });
+
+  // Looks up the draft named in the first argument
+  const findDraft = (args) => {
+    const draft = drafts.get(args[0]);
+    if (!draft) throw new Error(`No pending draft with ID "${args[0] || ''}". It may have expired.`);
+    return draft;
+  };
+
+  router.register({
+    name: 'send',
+    private: true,
+    usage: '<id>',
+    description: 'Send a draft as it is',
+    handler: async ({ args }) => {
+      const draft = findDraft(args);
+      await deliverDraft(draft, draft.reply, false);
+      await drafts.remove(draft.id);
+      return `✅ Sent draft ${draft.id} to ${draft.chatName}.`;
+    }
+  });
+
+  router.register({
+    name: 'edit',
+    private: true,
+    usage: '<id> <text>',
+    description: 'Send your own text instead of a draft',
+    handler: async ({ args, rest }) => {
+      const draft = findDraft(args);
+      const text = rest.slice(rest.indexOf(args[0]) + args[0].length).trim();
+      if (!text) throw new Error(`Usage: !agent edit ${draft.id} <text>`);
+      await deliverDraft(draft, text, true);
+      await drafts.remove(draft.id);
+      return `✅ Sent your version of draft ${draft.id} to ${draft.chatName}.`;
+    }
+  });
+
+  router.register({
+    name: 'drop',
+    private: true,
+    usage: '<id>',
+    description: 'Discard a draft without sending anything',
+    handler: async ({ args }) => {
+      const draft = findDraft(args);
+      await drafts.remove(draft.id);
+      return `🗑️ Dropped draft ${draft.id} for ${draft.chatName}.`;
+    }
+  });
+
+  router.register({
+    name: 'remind',
+    private: true,
+    usage: '<when> <what>',
+    description: 'Set a reminder that is sent to your own chat, e.g. "at 6pm to call mom"',
+    handler: async ({ rest }) => {
+      const job = await scheduler.schedule(rest, { chatId: getOwnChatId(), chatName: 'you', kind: 'reminder' });
+      return `⏰ Reminder ${job.id} set:\n${formatJob(job)}`;
+    }
+  });
+
+  router.register({
+    name: 'schedule',
+    private: true,
+    usage: '<when> <message>',
+    description: 'Send a message to this chat later, e.g. "on the 20th at 9am \'Happy birthday!\'"',
+    handler: async ({ rest, chatId }) => {
+      const chatName = await getChatName(chatId).catch(() => null);
+      const job = await scheduler.schedule(rest, { chatId, chatName, kind: 'message' });
+      return `🗓️ Message ${job.id} scheduled:\n${formatJob(job)}`;
+    }
+  });
+
+  router.register({
+    name: 'reminders',
+    private: true,
+    description: 'List the reminders and scheduled messages',
+    handler: async () => {
+      const jobs = scheduler.list();
+      if (jobs.length === 0) return 'Nothing is scheduled.';
+      return `Scheduled:\n${jobs.map(formatJob).join('\n')}`;
+    }
+  });
+
+  router.register({
+    name: 'cancel',
+    private: true,
+    usage: '<id>',
+    description: 'Cancel a reminder or scheduled message',
+    handler: async ({ args }) => {
+      const job = await scheduler.cancel(args[0]);
+      if (!job) throw new Error(`Nothing is scheduled with ID "${args[0] || ''}".`);
+      return `🗑️ Cancelled ${job.id}: ${job.text}`;
+    }
+  });
+
+  router.register({
+    name: 'config',
+    description: 'List the settings and where their values come from',
+    handler: async () => {
+      const lines = settings.list().map(({ key, value, source, description }) =>
+        `${key} = ${formatValue(value)} (${source})\n  ${description}`
+      );
+      return `Settings:\n${lines.join('\n')}`;
+    }
+  });
+
+  router.register({
+    name: 'get',
+    usage: '<KEY>',
+    description: 'Show one setting',
+    handler: async ({ args }) => {
+      const key = (args[0] || '').toUpperCase();
+      return `${key} = ${formatValue(settings.get(key))} (${settings.source(key)})`;
+    }
+  });
+
+  router.register({
+    name: 'set',
+    usage: '<KEY> <value>',
+    description: 'Change a setting',
+    handler: async ({ args }) => {
+      const [key = '', ...valueWords] = args;
+      const value = await settings.set(key.toUpperCase(), valueWords.join(' '));
+      return `✅ ${key.toUpperCase()} = ${formatValue(value)}`;
+    }
+  });
+
+  router.register({
+    name: 'unset',
+    usage: '<KEY>',
+    description: 'Go back to the value from the environment',
+    handler: async ({ args }) => {
+      const key = (args[0] || '').toUpperCase();
+      await settings.reset(key);
+      return `✅ ${key} = ${formatValue(settings.get(key))} (${settings.source(key)})`;
+    }
+  });
+
+  router.register({
+    name: 'policy',
+    usage: '[allow|deny <contact|group|pattern> [value] [caps=...] [mention] | remove <n> | default <allow|deny|reset> | reload]',
+    description: 'Show or change the access policy',
+    handler: async ({ args, chatId, isGroup }) => {
+      const [action, ...rest] = args;
+
+      if (!action) {
+        return `Access policy:\n${accessPolicy.describe()}`;
+      } else if (action === 'allow' || action === 'deny') {
+        const rule = parseRuleArgs(rest);
+        // Without a value, the rule is for the current group or contact
+        if (!rule.value && (rule.type === 'group') === isGroup) {
+          rule.value = chatId;
+        }
+        const stored = accessPolicy.addRule({ ...rule, action });
+        await accessPolicy.save();
+        return `✅ Saved rule: ${stored.action} ${stored.type} ${stored.value}`;
+      } else if (action === 'remove') {
+        const removed = accessPolicy.removeRule(parseInt(rest[0]));
+        if (!removed) return 'There is no rule with that number. Send "!agent policy" to see the rules.';
+        await accessPolicy.save();
+        return `🗑️ Removed rule: ${removed.action} ${removed.type} ${removed.value}`;
+      } else if (action === 'default') {
+        const { type, capabilities, requireMention } = parseRuleArgs(rest);
+        if (type === 'reset') {
+          accessPolicy.resetDefault();
+        } else {
+          accessPolicy.setDefault({ action: type, capabilities, requireMention });
+        }
+        await accessPolicy.save();
+        return `✅ Chats without a rule are now ${accessPolicy.defaultRule.action === 'allow' ? 'answered' : 'ignored'}.`;
+      } else if (action === 'reload') {
+        await accessPolicy.load();
+        return `Reloaded the access policy:\n${accessPolicy.describe()}`;
+      }
+      return `Usage: ${router.help('policy').split('\n')[0]}`;
+    }
+  });
+
+  return router;
+}
+
+module.exports = { CommandRouter, createOwnerCommands, parseArgs, COMMAND_PREFIX };
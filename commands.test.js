@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandRouter, createOwnerCommands, parseArgs } = require('./commands');
+const { SettingsStore } = require('./settings-store');
+const { DraftManager } = require('./draft-manager');
+
+// The owner commands with real settings and drafts in a temporary directory
+function ownerCommands(t, deps = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const settings = new SettingsStore({ file: path.join(dir, 'settings.json'), env: {} });
+  // A second apart, so drafts are listed in the order they were created
+  let clock = Date.UTC(2026, 9, 20, 10, 0);
+  const drafts = new DraftManager({ file: path.join(dir, 'drafts.json'), now: () => clock += 1000 });
+  const delivered = [];
+  const commands = createOwnerCommands({
+    settings,
+    drafts,
+    deliverDraft: async (draft, text, edited) => delivered.push({ chatId: draft.chatId, text, edited }),
+    llm: { getProvider: () => ({ name: 'mock', model: 'mock' }) },
+    ...deps
+  });
+  return { commands, settings, drafts, delivered };
+}
+
+test('parseArgs keeps quoted text together', () => {
+  assert.deepEqual(parseArgs('edit 3f9a "see you at 10" \'or 11\''), ['edit', '3f9a', 'see you at 10', 'or 11']);
+  assert.deepEqual(parseArgs(''), []);
+});
+
+test('only messages starting with the prefix are commands', () => {
+  const router = new CommandRouter();
+  assert.deepEqual(router.parse('  !agent   Pause all '), { name: 'pause', args: ['all'], rest: 'all' });
+  assert.deepEqual(router.parse('!agent'), { name: 'help', args: [], rest: '' });
+  assert.equal(router.parse('!agents are fun'), null);
+  assert.equal(router.parse('ask the !agent later'), null);
+  assert.equal(router.parse(undefined), null);
+});
+
+test('unknown commands are answered in the chat, and errors where the reply would go', async () => {
+  const router = new CommandRouter();
+  router.register({ name: 'boom', private: true, description: 'Fails', handler: async () => { throw new Error('no luck'); } });
+  router.register({ name: 'bang', description: 'Fails in the open', handler: async () => { throw new Error('oops'); } });
+  assert.equal(await router.handle('hello'), null);
+  assert.deepEqual(await router.handle('!agent nope'), { reply: 'Unknown command "nope". Send "!agent help" for the list of commands.', private: false });
+  assert.deepEqual(await router.handle('!agent boom'), { reply: '❌ no luck', private: true });
+  assert.deepEqual(await router.handle('!agent bang'), { reply: '❌ oops', private: false });
+  assert.throws(() => router.register({ name: 'broken' }), /needs a name and a handler/);
+});
+
+test('pause and resume work per chat and everywhere', async (t) => {
+  const { commands, settings } = ownerCommands(t);
+  const chat = { chatId: 'ann@c.us', isGroup: false };
+
+  assert.match((await commands.handle('!agent pause', chat)).reply, /Paused in this chat/);
+  await commands.handle('!agent pause', chat);
+  assert.deepEqual(settings.get('PAUSED_CHAT_IDS'), ['ann@c.us']);
+
+  await commands.handle('!agent pause all', chat);
+  assert.match((await commands.handle('!agent resume', chat)).reply, /still paused everywhere/);
+  assert.deepEqual(settings.get('PAUSED_CHAT_IDS'), []);
+
+  assert.equal((await commands.handle('!agent resume all', chat)).reply, '▶️ Resumed everywhere.');
+  assert.equal(settings.get('AGENT_PAUSED'), false);
+});
+
+test('drafts are sent, edited and dropped with private replies', async (t) => {
+  const { commands, drafts, delivered } = ownerCommands(t);
+  const chat = { chatId: 'team@g.us', isGroup: true };
+  const first = await drafts.create({ chatId: 'ann@c.us', chatName: 'Ann', incoming: 'Dinner?', reply: 'Sure, 7?' });
+  const second = await drafts.create({ chatId: 'bob@c.us', chatName: 'Bob', incoming: 'Call?', reply: 'Later' });
+  const third = await drafts.create({ chatId: 'bob@c.us', chatName: 'Bob', incoming: 'Now?', reply: 'No' });
+
+  const listed = await commands.handle('!agent drafts', chat);
+  assert.equal(listed.private, true);
+  assert.equal(listed.reply, `${first.id} for Ann: Sure, 7?\n${second.id} for Bob: Later\n${third.id} for Bob: No`);
+
+  assert.deepEqual(await commands.handle(`!agent send ${first.id.toUpperCase()}`, chat), { reply: `✅ Sent draft ${first.id} to Ann.`, private: true });
+  assert.equal((await commands.handle(`!agent edit ${second.id} Give me 10 minutes`, chat)).private, true);
+  assert.equal((await commands.handle(`!agent drop ${third.id}`, chat)).private, true);
+  assert.deepEqual(delivered, [
+    { chatId: 'ann@c.us', text: 'Sure, 7?', edited: false },
+    { chatId: 'bob@c.us', text: 'Give me 10 minutes', edited: true }
+  ]);
+  assert.deepEqual(drafts.list(), []);
+
+  assert.match((await commands.handle(`!agent send ${first.id}`, chat)).reply, /No pending draft/);
+});
+
+test('cancelling a scheduled message answers in your own chat', async (t) => {
+  const jobs = { '7c2e': { id: '7c2e', text: 'Happy birthday!' } };
+  const scheduler = { cancel: async (id) => jobs[id] || null };
+  const { commands } = ownerCommands(t, { scheduler });
+  const chat = { chatId: 'team@g.us', isGroup: true };
+
+  assert.deepEqual(await commands.handle('!agent cancel 7c2e', chat), { reply: '🗑️ Cancelled 7c2e: Happy birthday!', private: true });
+  assert.deepEqual(await commands.handle('!agent cancel 0000', chat), { reply: '❌ Nothing is scheduled with ID "0000".', private: true });
+});
+
+test('help lists every command and explains one', async (t) => {
+  const { commands } = ownerCommands(t);
+  const { reply } = await commands.handle('!agent help');
+  for (const name of ['pause', 'resume', 'drafts', 'send', 'remind', 'export', 'wipe']) {
+    assert.match(reply, new RegExp(`^!agent ${name}\\b`, 'm'));
+  }
+  assert.equal((await commands.handle('!agent help drop')).reply, '!agent drop <id>\nDiscard a draft without sending anything');
+});
+
+test('style has the running agent write the summary of the chat or of all chats', async (t) => {
+  const rewritten = [];
+  const { commands } = ownerCommands(t, {
+    rewriteStyleSummary: async (chatId) => {
+      rewritten.push(chatId);
+      return 'Short and casual.';
+    }
+  });
+  const chat = { chatId: 'team@g.us', isGroup: true };
+
+  const reply = await commands.handle('!agent style', chat);
+  assert.equal(reply.private, true);
+  assert.match(reply.reply, /in this chat now follow this summary of your style:\n\nShort and casual\.$/);
+  await commands.handle('!agent style all', chat);
+  assert.deepEqual(rewritten, ['team@g.us', null]);
+});
@@ -0,0 +1,129 @@
+/**
+ * Per-chat conversation memory.
+ *
+ * Keeps the most recent inbound and outbound turns of every chat so that
+ * prompts can include what was said before the current message. Turns are
+ * stored in data/conversations.json and trimmed to a turn and token budget.
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const CONVERSATIONS_FILE = path.join(DATA_DIR, 'conversations.json');
+
+// Rough token estimate, good enough to keep prompts within budget
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+class ConversationMemory {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] Where the conversations are persisted
+   * @param {number} [options.maxTurns] Maximum turns kept per chat
+   * @param {number} [options.maxTokens] Maximum estimated tokens kept per chat
+   * @param {Function} [options.redact] (text) => text as it should be stored
+   */
+  constructor({ file = CONVERSATIONS_FILE, maxTurns = 20, maxTokens = 1500, redact = (text) => text } = {}) {
+    this.file = file;
+    this.maxTurns = maxTurns;
+    this.maxTokens = maxTokens;
+    this.redact = redact;
+    this.chats = {};
+  }
+
+  /**
+   * Loads stored conversations from disk
+   */
+  async load() {
+    try {
+      this.chats = await readJson(this.file, {});
+      console.log(`Loaded conversation memory for ${Object.keys(this.chats).length} chats`);
+    } catch (error) {
+      console.error('Error loading conversation memory:', error);
+      this.chats = {};
+    }
+  }
+
+  /**
+   * Persists conversations to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, this.chats, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving conversation memory:', error);
+    }
+  }
+
+  /**
+   * Gets the stored turns of a chat, oldest first
+   * @param {string} chatId The serialized chat ID
+   * @returns {Array<{role: string, content: string, timestamp: number}>}
+   */
+  getTurns(chatId) {
+    return this.chats[chatId] || [];
+  }
+
+  /**
+   * Records a turn and trims the chat to the configured budget
+   * @param {string} chatId The serialized chat ID
+   * @param {string} role 'user' for inbound messages, 'assistant' for replies
+   * @param {string} content The message text
+   */
+  async addTurn(chatId, role, content) {
+    if (!content) return;
+
+    const turns = this.chats[chatId] || [];
+    turns.push({ role, content: this.redact(content), timestamp: Date.now() });
+
+    while (turns.length > this.maxTurns) {
+      turns.shift();
+    }
+    let tokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    while (turns.length > 1 && tokens > this.maxTokens) {
+      tokens -= estimateTokens(turns.shift().content);
+    }
+
+    this.chats[chatId] = turns;
+    await this.save();
+  }
+
+  /**
+   * Removes all stored turns of a chat
+   * @param {string} chatId The serialized chat ID
+   * @returns {Promise<boolean>} Whether there was anything to forget
+   */
+  async clear(chatId) {
+    if (!this.chats[chatId]) return false;
+    delete this.chats[chatId];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Removes the stored turns of every chat
+   * @returns {Promise<number>} How many chats were forgotten
+   */
+  async clearAll() {
+    const count = Object.keys(this.chats).length;
+    this.chats = {};
+    await this.save();
+    return count;
+  }
+
+  /**
+   * Formats a chat's history for inclusion in a prompt
+   * @param {string} chatId The serialized chat ID
+   * @returns {string} The formatted history, or an empty string if there is none
+   */
+  formatForPrompt(chatId) {
+    const turns = this.getTurns(chatId);
+    if (turns.length === 0) return '';
+
+    const lines = turns.map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`);
+    return `Conversation so far:\n${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = ConversationMemory;
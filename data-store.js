@@ -0,0 +1,187 @@
+/**
+ * Helpers for the JSON files the agent keeps in the data/ directory.
+ * Every store (persona, conversations, ...) goes through these so that
+ * missing files and directories are handled the same way everywhere.
+ *
+ * Files with chat data can be encrypted at rest. When DATA_PASSPHRASE is
+ * set, writeJson(file, value, { encrypt: true }) stores the value with
+ * AES-256-GCM under a key derived from the passphrase with scrypt.
+ * readJson() recognizes encrypted files by themselves, so existing plain
+ * files keep working and are encrypted the next time they are saved.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// DATA_DIR moves it elsewhere, e.g. for a second agent or a test run
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+// Reports of the persona evaluation, also read by the export and wipe
+const EVAL_DIR = path.join(DATA_DIR, 'persona_eval');
+
+const CIPHER = 'aes-256-gcm';
+
+// Keeps temporary file names unique when the same file is written twice at once
+let tempCounter = 0;
+
+let passphrase = process.env.DATA_PASSPHRASE || null;
+
+// Derived keys by salt, because scrypt is deliberately slow
+const keys = new Map();
+
+// One salt per process for new writes, so the key is derived only once
+const writeSalt = crypto.randomBytes(16).toString('base64');
+
+// Files that could not be decrypted are never overwritten, so a wrong
+// passphrase can't replace the stored data with an empty store
+const unreadableFiles = new Set();
+
+class DataStoreError extends Error {
+  /**
+   * @param {string} message Error description
+   * @param {string} file The file concerned
+   */
+  constructor(message, file) {
+    super(message);
+    this.name = 'DataStoreError';
+    this.file = file;
+  }
+}
+
+/**
+ * Changes the passphrase used for encrypted files, e.g. in tests
+ * @param {string|null} value The passphrase, or null to store new files in plain text
+ */
+function setPassphrase(value) {
+  passphrase = value || null;
+  keys.clear();
+  unreadableFiles.clear();
+}
+
+/**
+ * Tells whether chat data is encrypted when it is written
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return Boolean(passphrase);
+}
+
+function deriveKey(salt) {
+  if (!keys.has(salt)) {
+    keys.set(salt, crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32));
+  }
+  return keys.get(salt);
+}
+
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(writeSalt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    encrypted: CIPHER,
+    kdf: 'scrypt',
+    salt: writeSalt,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope, file) {
+  if (!passphrase) {
+    throw new DataStoreError(`${path.basename(file)} is encrypted. Set DATA_PASSPHRASE to read it.`, file);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, deriveKey(envelope.salt), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new DataStoreError(`${path.basename(file)} could not be decrypted. Is DATA_PASSPHRASE right?`, file);
+  }
+}
+
+/**
+ * Reads and parses a JSON file, decrypting it if needed
+ * @param {string} file Absolute path of the file
+ * @param {*} fallback Value returned when the file doesn't exist yet
+ * @returns {Promise<*>} The parsed content or the fallback
+ * @throws {DataStoreError} When the file is encrypted and can't be decrypted
+ */
+async function readJson(file, fallback) {
+  let parsed;
+  try {
+    const data = await fs.readFile(file, 'utf8');
+    parsed = JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  if (parsed && parsed.encrypted === CIPHER) {
+    try {
+      parsed = decrypt(parsed, file);
+    } catch (error) {
+      unreadableFiles.add(file);
+      throw error;
+    }
+  }
+  unreadableFiles.delete(file);
+  return parsed;
+}
+
+/**
+ * Serializes a value to a JSON file, creating its directory if needed.
+ * The data is written to a temporary file first and renamed over the old
+ * one, so a crash halfway through never leaves a truncated file behind.
+ * @param {string} file Absolute path of the file
+ * @param {*} value The value to store
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypt] Encrypt the file when DATA_PASSPHRASE is set; for chat data
+ * @throws {DataStoreError} When the file exists but could not be decrypted on reading
+ */
+async function writeJson(file, value, { encrypt: encrypted = false } = {}) {
+  if (unreadableFiles.has(file)) {
+    throw new DataStoreError(`Not overwriting ${path.basename(file)}, which could not be decrypted.`, file);
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const content = encrypted && passphrase ? encrypt(value) : value;
+  const tempFile = `${file}.${process.pid}.${tempCounter++}.tmp`;
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(content, null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Writes a report as JSON and, for reading, as Markdown next to it.
+ * Reports quote the user's messages and Markdown can't be encrypted, so
+ * with encryption on only the encrypted JSON is written.
+ * @param {string} base Path of the report without the extension
+ * @param {Object} value The report data
+ * @param {string} markdown The report as Markdown
+ * @returns {Promise<{json: string, markdown: string|null}>} The written files
+ */
+async function writeReport(base, value, markdown) {
+  await writeJson(`${base}.json`, value, { encrypt: true });
+  if (isEncryptionEnabled()) {
+    return { json: `${base}.json`, markdown: null };
+  }
+  await fs.writeFile(`${base}.md`, markdown, { mode: 0o600 });
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+module.exports = {
+  DATA_DIR,
+  EVAL_DIR,
+  DataStoreError,
+  readJson,
+  writeJson,
+  writeReport,
+  setPassphrase,
+  isEncryptionEnabled
+};
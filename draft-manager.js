@@ -0,0 +1,169 @@
+/**
+ * Drafts of replies that wait for the owner's approval.
+ *
+ * In chats with approval turned on, generated replies are not sent but kept
+ * as drafts with a short ID. The owner sends, edits or drops them with
+ * "!agent send|edit|drop <id>". Drafts are stored in data/drafts.json so they
+ * survive a restart, and expire after a while when nobody answers them.
+ * Messages MCP clients want to send wait here the same way.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const DRAFTS_FILE = path.join(DATA_DIR, 'drafts.json');
+
+class DraftManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] Where pending drafts are persisted
+   * @param {Function} [options.getTtlMs] Returns how long a draft waits for approval
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({ file = DRAFTS_FILE, getTtlMs = () => 60 * 60 * 1000, now = Date.now } = {}) {
+    this.file = file;
+    this.getTtlMs = getTtlMs;
+    this.now = now;
+    this.drafts = {};
+  }
+
+  /**
+   * Loads pending drafts from disk
+   */
+  async load() {
+    try {
+      this.drafts = await readJson(this.file, {});
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+      this.drafts = {};
+    }
+  }
+
+  /**
+   * Persists pending drafts to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, this.drafts, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving drafts:', error);
+    }
+  }
+
+  // Four hex characters, short enough to type on a phone
+  newId() {
+    let id;
+    do {
+      id = crypto.randomBytes(2).toString('hex');
+    } while (this.drafts[id]);
+    return id;
+  }
+
+  /**
+   * Stores a reply as a draft
+   * @param {Object} draft
+   * @param {string} draft.chatId The chat the reply is for
+   * @param {string} [draft.chatName] Shown to the owner
+   * @param {string} [draft.messageId] The message the reply answers
+   * @param {string} [draft.incoming] The text of that message
+   * @param {string} draft.reply The generated reply
+   * @param {string} [draft.source] Who wrote the reply, 'agent' or 'mcp'
+   * @returns {Promise<Object>} The draft with its id and expiry
+   */
+  async create({ chatId, chatName, messageId, incoming, reply, source = 'agent' }) {
+    const createdAt = this.now();
+    const draft = {
+      id: this.newId(),
+      chatId,
+      chatName: chatName || chatId,
+      messageId,
+      incoming,
+      reply,
+      source,
+      createdAt,
+      expiresAt: createdAt + this.getTtlMs()
+    };
+    this.drafts[draft.id] = draft;
+    await this.save();
+    return draft;
+  }
+
+  /**
+   * Gets a pending draft
+   * @param {string} id The draft ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    const draft = this.drafts[(id || '').toLowerCase()];
+    return draft && draft.expiresAt > this.now() ? draft : null;
+  }
+
+  /**
+   * Removes a draft, e.g. once it was sent or dropped
+   * @param {string} id The draft ID
+   * @returns {Promise<Object|null>} The removed draft
+   */
+  async remove(id) {
+    const draft = this.get(id);
+    if (!draft) return null;
+    delete this.drafts[draft.id];
+    await this.save();
+    return draft;
+  }
+
+  /**
+   * Lists the pending drafts, oldest first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Object.values(this.drafts)
+      .filter(draft => draft.expiresAt > this.now())
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Removes the drafts of a chat, or all drafts
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<number>} How many drafts were removed
+   */
+  async forget(chatId) {
+    const removed = Object.values(this.drafts).filter(draft => !chatId || draft.chatId === chatId);
+    for (const draft of removed) {
+      delete this.drafts[draft.id];
+    }
+    await this.save();
+    return removed.length;
+  }
+
+  /**
+   * Removes the drafts nobody answered in time
+   * @returns {Promise<Array<Object>>} The expired drafts
+   */
+  async expire() {
+    const expired = Object.values(this.drafts).filter(draft => draft.expiresAt <= this.now());
+    if (expired.length === 0) return [];
+    for (const draft of expired) {
+      delete this.drafts[draft.id];
+    }
+    await this.save();
+    return expired;
+  }
+}
+
+/**
+ * Formats a draft for the owner's own chat
+ * @param {Object} draft The draft
+ * @returns {string}
+ */
+function formatDraft(draft) {
+  const context = draft.source === 'mcp'
+    ? 'An MCP client wants to send this.'
+    : `They wrote: "${draft.incoming}"`;
+  return `📝 Draft ${draft.id} for ${draft.chatName}\n` +
+    `${context}\n\n` +
+    `${draft.reply}\n\n` +
+    `Reply with "!agent send ${draft.id}", "!agent edit ${draft.id} <text>" or "!agent drop ${draft.id}".`;
+}
+
+module.exports = { DraftManager, formatDraft };
@@ -5,407 +5,1038 @@ try {
   console.warn('dotenv not found, using process.env variables');
 }
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const PhoneIntegration = require('./phone-integration');
-const fs = require('fs').promises;
+const ConversationMemory = require('./conversation-memory');
+const llm = require('./llm');
+const { ToolRegistry } = require('./tool-registry');
+const { runToolPlan, describeSteps } = require('./tool-router');
+const { McpAgentServer, reserveStdoutForMcp } = require('./mcp-server');
+const { McpClientManager } = require('./mcp-client');
+const { WebSearch, createSearchProvider } = require('./search-providers');
+const { deepReadResults } = require('./page-reader');
+const { AccessPolicy } = require('./access-policy');
+const { SettingsStore, formatValue } = require('./settings-store');
+const { createOwnerCommands } = require('./commands');
+const { DraftManager, formatDraft } = require('./draft-manager');
+const { MediaPipeline } = require('./media-pipeline');
+const { createTranscriber } = require('./speech-to-text');
+const { Scheduler, formatJob } = require('./scheduler');
+const { PersonaStore, GLOBAL_PROFILE, SUMMARY_MIN_SAMPLES } = require('./persona-store');
+const { buildPersonaPrompt } = require('./persona-prompt');
+const { summarizeStyle } = require('./style-analyzer');
+const { PrivacyManager } = require('./privacy');
+const { redactPII, maskId } = require('./redaction');
+const { RateLimiter, LoopDetector, ReplyDeduper } = require('./rate-limiter');
+const { UsageTracker } = require('./usage-tracker');
+const { createTransport } = require('./transport');
+const { KnowledgeBase, formatIndexStats } = require('./knowledge-base');
+const { ChatSummarizer, DailyDigest, formatDigest } = require('./summarizer');
+const { MessageQueue, RetryableError } = require('./message-queue');
+const { formatInZone } = require('./time-utils');
+const crypto = require('crypto');
 const path = require('path');
 
-// Initialize Google Generative AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Configuration from environment variables
 const MAX_SEARCH_RESULTS = parseInt(process.env.MAX_SEARCH_RESULTS || '3');
-const SEARCH_ENABLED = process.env.SEARCH_ENABLED !== 'false';
-const AI_MODEL = process.env.AI_MODEL || 'gemini-1.0-pro';
-const PHONE_INTEGRATION_ENABLED = process.env.PHONE_INTEGRATION_ENABLED === 'true';
-const USER_PERSONA_ENABLED = process.env.USER_PERSONA_ENABLED === 'true';
-const USER_PERSONA_LEARNING_MODE = process.env.USER_PERSONA_LEARNING_MODE === 'true';
-const GROUP_RESTRICTION_ENABLED = process.env.GROUP_RESTRICTION_ENABLED === 'true';
-const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
-
-// Parse allowed group IDs if restriction is enabled
-let ALLOWED_GROUP_IDS = [];
-if (GROUP_RESTRICTION_ENABLED && process.env.ALLOWED_GROUP_IDS) {
-  ALLOWED_GROUP_IDS = process.env.ALLOWED_GROUP_IDS.split(',').map(id => id.trim());
-  console.log(`Group restriction enabled. Will only respond to ${ALLOWED_GROUP_IDS.length} groups.`);
-}
-
-// User persona storage
-const PERSONA_DIR = path.join(__dirname, 'data');
-const PERSONA_FILE = path.join(PERSONA_DIR, 'user_persona.json');
-let userPersona = {
-  messageHistory: [],
-  styleSamples: []
-};
-
-// Load user persona data if it exists
-async function loadUserPersona() {
-  try {
-    await fs.mkdir(PERSONA_DIR, { recursive: true });
-    try {
-      const data = await fs.readFile(PERSONA_FILE, 'utf8');
-      userPersona = JSON.parse(data);
-      console.log('Loaded user persona data');
-    } catch (error) {
-      // If file doesn't exist, we'll create it later
-      console.log('No existing user persona found, starting fresh');
-    }
-  } catch (error) {
-    console.error('Error loading user persona:', error);
-  }
+const SEARCH_PROVIDERS = (process.env.SEARCH_PROVIDERS || 'duckduckgo').split(',').map(p => p.trim()).filter(Boolean);
+const SEARCH_CACHE_TTL_MINUTES = parseInt(process.env.SEARCH_CACHE_TTL_MINUTES || '60');
+const DEEP_READ_PASSAGES = parseInt(process.env.DEEP_READ_PASSAGES || '3');
+const DEEP_READ_TIMEOUT_MS = parseInt(process.env.DEEP_READ_TIMEOUT_MS || '8000');
+const DEEP_READ_MAX_KB = parseInt(process.env.DEEP_READ_MAX_KB || '1000');
+const CONVERSATION_MAX_TURNS = parseInt(process.env.CONVERSATION_MAX_TURNS || '20');
+const CONVERSATION_MAX_TOKENS = parseInt(process.env.CONVERSATION_MAX_TOKENS || '1500');
+const MCP_SERVER_TRANSPORTS = (process.env.MCP_SERVER_TRANSPORTS || '').split(',').map(t => t.trim()).filter(Boolean);
+const MCP_HTTP_PORT = parseInt(process.env.MCP_HTTP_PORT || '3333');
+const MCP_HTTP_HOST = process.env.MCP_HTTP_HOST || '127.0.0.1';
+const MCP_HTTP_ALLOWED_HOSTS = process.env.MCP_HTTP_ALLOWED_HOSTS
+  ? process.env.MCP_HTTP_ALLOWED_HOSTS.split(',').map(h => h.trim()).filter(Boolean)
+  : undefined;
+const MCP_ALLOWED_TOOLS = (process.env.MCP_ALLOWED_TOOLS || '*').split(',').map(t => t.trim());
+const MCP_REQUIRE_SEND_CONFIRMATION = process.env.MCP_REQUIRE_SEND_CONFIRMATION !== 'false';
+const TRANSPORT = process.env.TRANSPORT || 'whatsapp';
+const KNOWLEDGE_HISTORY_CHATS = parseInt(process.env.KNOWLEDGE_HISTORY_CHATS || '20');
+const KNOWLEDGE_HISTORY_MESSAGES = parseInt(process.env.KNOWLEDGE_HISTORY_MESSAGES || '200');
+const SUMMARY_DEFAULT_MESSAGES = parseInt(process.env.SUMMARY_DEFAULT_MESSAGES || '100');
+const SUMMARY_MAX_MESSAGES = parseInt(process.env.SUMMARY_MAX_MESSAGES || '1000');
+
+// Settings that can be changed at runtime with !agent set. They override the
+// environment variables of the same name and are read with settings.get().
+const settings = new SettingsStore();
+
+// With the stdio MCP transport, stdout is reserved for protocol messages
+if (MCP_SERVER_TRANSPORTS.includes('stdio')) {
+  reserveStdoutForMcp();
 }
 
-// Save user persona data
-async function saveUserPersona() {
+// Who the agent answers and what it may do for them. The group restriction
+// settings are the baseline below the rules of the policy file.
+const accessPolicy = new AccessPolicy({
+  getBaseline: () => AccessPolicy.fromGroupRestriction(
+    settings.get('GROUP_RESTRICTION_ENABLED'),
+    settings.get('ALLOWED_GROUP_IDS')
+  )
+});
+accessPolicy.load();
+
+// With REDACT_PII on, personal data in messages is hidden before it is stored, logged or sent to a remote model
+const redact = (text) => settings.get('REDACT_PII') ? redactPII(text) : text;
+const logId = (id) => settings.get('REDACT_PII') ? maskId(id) : id;
+llm.setPromptFilter(redact);
+
+// What the agent learned about the user's writing style, per chat
+const persona = new PersonaStore({ redact });
+const summarizingStyles = new Set();
+
+// Per-chat conversation memory
+const conversationMemory = new ConversationMemory({
+  maxTurns: CONVERSATION_MAX_TURNS,
+  maxTokens: CONVERSATION_MAX_TOKENS,
+  redact
+});
+
+// Replies waiting for the owner's approval, in chats where that is turned on
+const drafts = new DraftManager({
+  getTtlMs: () => settings.get('DRAFT_EXPIRY_MINUTES') * 60 * 1000
+});
+let draftExpiryTimer = null;
+
+// Reminders and scheduled messages, sent through WhatsApp once they are due
+const scheduler = new Scheduler({
+  send: (job) => transport.sendMessage(job.chatId, job.kind === 'reminder' ? `⏰ Reminder: ${job.text}` : job.text)
+});
+
+// Voice notes, images and documents are turned into text before answering
+const mediaPipeline = new MediaPipeline({
+  transcriber: createTranscriber(process.env.STT_BACKEND || 'whispercpp', {
+    binary: process.env.WHISPER_CPP_BIN,
+    language: process.env.WHISPER_LANGUAGE,
+    ffmpeg: process.env.FFMPEG_BIN,
+    baseUrl: process.env.STT_BASE_URL || process.env.OPENAI_BASE_URL,
+    apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.STT_BACKEND === 'openai' ? process.env.STT_MODEL : process.env.WHISPER_MODEL
+  }),
+  getLimits: () => ({
+    maxBytes: settings.get('MEDIA_MAX_MB') * 1024 * 1024,
+    maxVoiceSeconds: settings.get('VOICE_MAX_SECONDS')
+  }),
+  isEnabled: (kind) => settings.get({
+    voice: 'MEDIA_VOICE_ENABLED',
+    image: 'MEDIA_IMAGES_ENABLED',
+    document: 'MEDIA_DOCUMENTS_ENABLED'
+  }[kind])
+});
+
+// Web search backends, tried in the configured order. Unknown names are
+// skipped, and DuckDuckGo is used when none of them is known.
+const searchProviders = SEARCH_PROVIDERS.flatMap(name => {
   try {
-    await fs.mkdir(PERSONA_DIR, { recursive: true });
-    await fs.writeFile(PERSONA_FILE, JSON.stringify(userPersona, null, 2));
+    return [createSearchProvider(name, {
+      baseUrl: name === 'searxng' ? process.env.SEARXNG_URL : undefined,
+      apiKey: name === 'brave' ? process.env.BRAVE_API_KEY : name === 'bing' ? process.env.BING_API_KEY : undefined
+    })];
   } catch (error) {
-    console.error('Error saving user persona:', error);
+    console.error(`Error setting up search provider "${name}":`, error.message);
+    return [];
   }
+});
+const webSearch = new WebSearch({
+  providers: searchProviders.length > 0 ? searchProviders : [createSearchProvider('duckduckgo')],
+  maxResults: MAX_SEARCH_RESULTS,
+  cacheTtlMs: SEARCH_CACHE_TTL_MINUTES * 60 * 1000
+});
+
+// Your notes and, with KNOWLEDGE_CHAT_HISTORY, your chat history, for the search_knowledge tool
+const knowledgeProvider = llm.getProvider('knowledge');
+const knowledge = new KnowledgeBase({
+  embed: (texts) => llm.embedTexts('knowledge', texts),
+  embeddingModel: `${knowledgeProvider.name}/${knowledgeProvider.embeddingModel}`,
+  loadHistory: () => settings.get('KNOWLEDGE_CHAT_HISTORY') ? loadChatHistory() : null,
+  notesDir: process.env.KNOWLEDGE_NOTES_DIR || undefined,
+  pdftotext: process.env.PDFTOTEXT_BIN || undefined
+});
+const knowledgeLoaded = knowledge.load();
+let knowledgeTimer = null;
+
+// Summaries for "!agent summarize", and the daily digest of the allowed groups sent to your own chat
+const summarizer = new ChatSummarizer({ chunkChars: parseInt(process.env.SUMMARY_CHUNK_CHARS || '12000') });
+const dailyDigest = new DailyDigest({
+  build: buildDigest,
+  send: sendToOwner,
+  isEnabled: () => settings.get('DIGEST_ENABLED') && !usage.isOverBudget(),
+  getHour: () => settings.get('DIGEST_HOUR')
+});
+
+// Limits on how many messages are answered, so floods and other bots can't run up model calls
+const rateLimiter = new RateLimiter({
+  getLimits: () => ({
+    perChat: settings.get('RATE_LIMIT_PER_CHAT'),
+    global: settings.get('RATE_LIMIT_GLOBAL'),
+    cooldownMs: settings.get('RATE_LIMIT_COOLDOWN_SECONDS') * 1000
+  })
+});
+const loopDetector = new LoopDetector();
+const replyDeduper = new ReplyDeduper();
+
+// Model usage per day, chat and feature, and the daily budget
+const usage = new UsageTracker({
+  getBudget: () => ({ requests: settings.get('DAILY_REQUEST_BUDGET'), tokens: settings.get('DAILY_TOKEN_BUDGET') })
+});
+usage.load();
+usage.attach(llm.usageEvents);
+let budgetNoticeDate = null;
+
+// Received messages waiting for an answer, kept on disk until they are answered
+const inbox = new MessageQueue({
+  handler: (item, attempt) => llm.withUsageContext({ chatId: item.chatId }, () => answerQueuedMessage(item, attempt)),
+  onDeadLetter: (item) => sendToOwner(`⚠️ Could not answer ${item.chatName} ("${item.preview}") after ${item.attempts} attempts: ` +
+    `${item.lastError}\nSend "!agent replay ${item.id}" to try again.`)
+});
+const inboxLoaded = inbox.load();
+
+// Export and deletion of the stored chat data, for !agent export and !agent wipe
+const privacy = new PrivacyManager({ conversationMemory, persona, drafts, scheduler, webSearch, usage, inbox, knowledge });
+
+// Tools the router can choose from while answering a message
+const toolRegistry = new ToolRegistry();
+registerBuiltinTools();
+
+// Tools from external MCP servers are added to the same registry
+const mcpClients = new McpClientManager({
+  registry: toolRegistry,
+  configFile: process.env.MCP_SERVERS_FILE || path.join(__dirname, 'mcp-servers.json')
+});
+const mcpClientsConnected = mcpClients.connectAll();
+
+// Connect to the configured phone backend, once it is enabled
+let phoneInitialized = false;
+function initPhoneIntegration() {
+  if (phoneInitialized || !settings.get('PHONE_INTEGRATION_ENABLED')) return;
+  phoneInitialized = true;
+  PhoneIntegration.init().catch(error => console.error('Error initializing phone integration:', error));
 }
 
-// Initialize WhatsApp client
-const client = new Client({
-  authStrategy: new LocalAuth(),
-  puppeteer: {
-    args: ['--no-sandbox'],
-  }
+// Load the stored settings and pick up changes made to the file while running
+settings.on('change', (key, value) => {
+  console.log(`Setting ${key} is now ${formatValue(value)}`);
+  if (key === 'PHONE_INTEGRATION_ENABLED') initPhoneIntegration();
+  // Chat history can only be read once the transport is connected
+  if (key.startsWith('KNOWLEDGE_') && transport.ownId) refreshKnowledge();
+});
+settings.load().then(() => {
+  settings.watch();
+  initPhoneIntegration();
+});
+
+// The chat network the agent runs on: WhatsApp, or the local simulator.
+// Everything below only uses the transport interface, see transport.js.
+const transport = createTransport(TRANSPORT, {
+  // The command line of the simulator can't share stdin with the stdio MCP transport
+  cli: process.env.SIMULATOR_CLI !== 'false' && !MCP_SERVER_TRANSPORTS.includes('stdio'),
+  httpPort: parseInt(process.env.SIMULATOR_HTTP_PORT || '0')
 });
 
 // Generate QR code for WhatsApp Web authentication
-client.on('qr', (qr) => {
+transport.on('qr', (qr) => {
   console.log('QR RECEIVED. Scan this with your WhatsApp app:');
   qrcode.generate(qr, { small: true });
 });
 
-client.on('ready', () => {
-  console.log('Client is ready!');
-  loadUserPersona();
+transport.on('ready', () => {
+  console.log(`Client is ready! (${transport.name})`);
+  persona.load();
+  // Loaded even when disabled, so turning memory on later keeps the stored history
+  conversationMemory.load();
+  drafts.load();
+  
+  // Jobs that fell due while the agent was offline are sent on the first check
+  scheduler.load().then(() => scheduler.start(30 * 1000, ({ failed }) => {
+    for (const job of failed) {
+      sendToOwner(`⚠️ Could not send ${job.id} to ${job.chatName}: ${job.lastError}`)
+        .catch(error => console.error('Error sending schedule failure notice:', error));
+    }
+  }));
+  
+  // Drop drafts nobody approved in time and tell the owner
+  if (!draftExpiryTimer) {
+    draftExpiryTimer = setInterval(async () => {
+      for (const draft of await drafts.expire()) {
+        await sendToOwner(`⌛ Draft ${draft.id} for ${draft.chatName} expired without being sent.`)
+          .catch(error => console.error('Error sending draft expiry notice:', error));
+      }
+    }, 60 * 1000);
+  }
+  
+  // A digest whose hour passed while the agent was offline is sent on the first check
+  dailyDigest.load().then(() => dailyDigest.start());
+  
+  // The knowledge base is brought up to date now and every hour
+  knowledgeLoaded.then(refreshKnowledge);
+  if (!knowledgeTimer) {
+    knowledgeTimer = setInterval(refreshKnowledge, 60 * 60 * 1000);
+  }
+  
+  // Messages left in the queue are answered first, then the ones that arrived while offline
+  inboxLoaded.then(() => {
+    inbox.start();
+    return catchUpMissedMessages();
+  }).catch(error => console.error('Error catching up on missed messages:', error));
 });
 
-// Handle incoming messages
-client.on('message', async (message) => {
+// Handle incoming messages. Messages to answer go through the durable queue,
+// which answers them one at a time per chat and retries failed answers.
+transport.on('message', async (message) => {
   try {
-    // Get chat info to identify if it's a group
-    const chat = await message.getChat();
-    const chatId = chat.id._serialized;
-    
-    if (DEBUG_MODE) {
-      console.log('Message received:');
-      console.log(`- From: ${message.from}`);
-      console.log(`- Chat ID: ${chatId}`);
-      console.log(`- Is Group: ${chat.isGroup}`);
-      console.log(`- Content: ${message.body}`);
+    await receiveMessage(message);
+  } catch (error) {
+    console.error('Error receiving message:', error);
+  }
+});
+
+// Check a received message and queue it when the agent should answer it.
+// Messages caught up on after a restart skip the flood checks, they arrived
+// over a longer time than it looks.
+async function receiveMessage(message, { catchingUp = false } = {}) {
+  // Get chat info to identify if it's a group
+  const chat = await message.getChat();
+  const chatId = chat.id;
+  
+  if (settings.get('DEBUG_MODE')) {
+    console.log(catchingUp ? 'Message received while offline:' : 'Message received:');
+    console.log(`- From: ${logId(message.senderId)}`);
+    console.log(`- Chat ID: ${logId(chatId)}`);
+    console.log(`- Is Group: ${chat.isGroup}`);
+    console.log(`- Content: ${redact(message.body)}`);
+  }
+  
+  // Your own messages are learned from in the 'message_create' handler
+  if (message.fromMe) return null;
+  
+  // Remember the message, so the user's answer to it can be learned as a reply pair
+  if (learnsFrom(chatId)) {
+    persona.noteIncoming(chatId, message.body);
+  }
+  
+  // Messages up to this one don't need to be caught up on after a restart
+  await inboxLoaded;
+  await inbox.markSeen(message.timestamp);
+  
+  // Commands like "!agent pause" stop the agent everywhere or in single chats
+  if (settings.get('AGENT_PAUSED') || settings.get('PAUSED_CHAT_IDS').includes(chatId)) {
+    if (settings.get('DEBUG_MODE')) {
+      console.log(`Ignoring message in paused chat: ${logId(chatId)}`);
     }
-    
-    // If message is from yourself, learn from it if enabled and return
-    if (message.fromMe) {
-      if (USER_PERSONA_LEARNING_MODE) {
-        await learnFromUserMessage(message.body);
-      }
-      return;
+    return null;
+  }
+  
+  // Check the access policy for this chat and sender
+  const access = accessPolicy.evaluate({
+    chatId,
+    isGroup: chat.isGroup,
+    senderId: message.senderId
+  });
+  if (!access.allowed) {
+    if (settings.get('DEBUG_MODE')) {
+      console.log(`Ignoring message from non-allowed chat: ${logId(chatId)}`);
     }
-    
-    // Check if group restriction is enabled and if this is an allowed group
-    if (GROUP_RESTRICTION_ENABLED) {
-      // Only process messages from allowed groups
-      if (!chat.isGroup || !ALLOWED_GROUP_IDS.includes(chatId)) {
-        if (DEBUG_MODE) {
-          console.log(`Ignoring message from non-allowed chat: ${chatId}`);
-        }
-        return; // Silently ignore messages from non-allowed groups
-      }
+    return null; // Silently ignore messages the policy doesn't allow
+  }
+  if (access.requireMention && !isBotMentioned(message)) {
+    if (settings.get('DEBUG_MODE')) {
+      console.log(`Ignoring group message without a mention: ${logId(chatId)}`);
     }
+    return null;
+  }
+  
+  // Another bot answering every reply would keep both sides busy forever
+  if (!catchingUp && settings.get('LOOP_PROTECTION_ENABLED')) {
+    const loop = loopDetector.noteIncoming(chatId);
+    if (loop.detected) {
+      console.log(`Reply loop detected in ${logId(chatId)}, pausing there`);
+      await sendToOwner(`🔁 ${chat.name} answered my last replies within seconds, like another bot would. ` +
+        `I stopped answering there for ${Math.round(loopDetector.pauseMs / 60000)} minutes.`);
+    }
+    if (loop.paused) return null;
+  }
+  
+  const limit = catchingUp ? { allowed: true } : rateLimiter.hit(chatId);
+  if (!limit.allowed) {
+    if (settings.get('DEBUG_MODE')) {
+      console.log(`Ignoring message over the ${limit.scope} rate limit: ${logId(chatId)}`);
+    }
+    if (limit.started && limit.scope === 'global') {
+      await sendToOwner(`⏳ More than ${settings.get('RATE_LIMIT_GLOBAL')} messages a minute arrived. ` +
+        `I'm ignoring new messages for ${Math.round(limit.retryAfterMs / 1000)} seconds.`);
+    }
+    return null;
+  }
+  
+  return inbox.enqueue({
+    messageId: message.id,
+    chatId,
+    chatName: chat.name,
+    preview: redact(message.body || `[${message.type}]`).slice(0, 100),
+    timestamp: message.timestamp
+  });
+}
 
-    console.log(`Processing message: ${message.body}`);
+// Answer a message from the queue. Errors marked as retryable make the queue
+// try again later; on the last attempt the sender gets an apology instead.
+async function answerQueuedMessage(item, { lastAttempt }) {
+  const message = await transport.getMessageById(item.messageId);
+  if (!message) {
+    throw new Error('The message no longer exists');
+  }
+  const chat = await message.getChat();
+  const chatId = item.chatId;
+  
+  // The agent may have been paused or the policy changed while the message waited
+  if (settings.get('AGENT_PAUSED') || settings.get('PAUSED_CHAT_IDS').includes(chatId)) return;
+  const access = accessPolicy.evaluate({
+    chatId,
+    isGroup: chat.isGroup,
+    senderId: message.senderId
+  });
+  if (!access.allowed) return;
+  
+  if (usage.isOverBudget()) {
+    await noticeBudgetUsedUp();
+  }
+  
+  let messageText;
+  let response;
+  try {
+    // Media is described in text, next to the caption the sender wrote
+    messageText = message.hasMedia ? await describeMessageMedia(message) : message.body;
     
-    // Process the message using AI and generate a response
-    const response = await processMessage(message.body);
+    console.log(`Processing message: ${redact(messageText)}`);
     
-    // Reply to the message
-    await message.reply(response);
+    // Process the message using AI and generate a response. The same question
+    // asked again shortly after gets the same answer without new model calls.
+    const answer = await replyDeduper.run(chatId, messageText, () =>
+      processMessage(messageText, chatId, access, { retry: true })
+    );
+    if (answer.duplicate && settings.get('DEBUG_MODE')) {
+      console.log(`Answering a repeated message with the earlier answer: ${logId(chatId)}`);
+    }
+    response = answer.response;
   } catch (error) {
-    console.error('Error processing message:', error);
-    if (!GROUP_RESTRICTION_ENABLED) {
-      // Only send error messages if not in restricted mode
+    if (lastAttempt || !error.retryable) {
       await message.reply('Sorry, I encountered an error while processing your message.');
     }
+    throw error;
   }
-});
-
-// Add a way to save chat IDs to allowed list
-client.on('message_create', async (message) => {
-  // Only process messages from yourself
-  if (!message.fromMe) return;
   
-  const commandPrefix = '!agent';
+  // In chats with approval turned on, the reply goes to the owner as a draft
+  if (needsApproval(chatId)) {
+    const draft = await drafts.create({
+      chatId,
+      chatName: chat.name,
+      messageId: message.id,
+      incoming: messageText,
+      reply: response
+    });
+    await sendToOwner(formatDraft(draft));
+    return;
+  }
   
-  if (message.body.startsWith(`${commandPrefix} allow`)) {
-    try {
-      const chat = await message.getChat();
-      const chatId = chat.id._serialized;
-      
-      if (!chat.isGroup) {
-        await message.reply('This command only works in group chats.');
-        return;
-      }
-      
-      // Add to allowed groups
-      if (!ALLOWED_GROUP_IDS.includes(chatId)) {
-        ALLOWED_GROUP_IDS.push(chatId);
-        
-        // Update the .env file if possible
-        try {
-          const envPath = path.join(__dirname, '.env');
-          let envContent = await fs.readFile(envPath, 'utf8').catch(() => '');
-          
-          // Update or add the GROUP_RESTRICTION_ENABLED and ALLOWED_GROUP_IDS variables
-          const groupIdsString = ALLOWED_GROUP_IDS.join(',');
-          
-          if (envContent.includes('ALLOWED_GROUP_IDS=')) {
-            envContent = envContent.replace(
-              /ALLOWED_GROUP_IDS=.*/,
-              `ALLOWED_GROUP_IDS=${groupIdsString}`
-            );
-          } else {
-            envContent += `\nALLOWED_GROUP_IDS=${groupIdsString}`;
-          }
-          
-          if (!envContent.includes('GROUP_RESTRICTION_ENABLED=')) {
-            envContent += '\nGROUP_RESTRICTION_ENABLED=true';
-          } else if (!GROUP_RESTRICTION_ENABLED) {
-            envContent = envContent.replace(
-              /GROUP_RESTRICTION_ENABLED=.*/,
-              'GROUP_RESTRICTION_ENABLED=true'
-            );
-          }
-          
-          await fs.writeFile(envPath, envContent);
-          console.log(`Added group ${chatId} to allowed list and updated .env file`);
-          await message.reply('✅ This group has been added to my allowed groups list. I will now respond to messages here.');
-        } catch (err) {
-          console.error('Error updating .env file:', err);
-          await message.reply(`✅ Group added to allowed list for this session, but couldn't update .env file. You'll need to manually add this group ID: ${chatId}`);
-        }
-      } else {
-        await message.reply('This group is already in my allowed list.');
+  // Reply to the message
+  await message.reply(response);
+  loopDetector.noteReply(chatId);
+  
+  // Remember both sides of the exchange for follow-up questions
+  if (settings.get('CONVERSATION_MEMORY_ENABLED')) {
+    await conversationMemory.addTurn(chatId, 'user', messageText);
+    await conversationMemory.addTurn(chatId, 'assistant', response);
+  }
+}
+
+// Queue the messages that arrived while the agent was offline: the unread
+// messages after your own last message, newer than the last message seen
+async function catchUpMissedMessages() {
+  // On the first run there is nothing to compare with, so old unread chats are left alone
+  if (!inbox.lastSeenAt) {
+    await inbox.markSeen(Date.now());
+    return;
+  }
+  const maxHours = settings.get('CATCH_UP_MAX_HOURS');
+  if (maxHours === 0) return;
+  
+  const since = Math.max(inbox.lastSeenAt, Date.now() - maxHours * 60 * 60 * 1000);
+  let queued = 0;
+  for (const chat of await transport.getChats()) {
+    if (chat.unreadCount === 0) continue;
+    const messages = await chat.fetchMessages({ limit: Math.min(chat.unreadCount, 50) });
+    const lastOwn = messages.map(message => message.fromMe).lastIndexOf(true);
+    for (const message of messages.slice(lastOwn + 1)) {
+      if (message.timestamp <= since || inbox.has(message.id)) continue;
+      try {
+        if (await receiveMessage(message, { catchingUp: true })) queued++;
+      } catch (error) {
+        console.error('Error catching up on a message:', error);
       }
+    }
+  }
+  if (queued > 0) {
+    console.log(`Catching up on ${queued} messages that arrived while offline`);
+  }
+}
+
+// Turn the media of a message into text, skipping the download when it is over the limits
+async function describeMessageMedia(message) {
+  const info = {
+    type: message.type,
+    duration: message.duration,
+    size: message.size,
+    caption: message.body
+  };
+
+  let description = mediaPipeline.check(info);
+  if (!description && usage.isOverBudget()) {
+    description = '[The sender attached a file that was not looked at, because the daily model budget is used up.]';
+  }
+  if (!description) {
+    try {
+      const media = await message.downloadMedia();
+      description = media
+        ? await mediaPipeline.process({ ...info, mimetype: media.mimetype, data: media.data, filename: media.filename })
+        : '[The sender attached a file that could not be downloaded.]';
     } catch (error) {
-      console.error('Error processing allow command:', error);
-      await message.reply('Error processing command.');
+      console.error('Error downloading media:', error);
+      description = '[The sender attached a file that could not be downloaded.]';
     }
-  } else if (message.body === `${commandPrefix} groups`) {
-    // List all allowed groups
-    const allowedGroups = [];
-    
-    for (const id of ALLOWED_GROUP_IDS) {
-      try {
-        const chat = await client.getChatById(id);
-        allowedGroups.push(`- ${chat.name} (${id})`);
-      } catch (err) {
-        allowedGroups.push(`- Unknown group (${id})`);
+  }
+
+  return [message.body, description].filter(Boolean).join('\n\n');
+}
+
+// Update the knowledge base in the background, unless it is off or the model budget is used up
+async function refreshKnowledge() {
+  if (!settings.get('KNOWLEDGE_ENABLED') || usage.isOverBudget()) return;
+  try {
+    const stats = await knowledge.reindex();
+    if (stats.updated > 0 || stats.removed > 0) {
+      console.log(`Knowledge base updated: ${formatIndexStats(stats)}`);
+    }
+  } catch (error) {
+    console.error('Error updating the knowledge base:', error);
+  }
+}
+
+// Recent messages of your most recent chats, for the knowledge base
+async function loadChatHistory() {
+  const history = [];
+  for (const chat of (await transport.getChats()).slice(0, KNOWLEDGE_HISTORY_CHATS)) {
+    const messages = await chat.fetchMessages({ limit: KNOWLEDGE_HISTORY_MESSAGES });
+    history.push({
+      chatId: chat.id,
+      chatName: chat.name,
+      messages: messages
+        .filter(message => message.body && !ownerCommands.parse(message.body))
+        .map(message => ({
+          sender: message.fromMe ? 'You' : chat.isGroup ? message.senderId : chat.name,
+          body: redact(message.body),
+          timestamp: message.timestamp
+        }))
+    });
+  }
+  return history;
+}
+
+// The messages of a chat as a transcript for summaries, without owner commands
+async function fetchTranscript(chat, { limit, since = 0 }) {
+  const messages = await chat.fetchMessages({ limit });
+  return messages
+    .filter(message => message.timestamp >= since && (message.body || message.hasMedia))
+    .filter(message => !ownerCommands.parse(message.body || ''))
+    .map(message => ({
+      sender: message.fromMe ? 'You' : message.senderName || (chat.isGroup ? message.senderId.split('@')[0] : chat.name),
+      body: message.hasMedia ? `[${message.type}] ${message.body || ''}`.trim() : message.body,
+      timestamp: message.timestamp,
+      mentionsYou: message.mentionedIds.includes(transport.ownId)
+    }));
+}
+
+// Summarize the last messages of a chat, or the ones since a time
+async function summarizeChat(chatId, { limit = SUMMARY_DEFAULT_MESSAGES, since = null }) {
+  const chat = await transport.getChatById(chatId);
+  const transcript = await fetchTranscript(chat, {
+    limit: since ? SUMMARY_MAX_MESSAGES : Math.min(limit, SUMMARY_MAX_MESSAGES),
+    since: since || 0
+  });
+  if (transcript.length === 0) return `Nothing to summarize in ${chat.name}.`;
+
+  const summary = await llm.withUsageContext({ chatId }, () =>
+    summarizer.summarize(transcript, { chatName: chat.name, isGroup: chat.isGroup }));
+  const count = `${transcript.length} ${transcript.length === 1 ? 'message' : 'messages'}`;
+  return `📝 ${chat.name}, ${count} since ${formatInZone(transcript[0].timestamp)}:\n\n${summary}`;
+}
+
+// The digest of the allowed groups since a time, or null when none of them has new messages.
+// A group that can't be read or summarized is skipped and named in the digest
+async function buildDigest(since) {
+  const sections = [];
+  const quiet = [];
+  const failed = [];
+  for (const id of settings.get('ALLOWED_GROUP_IDS')) {
+    let chatName = id;
+    try {
+      const chat = await transport.getChatById(id.includes('@') ? id : `${id}@g.us`);
+      chatName = chat.name;
+      const transcript = await fetchTranscript(chat, { limit: SUMMARY_MAX_MESSAGES, since });
+      if (transcript.length === 0) {
+        quiet.push(chatName);
+        continue;
       }
+      const digest = await llm.withUsageContext({ chatId: chat.id }, () =>
+        summarizer.digest(transcript, { chatName }));
+      sections.push({ chatName, count: transcript.length, ...digest });
+    } catch (error) {
+      console.error(`Error building the digest of ${chatName}:`, error);
+      failed.push(chatName);
     }
+  }
+  return sections.length > 0 || failed.length > 0 ? formatDigest({ since, sections, quiet, failed }) : null;
+}
+
+// Check whether replies in a chat need the owner's approval first
+function needsApproval(chatId) {
+  return settings.get('DRAFT_APPROVAL_ENABLED') || settings.get('DRAFT_APPROVAL_CHAT_IDS').includes(chatId);
+}
+
+// Send a message to the owner's own "Message yourself" chat
+async function sendToOwner(text) {
+  await transport.sendMessage(transport.ownId, text);
+}
+
+// Tell the owner once a day that the agent switched to short answers
+async function noticeBudgetUsedUp() {
+  const today = usage.today();
+  if (budgetNoticeDate === today) return;
+  budgetNoticeDate = today;
+  await sendToOwner('💸 The daily model budget is used up. Until tomorrow, messages get short answers without tools, media or your style. "!agent usage" shows what used it.')
+    .catch(error => console.error('Error sending budget notice:', error));
+}
+
+// Send an approved draft and remember it like an automatic reply
+async function deliverDraft(draft, text, edited) {
+  let original = null;
+  try {
+    original = draft.messageId ? await transport.getMessageById(draft.messageId) : null;
+  } catch (error) {
+    console.error('Error loading the message a draft answers:', error.message);
+  }
+  
+  // Reply to the original message if it is still available
+  if (original) {
+    await original.reply(text);
+  } else {
+    await transport.sendMessage(draft.chatId, text);
+  }
+  
+  // A message an MCP client asked for answers nothing and isn't the owner's writing
+  if (draft.source === 'mcp') return;
+  
+  if (settings.get('CONVERSATION_MEMORY_ENABLED')) {
+    await conversationMemory.addTurn(draft.chatId, 'user', draft.incoming);
+    await conversationMemory.addTurn(draft.chatId, 'assistant', text);
+  }
+  
+  // The owner's rewrite shows how the reply should have sounded
+  if (edited && settings.get('USER_PERSONA_LEARNING_MODE') && !settings.get('PERSONA_EXCLUDED_CHAT_IDS').includes(draft.chatId)) {
+    await learnFromUserMessage(text, {
+      chatId: draft.chatId,
+      chatName: draft.chatName,
+      incoming: draft.incoming,
+      correctionOf: draft.reply
+    });
+  }
+}
+
+// Check whether a group message @mentions the agent's own account
+function isBotMentioned(message) {
+  return message.mentionedIds.includes(transport.ownId);
+}
+
+// Owner commands like !agent status, see commands.js
+const ownerCommands = createOwnerCommands({
+  settings,
+  accessPolicy,
+  conversationMemory,
+  ask: (question) => processMessage(question, null),
+  drafts,
+  deliverDraft,
+  scheduler,
+  getOwnChatId: () => transport.ownId,
+  privacy,
+  usage,
+  rateLimiter,
+  loopDetector,
+  inbox,
+  knowledge,
+  summarizeChat,
+  rewriteStyleSummary,
+  buildDigest: () => buildDigest(dailyDigest.since()),
+  getChatName: async (id) => (await transport.getChatById(id)).name
+});
+
+transport.on('message_create', async (message) => {
+  // Only messages you typed yourself: commands, and otherwise what your style is learned from
+  if (!message.fromMe || message.fromAgent) return;
+  if (!ownerCommands.parse(message.body)) {
+    await learnFromOwnMessage(message).catch(error => console.error('Error learning from your message:', error));
+    return;
+  }
+  
+  try {
+    const chat = await message.getChat();
+    const result = await ownerCommands.handle(message.body, {
+      chatId: chat.id,
+      isGroup: chat.isGroup
+    });
     
-    if (allowedGroups.length === 0) {
-      await message.reply('No groups are currently allowed.');
+    if (result.private) {
+      // Sent to your own chat, so the other people in the chat don't see it
+      await sendToOwner(result.reply);
     } else {
-      await message.reply(`Currently allowed groups:\n${allowedGroups.join('\n')}`);
+      await message.reply(result.reply);
     }
+  } catch (error) {
+    console.error('Error processing command:', error);
+    await message.reply('Error processing command.');
   }
 });
 
-// Learn from user's outgoing messages to build persona
-async function learnFromUserMessage(messageText) {
-  if (messageText.length < 10) return; // Ignore very short messages
+// Whether the user's messages in a chat are learned from
+function learnsFrom(chatId) {
+  return settings.get('USER_PERSONA_LEARNING_MODE') && !settings.get('PERSONA_EXCLUDED_CHAT_IDS').includes(chatId);
+}
+
+// Learn from a message the user sent from their phone
+async function learnFromOwnMessage(message) {
+  const chat = await message.getChat();
+  // Notes to yourself aren't written to anyone
+  if (chat.id === transport.ownId || !learnsFrom(chat.id)) return;
   
-  // Add to style samples if it's a substantial message
-  if (messageText.length > 30) {
-    userPersona.styleSamples.push(messageText);
-    // Keep only the most recent 50 samples
-    if (userPersona.styleSamples.length > 50) {
-      userPersona.styleSamples.shift();
+  // A quoted message is what the user answered; otherwise it is the last message of the chat
+  const quoted = message.hasQuotedMsg ? await message.getQuotedMessage().catch(() => null) : null;
+  await learnFromUserMessage(message.body, {
+    chatId: chat.id,
+    chatName: chat.name,
+    isGroup: chat.isGroup,
+    incoming: quoted && !quoted.fromMe ? quoted.body : undefined
+  });
+}
+
+// Learn from a message the user wrote, as a reply pair when it answers someone
+async function learnFromUserMessage(messageText, { chatId, chatName, isGroup, incoming, correctionOf } = {}) {
+  const sample = await persona.learn({ text: messageText, chatId, chatName, isGroup, incoming, correctionOf });
+  if (sample && !usage.isOverBudget()) {
+    llm.withUsageContext({ chatId }, () => refreshStyleSummaries(chatId)); // Runs in the background
+  }
+}
+
+// Write the style summaries of the chat and of all chats again once there are enough new samples
+async function refreshStyleSummaries(chatId) {
+  for (const key of persona.summariesDue(chatId)) {
+    if (summarizingStyles.has(key)) continue;
+    summarizingStyles.add(key);
+    try {
+      const summary = await summarizeStyle(persona.samplesFor(key).map(sample => sample.text));
+      await persona.setSummary(key, summary);
+    } catch (error) {
+      console.error(`Error summarizing the writing style for ${logId(key)}:`, error.message);
+    } finally {
+      summarizingStyles.delete(key);
     }
   }
-  
-  // Add to message history
-  userPersona.messageHistory.push({
-    role: 'user',
-    content: messageText,
-    timestamp: Date.now()
-  });
-  
-  // Keep only the most recent 100 messages
-  if (userPersona.messageHistory.length > 100) {
-    userPersona.messageHistory.shift();
+}
+
+// Write the style summary of a chat, or of all chats, now; for "!agent style"
+async function rewriteStyleSummary(chatId) {
+  const key = chatId || GLOBAL_PROFILE;
+  const samples = persona.samplesFor(key);
+  if (samples.length < SUMMARY_MIN_SAMPLES) {
+    throw new Error(`Not enough style samples yet (${samples.length}/${SUMMARY_MIN_SAMPLES}).`);
+  }
+  if (summarizingStyles.has(key)) {
+    throw new Error('The style summary is being written already.');
+  }
+  summarizingStyles.add(key);
+  try {
+    const summary = await llm.withUsageContext({ chatId }, () => summarizeStyle(samples.map(sample => sample.text)));
+    await persona.setSummary(key, summary);
+    return summary;
+  } finally {
+    summarizingStyles.delete(key);
   }
-  
-  // Save user persona data
-  await saveUserPersona();
 }
 
-// Process messages with AI and additional capabilities
-async function processMessage(messageText) {
-  // Use AI to understand the message and determine if search or phone access is needed
-  const aiAnalysis = await analyzeWithAI(messageText);
+// Process messages with AI and additional capabilities. With retry set, a
+// model or search failure that may go away throws instead of being answered
+// with an excuse, so the message queue can try again later.
+async function processMessage(messageText, chatId, access = null, { retry = false } = {}) {
+  // Once the daily budget is used up, a single short model call answers
+  if (usage.isOverBudget()) {
+    return await generateShortResponse(messageText);
+  }
+  
+  // Earlier turns of this chat, so follow-up questions can be understood
+  const history = settings.get('CONVERSATION_MEMORY_ENABLED') && chatId ? conversationMemory.formatForPrompt(chatId) : '';
+  
+  // Let the AI decide which tools, if any, are needed and run them
+  const aiAnalysis = await analyzeWithAI(messageText, history, { chatId, access }, { retry });
   
-  // If the AI determines we need to search for information and search is enabled
-  if (aiAnalysis.needsSearch && SEARCH_ENABLED) {
-    const searchResults = await googleSearch(aiAnalysis.searchQuery);
-    // Generate response based on search results
-    return await generateResponseWithContext(messageText, searchResults);
+  const failedStep = retry && aiAnalysis.steps.find(step => step.retryable);
+  if (failedStep) {
+    throw new RetryableError(`${failedStep.name} failed: ${failedStep.error}`);
   }
   
-  // If the AI determines we need phone access and phone integration is enabled
-  if (aiAnalysis.needsPhoneAccess && PHONE_INTEGRATION_ENABLED) {
-    const phoneData = await getPhoneData(aiAnalysis.phoneAccessType, aiAnalysis.phoneAccessQuery);
-    // Generate response based on phone data
-    return await generateResponseWithPhoneData(messageText, phoneData);
+  // If tools were used, generate the response from their results
+  if (aiAnalysis.steps.length > 0) {
+    return await generateResponseWithContext(messageText, aiAnalysis.steps, history, { retry });
   }
   
   // If user persona is enabled and there are enough style samples, respond like the user
-  if (USER_PERSONA_ENABLED && userPersona.styleSamples.length >= 5) {
-    return await generatePersonaResponse(messageText);
+  if (settings.get('USER_PERSONA_ENABLED') && isCapabilityAllowed(access, 'persona') && persona.data.samples.length >= 5) {
+    return await generatePersonaResponse(messageText, history, chatId, { retry });
   }
   
   // Generate a response directly if no special actions are needed
-  return aiAnalysis.response;
+  return aiAnalysis.response || "I'm not sure how to answer that. Could you rephrase your message?";
 }
 
-// Analyze the message with Gemini AI to understand intent and context
-async function analyzeWithAI(text) {
+// Check whether the access policy allows a capability; without a policy decision everything is allowed
+function isCapabilityAllowed(access, capability) {
+  return !access || !capability || access.capabilities.includes(capability);
+}
+
+// Analyze the message with the routing model and run the tools it asks for
+async function analyzeWithAI(text, history = '', context = {}, { retry = false } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: AI_MODEL });
-    
-    const prompt = `You are a helpful WhatsApp assistant that understands user messages and determines what action to take.
-                 You can either provide a direct response, indicate a need to search for information online,
-                 or indicate a need to access phone data (contacts, files, calendar, or location).
-                 
-                 Analyze this message and decide what action to take: "${text}".
-                 If web search is needed, respond with "SEARCH: <search query>".
-                 If phone data access is needed, respond with "PHONE: <type>:<query>" where type is contacts, files, calendar, or location.
-                 If neither is needed, provide a direct helpful response.`;
-    
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
-    
-    // Parse the AI response to determine what action is needed
-    if (response.toUpperCase().startsWith("SEARCH:")) {
-      const searchQuery = response.substring("SEARCH:".length).trim();
-      return {
-        needsSearch: true,
-        needsPhoneAccess: false,
-        searchQuery: searchQuery,
-        response: null
-      };
-    } else if (response.toUpperCase().startsWith("PHONE:")) {
-      const phoneCommand = response.substring("PHONE:".length).trim();
-      const [phoneAccessType, ...queryParts] = phoneCommand.split(":");
-      const phoneAccessQuery = queryParts.join(":").trim();
-      
-      return {
-        needsSearch: false,
-        needsPhoneAccess: true,
-        phoneAccessType: phoneAccessType.toLowerCase(),
-        phoneAccessQuery: phoneAccessQuery,
-        response: null
-      };
-    } else {
-      return {
-        needsSearch: false,
-        needsPhoneAccess: false,
-        response: response
-      };
-    }
+    // Only offer the tools whose capability the chat is allowed to use
+    const tools = toolRegistry.list(tool => isCapabilityAllowed(context.access, tool.capability));
+    return await runToolPlan(text, { registry: toolRegistry, tools, history, context });
   } catch (error) {
-    console.error('Error analyzing with Gemini AI:', error);
+    if (retry && error.retryable) throw error;
+    console.error('Error analyzing message with AI:', error);
     return {
-      needsSearch: false,
-      needsPhoneAccess: false,
+      steps: [],
       response: "I'm having trouble understanding your message right now. Could you please try again?"
     };
   }
 }
 
-// Generate a response in the user's style
-async function generatePersonaResponse(messageText) {
+// Generate a response in the user's style, from their replies to similar messages
+async function generatePersonaResponse(messageText, history = '', chatId = null, { retry = false } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: AI_MODEL });
-    
-    // Create a prompt that instructs Gemini to mimic the user's style
-    let prompt = `You need to respond to this message in a way that mimics the user's writing style.
-                 Here are examples of how the user writes:
-                 
-                 `;
-    
-    // Add a selection of the user's style samples
-    const sampleCount = Math.min(userPersona.styleSamples.length, 5);
-    for (let i = 0; i < sampleCount; i++) {
-      prompt += `Example ${i+1}: "${userPersona.styleSamples[i]}"\n\n`;
-    }
-    
-    prompt += `Message to respond to: "${messageText}"\n\n`;
-    prompt += `Write a response that sounds exactly like it was written by the same person who wrote the example messages.
-               Match their tone, formality level, sentence structure, vocabulary, and any distinctive patterns.`;
-    
-    const result = await model.generateContent(prompt);
-    return result.response.text();
+    const prompt = buildPersonaPrompt(persona, messageText, { history, chatId });
+    return await llm.generateText('persona', prompt);
   } catch (error) {
+    if (retry && error.retryable) throw error;
     console.error('Error generating persona response:', error);
     return "I'm having trouble responding in your style right now. I'll get back to normal mode.";
   }
 }
 
-// Perform a Google search and extract relevant information
-async function googleSearch(query) {
+// Answer with one small model call, without tools, history or persona
+async function generateShortResponse(messageText) {
   try {
-    const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-    const { data } = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+    const prompt = `Reply briefly, in one or two sentences, to this message: "${messageText}"`;
+    return await llm.generateText('answer', prompt, { maxTokens: 150, retries: 0 });
+  } catch (error) {
+    console.error('Error generating short response:', error);
+    return "I can't answer in detail right now. Please try again later.";
+  }
+}
 
-    const $ = cheerio.load(data);
-    const results = [];
-
-    // Extract search results
-    $('.g').each((i, element) => {
-      const titleElement = $(element).find('h3');
-      const linkElement = $(element).find('a');
-      const snippetElement = $(element).find('.VwiC3b');
-
-      if (titleElement.length && linkElement.length) {
-        results.push({
-          title: titleElement.text(),
-          link: linkElement.attr('href'),
-          snippet: snippetElement.text()
-        });
-      }
+// Register the tools the router can use: web search and the phone data lookups
+function registerBuiltinTools() {
+  toolRegistry.register({
+    name: 'web_search',
+    description: 'Search the web for current or factual information.',
+    capability: 'search',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'The search query' }
+      },
+      required: ['query']
+    },
+    isEnabled: () => settings.get('SEARCH_ENABLED'),
+    handler: async ({ query }) => {
+      const results = await webSearch.search(query);
+      if (!settings.get('SEARCH_DEEP_READ')) return results;
+      
+      // Read the top pages so the answer isn't limited to the snippets
+      return await deepReadResults(query, results, {
+        pages: settings.get('DEEP_READ_PAGES'),
+        passages: DEEP_READ_PASSAGES,
+        timeoutMs: DEEP_READ_TIMEOUT_MS,
+        maxBytes: DEEP_READ_MAX_KB * 1024
+      });
+    },
+    formatResult: formatSearchResults
+  });
+  
+  toolRegistry.register({
+    name: 'search_knowledge',
+    description: "Search the user's own notes and documents, and their chat history if it is indexed. Use it for personal information like passwords, addresses, plans or what was said to someone.",
+    capability: 'knowledge',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'What to look for, e.g. "wifi password sent to Priya"' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    isEnabled: () => settings.get('KNOWLEDGE_ENABLED'),
+    handler: async ({ query }, context) => {
+      // Chat history is only searched for you and in the chat it comes from
+      const forOwner = !context.chatId || context.chatId === transport.ownId;
+      const { results } = await knowledge.search(query, {
+        filter: (source) => source.kind !== 'chat' || forOwner || source.chatId === context.chatId
+      });
+      return results;
+    },
+    formatResult: formatKnowledgeResults
+  });
+  
+  toolRegistry.register({
+    name: 'schedule_reminder',
+    description: 'Set a reminder that is sent to this chat later, once or repeating. Use it when someone asks to be reminded of something.',
+    capability: 'schedule',
+    parameters: {
+      type: 'object',
+      properties: {
+        request: { type: 'string', minLength: 1, description: 'When and what, in the user\'s words, e.g. "tomorrow at 6pm to call mom"' }
+      },
+      required: ['request'],
+      additionalProperties: false
+    },
+    isEnabled: () => settings.get('REMINDERS_ENABLED'),
+    handler: async ({ request }, context) => {
+      // Questions from "!agent ask" have no chat, so their reminders go to the owner
+      const chatId = context.chatId || transport.ownId;
+      return await scheduler.schedule(request, { chatId, kind: 'reminder' });
+    },
+    formatResult: (job) => `Reminder set: ${formatJob(job)}`
+  });
+  
+  const phoneTools = [
+    {
+      type: 'contacts',
+      description: "Look up contacts in the phone's address book.",
+      properties: { query: { type: 'string', description: 'Name or number to look for' } },
+      required: []
+    },
+    {
+      type: 'files',
+      description: 'Search for files stored on the phone.',
+      properties: { query: { type: 'string', minLength: 1, description: 'File name or keywords' } },
+      required: ['query']
+    },
+    {
+      type: 'read_file',
+      description: 'Read the content of a file on the phone, using a path returned by phone_files.',
+      properties: { query: { type: 'string', minLength: 1, description: 'The file path' } },
+      required: ['query']
+    },
+    {
+      type: 'calendar',
+      description: "Get events from the phone's calendar.",
+      properties: { query: { type: 'string', description: 'What to look for, e.g. "tomorrow" or a person\'s name' } },
+      required: []
+    },
+    {
+      type: 'location',
+      description: 'Get the current location of the phone.',
+      properties: {},
+      required: []
+    }
+  ];
+  
+  for (const phoneTool of phoneTools) {
+    toolRegistry.register({
+      name: `phone_${phoneTool.type}`,
+      description: phoneTool.description,
+      capability: 'phone',
+      parameters: {
+        type: 'object',
+        properties: phoneTool.properties,
+        required: phoneTool.required,
+        additionalProperties: false
+      },
+      isEnabled: () => settings.get('PHONE_INTEGRATION_ENABLED'),
+      handler: ({ query }, context) => getPhoneData(phoneTool.type, query, context.access),
+      formatResult: formatPhoneData
     });
+  }
+}
 
-    return results.slice(0, MAX_SEARCH_RESULTS); // Return top results based on configuration
-  } catch (error) {
-    console.error('Error performing Google search:', error);
-    return [];
+// Describe search results for a prompt
+function formatSearchResults(searchResults) {
+  if (searchResults.length === 0) return 'No search results found.';
+  return searchResults.map((result, index) => {
+    let text = `${result.citation || index + 1}. ${result.title}: ${result.snippet}`;
+    if (result.passages && result.passages.length > 0) {
+      text += `\n   From the page:\n${result.passages.map(passage => `   > ${passage}`).join('\n')}`;
+    }
+    return text;
+  }).join('\n');
+}
+
+// Describe knowledge base passages for a prompt
+function formatKnowledgeResults(results) {
+  if (results.length === 0) return 'Nothing related was found in the notes.';
+  return results.map((result, index) =>
+    `${index + 1}. From ${result.kind === 'chat' ? 'the chat' : 'the note'} ${result.title}:\n${result.text}`
+  ).join('\n\n');
+}
+
+// Number the search results of all steps so the answer can cite them
+function collectSources(toolSteps) {
+  const sources = [];
+  for (const step of toolSteps) {
+    if (step.name !== 'web_search' || !Array.isArray(step.result)) continue;
+    for (const result of step.result) {
+      result.citation = sources.length + 1;
+      sources.push(result);
+    }
   }
+  return sources;
+}
+
+// Describe phone data for a prompt
+function formatPhoneData(phoneData) {
+  if (phoneData.error) {
+    return `Error: ${phoneData.error}`;
+  } else if (Array.isArray(phoneData)) {
+    if (phoneData.length === 0) return 'No results.';
+    return phoneData.map((item, index) => `${index + 1}. ${JSON.stringify(item)}`).join('\n');
+  } else if (typeof phoneData === 'string') {
+    return phoneData;
+  }
+  return JSON.stringify(phoneData, null, 2);
 }
 
 // Get data from the phone based on the requested type and query
-async function getPhoneData(type, query) {
+async function getPhoneData(type, query, access = null) {
+  if (!isCapabilityAllowed(access, 'phone')) {
+    return { error: 'Phone data is not available in this chat.' };
+  }
+  
   try {
     switch (type) {
       case 'contacts':
-        return await PhoneIntegration.getContacts();
+        return await PhoneIntegration.getContacts(query);
       case 'files':
         return await PhoneIntegration.searchFiles(query);
+      case 'read_file':
+        return await PhoneIntegration.readFile(query);
       case 'calendar':
-        return await PhoneIntegration.getCalendarEvents();
+        return await PhoneIntegration.getCalendarEvents(query);
       case 'location':
         return await PhoneIntegration.getLocation();
       default:
@@ -413,59 +1044,107 @@ async function getPhoneData(type, query) {
     }
   } catch (error) {
     console.error(`Error accessing phone data (${type}):`, error);
+    if (error.code === 'capability_missing') {
+      return { error: `This phone setup can't provide ${type} data: ${error.message}` };
+    }
     return { error: `Failed to access ${type} data: ${error.message}` };
   }
 }
 
-// Generate a response with context from search results
-async function generateResponseWithContext(originalMessage, searchResults) {
+// Generate a response with context from the tools that were used
+async function generateResponseWithContext(originalMessage, toolSteps, history = '', { retry = false } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: AI_MODEL });
+    // In deep read mode, search results are numbered and cited in the reply
+    const sources = settings.get('SEARCH_DEEP_READ') ? collectSources(toolSteps) : [];
     
-    // Create a context string from search results
-    let context = "Search results:\n";
-    searchResults.forEach((result, index) => {
-      context += `${index + 1}. ${result.title}: ${result.snippet}\n`;
-    });
+    // Create a context string from the tool results
+    const context = `Information gathered with tools:\n${describeSteps(toolRegistry, toolSteps)}`;
+    
+    // Generate a response with the gathered context
+    let prompt = `${history}Original message: "${originalMessage}"\n\n${context}\n\nProvide a helpful response based on this information.`;
+    if (sources.length > 0) {
+      prompt += ' Cite the search results you use with their numbers in square brackets, e.g. [1]. Do not add a list of sources, it is appended automatically.';
+    }
     
-    // Generate a response with the search context
-    const prompt = `Original message: "${originalMessage}"\n\n${context}\n\nProvide a helpful response based on these search results.`;
+    const response = await llm.generateText('answer', prompt);
+    if (sources.length === 0) return response;
     
-    const result = await model.generateContent(prompt);
-    return result.response.text();
+    const sourceList = sources.map(source => `[${source.citation}] ${source.title} - ${source.link}`).join('\n');
+    return `${response.trim()}\n\nSources:\n${sourceList}`;
   } catch (error) {
-    console.error('Error generating response with search context:', error);
-    return "I found some information online, but I'm having trouble processing it. Could you try asking in a different way?";
+    if (retry && error.retryable) throw error;
+    console.error('Error generating response with tool context:', error);
+    return "I found some information, but I'm having trouble processing it. Could you try asking in a different way?";
   }
 }
 
-// Generate a response with phone data context
-async function generateResponseWithPhoneData(originalMessage, phoneData) {
+// Start the MCP server so other assistants can use the same tools and WhatsApp session
+async function startMcpServer() {
+  const mcpServer = new McpAgentServer({
+    registry: toolRegistry,
+    transport,
+    getPersona: () => persona.data,
+    allowedTools: MCP_ALLOWED_TOOLS,
+    requireSendConfirmation: MCP_REQUIRE_SEND_CONFIRMATION,
+    // Sends wait as drafts, so the owner approves them with "!agent send <id>"
+    requestApproval: async ({ chatId, text }) => {
+      const chat = await transport.getChatById(chatId);
+      const draft = await drafts.create({ chatId, chatName: chat.name, reply: text, source: 'mcp' });
+      await sendToOwner(formatDraft(draft));
+      return draft;
+    },
+    // A chat the policy keeps the agent out of is hidden from MCP clients too
+    canRead: (chat) => accessPolicy.evaluate({
+      chatId: chat.id,
+      isGroup: chat.isGroup,
+      senderId: chat.isGroup ? null : chat.id
+    }).allowed,
+    redact
+  });
+  
   try {
-    const model = genAI.getGenerativeModel({ model: AI_MODEL });
-    
-    // Create a context string from phone data
-    let context = "Phone data:\n";
-    if (phoneData.error) {
-      context += `Error: ${phoneData.error}\n`;
-    } else if (Array.isArray(phoneData)) {
-      phoneData.forEach((item, index) => {
-        context += `${index + 1}. ${JSON.stringify(item)}\n`;
+    if (MCP_SERVER_TRANSPORTS.includes('stdio')) {
+      await mcpServer.startStdio();
+    }
+    if (MCP_SERVER_TRANSPORTS.includes('http')) {
+      // The endpoint can read and send messages, so it never runs without a token
+      let token = process.env.MCP_HTTP_TOKEN;
+      if (!token) {
+        token = crypto.randomBytes(24).toString('hex');
+        console.log(`MCP_HTTP_TOKEN is not set. Until the agent restarts, MCP clients must send "Authorization: Bearer ${token}"`);
+      }
+      await mcpServer.startHttp({
+        port: MCP_HTTP_PORT,
+        host: MCP_HTTP_HOST,
+        token,
+        allowedHosts: MCP_HTTP_ALLOWED_HOSTS
       });
-    } else {
-      context += JSON.stringify(phoneData, null, 2);
     }
-    
-    // Generate a response with the phone data context
-    const prompt = `Original message: "${originalMessage}"\n\n${context}\n\nProvide a helpful response based on this phone data.`;
-    
-    const result = await model.generateContent(prompt);
-    return result.response.text();
   } catch (error) {
-    console.error('Error generating response with phone data:', error);
-    return "I found some information on your phone, but I'm having trouble processing it. Could you try asking in a different way?";
+    console.error('Error starting MCP server:', error);
+  }
+}
+
+if (MCP_SERVER_TRANSPORTS.length > 0) {
+  startMcpServer();
+}
+
+// Close the connections to MCP servers on exit, so the servers started over stdio don't outlive the agent
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`Received ${signal}, shutting down`);
+  try {
+    await mcpClientsConnected;
+    await mcpClients.closeAll();
+  } catch (error) {
+    console.error('Error closing MCP connections:', error);
   }
+  process.exit(0);
 }
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-// Initialize WhatsApp client
-client.initialize(); 
\ No newline at end of file
+// Connect to WhatsApp, or start the simulator
+transport.initialize().catch(error => console.error('Error initializing the transport:', error)); 
\ No newline at end of file
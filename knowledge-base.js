@@ -0,0 +1,444 @@
+/**
+ * Personal knowledge base: retrieval over your notes and, if enabled, your
+ * chat history.
+ *
+ * Notes are the Markdown, text and PDF files in a folder (KNOWLEDGE_NOTES_DIR,
+ * data/notes by default); PDFs are read with pdftotext from poppler. Chat
+ * history is the recent messages of your chats, one source per chat and day.
+ * Sources are split into passages of a few hundred characters, which are
+ * embedded and stored with their vectors in data/knowledge_index.json.
+ *
+ * Indexing is incremental: sources that didn't change keep their passages
+ * and vectors, so only new or edited notes and new chat days are embedded.
+ * Passages whose embedding failed are stored without a vector and embedded
+ * on the next run. Changing the embedding model embeds everything again.
+ *
+ * search() ranks passages by cosine similarity to the question. When the
+ * question can't be embedded, or nothing has a vector yet, it falls back to
+ * keyword ranking (BM25), so the index is useful without an embedding model.
+ */
+
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+const { DEFAULT_TIMEZONE, localDate } = require('./time-utils');
+
+const INDEX_FILE = path.join(DATA_DIR, 'knowledge_index.json');
+const NOTES_DIR = path.join(DATA_DIR, 'notes');
+const NOTE_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+
+// Words too common to tell passages apart in keyword search
+const STOP_WORDS = new Set(('a an and are as at be but by did do for from had has have i in is it me my of on or ' +
+  'so that the this to was were what when where which who why with you your').split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+function fingerprint(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    lengthA += a[i] * a[i];
+    lengthB += b[i] * b[i];
+  }
+  return lengthA && lengthB ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}
+
+/**
+ * Splits a text into passages of at most maxChars, at paragraph and then
+ * sentence boundaries where possible
+ * @param {string} text The text
+ * @param {number} [maxChars] Longest passage
+ * @returns {Array<string>}
+ */
+function splitPassages(text, maxChars = 800) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (paragraph.length <= maxChars) {
+      pieces.push(paragraph);
+      continue;
+    }
+    for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [paragraph]) {
+      for (let start = 0; start < sentence.length; start += maxChars) {
+        pieces.push(sentence.slice(start, start + maxChars).trim());
+      }
+    }
+  }
+
+  // Short pieces are joined, so a passage has enough context to be found
+  const passages = [];
+  for (const piece of pieces.filter(Boolean)) {
+    const last = passages[passages.length - 1];
+    if (last !== undefined && last.length + piece.length + 2 <= maxChars) {
+      passages[passages.length - 1] = `${last}\n\n${piece}`;
+    } else {
+      passages.push(piece);
+    }
+  }
+  return passages;
+}
+
+/**
+ * Extracts the text of a PDF with pdftotext
+ * @param {string} file Path of the PDF
+ * @param {string} [binary] The pdftotext command
+ * @returns {Promise<string>}
+ */
+function readPdf(file, binary = 'pdftotext') {
+  return new Promise((resolve, reject) => {
+    execFile(binary, ['-layout', file, '-'], { timeout: 60 * 1000, maxBuffer: 20 * 1024 * 1024 }, (error, stdout) => {
+      if (error && error.code === 'ENOENT') {
+        reject(new Error(`${binary} was not found. Install poppler-utils or set PDFTOTEXT_BIN.`));
+      } else if (error) {
+        reject(new Error(`${binary} failed: ${error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Every note file below a folder, with the path relative to it
+async function listNotes(dir, relative = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, relative), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const notes = [];
+  for (const entry of entries) {
+    const name = path.join(relative, entry.name);
+    if (entry.name.startsWith('.')) continue;
+    if (entry.isDirectory()) {
+      notes.push(...await listNotes(dir, name));
+    } else if (NOTE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      const stat = await fs.stat(path.join(dir, name));
+      notes.push({ name, file: path.join(dir, name), version: `${stat.size}:${stat.mtimeMs}` });
+    }
+  }
+  return notes;
+}
+
+class KnowledgeBase {
+  /**
+   * @param {Object} options
+   * @param {Function} options.embed async (texts) => one vector per text
+   * @param {string} [options.embeddingModel] Name of the embedding model; a change embeds everything again
+   * @param {Function} [options.loadHistory] async () => chats to index, or null to index no chat history;
+   *   each chat is { chatId, chatName, messages: [{ sender, body, timestamp }] }
+   * @param {string} [options.notesDir] Folder with the notes
+   * @param {string} [options.file] Where the index is persisted
+   * @param {string} [options.pdftotext] The pdftotext command
+   * @param {number} [options.passageChars] Longest passage
+   * @param {number} [options.batchSize] Passages embedded per request
+   * @param {string} [options.timeZone] Zone chat messages are grouped into days in
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    embed,
+    embeddingModel = null,
+    loadHistory = async () => null,
+    notesDir = NOTES_DIR,
+    file = INDEX_FILE,
+    pdftotext = 'pdftotext',
+    passageChars = 800,
+    batchSize = 32,
+    timeZone = DEFAULT_TIMEZONE,
+    now = Date.now
+  }) {
+    this.embed = embed;
+    this.embeddingModel = embeddingModel;
+    this.loadHistory = loadHistory;
+    this.notesDir = notesDir;
+    this.file = file;
+    this.pdftotext = pdftotext;
+    this.passageChars = passageChars;
+    this.batchSize = batchSize;
+    this.timeZone = timeZone;
+    this.now = now;
+    // Sources by key ("note:<path>" or "chat:<chat ID>:<date>"), each with its passages
+    this.sources = {};
+    this.indexedAt = null;
+    this.running = null;
+  }
+
+  /**
+   * Loads the index from disk
+   */
+  async load() {
+    try {
+      const stored = await readJson(this.file, {});
+      this.sources = stored.sources || {};
+      this.indexedAt = stored.indexedAt || null;
+      // Vectors of another model can't be compared with new ones
+      if (stored.embeddingModel && stored.embeddingModel !== this.embeddingModel) {
+        console.log(`Embedding model changed from ${stored.embeddingModel}, the knowledge base will be embedded again`);
+        this.dropVectors();
+      }
+    } catch (error) {
+      console.error('Error loading knowledge base:', error);
+    }
+  }
+
+  /**
+   * Persists the index to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, {
+        embeddingModel: this.embeddingModel,
+        indexedAt: this.indexedAt,
+        sources: this.sources
+      }, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving knowledge base:', error);
+    }
+  }
+
+  dropVectors() {
+    for (const source of Object.values(this.sources)) {
+      for (const passage of source.passages) passage.vector = null;
+    }
+  }
+
+  passages() {
+    return Object.entries(this.sources).flatMap(([key, source]) =>
+      source.passages.map(passage => ({ key, source, passage })));
+  }
+
+  /**
+   * Brings the index up to date with the notes and chat history. Runs that
+   * overlap share the same work.
+   * @param {Object} [options]
+   * @param {boolean} [options.full] Read and embed everything again
+   * @returns {Promise<{notes: number, chatDays: number, passages: number, updated: number, removed: number, embedded: number, withoutVector: number, errors: Array<string>}>}
+   */
+  reindex({ full = false } = {}) {
+    if (!this.running) {
+      this.running = this.runIndex({ full }).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runIndex({ full }) {
+    const stats = { updated: 0, removed: 0, embedded: 0, errors: [] };
+    if (full) this.sources = {};
+    const setSource = (key, source, text) => {
+      const version = source.version;
+      if (this.sources[key] && this.sources[key].version === version) return;
+      this.sources[key] = {
+        ...source,
+        passages: splitPassages(text, this.passageChars).map(passage => ({ text: passage, vector: null }))
+      };
+      stats.updated++;
+    };
+
+    // Notes: a file is read again when its size or modification time changed
+    const notes = await listNotes(this.notesDir);
+    for (const note of notes) {
+      const key = `note:${note.name}`;
+      if (this.sources[key] && this.sources[key].version === note.version) continue;
+      try {
+        const text = path.extname(note.name).toLowerCase() === '.pdf'
+          ? await readPdf(note.file, this.pdftotext)
+          : await fs.readFile(note.file, 'utf8');
+        setSource(key, { kind: 'note', title: note.name, version: note.version }, text);
+      } catch (error) {
+        console.error(`Error reading note ${note.name}:`, error.message);
+        stats.errors.push(`${note.name}: ${error.message}`);
+      }
+    }
+    const noteKeys = new Set(notes.map(note => `note:${note.name}`));
+
+    // Chat history: one source per chat and day. Days that are no longer
+    // fetched stay indexed; turning history off removes all of them.
+    const history = await this.loadHistory();
+    if (history) {
+      for (const { chatId, chatName, messages } of history) {
+        const days = {};
+        for (const message of messages) {
+          const date = localDate(message.timestamp, this.timeZone);
+          (days[date] = days[date] || []).push(`${message.sender}: ${message.body}`);
+        }
+        for (const [date, lines] of Object.entries(days)) {
+          const text = lines.join('\n');
+          setSource(`chat:${chatId}:${date}`, { kind: 'chat', chatId, title: `${chatName}, ${date}`, date, version: fingerprint(text) }, text);
+        }
+      }
+    }
+
+    for (const [key, source] of Object.entries(this.sources)) {
+      if (source.kind === 'note' ? !noteKeys.has(key) : !history) {
+        delete this.sources[key];
+        stats.removed++;
+      }
+    }
+
+    stats.embedded = await this.embedMissing(stats.errors);
+    this.indexedAt = new Date(this.now()).toISOString();
+    await this.save();
+
+    const all = this.passages();
+    return {
+      ...stats,
+      notes: Object.values(this.sources).filter(source => source.kind === 'note').length,
+      chatDays: Object.values(this.sources).filter(source => source.kind === 'chat').length,
+      passages: all.length,
+      withoutVector: all.filter(({ passage }) => !passage.vector).length
+    };
+  }
+
+  // Embeds the passages that have no vector yet; stops at the first failure
+  async embedMissing(errors) {
+    const missing = this.passages().filter(({ passage }) => !passage.vector);
+    let embedded = 0;
+    for (let start = 0; start < missing.length; start += this.batchSize) {
+      const batch = missing.slice(start, start + this.batchSize);
+      try {
+        const vectors = await this.embed(batch.map(({ source, passage }) => `${source.title}\n${passage.text}`));
+        batch.forEach(({ passage }, i) => {
+          passage.vector = vectors[i].map(value => Math.round(value * 1e4) / 1e4);
+        });
+        embedded += batch.length;
+      } catch (error) {
+        console.error('Error embedding the knowledge base, keyword search is used meanwhile:', error.message);
+        errors.push(`embedding: ${error.message}`);
+        break;
+      }
+    }
+    return embedded;
+  }
+
+  /**
+   * Finds the passages that best answer a question
+   * @param {string} query The question
+   * @param {Object} [options]
+   * @param {number} [options.limit] Most passages returned
+   * @param {Function} [options.filter] (source) => whether its passages may be returned
+   * @returns {Promise<{mode: string, results: Array<{title: string, kind: string, date: (string|undefined), text: string, score: number}>}>}
+   *   mode is 'semantic' or 'keyword'
+   */
+  async search(query, { limit = 5, filter = () => true } = {}) {
+    const candidates = this.passages().filter(({ source }) => filter(source));
+    const toResult = ({ source, passage }, score) => ({
+      title: source.title,
+      kind: source.kind,
+      date: source.date,
+      text: passage.text,
+      score: Math.round(score * 1000) / 1000
+    });
+
+    const embedded = candidates.filter(({ passage }) => passage.vector);
+    if (embedded.length > 0) {
+      try {
+        const [vector] = await this.embed([query]);
+        const similar = embedded
+          .map(candidate => ({ candidate, score: cosine(vector, candidate.passage.vector) }))
+          .filter(({ score }) => score > 0)
+          .sort((a, b) => b.score - a.score);
+        // Passages still waiting for their embedding can be found by keywords, in up to two places
+        const waiting = keywordSearch(query, candidates.filter(({ passage }) => !passage.vector), 2);
+        const results = [...similar.slice(0, limit - waiting.length), ...waiting];
+        return { mode: 'semantic', results: results.map(({ candidate, score }) => toResult(candidate, score)) };
+      } catch (error) {
+        console.error('Error embedding the question, using keyword search:', error.message);
+      }
+    }
+
+    return { mode: 'keyword', results: keywordSearch(query, candidates, limit).map(({ candidate, score }) => toResult(candidate, score)) };
+  }
+
+  /**
+   * The indexed chat history of a chat, or of all chats, without the vectors
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Array<{chatId: string, title: string, date: string, passages: Array<string>}>} One entry per chat day
+   */
+  chatHistory(chatId) {
+    return Object.values(this.sources)
+      .filter(source => source.kind === 'chat' && (!chatId || source.chatId === chatId))
+      .map(source => ({
+        chatId: source.chatId,
+        title: source.title,
+        date: source.date,
+        passages: source.passages.map(passage => passage.text)
+      }));
+  }
+
+  /**
+   * Removes the chat history of a chat, or of all chats, from the index
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<number>} How many chat days were removed
+   */
+  async forget(chatId) {
+    let removed = 0;
+    for (const [key, source] of Object.entries(this.sources)) {
+      if (source.kind === 'chat' && (!chatId || source.chatId === chatId)) {
+        delete this.sources[key];
+        removed++;
+      }
+    }
+    await this.save();
+    return removed;
+  }
+}
+
+// Ranks passages by the question's words with BM25
+function keywordSearch(query, candidates, limit) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || candidates.length === 0) return [];
+
+  const documents = candidates.map(candidate => tokenize(`${candidate.source.title} ${candidate.passage.text}`));
+  const averageLength = documents.reduce((sum, words) => sum + words.length, 0) / documents.length || 1;
+  const k1 = 1.2;
+  const b = 0.75;
+  const idf = {};
+  for (const term of terms) {
+    const containing = documents.filter(words => words.includes(term)).length;
+    idf[term] = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+  }
+
+  return candidates
+    .map((candidate, i) => {
+      const words = documents[i];
+      let score = 0;
+      for (const term of terms) {
+        const frequency = words.filter(word => word === term).length;
+        if (frequency === 0) continue;
+        score += idf[term] * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * words.length / averageLength));
+      }
+      return { candidate, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Describes the result of a reindex for the owner
+ * @param {Object} stats From KnowledgeBase.reindex()
+ * @returns {string}
+ */
+function formatIndexStats({ notes, chatDays, passages, updated, removed, embedded, withoutVector }) {
+  let text = `${notes} notes and ${chatDays} chat days in ${passages} passages. ` +
+    `${updated} sources were added or changed, ${removed} removed and ${embedded} passages embedded.`;
+  if (withoutVector > 0) {
+    text += ` ${withoutVector} passages have no embedding yet and are only found by keywords.`;
+  }
+  return text;
+}
+
+module.exports = { KnowledgeBase, splitPassages, readPdf, formatIndexStats, INDEX_FILE, NOTES_DIR };
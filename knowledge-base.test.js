@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase, splitPassages, formatIndexStats } = require('./knowledge-base');
+
+const VOCABULARY = ['dentist', 'tuesday', 'wifi', 'password', 'pizza', 'friday'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// An embedding model that counts the words of a small vocabulary
+function mockEmbedder() {
+  const model = { calls: [], failing: false };
+  model.embed = async (texts) => {
+    if (model.failing) throw new Error('embedding service is down');
+    model.calls.push(texts);
+    return texts.map(text => VOCABULARY.map(word => (text.toLowerCase().match(new RegExp(word, 'g')) || []).length));
+  };
+  return model;
+}
+
+// A knowledge base over a temporary notes folder
+function testKnowledge(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const notesDir = path.join(dir, 'notes');
+  fs.mkdirSync(notesDir);
+  const model = mockEmbedder();
+  const create = (extra = {}) => new KnowledgeBase({
+    embed: model.embed,
+    embeddingModel: 'mock-1',
+    notesDir,
+    file: path.join(dir, 'knowledge_index.json'),
+    timeZone: 'Europe/Berlin',
+    ...options,
+    ...extra
+  });
+  const writeNote = (name, text) => {
+    fs.mkdirSync(path.dirname(path.join(notesDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(notesDir, name), text);
+  };
+  return { knowledge: create(), create, model, notesDir, writeNote };
+}
+
+const embeddedTexts = (model) => model.calls.flat();
+
+test('splitPassages keeps paragraphs together and splits long ones at sentences', () => {
+  assert.deepEqual(splitPassages('First.\n\nSecond.', 800), ['First.\n\nSecond.']);
+  assert.deepEqual(splitPassages('One two three. Four five six. Seven.', 16), ['One two three.', 'Four five six.', 'Seven.']);
+  assert.deepEqual(splitPassages('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+  assert.deepEqual(splitPassages('  \n\n  '), []);
+});
+
+test('notes are indexed once, and only new or changed notes are embedded again', async (t) => {
+  const { knowledge, model, notesDir, writeNote } = testKnowledge(t);
+  writeNote('health.md', 'The dentist appointment is on Tuesday.');
+  writeNote('home/wifi.txt', 'The wifi password is on the router.');
+  writeNote('ignored.docx', 'not a note');
+  writeNote('.hidden.md', 'not indexed either');
+
+  const first = await knowledge.reindex();
+  assert.deepEqual(
+    { notes: first.notes, passages: first.passages, updated: first.updated, embedded: first.embedded, withoutVector: first.withoutVector },
+    { notes: 2, passages: 2, updated: 2, embedded: 2, withoutVector: 0 }
+  );
+  assert.ok(embeddedTexts(model).includes(`health.md\nThe dentist appointment is on Tuesday.`));
+
+  model.calls = [];
+  const unchanged = await knowledge.reindex();
+  assert.equal(unchanged.updated, 0);
+  assert.deepEqual(model.calls, []);
+
+  writeNote('health.md', 'The dentist appointment moved to Friday.');
+  fs.rmSync(path.join(notesDir, 'home'), { recursive: true });
+  const changed = await knowledge.reindex();
+  assert.deepEqual({ updated: changed.updated, removed: changed.removed, notes: changed.notes }, { updated: 1, removed: 1, notes: 1 });
+  assert.deepEqual(embeddedTexts(model), ['health.md\nThe dentist appointment moved to Friday.']);
+  assert.equal(formatIndexStats(changed), '1 notes and 0 chat days in 1 passages. 1 sources were added or changed, 1 removed and 1 passages embedded.');
+});
+
+test('search ranks by embedding, and by keywords while nothing can be embedded', async (t) => {
+  const { knowledge, model, writeNote } = testKnowledge(t);
+  writeNote('health.md', 'The dentist appointment is on Tuesday.');
+  writeNote('wifi.txt', 'The wifi password is on the router.');
+  writeNote('food.md', 'Pizza on Friday.');
+  await knowledge.reindex();
+
+  const semantic = await knowledge.search('When do I see the dentist?', { limit: 2 });
+  assert.equal(semantic.mode, 'semantic');
+  assert.deepEqual(semantic.results.map(result => result.title), ['health.md']);
+  assert.equal(semantic.results[0].score, 0.707);
+
+  const filtered = await knowledge.search('dentist', { filter: (source) => source.title !== 'health.md' });
+  assert.deepEqual(filtered.results, []);
+
+  model.failing = true;
+  const keyword = await knowledge.search('router password');
+  assert.equal(keyword.mode, 'keyword');
+  assert.deepEqual(keyword.results.map(result => [result.title, result.kind]), [['wifi.txt', 'note']]);
+});
+
+test('passages whose embedding failed are found by keywords and embedded on the next run', async (t) => {
+  const { knowledge, model, writeNote } = testKnowledge(t);
+  writeNote('wifi.txt', 'The wifi password is on the router.');
+  model.failing = true;
+
+  const failed = await knowledge.reindex();
+  assert.deepEqual({ embedded: failed.embedded, withoutVector: failed.withoutVector }, { embedded: 0, withoutVector: 1 });
+  assert.deepEqual(failed.errors, ['embedding: embedding service is down']);
+  assert.equal((await knowledge.search('wifi password')).mode, 'keyword');
+
+  model.failing = false;
+  const retried = await knowledge.reindex();
+  assert.deepEqual({ updated: retried.updated, embedded: retried.embedded, withoutVector: retried.withoutVector }, { updated: 0, embedded: 1, withoutVector: 0 });
+  assert.equal((await knowledge.search('wifi password')).mode, 'semantic');
+});
+
+test('the index survives a restart, and a new embedding model embeds everything again', async (t) => {
+  const { knowledge, create, model, writeNote } = testKnowledge(t);
+  writeNote('health.md', 'The dentist appointment is on Tuesday.');
+  await knowledge.reindex();
+
+  const restarted = create();
+  await restarted.load();
+  model.calls = [];
+  assert.equal((await restarted.reindex()).embedded, 0);
+
+  const otherModel = create({ embeddingModel: 'mock-2' });
+  await otherModel.load();
+  const stats = await otherModel.reindex();
+  assert.deepEqual({ updated: stats.updated, embedded: stats.embedded }, { updated: 0, embedded: 1 });
+});
+
+test('chat history is indexed per chat and day, and can be listed and forgotten', async (t) => {
+  const start = Date.UTC(2026, 9, 20, 10, 0);
+  let history = [
+    { chatId: 'ann@c.us', chatName: 'Ann', messages: [
+      { sender: 'Ann', body: 'Pizza on Friday?', timestamp: start },
+      { sender: 'You', body: 'Sure', timestamp: start + 60 * 1000 },
+      { sender: 'Ann', body: 'What is the wifi password?', timestamp: start + DAY }
+    ] },
+    { chatId: 'team@g.us', chatName: 'Team', messages: [
+      { sender: 'Bob', body: 'Dentist on Tuesday', timestamp: start }
+    ] }
+  ];
+  const { knowledge, model } = testKnowledge(t, { loadHistory: async () => history });
+
+  const stats = await knowledge.reindex();
+  assert.deepEqual({ chatDays: stats.chatDays, passages: stats.passages }, { chatDays: 3, passages: 3 });
+  assert.deepEqual(knowledge.chatHistory('ann@c.us'), [
+    { chatId: 'ann@c.us', title: 'Ann, 2026-10-20', date: '2026-10-20', passages: ['Ann: Pizza on Friday?\nYou: Sure'] },
+    { chatId: 'ann@c.us', title: 'Ann, 2026-10-21', date: '2026-10-21', passages: ['Ann: What is the wifi password?'] }
+  ]);
+  const found = await knowledge.search('pizza');
+  assert.deepEqual(found.results.map(({ title, kind, date }) => ({ title, kind, date })), [{ title: 'Ann, 2026-10-20', kind: 'chat', date: '2026-10-20' }]);
+
+  // A new message changes only its day
+  history[0].messages.push({ sender: 'You', body: 'On the fridge', timestamp: start + DAY + 60 * 1000 });
+  model.calls = [];
+  assert.equal((await knowledge.reindex()).updated, 1);
+  assert.deepEqual(embeddedTexts(model), ['Ann, 2026-10-21\nAnn: What is the wifi password?\nYou: On the fridge']);
+
+  assert.equal(await knowledge.forget('ann@c.us'), 2);
+  assert.deepEqual(knowledge.chatHistory().map(day => day.title), ['Team, 2026-10-20']);
+
+  // Turning history off removes the chat days that are left
+  history = null;
+  const off = await knowledge.reindex();
+  assert.deepEqual({ chatDays: off.chatDays, removed: off.removed }, { chatDays: 0, removed: 1 });
+});
+
+test('a PDF that can\'t be read is reported and the other notes are still indexed', async (t) => {
+  const { knowledge, writeNote } = testKnowledge(t, { pdftotext: 'pdftotext-that-is-not-installed' });
+  writeNote('scan.pdf', '%PDF-1.4');
+  writeNote('health.md', 'The dentist appointment is on Tuesday.');
+
+  const stats = await knowledge.reindex();
+  assert.equal(stats.notes, 1);
+  assert.deepEqual(stats.errors, ['scan.pdf: pdftotext-that-is-not-installed was not found. Install poppler-utils or set PDFTOTEXT_BIN.']);
+});
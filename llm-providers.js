@@ -0,0 +1,363 @@
+/**
+ * LLM provider adapters.
+ *
+ * Every adapter exposes the same methods:
+ *   generate(prompt, options) => Promise<{ text, usage }>
+ *   embed(texts, options) => Promise<{ vectors, usage }>
+ * where usage is { promptTokens, completionTokens, totalTokens }. embed()
+ * uses the adapter's embeddingModel, one vector per text.
+ * Retries, timeouts and usage reporting are handled by llm.js, so adapters
+ * only need to translate a single request to their backend.
+ *
+ * options.attachments is a list of { mimeType, data } files (data is
+ * base64) for multimodal models. Gemini accepts images, audio and PDFs;
+ * the OpenAI-compatible and Ollama adapters accept images only.
+ */
+
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class LLMError extends Error {
+  /**
+   * @param {string} message Error description
+   * @param {Object} [details]
+   * @param {boolean} [details.retryable] Whether the request may succeed if repeated
+   * @param {number} [details.status] HTTP status returned by the backend, if any
+   */
+  constructor(message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// Rough token estimate for backends that don't report usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function buildUsage(prompt, text, promptTokens, completionTokens) {
+  const inTokens = promptTokens != null ? promptTokens : estimateTokens(prompt);
+  const outTokens = completionTokens != null ? completionTokens : estimateTokens(text);
+  return { promptTokens: inTokens, completionTokens: outTokens, totalTokens: inTokens + outTokens };
+}
+
+// Reject attachments a backend can't take, before any request is made
+function checkAttachments(providerName, attachments, supported) {
+  for (const attachment of attachments || []) {
+    if (!supported.some(prefix => attachment.mimeType.startsWith(prefix))) {
+      throw new LLMError(`${providerName} does not support ${attachment.mimeType} attachments`);
+    }
+  }
+}
+
+// Network failures that may go away when the request is repeated
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH', 'EPIPE',
+  'ERR_NETWORK', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+];
+
+// Rate limits, server errors and network failures are worth retrying; bad
+// requests and validation errors of an SDK are not
+function isTransient(status, error) {
+  if (status) return status === 429 || status >= 500;
+  if ([error.code, error.cause && error.cause.code].some(code => NETWORK_ERROR_CODES.includes(code))) return true;
+  // The Gemini SDK only keeps the message of a failed fetch
+  return /fetch failed|socket hang up|\b(ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN)\b/.test(error.message || '');
+}
+
+// Convert an axios failure into an LLMError, marking transient failures as retryable
+function toLLMError(providerName, error) {
+  if (error instanceof LLMError) return error;
+  const status = error.response && error.response.status;
+  const retryable = isTransient(status, error);
+  const detail = error.response && error.response.data && error.response.data.error;
+  const message = (detail && (detail.message || detail)) || error.message;
+  return new LLMError(`${providerName} request failed: ${message}`, { retryable, status });
+}
+
+// The Gemini SDK reports HTTP failures in the message, e.g. "[429 Too Many Requests]"
+function toGeminiError(what, error) {
+  const match = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+  const status = match ? parseInt(match[1]) : undefined;
+  const retryable = isTransient(status, error);
+  return new LLMError(`gemini ${what} failed: ${error.message}`, { retryable, status });
+}
+
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey Google Generative AI API key
+   * @param {string} options.model Model name, e.g. gemini-1.0-pro
+   * @param {string} options.embeddingModel Embedding model name, e.g. embedding-001
+   */
+  constructor({ apiKey, model, embeddingModel }) {
+    this.name = 'gemini';
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  async generate(prompt, options = {}) {
+    try {
+      const generationConfig = {};
+      if (options.temperature != null) generationConfig.temperature = options.temperature;
+      if (options.maxTokens != null) generationConfig.maxOutputTokens = options.maxTokens;
+
+      const model = this.genAI.getGenerativeModel({ model: this.model, generationConfig });
+      const attachments = (options.attachments || []).map(attachment => ({
+        inlineData: { mimeType: attachment.mimeType, data: attachment.data }
+      }));
+      const result = await model.generateContent(attachments.length > 0 ? [prompt, ...attachments] : prompt);
+      const text = result.response.text();
+      const usage = result.response.usageMetadata || {};
+      return {
+        text,
+        usage: buildUsage(prompt, text, usage.promptTokenCount, usage.candidatesTokenCount)
+      };
+    } catch (error) {
+      throw toGeminiError('request', error);
+    }
+  }
+
+  async embed(texts) {
+    try {
+      const model = this.genAI.getGenerativeModel({ model: this.embeddingModel });
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      });
+      return {
+        vectors: result.embeddings.map(embedding => embedding.values),
+        usage: buildUsage(texts.join('\n'), '', undefined, 0)
+      };
+    } catch (error) {
+      throw toGeminiError('embedding', error);
+    }
+  }
+}
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl API root, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey] Bearer token, if the endpoint needs one
+   * @param {string} options.model Model name
+   * @param {string} options.embeddingModel Embedding model name
+   */
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey, model, embeddingModel }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async generate(prompt, options = {}) {
+    checkAttachments(this.name, options.attachments, ['image/']);
+    const content = options.attachments && options.attachments.length > 0
+      ? [
+        { type: 'text', text: prompt },
+        ...options.attachments.map(attachment => ({
+          type: 'image_url',
+          image_url: { url: `data:${attachment.mimeType};base64,${attachment.data}` }
+        }))
+      ]
+      : prompt;
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content }]
+    };
+    if (options.temperature != null) body.temperature = options.temperature;
+    if (options.maxTokens != null) body.max_tokens = options.maxTokens;
+    if (options.json) body.response_format = { type: 'json_object' };
+
+    try {
+      const { data } = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.headers(),
+        timeout: options.timeoutMs
+      });
+      const text = (data.choices && data.choices[0] && data.choices[0].message.content) || '';
+      const usage = data.usage || {};
+      return {
+        text,
+        usage: buildUsage(prompt, text, usage.prompt_tokens, usage.completion_tokens)
+      };
+    } catch (error) {
+      throw toLLMError(this.name, error);
+    }
+  }
+
+  async embed(texts, options = {}) {
+    try {
+      const { data } = await axios.post(`${this.baseUrl}/embeddings`, { model: this.embeddingModel, input: texts }, {
+        headers: this.headers(),
+        timeout: options.timeoutMs
+      });
+      const usage = data.usage || {};
+      return {
+        vectors: data.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+        usage: buildUsage(texts.join('\n'), '', usage.prompt_tokens, 0)
+      };
+    } catch (error) {
+      throw toLLMError(this.name, error);
+    }
+  }
+}
+
+class OllamaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] Server root, defaults to a local Ollama
+   * @param {string} options.model Model name, e.g. llama3
+   * @param {string} options.embeddingModel Embedding model name, e.g. nomic-embed-text
+   */
+  constructor({ baseUrl = 'http://localhost:11434', model, embeddingModel }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+  }
+
+  async generate(prompt, options = {}) {
+    checkAttachments(this.name, options.attachments, ['image/']);
+    const body = { model: this.model, prompt, stream: false, options: {} };
+    if (options.attachments && options.attachments.length > 0) {
+      body.images = options.attachments.map(attachment => attachment.data);
+    }
+    if (options.temperature != null) body.options.temperature = options.temperature;
+    if (options.maxTokens != null) body.options.num_predict = options.maxTokens;
+    if (options.json) body.format = 'json';
+
+    try {
+      const { data } = await axios.post(`${this.baseUrl}/api/generate`, body, {
+        timeout: options.timeoutMs
+      });
+      const text = data.response || '';
+      return {
+        text,
+        usage: buildUsage(prompt, text, data.prompt_eval_count, data.eval_count)
+      };
+    } catch (error) {
+      throw toLLMError(this.name, error);
+    }
+  }
+
+  async embed(texts, options = {}) {
+    try {
+      const { data } = await axios.post(`${this.baseUrl}/api/embed`, { model: this.embeddingModel, input: texts }, {
+        timeout: options.timeoutMs
+      });
+      return {
+        vectors: data.embeddings,
+        usage: buildUsage(texts.join('\n'), '', data.prompt_eval_count, 0)
+      };
+    } catch (error) {
+      throw toLLMError(this.name, error);
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests and offline runs. Replies come from a
+ * list (used in order, the last one repeating), a function of the prompt,
+ * or a fixed default. Every call is recorded in `calls`. Embeddings hash the
+ * words of a text, so texts that share words get similar vectors.
+ */
+class MockProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>|Function} [options.responses] Canned replies or a prompt => reply function
+   * @param {string} [options.model] Model name reported in usage events
+   */
+  constructor({ responses = ['This is a mock response.'], model = 'mock', embeddingModel = 'mock' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.responses = responses;
+    this.calls = [];
+  }
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    let text;
+    if (typeof this.responses === 'function') {
+      text = await this.responses(prompt, options);
+    } else {
+      const index = Math.min(this.calls.length - 1, this.responses.length - 1);
+      text = this.responses[index];
+    }
+    if (text instanceof Error) throw text;
+
+    return { text, usage: buildUsage(prompt, text) };
+  }
+
+  async embed(texts) {
+    this.calls.push({ texts });
+    const vectors = texts.map((text) => {
+      const vector = new Array(64).fill(0);
+      for (const word of (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])) {
+        let hash = 0;
+        for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        vector[hash % vector.length] += 1;
+      }
+      const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / length);
+    });
+    return { vectors, usage: buildUsage(texts.join('\n'), '', undefined, 0) };
+  }
+}
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.0-pro',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3',
+  mock: 'mock'
+};
+
+const DEFAULT_EMBEDDING_MODELS = {
+  gemini: 'embedding-001',
+  openai: 'text-embedding-3-small',
+  ollama: 'nomic-embed-text',
+  mock: 'mock'
+};
+
+/**
+ * Creates a provider adapter by name
+ * @param {string} name One of gemini, openai, ollama or mock
+ * @param {Object} [options] Adapter options; model and embeddingModel default per provider
+ * @returns {Object} The provider adapter
+ */
+function createProvider(name, options = {}) {
+  const model = options.model || DEFAULT_MODELS[name];
+  const embeddingModel = options.embeddingModel || DEFAULT_EMBEDDING_MODELS[name];
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({ ...options, model, embeddingModel });
+    case 'openai':
+      return new OpenAICompatibleProvider({ ...options, model, embeddingModel });
+    case 'ollama':
+      return new OllamaProvider({ ...options, model, embeddingModel });
+    case 'mock':
+      return new MockProvider({ ...options, model, embeddingModel });
+    default:
+      throw new LLMError(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  LLMError,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider,
+  createProvider,
+  estimateTokens
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { LLMError, GeminiProvider, OpenAICompatibleProvider } = require('./llm-providers');
+
+// A Gemini provider whose SDK call fails with the given error
+function failingGemini(error) {
+  const provider = new GeminiProvider({ apiKey: 'test', model: 'gemini-test' });
+  provider.genAI = { getGenerativeModel: () => ({ generateContent: async () => { throw error; } }) };
+  return provider;
+}
+
+test('Gemini errors are retried for rate limits, server errors and network failures only', async () => {
+  const cases = [
+    ['Error fetching from https://example.test: [429 Too Many Requests] Quota exceeded', true],
+    ['Error fetching from https://example.test: [503 Service Unavailable] ', true],
+    ['Error fetching from https://example.test: fetch failed', true],
+    ['Error fetching from https://example.test: [400 Bad Request] Invalid JSON payload', false],
+    ['Must provide a model name. Example: genai.getGenerativeModel({ model: \'my-model-name\' })', false],
+    ['Text not available. Response was blocked due to SAFETY', false]
+  ];
+  for (const [message, retryable] of cases) {
+    await assert.rejects(failingGemini(new Error(message)).generate('hi'), (error) => {
+      assert.ok(error instanceof LLMError);
+      assert.equal(error.retryable, retryable, message);
+      return true;
+    });
+  }
+});
+
+test('HTTP provider errors are retried for 429, 5xx and refused connections', async () => {
+  let status = 500;
+  const server = http.createServer((req, res) => res.writeHead(status).end('{"error": {"message": "nope"}}'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'test', model: 'test' });
+
+  try {
+    for (const [code, retryable] of [[500, true], [429, true], [400, false], [401, false]]) {
+      status = code;
+      await assert.rejects(provider.generate('hi'), (error) => error.retryable === retryable && error.status === code);
+    }
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await assert.rejects(provider.generate('hi'), (error) => error.retryable === true);
+});
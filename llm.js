@@ -0,0 +1,250 @@
+/**
+ * LLM access layer.
+ *
+ * All model calls go through generateText(feature, prompt). The feature name
+ * (routing, search, phone, persona, style, ...) selects which provider and
+ * model answer, so each part of the agent can use a different backend:
+ *
+ *   LLM_PROVIDER=gemini            default provider for every feature
+ *   LLM_PERSONA_PROVIDER=ollama    override the provider for one feature
+ *   LLM_PERSONA_MODEL=llama3       override the model for one feature
+ *
+ * embedTexts(feature, texts) turns texts into vectors with the embedding
+ * model of the same provider (LLM_EMBEDDING_MODEL, or a default per
+ * provider).
+ *
+ * Retries with backoff, timeouts and token-usage reporting live here so the
+ * adapters in llm-providers.js stay simple. Calls made inside
+ * withUsageContext({ chatId }, fn) are reported with that chat.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const EventEmitter = require('events');
+const { LLMError, createProvider } = require('./llm-providers');
+
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '30000');
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2');
+const LLM_RETRY_DELAY_MS = parseInt(process.env.LLM_RETRY_DELAY_MS || '1000');
+
+// Emits a 'usage' event after every successful call
+const usageEvents = new EventEmitter();
+
+// Usage totals per feature since startup
+const usageTotals = {};
+
+// What a call is made for, e.g. the chat of the message being answered
+const usageContext = new AsyncLocalStorage();
+
+// Providers are created lazily and cached per feature
+const providers = {};
+
+// Applied to prompts before they leave the machine, see setPromptFilter()
+let promptFilter = null;
+
+function featureEnv(feature, key) {
+  return process.env[`LLM_${feature.toUpperCase()}_${key}`];
+}
+
+// Build the provider configured for a feature from environment variables
+function providerFromEnv(feature) {
+  const name = featureEnv(feature, 'PROVIDER') || process.env.LLM_PROVIDER || 'gemini';
+  const model = featureEnv(feature, 'MODEL') || process.env.LLM_MODEL || process.env.AI_MODEL;
+  const embeddingModel = featureEnv(feature, 'EMBEDDING_MODEL') || process.env.LLM_EMBEDDING_MODEL;
+
+  switch (name) {
+    case 'gemini':
+      return createProvider(name, { apiKey: process.env.GEMINI_API_KEY, model, embeddingModel });
+    case 'openai':
+      return createProvider(name, {
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model,
+        embeddingModel
+      });
+    case 'ollama':
+      return createProvider(name, { baseUrl: process.env.OLLAMA_BASE_URL, model, embeddingModel });
+    case 'mock':
+      return createProvider(name, {
+        model,
+        embeddingModel,
+        responses: process.env.MOCK_LLM_RESPONSE ? [process.env.MOCK_LLM_RESPONSE] : undefined
+      });
+    default:
+      return createProvider(name, { model, embeddingModel });
+  }
+}
+
+/**
+ * Gets the provider used for a feature
+ * @param {string} feature The feature name
+ * @returns {Object} The provider adapter
+ */
+function getProvider(feature) {
+  if (!providers[feature]) {
+    providers[feature] = providerFromEnv(feature);
+  }
+  return providers[feature];
+}
+
+/**
+ * Replaces the provider of a feature, e.g. with a MockProvider in tests
+ * @param {string} feature The feature name
+ * @param {Object|null} provider The provider adapter, or null to go back to the env configuration
+ */
+function setProvider(feature, provider) {
+  if (provider) {
+    providers[feature] = provider;
+  } else {
+    delete providers[feature];
+  }
+}
+
+/**
+ * Sets a function every prompt goes through before it is sent to a provider
+ * that doesn't run locally, e.g. to redact personal data
+ * @param {Function|null} filter (prompt) => prompt to send, or null for none
+ */
+function setPromptFilter(filter) {
+  promptFilter = filter;
+}
+
+// Mock providers and servers on this machine never see data leave it
+function isLocalProvider(provider) {
+  if (provider.name === 'mock') return true;
+  return Boolean(provider.baseUrl) && /^https?:\/\/(localhost|127\.\d+\.\d+\.\d+|\[::1\])(:\d+)?(\/|$)/.test(provider.baseUrl);
+}
+
+/**
+ * Runs a function so that the model calls it makes, including ones it
+ * starts in the background, are reported with the given context
+ * @param {Object} context e.g. { chatId }
+ * @param {Function} fn The function to run
+ * @returns {*} What fn returns
+ */
+function withUsageContext(context, fn) {
+  return usageContext.run(context, fn);
+}
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new LLMError(`${label} timed out after ${timeoutMs}ms`, { retryable: true })),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function recordUsage(event) {
+  const totals = usageTotals[event.feature] || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  totals.requests += 1;
+  totals.promptTokens += event.promptTokens;
+  totals.completionTokens += event.completionTokens;
+  totals.totalTokens += event.totalTokens;
+  usageTotals[event.feature] = totals;
+
+  if (process.env.DEBUG_MODE === 'true') {
+    console.log(`LLM usage [${event.feature}] ${event.provider}/${event.model}: ${event.totalTokens} tokens in ${event.durationMs}ms`);
+  }
+  usageEvents.emit('usage', event);
+}
+
+/**
+ * Generates text for a feature, retrying transient failures
+ * @param {string} feature The feature name, used for provider selection and usage reporting
+ * @param {string} prompt The prompt
+ * @param {Object} [options]
+ * @param {number} [options.temperature] Sampling temperature
+ * @param {number} [options.maxTokens] Maximum tokens to generate
+ * @param {boolean} [options.json] Ask the provider for JSON output where supported
+ * @param {Array<{mimeType: string, data: string}>} [options.attachments] Base64 files for multimodal models
+ * @param {number} [options.timeoutMs] Per-attempt timeout
+ * @param {number} [options.retries] Number of retries after the first attempt
+ * @returns {Promise<string>} The generated text
+ */
+async function generateText(feature, prompt, options = {}) {
+  const provider = getProvider(feature);
+  if (promptFilter && !isLocalProvider(provider)) {
+    prompt = promptFilter(prompt);
+  }
+  const result = await callProvider(feature, provider, provider.model, options,
+    (timeoutMs) => provider.generate(prompt, { ...options, timeoutMs }));
+  return result.text;
+}
+
+/**
+ * Turns texts into embedding vectors, retrying transient failures
+ * @param {string} feature The feature name, used for provider selection and usage reporting
+ * @param {Array<string>} texts The texts
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] Per-attempt timeout
+ * @param {number} [options.retries] Number of retries after the first attempt
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedTexts(feature, texts, options = {}) {
+  const provider = getProvider(feature);
+  if (!provider.embed) {
+    throw new LLMError(`${provider.name} does not support embeddings`);
+  }
+  if (promptFilter && !isLocalProvider(provider)) {
+    texts = texts.map(promptFilter);
+  }
+  const result = await callProvider(feature, provider, provider.embeddingModel, options,
+    (timeoutMs) => provider.embed(texts, { ...options, timeoutMs }));
+  return result.vectors;
+}
+
+// Runs one request with timeouts and retries and reports its usage
+async function callProvider(feature, provider, model, options, request) {
+  const timeoutMs = options.timeoutMs || LLM_TIMEOUT_MS;
+  const retries = options.retries != null ? options.retries : LLM_MAX_RETRIES;
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await withTimeout(request(timeoutMs), timeoutMs, `${provider.name} request`);
+      recordUsage({
+        chatId: null,
+        ...usageContext.getStore(),
+        feature,
+        provider: provider.name,
+        model,
+        ...result.usage,
+        durationMs: Date.now() - startedAt
+      });
+      return result;
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable || attempt === retries) break;
+
+      const delay = LLM_RETRY_DELAY_MS * Math.pow(2, attempt);
+      console.warn(`LLM request for ${feature} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Gets the token usage totals per feature since startup
+ * @returns {Object} Totals keyed by feature name
+ */
+function getUsageTotals() {
+  return JSON.parse(JSON.stringify(usageTotals));
+}
+
+module.exports = {
+  generateText,
+  embedTexts,
+  getProvider,
+  setProvider,
+  setPromptFilter,
+  isLocalProvider,
+  withUsageContext,
+  getUsageTotals,
+  usageEvents
+};
@@ -0,0 +1,173 @@
+/**
+ * MCP client support.
+ *
+ * Connects to the external MCP servers listed in mcp-servers.json, lists
+ * their tools and registers them in the agent's tool registry, so the
+ * router can use them like the built-in tools. The file uses the same
+ * layout as other MCP clients:
+ *
+ *   {
+ *     "mcpServers": {
+ *       "notes": { "command": "node", "args": ["notes-server.js"], "timeoutMs": 10000 },
+ *       "files": { "url": "http://localhost:4000/mcp", "enabled": false }
+ *     }
+ *   }
+ *
+ * Servers with a command are started over stdio; servers with a url are
+ * reached over streamable HTTP.
+ */
+
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport, getDefaultEnvironment } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { readJson } = require('./data-store');
+const { version } = require('./package.json');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'mcp-servers.json');
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Tool names may only contain letters, digits, _ and -
+function toolNameFor(serverName, toolName) {
+  return `${serverName}__${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// Turn the content of an MCP tool result into text for a prompt
+function formatToolContent(result) {
+  const parts = (result.content || []).map(item => {
+    if (item.type === 'text') return item.text;
+    if (item.type === 'resource' && item.resource && item.resource.text) return item.resource.text;
+    return `[${item.type} content]`;
+  });
+  if (parts.length === 0 && result.structuredContent) {
+    return JSON.stringify(result.structuredContent, null, 2);
+  }
+  return parts.join('\n');
+}
+
+class McpClientManager {
+  /**
+   * @param {Object} options
+   * @param {ToolRegistry} options.registry Registry the remote tools are added to
+   * @param {string} [options.configFile] Path of the server configuration file
+   */
+  constructor({ registry, configFile = DEFAULT_CONFIG_FILE }) {
+    this.registry = registry;
+    this.configFile = configFile;
+    this.connections = new Map();
+  }
+
+  /**
+   * Connects to every enabled server in the configuration file and registers its tools.
+   * A server that fails to connect is logged and skipped.
+   * @returns {Promise<number>} The number of tools registered
+   */
+  async connectAll() {
+    let config;
+    try {
+      config = await readJson(this.configFile, { mcpServers: {} });
+    } catch (error) {
+      console.error(`Error reading MCP server configuration ${this.configFile}:`, error.message);
+      return 0;
+    }
+
+    let toolCount = 0;
+    for (const [name, serverConfig] of Object.entries(config.mcpServers || {})) {
+      if (serverConfig.enabled === false) {
+        console.log(`MCP server ${name} is disabled, skipping`);
+        continue;
+      }
+      try {
+        toolCount += await this.connect(name, serverConfig);
+      } catch (error) {
+        console.error(`Error connecting to MCP server ${name}:`, error.message);
+      }
+    }
+    return toolCount;
+  }
+
+  /**
+   * Connects to one server and registers its tools
+   * @param {string} name The server name, used as tool name prefix
+   * @param {Object} serverConfig The server's configuration entry
+   * @returns {Promise<number>} The number of tools registered
+   */
+  async connect(name, serverConfig) {
+    const timeoutMs = serverConfig.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const client = new Client({ name: 'whatsapp-agent', version });
+
+    let transport;
+    if (serverConfig.command) {
+      transport = new StdioClientTransport({
+        command: serverConfig.command,
+        args: serverConfig.args || [],
+        env: { ...getDefaultEnvironment(), ...(serverConfig.env || {}) },
+        cwd: serverConfig.cwd,
+        stderr: 'inherit'
+      });
+    } else if (serverConfig.url) {
+      transport = new StreamableHTTPClientTransport(new URL(serverConfig.url), {
+        requestInit: { headers: serverConfig.headers || {} }
+      });
+    } else {
+      throw new Error('needs either a command or a url');
+    }
+
+    let tools;
+    try {
+      await withTimeout(client.connect(transport), timeoutMs, `Connecting to ${name}`);
+      ({ tools } = await client.listTools(undefined, { timeout: timeoutMs }));
+    } catch (error) {
+      // A server that hangs while starting would otherwise keep running
+      await client.close().catch(() => {});
+      await transport.close().catch(() => {});
+      throw error;
+    }
+
+    for (const tool of tools) {
+      this.registry.register({
+        name: toolNameFor(name, tool.name),
+        description: `[${name}] ${tool.description || tool.name}`,
+        capability: 'mcp',
+        parameters: tool.inputSchema,
+        handler: async (args) => {
+          const result = await client.callTool({ name: tool.name, arguments: args }, undefined, { timeout: timeoutMs });
+          const text = formatToolContent(result);
+          if (result.isError) {
+            throw new Error(text || `${tool.name} failed`);
+          }
+          return text;
+        }
+      });
+    }
+
+    this.connections.set(name, { client, toolNames: tools.map(tool => toolNameFor(name, tool.name)) });
+    console.log(`Connected to MCP server ${name} with ${tools.length} tools`);
+    return tools.length;
+  }
+
+  /**
+   * Closes every connection and removes the remote tools from the registry
+   */
+  async closeAll() {
+    for (const [name, connection] of this.connections) {
+      connection.toolNames.forEach(toolName => this.registry.unregister(toolName));
+      try {
+        await connection.client.close();
+      } catch (error) {
+        console.error(`Error closing MCP server ${name}:`, error.message);
+      }
+    }
+    this.connections.clear();
+  }
+}
+
+module.exports = { McpClientManager, formatToolContent };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { McpClientManager, formatToolContent } = require('./mcp-client');
+const { ToolRegistry } = require('./tool-registry');
+
+// Whether a process is still running
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test('a server that hangs while connecting is stopped after the timeout', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-test-'));
+  const pidFile = path.join(dir, 'pid');
+  const manager = new McpClientManager({ registry: new ToolRegistry(), configFile: path.join(dir, 'none.json') });
+
+  try {
+    // Starts, never answers the initialize request and ignores the end of stdin
+    const script = `require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(process.pid)); setInterval(() => {}, 1000);`;
+    await assert.rejects(
+      manager.connect('hung', { command: process.execPath, args: ['-e', script], timeoutMs: 500 }),
+      /timed out/
+    );
+
+    const pid = parseInt(fs.readFileSync(pidFile, 'utf8'));
+    assert.equal(isRunning(pid), false);
+    assert.equal(manager.connections.size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('connectAll skips a missing configuration file', async () => {
+  const manager = new McpClientManager({ registry: new ToolRegistry(), configFile: path.join(os.tmpdir(), 'no-such-mcp-servers.json') });
+  assert.equal(await manager.connectAll(), 0);
+});
+
+test('formatToolContent turns text, resources and other content into text', () => {
+  assert.equal(formatToolContent({
+    content: [
+      { type: 'text', text: 'first' },
+      { type: 'resource', resource: { uri: 'file:///a.txt', text: 'second' } },
+      { type: 'image', data: 'iVBOR', mimeType: 'image/png' }
+    ]
+  }), 'first\nsecond\n[image content]');
+  assert.equal(formatToolContent({ content: [], structuredContent: { ok: true } }), '{\n  "ok": true\n}');
+});
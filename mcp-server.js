@@ -0,0 +1,363 @@
+/**
+ * Model Context Protocol server.
+ *
+ * Exposes the agent's tools (web search, phone data lookups) plus tools
+ * for the WhatsApp session itself (listing chats, reading recent messages,
+ * sending messages) to MCP clients such as desktop assistants. The user
+ * persona is exposed as a resource.
+ *
+ * Both stdio and streamable HTTP transports are supported. Only tools in
+ * the allowlist are exposed. Outbound sends wait for the owner's approval
+ * in their own chat unless that is turned off, and chats and the persona are
+ * read through the same redaction and access policy as the agent itself.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const { ToolRegistry } = require('./tool-registry');
+const { GLOBAL_PROFILE } = require('./persona-store');
+const { version } = require('./package.json');
+
+const PERSONA_URI = 'persona://user';
+
+// Host headers of requests to a server bound to host:port. A server on the
+// loopback interface is also reached as localhost.
+function defaultAllowedHosts(host, port) {
+  const loopback = ['127.0.0.1', 'localhost', '::1'];
+  const hosts = loopback.includes(host) ? loopback : [host];
+  return hosts.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`);
+}
+
+// Compares the bearer token in constant time
+function hasToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Sends console output to stderr, so that stdout only carries MCP messages
+ * when the stdio transport is used
+ */
+function reserveStdoutForMcp() {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+}
+
+class McpAgentServer {
+  /**
+   * @param {Object} options
+   * @param {ToolRegistry} options.registry The agent's tool registry
+   * @param {EventEmitter} options.transport The chat transport, see transport.js
+   * @param {Function} options.getPersona Returns the current user persona
+   * @param {Array<string>} [options.allowedTools] Names of exposed tools, '*' for all
+   * @param {boolean} [options.requireSendConfirmation] Hold outbound sends until the owner approves them
+   * @param {Function} [options.requestApproval] async ({ chatId, text }) => { id }, asks the owner to approve a send
+   * @param {Function} [options.canRead] (chat) => whether clients may read a chat ({ id, isGroup })
+   * @param {Function} [options.redact] (text) => text as clients may see it
+   */
+  constructor({
+    registry,
+    transport,
+    getPersona,
+    allowedTools = ['*'],
+    requireSendConfirmation = true,
+    requestApproval = null,
+    canRead = () => true,
+    redact = (text) => text
+  }) {
+    this.registry = registry;
+    this.transport = transport;
+    this.getPersona = getPersona;
+    this.allowedTools = allowedTools;
+    this.requireSendConfirmation = requireSendConfirmation;
+    this.requestApproval = requestApproval;
+    this.canRead = canRead;
+    this.redact = redact;
+    this.httpServer = null;
+    this.allowedHosts = [];
+
+    this.whatsappTools = new ToolRegistry();
+    this.registerWhatsAppTools();
+  }
+
+  isAllowed(name) {
+    return this.allowedTools.includes('*') || this.allowedTools.includes(name);
+  }
+
+  /**
+   * Lists the tools exposed to MCP clients
+   * @returns {Array<Object>} The tool definitions
+   */
+  listTools() {
+    const tools = [...this.registry.list(), ...this.whatsappTools.list()];
+    return tools.filter(tool => this.isAllowed(tool.name));
+  }
+
+  /**
+   * Runs an exposed tool
+   * @param {string} name The tool name
+   * @param {Object} args The tool arguments
+   * @returns {Promise<string>} The result, formatted as text
+   */
+  async callTool(name, args) {
+    // Only what listTools() shows: allowed, and not turned off
+    if (!this.listTools().some(tool => tool.name === name)) {
+      throw new Error(`Tool "${name}" is not exposed by this server`);
+    }
+
+    const owner = this.whatsappTools.get(name) ? this.whatsappTools : this.registry;
+    const result = await owner.call(name, args, { source: 'mcp' });
+    return owner.formatResult(name, result);
+  }
+
+  registerWhatsAppTools() {
+    this.whatsappTools.register({
+      name: 'whatsapp_list_chats',
+      description: 'List recent WhatsApp chats with their IDs.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum chats to return (default 20)' }
+        },
+        additionalProperties: false
+      },
+      handler: async ({ limit = 20 }) => {
+        const chats = (await this.transport.getChats()).filter(chat => this.canRead(chat));
+        return chats.slice(0, limit).map(chat => ({
+          id: chat.id,
+          name: chat.name,
+          isGroup: chat.isGroup,
+          unreadCount: chat.unreadCount
+        }));
+      }
+    });
+
+    this.whatsappTools.register({
+      name: 'whatsapp_read_messages',
+      description: 'Read the most recent messages of a WhatsApp chat.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chat_id: { type: 'string', minLength: 1, description: 'The chat ID, e.g. from whatsapp_list_chats' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Maximum messages to return (default 10)' }
+        },
+        required: ['chat_id'],
+        additionalProperties: false
+      },
+      handler: async ({ chat_id: chatId, limit = 10 }) => {
+        const chat = await this.transport.getChatById(chatId);
+        if (!this.canRead(chat)) {
+          throw new Error(`The access policy doesn't allow reading ${chatId}`);
+        }
+        const messages = await chat.fetchMessages({ limit });
+        return messages.map(message => ({
+          id: message.id,
+          from: message.senderId,
+          fromMe: message.fromMe,
+          body: this.redact(message.body),
+          timestamp: new Date(message.timestamp).toISOString()
+        }));
+      }
+    });
+
+    this.whatsappTools.register({
+      name: 'whatsapp_send_message',
+      description: this.requireSendConfirmation
+        ? 'Ask to send a WhatsApp message. The owner approves or drops it in their own chat; nothing is sent before that.'
+        : 'Send a WhatsApp message.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chat_id: { type: 'string', minLength: 1, description: 'The chat ID, e.g. from whatsapp_list_chats' },
+          text: { type: 'string', minLength: 1, description: 'The message to send' }
+        },
+        required: ['chat_id', 'text'],
+        additionalProperties: false
+      },
+      handler: async ({ chat_id: chatId, text }) => {
+        if (!this.requireSendConfirmation) {
+          return await this.sendMessage(chatId, text);
+        }
+
+        // The client can't approve its own messages, only the owner on their phone can
+        if (!this.requestApproval) {
+          throw new Error('Sending needs the owner\'s approval, which this server can\'t ask for');
+        }
+        const approval = await this.requestApproval({ chatId, text });
+        console.log(`MCP: a message waits for approval as draft ${approval.id}`);
+        return { status: 'waiting_for_approval', approval_id: approval.id, chat_id: chatId, text };
+      }
+    });
+  }
+
+  // The persona without the chats clients may not read, with the texts redacted
+  readablePersona() {
+    const { samples = [], profiles = {}, summaries = {}, ...rest } = this.getPersona();
+    const readable = (chatId) => !chatId || chatId === GLOBAL_PROFILE ||
+      this.canRead({ id: chatId, isGroup: Boolean(profiles[chatId] && profiles[chatId].isGroup) });
+    const redactFields = (entry, fields) => Object.fromEntries(Object.entries(entry).map(([key, value]) =>
+      [key, fields.includes(key) && typeof value === 'string' ? this.redact(value) : value]));
+    const byChat = (entries) => Object.fromEntries(Object.entries(entries).filter(([chatId]) => readable(chatId)));
+
+    return {
+      ...rest,
+      samples: samples.filter(sample => readable(sample.chatId)).map(sample => redactFields(sample, ['text', 'incoming', 'correctionOf'])),
+      profiles: byChat(profiles),
+      summaries: Object.fromEntries(Object.entries(byChat(summaries)).map(([key, summary]) => [key, redactFields(summary, ['text'])]))
+    };
+  }
+
+  async sendMessage(chatId, text) {
+    const message = await this.transport.sendMessage(chatId, text);
+    console.log(`MCP: sent message to ${chatId}`);
+    return { status: 'sent', chat_id: chatId, message_id: message.id };
+  }
+
+  /**
+   * Creates an MCP protocol server bound to this agent
+   * @returns {Server} The server, ready to be connected to a transport
+   */
+  createServer() {
+    const server = new Server(
+      { name: 'whatsapp-agent', version },
+      { capabilities: { tools: {}, resources: {} } }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.listTools().map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.parameters
+      }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      try {
+        const text = await this.callTool(name, args || {});
+        return { content: [{ type: 'text', text }] };
+      } catch (error) {
+        console.error(`MCP tool ${name} failed:`, error.message);
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: [{
+        uri: PERSONA_URI,
+        name: 'User persona',
+        description: "Samples of the user's writing style collected by the agent",
+        mimeType: 'application/json'
+      }]
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      if (request.params.uri !== PERSONA_URI) {
+        throw new Error(`Unknown resource: ${request.params.uri}`);
+      }
+      return {
+        contents: [{
+          uri: PERSONA_URI,
+          mimeType: 'application/json',
+          text: JSON.stringify(this.readablePersona(), null, 2)
+        }]
+      };
+    });
+
+    return server;
+  }
+
+  /**
+   * Serves MCP over stdin/stdout
+   */
+  async startStdio() {
+    const server = this.createServer();
+    await server.connect(new StdioServerTransport());
+    console.log('MCP server listening on stdio');
+  }
+
+  /**
+   * Serves MCP over streamable HTTP at /mcp, in stateless mode. Every
+   * request needs the token, and requests addressed to another host name
+   * are refused, so a web page can't reach the server through DNS rebinding.
+   * @param {Object} options
+   * @param {number} options.port Port to listen on
+   * @param {string} [options.host] Interface to bind, localhost by default
+   * @param {string} options.token Bearer token clients must send
+   * @param {Array<string>} [options.allowedHosts] Host headers accepted besides the bind address, e.g. agent.lan:3333
+   */
+  async startHttp({ port, host = '127.0.0.1', token, allowedHosts = [] }) {
+    if (!token) {
+      throw new Error('The MCP HTTP transport needs a token');
+    }
+
+    this.httpServer = http.createServer(async (req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (url.pathname !== '/mcp') {
+        res.writeHead(404).end();
+        return;
+      }
+      if (!hasToken(req, token)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unauthorized' }));
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' }).end();
+        return;
+      }
+
+      // Stateless mode: a fresh server and transport for every request
+      const server = this.createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: undefined,
+        enableDnsRebindingProtection: true,
+        allowedHosts: this.allowedHosts
+      });
+      res.on('close', () => {
+        transport.close();
+        server.close();
+      });
+
+      try {
+        await server.connect(transport);
+        await transport.handleRequest(req, res);
+      } catch (error) {
+        console.error('Error handling MCP request:', error);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+    this.allowedHosts = [...defaultAllowedHosts(host, this.httpServer.address().port), ...allowedHosts];
+    console.log(`MCP server listening on http://${host}:${port}/mcp`);
+  }
+
+  /**
+   * Stops the HTTP transport if it is running
+   */
+  async stop() {
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+}
+
+module.exports = { McpAgentServer, reserveStdoutForMcp };
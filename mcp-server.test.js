@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { McpAgentServer } = require('./mcp-server');
+const { ToolRegistry } = require('./tool-registry');
+
+const TOKEN = 'test-token';
+
+// Posts a JSON-RPC request to the server, with the given headers
+function post(port, headers, body = { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: '/mcp',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+function createServer() {
+  const transport = { getChats: async () => [], sendMessage: async () => ({ id: 'sent' }) };
+  return new McpAgentServer({ registry: new ToolRegistry(), transport, getPersona: () => ({}) });
+}
+
+test('the HTTP transport refuses to start without a token', async () => {
+  await assert.rejects(createServer().startHttp({ port: 0 }), /needs a token/);
+});
+
+test('HTTP requests need the token and a Host header of the bound address', async () => {
+  const server = createServer();
+  await server.startHttp({ port: 0, token: TOKEN });
+  const port = server.httpServer.address().port;
+  try {
+    assert.equal((await post(port, {})).status, 401);
+    assert.equal((await post(port, { Authorization: 'Bearer wrong-token' })).status, 401);
+
+    // What a page on a rebound domain sends: the right port, but its own host name
+    const rebound = await post(port, { Authorization: `Bearer ${TOKEN}`, Host: `attacker.example:${port}` });
+    assert.equal(rebound.status, 403);
+
+    for (const host of [`127.0.0.1:${port}`, `localhost:${port}`]) {
+      const allowed = await post(port, { Authorization: `Bearer ${TOKEN}`, Host: host });
+      assert.equal(allowed.status, 200, host);
+      assert.match(allowed.body, /whatsapp_send_message/);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test('extra allowed hosts are accepted besides the bound address', async () => {
+  const server = createServer();
+  await server.startHttp({ port: 0, token: TOKEN, allowedHosts: ['agent.lan:3333'] });
+  const port = server.httpServer.address().port;
+  try {
+    assert.equal((await post(port, { Authorization: `Bearer ${TOKEN}`, Host: 'agent.lan:3333' })).status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('tools that are turned off or not allowed can\'t be called', async () => {
+  const registry = new ToolRegistry();
+  let enabled = false;
+  let calls = 0;
+  registry.register({ name: 'search_knowledge', isEnabled: () => enabled, handler: async () => ++calls });
+  registry.register({ name: 'phone_location', handler: async () => ++calls });
+  const server = new McpAgentServer({ registry, transport: {}, getPersona: () => ({}), allowedTools: ['search_knowledge'] });
+
+  await assert.rejects(server.callTool('search_knowledge', {}), /not exposed/);
+  await assert.rejects(server.callTool('phone_location', {}), /not exposed/);
+  await assert.rejects(registry.call('search_knowledge', {}), /turned off/);
+  assert.equal(calls, 0);
+
+  enabled = true;
+  assert.equal(await server.callTool('search_knowledge', {}), '1');
+});
+
+test('sends wait for the owner\'s approval, and the client can\'t approve them', async () => {
+  const sent = [];
+  const approvals = [];
+  const transport = { sendMessage: async (chatId, text) => sent.push({ chatId, text }) };
+  const server = new McpAgentServer({
+    registry: new ToolRegistry(),
+    transport,
+    getPersona: () => ({}),
+    requestApproval: async (request) => {
+      approvals.push(request);
+      return { id: 'ab12' };
+    }
+  });
+
+  const result = JSON.parse(await server.callTool('whatsapp_send_message', { chat_id: 'ann@c.us', text: 'Hi Ann' }));
+  assert.equal(result.status, 'waiting_for_approval');
+  assert.equal(result.approval_id, 'ab12');
+  assert.deepEqual(approvals, [{ chatId: 'ann@c.us', text: 'Hi Ann' }]);
+  assert.deepEqual(sent, []);
+  assert.ok(!server.listTools().some(tool => /confirm/.test(tool.name)));
+
+  // Without a way to ask the owner, nothing is sent either
+  const unattended = new McpAgentServer({ registry: new ToolRegistry(), transport, getPersona: () => ({}) });
+  await assert.rejects(unattended.callTool('whatsapp_send_message', { chat_id: 'ann@c.us', text: 'Hi' }), /approval/);
+  assert.deepEqual(sent, []);
+});
+
+test('chats the policy doesn\'t allow are hidden, and what clients read is redacted', async () => {
+  const chats = [
+    { id: 'ann@c.us', name: 'Ann', isGroup: false, unreadCount: 0, fetchMessages: async () => [
+      { id: 'm1', senderId: 'ann@c.us', fromMe: false, body: 'Call me at 555-0100', timestamp: 1 }
+    ] },
+    { id: 'boss@c.us', name: 'Boss', isGroup: false, unreadCount: 2, fetchMessages: async () => [] }
+  ];
+  const transport = {
+    getChats: async () => chats,
+    getChatById: async (id) => chats.find(chat => chat.id === id)
+  };
+  const persona = {
+    version: 2,
+    samples: [
+      { chatId: 'ann@c.us', text: 'Sure, 555-0100 works', incoming: 'Your number?', timestamp: 1 },
+      { chatId: 'boss@c.us', text: 'On it', timestamp: 2 }
+    ],
+    profiles: { 'ann@c.us': { chatName: 'Ann' }, 'boss@c.us': { chatName: 'Boss' }, '*': {} },
+    summaries: { 'boss@c.us': { text: 'Formal' }, '*': { text: 'Short, uses 555-0100' } }
+  };
+  const server = new McpAgentServer({
+    registry: new ToolRegistry(),
+    transport,
+    getPersona: () => persona,
+    canRead: (chat) => chat.id !== 'boss@c.us',
+    redact: (text) => text.replace(/555-\d{4}/g, '[PHONE]')
+  });
+
+  const listed = JSON.parse(await server.callTool('whatsapp_list_chats', {}));
+  assert.deepEqual(listed.map(chat => chat.id), ['ann@c.us']);
+
+  const messages = JSON.parse(await server.callTool('whatsapp_read_messages', { chat_id: 'ann@c.us' }));
+  assert.equal(messages[0].body, 'Call me at [PHONE]');
+  await assert.rejects(server.callTool('whatsapp_read_messages', { chat_id: 'boss@c.us' }), /access policy/);
+
+  const readable = server.readablePersona();
+  assert.deepEqual(readable.samples, [{ chatId: 'ann@c.us', text: 'Sure, [PHONE] works', incoming: 'Your number?', timestamp: 1 }]);
+  assert.deepEqual(Object.keys(readable.profiles), ['ann@c.us', '*']);
+  assert.deepEqual(readable.summaries, { '*': { text: 'Short, uses [PHONE]' } });
+  // The agent's own copy stays as it is
+  assert.equal(persona.samples.length, 2);
+});
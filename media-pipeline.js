@@ -0,0 +1,156 @@
+/**
+ * Turns media messages into text the agent can work with.
+ *
+ * Voice notes are transcribed by a speech-to-text backend, images and PDFs
+ * are described by a multimodal model (the "media" LLM feature) and plain
+ * text documents are read directly. The result is added to the message
+ * text, so the rest of the agent only ever sees text. Media that is too
+ * large, too long, turned off or of an unknown type becomes a short note
+ * instead, so the agent can still tell the sender what happened.
+ */
+
+const llm = require('./llm');
+
+const MAX_DOCUMENT_CHARS = 20000;
+const TEXT_TYPES = /^text\/|^application\/(json|xml|csv|x-yaml|yaml|x-sh|javascript)\b/;
+
+const DEFAULT_LIMITS = { maxBytes: 10 * 1024 * 1024, maxVoiceSeconds: 120 };
+
+const LABELS = {
+  voice: 'voice note',
+  image: 'image',
+  document: 'document',
+  video: 'video',
+  sticker: 'sticker'
+};
+
+/**
+ * Works out what kind of media a message carries
+ * @param {Object} media
+ * @param {string} [media.type] The WhatsApp message type, e.g. ptt, image, document
+ * @param {string} [media.mimetype] The MIME type, once the media is downloaded
+ * @returns {'voice'|'image'|'document'|'video'|'sticker'|'other'}
+ */
+function mediaKind({ type, mimetype = '' }) {
+  if (type === 'ptt' || type === 'audio' || mimetype.startsWith('audio/')) return 'voice';
+  if (type === 'sticker') return 'sticker';
+  if (type === 'video' || mimetype.startsWith('video/')) return 'video';
+  if (type === 'image' || mimetype.startsWith('image/')) return 'image';
+  if (type === 'document' || mimetype === 'application/pdf' || TEXT_TYPES.test(mimetype)) return 'document';
+  return 'other';
+}
+
+// A note that stands in for media the agent couldn't use
+function note(kind, reason) {
+  return `[The sender attached a ${LABELS[kind] || 'file'}${reason}]`;
+}
+
+class MediaPipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.transcriber] Speech-to-text backend, see speech-to-text.js
+   * @param {Function} [options.describe] async (prompt, attachments) => text from a multimodal model
+   * @param {Function} [options.getLimits] Returns { maxBytes, maxVoiceSeconds }
+   * @param {Function} [options.isEnabled] (kind) => whether voice, image or document media is handled
+   */
+  constructor({
+    transcriber,
+    describe = (prompt, attachments) => llm.generateText('media', prompt, { attachments }),
+    getLimits = () => DEFAULT_LIMITS,
+    isEnabled = () => true
+  } = {}) {
+    this.transcriber = transcriber;
+    this.describe = describe;
+    this.getLimits = getLimits;
+    this.isEnabled = isEnabled;
+  }
+
+  /**
+   * Checks whether media should be downloaded at all
+   * @param {Object} media
+   * @param {string} media.type The WhatsApp message type
+   * @param {number} [media.duration] Length of audio in seconds
+   * @param {number} [media.size] Size in bytes, if known
+   * @returns {string|null} A note explaining why the media is skipped, or null
+   */
+  check({ type, mimetype, duration, size }) {
+    const kind = mediaKind({ type, mimetype });
+    const { maxBytes, maxVoiceSeconds } = this.getLimits();
+
+    if (!['voice', 'image', 'document'].includes(kind)) {
+      return note(kind, ' that I cannot open.');
+    }
+    if (!this.isEnabled(kind)) {
+      return note(kind, `, but ${LABELS[kind]}s are turned off.`);
+    }
+    if (size && size > maxBytes) {
+      return note(kind, ` of ${(size / 1024 / 1024).toFixed(1)} MB, larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit.`);
+    }
+    if (kind === 'voice' && duration > maxVoiceSeconds) {
+      return note(kind, ` of ${duration} seconds, longer than the ${maxVoiceSeconds} second limit.`);
+    }
+    return null;
+  }
+
+  /**
+   * Turns downloaded media into text
+   * @param {Object} media
+   * @param {string} [media.type] The WhatsApp message type
+   * @param {string} media.mimetype The MIME type
+   * @param {string} media.data The content, base64 encoded
+   * @param {string} [media.filename] The file name of documents
+   * @param {number} [media.duration] Length of audio in seconds
+   * @param {string} [media.caption] The text sent with the media
+   * @returns {Promise<string>} Text describing the media, for the prompt
+   */
+  async process(media) {
+    const data = Buffer.from(media.data, 'base64');
+    const skipped = this.check({ ...media, size: data.length });
+    if (skipped) return skipped;
+
+    const kind = mediaKind(media);
+    const mimeType = media.mimetype.split(';')[0].trim();
+    const caption = media.caption ? ` with the message "${media.caption}"` : '';
+
+    try {
+      if (kind === 'voice') {
+        if (!this.transcriber) return note(kind, ', but no speech-to-text backend is set up.');
+        const transcript = await this.transcriber.transcribe({ data, mimeType: media.mimetype });
+        return transcript ? `[Voice note transcript]: ${transcript}` : note(kind, ' without any recognizable speech.');
+      }
+
+      if (kind === 'image') {
+        const description = await this.describe(
+          `The sender attached this image${caption}. Describe what it shows, including any text in it, ` +
+          'so that someone who cannot see it can answer the message.',
+          [{ mimeType, data: media.data }]
+        );
+        return `[Attached image]: ${description.trim()}`;
+      }
+
+      if (TEXT_TYPES.test(mimeType)) {
+        let text = data.toString('utf8');
+        if (text.length > MAX_DOCUMENT_CHARS) {
+          text = `${text.slice(0, MAX_DOCUMENT_CHARS)}\n[truncated]`;
+        }
+        return `[Attached document ${media.filename || ''}]:\n${text}`;
+      }
+
+      if (mimeType === 'application/pdf') {
+        const summary = await this.describe(
+          `The sender attached this PDF document${caption}. Summarize its content and include the details ` +
+          'needed to answer the message.',
+          [{ mimeType, data: media.data }]
+        );
+        return `[Attached PDF ${media.filename || ''}]: ${summary.trim()}`;
+      }
+
+      return note(kind, ` (${mimeType}) that I cannot read.`);
+    } catch (error) {
+      console.error(`Error processing ${LABELS[kind]}:`, error.message);
+      return note(kind, ` that could not be processed (${error.message}).`);
+    }
+  }
+}
+
+module.exports = { MediaPipeline, mediaKind };
@@ -0,0 +1,316 @@
+/**
+ * Durable queue of received messages waiting for an answer.
+ *
+ * Messages are stored in data/message_queue.json before they are answered,
+ * so nothing is lost on a crash or restart. Each chat is a lane: its
+ * messages are answered one after the other, in the order they were sent,
+ * while different chats are answered side by side. A failure marked as
+ * retryable (a model or search outage) is tried again with growing delays,
+ * and the lane waits for it. Messages that fail for good, or too often, are
+ * moved to a dead-letter list the owner can inspect and replay.
+ *
+ * The queue also remembers when the newest message it saw was sent, so
+ * messages that arrived while the agent was offline can be caught up on.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const QUEUE_FILE = path.join(DATA_DIR, 'message_queue.json');
+
+class RetryableError extends Error {
+  /**
+   * An error after which the message should be answered again later
+   * @param {string} message Error description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RetryableError';
+    this.retryable = true;
+  }
+}
+
+class MessageQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.handler async (item, { attempt, lastAttempt }) => answers a message; throws to fail
+   * @param {string} [options.file] Where the queue is persisted
+   * @param {number} [options.maxAttempts] Attempts before a message is given up
+   * @param {number} [options.retryDelayMs] Delay before the first retry, doubled for every further one
+   * @param {number} [options.maxDeadLetters] Failed messages kept for replay
+   * @param {Function} [options.onDeadLetter] (item) => called when a message is given up
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    handler,
+    file = QUEUE_FILE,
+    maxAttempts = 4,
+    retryDelayMs = 15 * 1000,
+    maxDeadLetters = 50,
+    onDeadLetter = () => {},
+    now = Date.now
+  }) {
+    this.handler = handler;
+    this.file = file;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxDeadLetters = maxDeadLetters;
+    this.onDeadLetter = onDeadLetter;
+    this.now = now;
+    this.items = [];
+    this.failed = [];
+    this.lastSeenAt = 0;
+    this.started = false;
+    this.busy = new Set();
+    this.timers = new Map();
+  }
+
+  /**
+   * Loads the queue from disk
+   */
+  async load() {
+    try {
+      const stored = await readJson(this.file, {});
+      this.items = stored.pending || [];
+      this.failed = stored.failed || [];
+      this.lastSeenAt = stored.lastSeenAt || 0;
+      if (this.items.length > 0) {
+        console.log(`Loaded ${this.items.length} messages waiting for an answer`);
+      }
+    } catch (error) {
+      console.error('Error loading message queue:', error);
+    }
+  }
+
+  /**
+   * Persists the queue to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, { lastSeenAt: this.lastSeenAt, pending: this.items, failed: this.failed }, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving message queue:', error);
+    }
+  }
+
+  // Four hex characters, short enough to type on a phone
+  newId() {
+    const taken = new Set([...this.items, ...this.failed].map(item => item.id));
+    let id;
+    do {
+      id = crypto.randomBytes(2).toString('hex');
+    } while (taken.has(id));
+    return id;
+  }
+
+  /**
+   * Tells whether a message is waiting or failed already
+   * @param {string} messageId The serialized message ID
+   * @returns {boolean}
+   */
+  has(messageId) {
+    return [...this.items, ...this.failed].some(item => item.messageId === messageId);
+  }
+
+  /**
+   * Remembers the send time of the newest message seen, answered or not
+   * @param {number} timestamp When the message was sent, in milliseconds
+   */
+  async markSeen(timestamp) {
+    if (timestamp <= this.lastSeenAt) return;
+    this.lastSeenAt = timestamp;
+    await this.save();
+  }
+
+  /**
+   * Adds a message to the lane of its chat
+   * @param {Object} message
+   * @param {string} message.messageId The serialized message ID
+   * @param {string} message.chatId The chat it was sent in
+   * @param {string} [message.chatName] Shown to the owner
+   * @param {string} [message.preview] Shown to the owner when it fails
+   * @param {number} message.timestamp When it was sent, in milliseconds
+   * @returns {Promise<Object|null>} The queued item, or null when it was queued before
+   */
+  async enqueue({ messageId, chatId, chatName, preview = '', timestamp }) {
+    if (this.has(messageId)) return null;
+
+    const item = {
+      id: this.newId(),
+      messageId,
+      chatId,
+      chatName: chatName || chatId,
+      preview,
+      timestamp,
+      enqueuedAt: this.now(),
+      attempts: 0,
+      nextAttemptAt: 0
+    };
+    this.items.push(item);
+    // Messages caught up on after a restart may be older than ones already waiting
+    this.items.sort((a, b) => a.timestamp - b.timestamp);
+    this.lastSeenAt = Math.max(this.lastSeenAt, timestamp);
+    await this.save();
+
+    this.drain(chatId);
+    return item;
+  }
+
+  /**
+   * Starts answering, including the messages left over from the last run
+   */
+  start() {
+    this.started = true;
+    for (const chatId of new Set(this.items.map(item => item.chatId))) {
+      this.drain(chatId);
+    }
+  }
+
+  /**
+   * Stops answering; waiting messages stay in the queue
+   */
+  stop() {
+    this.started = false;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  // Answers the messages of a chat in order, until the lane is empty or waits for a retry
+  async drain(chatId) {
+    if (!this.started || this.busy.has(chatId)) return;
+    this.busy.add(chatId);
+    try {
+      let item;
+      while (this.started && (item = this.items.find(entry => entry.chatId === chatId))) {
+        const wait = item.nextAttemptAt - this.now();
+        if (wait > 0) {
+          this.wake(chatId, wait);
+          return;
+        }
+        await this.attempt(item);
+      }
+    } finally {
+      this.busy.delete(chatId);
+    }
+  }
+
+  wake(chatId, delayMs) {
+    clearTimeout(this.timers.get(chatId));
+    this.timers.set(chatId, setTimeout(() => {
+      this.timers.delete(chatId);
+      this.drain(chatId);
+    }, delayMs));
+  }
+
+  async attempt(item) {
+    // Out of attempts already: the last one crashed or stopped the agent before it finished
+    if (item.attempts >= this.maxAttempts) {
+      await this.giveUp(item, item.lastError || 'the agent stopped while answering it');
+      return;
+    }
+
+    // Counted before the handler runs, so a message that crashes the agent isn't tried forever
+    item.attempts += 1;
+    await this.save();
+
+    const lastAttempt = item.attempts >= this.maxAttempts;
+    try {
+      await this.handler(item, { attempt: item.attempts, lastAttempt });
+      this.items = this.items.filter(entry => entry !== item);
+    } catch (error) {
+      item.lastError = error.message;
+      if (error.retryable && !lastAttempt) {
+        const delay = this.retryDelayMs * Math.pow(2, item.attempts - 1);
+        console.warn(`Answering message ${item.id} failed (${error.message}), retrying in ${delay}ms`);
+        item.nextAttemptAt = this.now() + delay;
+      } else {
+        await this.giveUp(item, error.message);
+        return;
+      }
+    }
+    await this.save();
+  }
+
+  // Moves a message to the dead letters and tells the owner
+  async giveUp(item, reason) {
+    console.error(`Giving up on message ${item.id} after ${item.attempts} attempts:`, reason);
+    item.lastError = reason;
+    this.items = this.items.filter(entry => entry !== item);
+    this.failed = [...this.failed, { ...item, failedAt: this.now() }].slice(-this.maxDeadLetters);
+    await this.save();
+    try {
+      await this.onDeadLetter(item);
+    } catch (notifyError) {
+      console.error('Error reporting a failed message:', notifyError);
+    }
+  }
+
+  /**
+   * Lists the messages waiting for an answer, oldest first
+   * @param {string} [chatId] Only the messages of this chat
+   * @returns {Array<Object>}
+   */
+  pending(chatId) {
+    return this.items.filter(item => !chatId || item.chatId === chatId);
+  }
+
+  /**
+   * Lists the messages that were given up, oldest first
+   * @returns {Array<Object>}
+   */
+  deadLetters() {
+    return this.failed;
+  }
+
+  /**
+   * Puts failed messages back in their lanes
+   * @param {string} id The ID of a failed message, or 'all'
+   * @returns {Promise<Array<Object>>} The messages queued again
+   */
+  async replay(id) {
+    const replayed = this.failed.filter(item => id === 'all' || item.id === (id || '').toLowerCase());
+    if (replayed.length === 0) return [];
+
+    this.failed = this.failed.filter(item => !replayed.includes(item));
+    for (const { failedAt, lastError, ...item } of replayed) {
+      this.items.push({ ...item, attempts: 0, nextAttemptAt: 0 });
+    }
+    this.items.sort((a, b) => a.timestamp - b.timestamp);
+    await this.save();
+
+    for (const chatId of new Set(replayed.map(item => item.chatId))) {
+      this.drain(chatId);
+    }
+    return replayed;
+  }
+
+  /**
+   * Forgets the failed messages
+   * @returns {Promise<number>} How many there were
+   */
+  async clearDeadLetters() {
+    const count = this.failed.length;
+    this.failed = [];
+    await this.save();
+    return count;
+  }
+
+  /**
+   * Removes the waiting and failed messages of a chat, or all of them
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<number>} How many messages were removed
+   */
+  async forget(chatId) {
+    const keep = (item) => chatId && item.chatId !== chatId;
+    const before = this.items.length + this.failed.length;
+    this.items = this.items.filter(keep);
+    this.failed = this.failed.filter(keep);
+    await this.save();
+    return before - this.items.length - this.failed.length;
+  }
+}
+
+module.exports = { MessageQueue, RetryableError, QUEUE_FILE };
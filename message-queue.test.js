@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageQueue, RetryableError } = require('./message-queue');
+
+const MINUTE = 60 * 1000;
+
+// Waits until the lanes have done what the test expects and are done saving
+async function settled(queue, condition) {
+  const done = () => condition() && queue.busy.size === 0;
+  for (let i = 0; i < 200 && !done(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(done(), 'the queue did not get there in time');
+}
+
+// A queue in a temporary directory whose clock and handler the test controls
+function testQueue(t, { dir, fail = () => null } = {}) {
+  dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'message-queue-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = { now: Date.UTC(2026, 9, 20, 10, 0) };
+  const handled = [];
+  const deadLetters = [];
+  const queue = new MessageQueue({
+    handler: async (item, { attempt, lastAttempt }) => {
+      handled.push({ id: item.messageId, attempt, lastAttempt });
+      const error = fail(item, attempt);
+      if (error) throw error;
+    },
+    file: path.join(dir, 'message_queue.json'),
+    maxAttempts: 3,
+    retryDelayMs: MINUTE,
+    onDeadLetter: (item) => deadLetters.push(item.messageId),
+    now: () => clock.now
+  });
+  t.after(() => queue.stop());
+  return { queue, clock, handled, deadLetters, dir };
+}
+
+function message(id, chatId, timestamp) {
+  return { messageId: id, chatId, chatName: chatId, preview: id, timestamp };
+}
+
+test('the messages of a chat are answered in the order they were sent', async (t) => {
+  const { queue, handled } = testQueue(t);
+  await queue.enqueue(message('late', 'ann@c.us', 2000));
+  await queue.enqueue(message('early', 'ann@c.us', 1000));
+  assert.equal(await queue.enqueue(message('early', 'ann@c.us', 1000)), null);
+  queue.start();
+
+  await settled(queue, () => handled.length === 2);
+  assert.deepEqual(handled.map(entry => entry.id), ['early', 'late']);
+  assert.deepEqual(queue.pending(), []);
+});
+
+test('a retryable failure is tried again after a growing delay, and the lane waits for it', async (t) => {
+  const { queue, clock, handled } = testQueue(t, {
+    fail: (item, attempt) => item.messageId === 'm1' && attempt < 3 ? new RetryableError('model is down') : null
+  });
+  queue.start();
+  await queue.enqueue(message('m1', 'ann@c.us', 1000));
+  await queue.enqueue(message('m2', 'ann@c.us', 2000));
+  await queue.enqueue(message('other', 'bob@c.us', 3000));
+
+  await settled(queue, () => handled.some(entry => entry.id === 'other'));
+  assert.deepEqual(handled.filter(entry => entry.id !== 'other').map(entry => entry.id), ['m1']);
+  const [first] = queue.pending('ann@c.us');
+  assert.equal(first.nextAttemptAt, clock.now + MINUTE);
+  assert.equal(first.lastError, 'model is down');
+
+  // Not due yet: the lane keeps waiting
+  clock.now += MINUTE - 1;
+  await queue.drain('ann@c.us');
+  assert.equal(handled.filter(entry => entry.id === 'm1').length, 1);
+
+  clock.now += 1;
+  await queue.drain('ann@c.us');
+  assert.equal(queue.pending('ann@c.us')[0].nextAttemptAt, clock.now + 2 * MINUTE);
+
+  clock.now += 2 * MINUTE;
+  await queue.drain('ann@c.us');
+  assert.deepEqual(handled.filter(entry => entry.id !== 'other').map(entry => [entry.id, entry.attempt, entry.lastAttempt]), [
+    ['m1', 1, false],
+    ['m1', 2, false],
+    ['m1', 3, true],
+    ['m2', 1, false]
+  ]);
+  assert.deepEqual(queue.pending(), []);
+  assert.deepEqual(queue.deadLetters(), []);
+});
+
+test('messages that fail for good or too often become dead letters and can be replayed', async (t) => {
+  let down = true;
+  const { queue, clock, handled, deadLetters } = testQueue(t, {
+    fail: (item) => {
+      if (item.messageId === 'broken') return new Error('bad media');
+      return down ? new RetryableError('model is down') : null;
+    }
+  });
+  queue.start();
+  await queue.enqueue(message('broken', 'ann@c.us', 1000));
+  await queue.enqueue(message('flaky', 'bob@c.us', 2000));
+
+  await settled(queue, () => deadLetters.includes('broken') && handled.some(entry => entry.id === 'flaky'));
+  assert.equal(handled.filter(entry => entry.id === 'broken').length, 1);
+
+  for (let attempt = 1; attempt < 3; attempt++) {
+    clock.now += attempt * MINUTE;
+    await queue.drain('bob@c.us');
+  }
+  assert.deepEqual(deadLetters, ['broken', 'flaky']);
+  assert.deepEqual(queue.deadLetters().map(item => [item.messageId, item.attempts, item.lastError]), [
+    ['broken', 1, 'bad media'],
+    ['flaky', 3, 'model is down']
+  ]);
+  assert.deepEqual(queue.pending(), []);
+
+  down = false;
+  const [flaky] = queue.deadLetters().filter(item => item.messageId === 'flaky');
+  assert.deepEqual((await queue.replay(flaky.id)).map(item => item.messageId), ['flaky']);
+  await settled(queue, () => queue.pending().length === 0);
+  assert.equal(handled.at(-1).id, 'flaky');
+  assert.equal(handled.at(-1).attempt, 1);
+  assert.deepEqual(queue.deadLetters().map(item => item.messageId), ['broken']);
+});
+
+test('waiting messages survive a restart and are answered when the queue starts again', async (t) => {
+  const before = testQueue(t);
+  await before.queue.enqueue(message('m1', 'ann@c.us', 1000));
+  await before.queue.markSeen(5000);
+
+  const after = testQueue(t, { dir: before.dir });
+  await after.queue.load();
+  assert.equal(after.queue.lastSeenAt, 5000);
+  assert.deepEqual(after.queue.pending().map(item => item.messageId), ['m1']);
+
+  after.queue.start();
+  await settled(after.queue, () => after.handled.length === 1);
+  assert.deepEqual(after.handled, [{ id: 'm1', attempt: 1, lastAttempt: false }]);
+});
+
+test('a message whose last attempt never finished is given up without running it again', async (t) => {
+  const before = testQueue(t);
+  const item = await before.queue.enqueue(message('crashes', 'ann@c.us', 1000));
+  // What is on disk when the agent died during the third attempt
+  item.attempts = 3;
+  await before.queue.save();
+
+  const after = testQueue(t, { dir: before.dir });
+  await after.queue.load();
+  after.queue.start();
+  await settled(after.queue, () => after.deadLetters.length === 1);
+
+  assert.deepEqual(after.handled, []);
+  assert.deepEqual(after.queue.pending(), []);
+  assert.match(after.queue.deadLetters()[0].lastError, /stopped while answering/);
+});
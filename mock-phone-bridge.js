@@ -0,0 +1,116 @@
+/**
+ * Mock Phone Bridge
+ *
+ * A local implementation of the phone bridge protocol with sample data, so
+ * the phone integration can be tried and tested without a phone:
+ *
+ *   npm run mock-bridge
+ *
+ * then start the agent with PHONE_BACKEND=bridge. The port and token are
+ * read from PHONE_BRIDGE_PORT (default 8765) and PHONE_BRIDGE_TOKEN.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const SAMPLE_DATA = {
+  contacts: [
+    { name: 'Priya Sharma', phoneNumbers: ['+91 98765 43210'], emails: ['priya@example.com'] },
+    { name: 'Dr. Mehta (Dentist)', phoneNumbers: ['+91 22 1234 5678'], emails: [] },
+    { name: 'Mom', phoneNumbers: ['+91 99887 76655'], emails: [] }
+  ],
+  files: [
+    { path: '/storage/emulated/0/Documents/wifi.txt', name: 'wifi.txt', size: 42, modified: '2024-05-02T10:00:00Z', content: 'Home wifi: HomeNet / password123' },
+    { path: '/storage/emulated/0/Documents/shopping-list.md', name: 'shopping-list.md', size: 64, modified: '2024-05-10T08:30:00Z', content: '- milk\n- eggs\n- coffee' }
+  ],
+  location: { latitude: 19.076, longitude: 72.8777, accuracy: 20 },
+  calendar: [
+    { title: 'Dentist appointment', start: '2024-06-12T10:30:00+05:30', end: '2024-06-12T11:00:00+05:30', location: 'Dr. Mehta Clinic', description: '' },
+    { title: 'Team standup', start: '2024-06-12T09:00:00+05:30', end: '2024-06-12T09:15:00+05:30', location: 'Zoom', description: '' }
+  ]
+};
+
+function matches(query, ...fields) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return fields.some(field => (field || '').toLowerCase().includes(needle));
+}
+
+// Answer one request of the bridge protocol
+function handleRequest(data, { method, params = {} }) {
+  switch (method) {
+    case 'contacts.list':
+      return data.contacts.filter(contact => matches(params.query, contact.name, ...contact.phoneNumbers));
+    case 'files.search':
+      return data.files
+        .filter(file => matches(params.query, file.name, file.path))
+        .map(({ content, ...file }) => file);
+    case 'files.read': {
+      const file = data.files.find(f => f.path === params.path);
+      if (!file) throw Object.assign(new Error(`No file at ${params.path}`), { code: 'not_found' });
+      return { path: file.path, content: file.content, encoding: 'utf8' };
+    }
+    case 'location.get':
+      return { ...data.location, timestamp: new Date().toISOString() };
+    case 'calendar.list':
+      return data.calendar.filter(event => matches(params.query, event.title, event.location, event.description));
+    default:
+      throw Object.assign(new Error(`Unknown method ${method}`), { code: 'unknown_method' });
+  }
+}
+
+/**
+ * Starts a mock bridge server
+ * @param {Object} [options]
+ * @param {number} [options.port] Port to listen on, 0 picks a free one
+ * @param {string} [options.token] Bearer token clients must send, if set
+ * @param {Object} [options.data] Data to serve instead of the samples
+ * @returns {Promise<WebSocketServer>} The running server
+ */
+function startMockBridge({ port = 8765, token, data = SAMPLE_DATA } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = new WebSocketServer({
+      port,
+      verifyClient: (info, done) => {
+        if (token && info.req.headers.authorization !== `Bearer ${token}`) {
+          done(false, 401, 'Unauthorized');
+        } else {
+          done(true);
+        }
+      }
+    });
+
+    server.on('connection', (socket) => {
+      socket.on('message', (raw) => {
+        let request;
+        try {
+          request = JSON.parse(raw.toString());
+        } catch (error) {
+          return;
+        }
+        try {
+          const result = handleRequest(data, request);
+          socket.send(JSON.stringify({ id: request.id, result }));
+        } catch (error) {
+          socket.send(JSON.stringify({
+            id: request.id,
+            error: { code: error.code || 'internal_error', message: error.message }
+          }));
+        }
+      });
+    });
+
+    server.once('listening', () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+// Only run directly if this script is called directly (not required)
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.PHONE_BRIDGE_PORT || '8765');
+  startMockBridge({ port, token: process.env.PHONE_BRIDGE_TOKEN })
+    .then(server => console.log(`Mock phone bridge listening on ws://localhost:${server.address().port}`))
+    .catch(console.error);
+}
+
+module.exports = { startMockBridge, SAMPLE_DATA };
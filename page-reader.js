@@ -0,0 +1,175 @@
+/**
+ * Deep read of search results.
+ *
+ * Fetches the pages behind search results, extracts their main article
+ * text, splits it into passages and keeps the passages most relevant to
+ * the query, so answers can be based on the pages themselves instead of
+ * the search snippets.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'how',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with'
+]);
+
+// Elements that never hold the main content
+const NOISE_SELECTORS = 'script, style, noscript, nav, header, footer, aside, form, iframe, svg, button';
+
+/**
+ * Fetches an HTML or plain text page
+ * @param {string} url The page URL
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] Request timeout
+ * @param {number} [options.maxBytes] Maximum response size
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+async function fetchPage(url, { timeoutMs = 8000, maxBytes = 1000000 } = {}) {
+  const response = await axios.get(url, {
+    timeout: timeoutMs,
+    maxContentLength: maxBytes,
+    maxRedirects: 5,
+    responseType: 'text',
+    headers: { Accept: 'text/html, text/plain;q=0.9' }
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (!/text\/html|text\/plain|application\/xhtml/.test(contentType)) {
+    throw new Error(`unsupported content type ${contentType}`);
+  }
+  return { contentType, body: response.data };
+}
+
+/**
+ * Extracts the main article text of an HTML page. Paragraph text is credited
+ * to the element containing it, and the element with the most paragraph text
+ * is taken as the article, similar to readability.
+ * @param {string} html The page
+ * @returns {string} The article text, paragraphs separated by blank lines
+ */
+function extractMainText(html) {
+  const $ = cheerio.load(html);
+  $(NOISE_SELECTORS).remove();
+
+  let best = null;
+  let bestScore = 0;
+  const scores = new Map();
+  $('p').each((i, element) => {
+    const length = $(element).text().trim().length;
+    if (length < 25) return;
+    const parent = element.parent;
+    const score = (scores.get(parent) || 0) + length;
+    scores.set(parent, score);
+    if (score > bestScore) {
+      best = parent;
+      bestScore = score;
+    }
+  });
+
+  const container = best ? $(best) : $('body');
+  const blocks = [];
+  container.find('h1, h2, h3, p, li, pre, blockquote').each((i, element) => {
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+  });
+
+  if (blocks.length === 0) {
+    return container.text().replace(/\s+/g, ' ').trim();
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Splits text into passages of roughly the given size, on paragraph boundaries
+ * where possible
+ * @param {string} text The text
+ * @param {number} [maxChars] Maximum passage length
+ * @returns {Array<string>} The passages
+ */
+function chunkText(text, maxChars = 800) {
+  const passages = [];
+  let current = '';
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const pieces = paragraph.length > maxChars
+      ? paragraph.match(new RegExp(`[\\s\\S]{1,${maxChars}}(\\s|$)`, 'g')) || [paragraph]
+      : [paragraph];
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        passages.push(current.trim());
+        current = '';
+      }
+      current += (current ? '\n\n' : '') + piece;
+    }
+  }
+  if (current.trim()) passages.push(current.trim());
+  return passages;
+}
+
+function queryTerms(query) {
+  return (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Scores how relevant a passage is to a query by counting query terms,
+ * rewarding passages that contain many different terms
+ * @param {Array<string>} terms The query terms
+ * @param {string} passage The passage
+ * @returns {number} The score, 0 if no term occurs
+ */
+function scorePassage(terms, passage) {
+  const words = passage.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+  let score = 0;
+  let matched = 0;
+  for (const term of new Set(terms)) {
+    const count = counts.get(term) || 0;
+    if (count > 0) {
+      matched++;
+      score += 1 + Math.log(count);
+    }
+  }
+  return score * matched;
+}
+
+/**
+ * Fetches the top search results and attaches their most relevant passages
+ * @param {string} query The search query
+ * @param {Array<{title: string, link: string, snippet: string}>} results The search results
+ * @param {Object} [options]
+ * @param {number} [options.pages] How many results to fetch
+ * @param {number} [options.passages] Passages kept per page
+ * @param {number} [options.timeoutMs] Per-page timeout
+ * @param {number} [options.maxBytes] Maximum page size
+ * @returns {Promise<Array<Object>>} The results; fetched ones have a passages array,
+ *   failed ones a readError
+ */
+async function deepReadResults(query, results, { pages = 3, passages = 3, timeoutMs = 8000, maxBytes = 1000000 } = {}) {
+  const terms = queryTerms(query);
+
+  return await Promise.all(results.map(async (result, index) => {
+    if (index >= pages) return { ...result };
+    try {
+      const page = await fetchPage(result.link, { timeoutMs, maxBytes });
+      const text = page.contentType.includes('text/plain') ? page.body : extractMainText(page.body);
+      const ranked = chunkText(text)
+        .map((passage, position) => ({ passage, position, score: scorePassage(terms, passage) }))
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, passages)
+        .sort((a, b) => a.position - b.position);
+      return { ...result, passages: ranked.map(r => r.passage) };
+    } catch (error) {
+      console.error(`Deep read of ${result.link} failed:`, error.message);
+      return { ...result, readError: error.message };
+    }
+  }));
+}
+
+module.exports = { deepReadResults, fetchPage, extractMainText, chunkText, scorePassage };
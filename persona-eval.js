@@ -0,0 +1,296 @@
+/**
+ * Persona fidelity evaluation.
+ *
+ * Sets aside the most recent reply pairs from data/user_persona.json,
+ * generates persona replies for the messages they answered (using only the
+ * remaining samples) and scores each reply against what the user really
+ * wrote. Every prompt variant and sample count asked for is run, so the
+ * report shows which prompt sounds most like the user:
+ *
+ *   node persona-eval.js [--holdout 20] [--variants default,no-pairs] [--samples 3,5,10] [--judge]
+ *
+ * The stylometric score compares length, emoji, punctuation, capitalization
+ * and vocabulary and needs no model. --judge adds a score from the "judge"
+ * model. Run it against the mock provider (LLM_PROVIDER=mock) to check the
+ * harness itself, or call runEvaluation() with your own generate function.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const llm = require('./llm');
+const { EVAL_DIR, writeReport } = require('./data-store');
+const { PersonaStore, GLOBAL_PROFILE, SUMMARY_MIN_SAMPLES, tokenize } = require('./persona-store');
+const { buildPersonaPrompt, PROMPT_VARIANTS } = require('./persona-prompt');
+const { parseJsonResponse } = require('./tool-router');
+const { summarizeStyle } = require('./style-analyzer');
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const PUNCTUATION_MARKS = ['!', '?', '.', ',', '…'];
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// 1 when two amounts are equal, going to 0 as they drift apart
+function closeness(a, b) {
+  return a === b ? 1 : 1 - Math.abs(a - b) / Math.max(a, b);
+}
+
+/**
+ * Scores how close a generated reply is to the real one in style
+ * @param {string} generated The persona reply
+ * @param {string} real What the user actually wrote
+ * @returns {{total: number, length: number, emoji: number, punctuation: number, casing: number, vocabulary: number}}
+ *   Every score is between 0 and 1, total is their mean
+ */
+function stylometricScore(generated, real) {
+  const emoji = (text) => (text.match(EMOJI) || []).length;
+  const marks = (text) => PUNCTUATION_MARKS.map(mark => text.split(mark).length - 1);
+  const casing = (text) => [/^\P{L}*\p{Lu}/u.test(text), !/\p{Lu}/u.test(text)];
+
+  // Cosine of the punctuation counts; no punctuation on both sides is a match
+  const marksA = marks(generated);
+  const marksB = marks(real);
+  const dot = marksA.reduce((sum, value, index) => sum + value * marksB[index], 0);
+  const norms = Math.hypot(...marksA) * Math.hypot(...marksB);
+  const punctuation = norms > 0 ? dot / norms : (Math.hypot(...marksA) + Math.hypot(...marksB) === 0 ? 1 : 0);
+
+  const casingA = casing(generated);
+  const casingB = casing(real);
+
+  const wordsA = new Set(tokenize(generated));
+  const wordsB = new Set(tokenize(real));
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const union = new Set([...wordsA, ...wordsB]).size;
+
+  const scores = {
+    length: closeness([...generated].length, [...real].length),
+    emoji: closeness(emoji(generated), emoji(real)),
+    punctuation,
+    casing: casingA.filter((value, index) => value === casingB[index]).length / casingA.length,
+    vocabulary: union > 0 ? shared / union : 1
+  };
+  const rounded = Object.fromEntries(Object.entries(scores).map(([name, value]) => [name, round(value)]));
+  return { total: round(mean(Object.values(scores))), ...rounded };
+}
+
+/**
+ * Asks a model how likely it is that the user wrote a reply
+ * @param {Function} generate async (prompt) => model reply
+ * @param {Object} pair The held-out pair
+ * @param {string} generated The persona reply
+ * @returns {Promise<number|null>} Between 0 and 1, or null when the answer can't be read
+ */
+async function judgeReply(generate, pair, generated) {
+  const prompt = `Someone received this message: "${pair.incoming}"
+Their real reply was: "${pair.text}"
+Another reply was written by an assistant imitating them: "${generated}"
+
+Judge only the writing style, not the content: tone, length, formality, emoji, punctuation and word choice.
+Reply with a single JSON object and nothing else: {"score": <1 to 10, 10 meaning indistinguishable from the real reply>}`;
+
+  const parsed = parseJsonResponse(await generate(prompt));
+  const score = parsed && Number(parsed.score);
+  return score >= 1 && score <= 10 ? round((score - 1) / 9) : null;
+}
+
+/**
+ * Splits the reply pairs into held-out pairs and training samples
+ * @param {Array<Object>} samples All samples, oldest first
+ * @param {number} holdout How many of the most recent pairs to set aside
+ * @returns {{heldOut: Array<Object>, training: Array<Object>}}
+ */
+function splitSamples(samples, holdout) {
+  const pairs = samples.filter(sample => sample.incoming);
+  const heldOut = new Set(pairs.slice(-holdout));
+  return {
+    heldOut: [...heldOut],
+    training: samples.filter(sample => !heldOut.has(sample))
+  };
+}
+
+// Writes the style summaries of the given profiles from the training samples.
+// Not saved: the training persona shares the file of the real one.
+async function summarizeTraining(trainingPersona, keys, summarize) {
+  for (const key of keys) {
+    const texts = trainingPersona.samplesFor(key).map(sample => sample.text);
+    if (texts.length < SUMMARY_MIN_SAMPLES) continue;
+    try {
+      trainingPersona.data.summaries[key] = { text: await summarize(texts), sampleCount: texts.length, updatedAt: Date.now() };
+    } catch (error) {
+      console.error(`Error summarizing the training samples of ${key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Runs the evaluation
+ * @param {Object} options
+ * @param {PersonaStore} options.persona The learned samples and summaries
+ * @param {number} [options.holdout] Reply pairs set aside for scoring
+ * @param {Array<string>} [options.variants] Prompt variants to compare
+ * @param {Array<number>} [options.sampleCounts] Sample counts to compare
+ * @param {Function} [options.generate] async (prompt) => persona reply
+ * @param {Function} [options.summarize] async (texts) => style summary of the training samples
+ * @param {Function} [options.judge] async (prompt) => judge reply; no judge score without it
+ * @returns {Promise<Object>} The results per variant and sample count, and every scored reply
+ */
+async function runEvaluation({
+  persona,
+  holdout = 20,
+  variants = ['default'],
+  sampleCounts = [5],
+  generate = (prompt) => llm.generateText('persona', prompt),
+  summarize = summarizeStyle,
+  judge = null
+}) {
+  const { heldOut, training } = splitSamples(persona.data.samples, holdout);
+  if (heldOut.length === 0) {
+    throw new Error('There are no reply pairs to evaluate yet. Learn from more of your replies first.');
+  }
+  if (training.length === 0) {
+    throw new Error('All samples would be held out. Use a smaller --holdout.');
+  }
+
+  // The persona as it would be without the held-out pairs. The stored
+  // summaries were written from them too, so they are written again.
+  const trainingPersona = new PersonaStore({ file: persona.file });
+  trainingPersona.data = { ...persona.data, samples: training, summaries: {} };
+  if (variants.some(variant => PROMPT_VARIANTS[variant].summary)) {
+    const keys = Object.keys(persona.data.summaries).filter(key => key === GLOBAL_PROFILE || heldOut.some(pair => pair.chatId === key));
+    await summarizeTraining(trainingPersona, keys, summarize);
+  }
+
+  const runs = [];
+  for (const variant of variants) {
+    for (const sampleCount of sampleCounts) {
+      const replies = [];
+      for (const pair of heldOut) {
+        const prompt = buildPersonaPrompt(trainingPersona, pair.incoming, { chatId: pair.chatId, variant, sampleCount });
+        let generated;
+        try {
+          generated = (await generate(prompt)).trim();
+        } catch (error) {
+          console.error(`Error generating a reply (${variant}, ${sampleCount} samples):`, error.message);
+          replies.push({ incoming: pair.incoming, real: pair.text, error: error.message });
+          continue;
+        }
+        const reply = { incoming: pair.incoming, real: pair.text, generated, scores: stylometricScore(generated, pair.text) };
+        if (judge) {
+          reply.judge = await judgeReply(judge, pair, generated).catch(error => {
+            console.error('Error judging a reply:', error.message);
+            return null;
+          });
+        }
+        replies.push(reply);
+      }
+
+      const scored = replies.filter(reply => reply.scores);
+      const judged = scored.filter(reply => typeof reply.judge === 'number');
+      const average = (name) => round(mean(scored.map(reply => reply.scores[name])));
+      runs.push({
+        variant,
+        sampleCount,
+        replies,
+        failed: replies.length - scored.length,
+        scores: {
+          total: average('total'),
+          length: average('length'),
+          emoji: average('emoji'),
+          punctuation: average('punctuation'),
+          casing: average('casing'),
+          vocabulary: average('vocabulary'),
+          judge: judged.length > 0 ? round(mean(judged.map(reply => reply.judge))) : null
+        }
+      });
+    }
+  }
+
+  return { heldOut: heldOut.length, trainingSamples: training.length, runs };
+}
+
+/**
+ * Renders the results as Markdown, best run first
+ * @param {Object} results From runEvaluation()
+ * @param {string} date When the evaluation ran
+ * @returns {string}
+ */
+function formatReport(results, date) {
+  const runs = [...results.runs].sort((a, b) => b.scores.total - a.scores.total);
+  const hasJudge = runs.some(run => run.scores.judge !== null);
+  const headers = ['Variant', 'Samples', 'Score', 'Length', 'Emoji', 'Punctuation', 'Casing', 'Vocabulary', ...(hasJudge ? ['Judge'] : []), 'Failed'];
+  const rows = runs.map(({ variant, sampleCount, scores, failed }) => [
+    variant, sampleCount, scores.total, scores.length, scores.emoji, scores.punctuation, scores.casing, scores.vocabulary,
+    ...(hasJudge ? [scores.judge === null ? '-' : scores.judge] : []),
+    failed
+  ]);
+
+  // A few replies of the best run, to read next to the numbers
+  const examples = runs[0].replies.filter(reply => reply.generated).slice(0, 5).map(reply =>
+    `- They wrote: "${reply.incoming}"\n  You: "${reply.real}"\n  Persona: "${reply.generated}" (${reply.scores.total})`
+  );
+
+  return [
+    '# Persona evaluation',
+    `${date}: ${results.heldOut} held-out reply pairs, ${results.trainingSamples} training samples. Scores are between 0 and 1, higher is closer to your real replies.`,
+    [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n'),
+    `## Examples (${runs[0].variant}, ${runs[0].sampleCount} samples)`,
+    examples.join('\n') || 'No replies were generated.'
+  ].join('\n\n') + '\n';
+}
+
+// Reads "--name value" from the command line
+function option(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+async function main(args = process.argv.slice(2)) {
+  try {
+    const holdout = parseInt(option(args, 'holdout', '20'));
+    const variants = option(args, 'variants', 'default').split(',').map(variant => variant.trim());
+    const sampleCounts = option(args, 'samples', '5').split(',').map(count => parseInt(count));
+
+    const unknown = variants.filter(variant => !PROMPT_VARIANTS[variant]);
+    if (unknown.length > 0 || sampleCounts.some(count => !(count > 0)) || !(holdout > 0)) {
+      console.error(`Error: Invalid options. Variants are ${Object.keys(PROMPT_VARIANTS).join(', ')}; --samples and --holdout take positive numbers.`);
+      return;
+    }
+
+    const persona = new PersonaStore();
+    await persona.load();
+
+    const results = await runEvaluation({
+      persona,
+      holdout,
+      variants,
+      sampleCounts,
+      judge: args.includes('--judge') ? (prompt) => llm.generateText('judge', prompt, { json: true, temperature: 0 }) : null
+    });
+
+    const date = new Date().toISOString();
+    const report = formatReport(results, date);
+    const files = await writeReport(path.join(EVAL_DIR, date.replace(/[:.]/g, '-')), { date, ...results }, report);
+
+    console.log(report);
+    console.error(`Report saved to ${files.markdown ? `${files.markdown} and ${files.json}` : `${files.json} (encrypted)`}`);
+  } catch (error) {
+    console.error('Error evaluating the persona:', error.message);
+  }
+}
+
+// Only run directly if this script is called directly (not required)
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { runEvaluation, stylometricScore, splitSamples, judgeReply, formatReport };
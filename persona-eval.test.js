@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonaStore, GLOBAL_PROFILE } = require('./persona-store');
+const { runEvaluation, stylometricScore, splitSamples, judgeReply, formatReport } = require('./persona-eval');
+
+// A persona with reply pairs in one chat, and summaries written from all of them
+function personaWithPairs(count) {
+  const persona = new PersonaStore({ file: '/nonexistent/persona.json' });
+  for (let i = 0; i < count; i++) {
+    persona.data.samples.push({ chatId: 'ann@c.us', incoming: `question ${i}`, text: `answer number ${i}`, timestamp: i });
+  }
+  for (const key of ['ann@c.us', GLOBAL_PROFILE]) {
+    persona.data.summaries[key] = { text: 'SUMMARY OF ALL SAMPLES', sampleCount: count };
+  }
+  return persona;
+}
+
+test('summaries are written again from the training samples only', async () => {
+  const persona = personaWithPairs(14);
+  const summarized = [];
+  const prompts = [];
+  const results = await runEvaluation({
+    persona,
+    holdout: 3,
+    generate: async (prompt) => {
+      prompts.push(prompt);
+      return 'answer';
+    },
+    summarize: async (texts) => {
+      summarized.push(texts);
+      return 'SUMMARY OF TRAINING SAMPLES';
+    }
+  });
+
+  assert.equal(results.heldOut, 3);
+  assert.equal(results.trainingSamples, 11);
+  assert.equal(summarized.length, 2);
+  for (const texts of summarized) {
+    assert.deepEqual(texts, Array.from({ length: 11 }, (_, i) => `answer number ${i}`));
+  }
+  assert.equal(prompts.length, 3);
+  for (const prompt of prompts) {
+    assert.match(prompt, /SUMMARY OF TRAINING SAMPLES/);
+    assert.doesNotMatch(prompt, /SUMMARY OF ALL SAMPLES|answer number 1[1-3]/);
+  }
+  // The stored summaries are left alone
+  assert.equal(persona.data.summaries[GLOBAL_PROFILE].text, 'SUMMARY OF ALL SAMPLES');
+});
+
+test('no summaries are written when no variant uses them, or for too few samples', async () => {
+  let calls = 0;
+  const summarize = async () => {
+    calls++;
+    return 'summary';
+  };
+  const generate = async () => 'answer';
+
+  await runEvaluation({ persona: personaWithPairs(14), holdout: 3, variants: ['no-summary'], generate, summarize });
+  await runEvaluation({ persona: personaWithPairs(8), holdout: 3, generate, summarize });
+  assert.equal(calls, 0);
+});
+
+test('stylometricScore gives identical replies full marks', () => {
+  assert.deepEqual(stylometricScore('haha yes, 7 works!', 'haha yes, 7 works!'), {
+    total: 1, length: 1, emoji: 1, punctuation: 1, casing: 1, vocabulary: 1
+  });
+});
+
+test('stylometricScore notices emoji, punctuation and capitalization the user doesn\'t use', () => {
+  assert.deepEqual(stylometricScore('Sure! 😀', 'sure'), {
+    total: 0.314, length: 0.571, emoji: 0, punctuation: 0, casing: 0, vocabulary: 1
+  });
+});
+
+test('splitSamples holds out the latest reply pairs only', () => {
+  const samples = [
+    { text: 'a', incoming: 'x' },
+    { text: 'b' },
+    { text: 'c', incoming: 'y' },
+    { text: 'd', incoming: 'z' },
+    { text: 'e' }
+  ];
+  const { heldOut, training } = splitSamples(samples, 2);
+  assert.deepEqual(heldOut.map(sample => sample.text), ['c', 'd']);
+  assert.deepEqual(training.map(sample => sample.text), ['a', 'b', 'e']);
+});
+
+test('judgeReply maps the 1 to 10 rating to 0 to 1', async () => {
+  const pair = { incoming: 'Dinner?', text: 'yes!!' };
+  const judge = (reply) => judgeReply(async () => reply, pair, 'Yes.');
+  assert.equal(await judge('{"score": 10}'), 1);
+  assert.equal(await judge('{"score": 1}'), 0);
+  assert.equal(await judge('Here you go: {"score": "7"}'), 0.667);
+  assert.equal(await judge('{"score": 11}'), null);
+  assert.equal(await judge('I would say 7'), null);
+});
+
+test('runs are scored per variant and sample count, failures are counted', async () => {
+  const persona = personaWithPairs(6);
+  let calls = 0;
+  const results = await runEvaluation({
+    persona,
+    holdout: 2,
+    variants: ['default', 'no-summary'],
+    sampleCounts: [1, 3],
+    generate: async () => {
+      calls++;
+      if (calls === 1) throw new Error('model unavailable');
+      return 'answer number 5';
+    },
+    summarize: async () => 'summary',
+    judge: async () => '{"score": 4}'
+  });
+
+  assert.deepEqual(results.runs.map(run => [run.variant, run.sampleCount, run.failed]), [
+    ['default', 1, 1], ['default', 3, 0], ['no-summary', 1, 0], ['no-summary', 3, 0]
+  ]);
+  const [failedRun, run] = results.runs;
+  assert.equal(failedRun.replies[0].error, 'model unavailable');
+  assert.deepEqual(run.replies.map(reply => reply.scores.total), [0.9, 1]);
+  assert.deepEqual(run.scores, { total: 0.95, length: 1, emoji: 1, punctuation: 1, casing: 1, vocabulary: 0.75, judge: 0.333 });
+
+  const report = formatReport(results, '2026-10-18T12:00:00.000Z');
+  assert.match(report, /\| Variant \| Samples \| Score \| Length \| Emoji \| Punctuation \| Casing \| Vocabulary \| Judge \| Failed \|/);
+  assert.match(report, /2 held-out reply pairs, 4 training samples/);
+  // The run with a failed reply averages only the one it scored, which is perfect
+  assert.match(report, /## Examples \(default, 1 samples\)/);
+});
+
+test('runEvaluation needs reply pairs and training samples', async () => {
+  await assert.rejects(runEvaluation({ persona: new PersonaStore({ file: '/nonexistent/persona.json' }) }), /no reply pairs/);
+  await assert.rejects(runEvaluation({ persona: personaWithPairs(3), holdout: 3 }), /smaller --holdout/);
+});
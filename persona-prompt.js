@@ -0,0 +1,72 @@
+/**
+ * The prompt that makes the model answer in the user's style.
+ *
+ * Variants switch parts of the prompt off, so persona-eval.js can measure
+ * what each part contributes:
+ *   - default: style summary, similar reply pairs and corrections
+ *   - no-summary: without the style summary
+ *   - no-pairs: samples without the messages they answered
+ *   - recent: the most recent samples instead of the most similar ones
+ */
+
+const PROMPT_VARIANTS = {
+  default: { summary: true, pairs: true, similar: true, corrections: true },
+  'no-summary': { summary: false, pairs: true, similar: true, corrections: true },
+  'no-pairs': { summary: true, pairs: false, similar: true, corrections: true },
+  recent: { summary: true, pairs: true, similar: false, corrections: true }
+};
+
+/**
+ * Builds the persona prompt for a message
+ * @param {PersonaStore} persona The learned samples and summaries
+ * @param {string} messageText The message to answer
+ * @param {Object} [options]
+ * @param {string} [options.history] Earlier turns of the chat
+ * @param {string} [options.chatId] The chat the message was sent in
+ * @param {string} [options.variant] One of PROMPT_VARIANTS
+ * @param {number} [options.sampleCount] How many samples to show
+ * @returns {string}
+ */
+function buildPersonaPrompt(persona, messageText, { history = '', chatId = null, variant = 'default', sampleCount = 5 } = {}) {
+  const parts = PROMPT_VARIANTS[variant];
+  if (!parts) throw new Error(`Unknown persona prompt variant: ${variant}`);
+
+  // Create a prompt that instructs the model to mimic the user's style
+  let prompt = `You need to respond to this message in a way that mimics the user's writing style.\n\n`;
+
+  const summary = parts.summary && persona.summary(chatId);
+  if (summary) {
+    prompt += `How the user writes${persona.data.summaries[chatId] ? ' in this chat' : ''}:\n${summary}\n\n`;
+  }
+
+  // The user's replies to messages most like this one, preferring this chat
+  const samples = parts.similar
+    ? persona.selectSamples(messageText, chatId, sampleCount)
+    : persona.samplesFor().slice(-sampleCount);
+  prompt += `Examples of how the user writes:\n`;
+  samples.forEach((sample, index) => {
+    prompt += parts.pairs && sample.incoming
+      ? `Example ${index + 1}:\nThey wrote: "${sample.incoming}"\nThe user replied: "${sample.text}"\n\n`
+      : `Example ${index + 1}: "${sample.text}"\n\n`;
+  });
+
+  // Drafts the user rewrote before sending show what to avoid
+  const corrections = parts.corrections ? persona.corrections(chatId) : [];
+  if (corrections.length > 0) {
+    prompt += `Replies the user corrected before sending them:\n`;
+    for (const correction of corrections) {
+      prompt += `Generated: "${correction.correctionOf}"\nThe user's version: "${correction.text}"\n\n`;
+    }
+  }
+
+  if (history) {
+    prompt += `${history}\n`;
+  }
+  prompt += `Message to respond to: "${messageText}"\n\n`;
+  prompt += `Write a response that sounds exactly like it was written by the same person who wrote the example messages.
+               Match their tone, formality level, sentence structure, vocabulary, and any distinctive patterns.`;
+
+  return prompt;
+}
+
+module.exports = { buildPersonaPrompt, PROMPT_VARIANTS };
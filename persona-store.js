@@ -0,0 +1,284 @@
+/**
+ * What the agent learns about the user's writing style.
+ *
+ * Every message the user sends is kept as a sample, together with the
+ * message it answered when there is one (a reply pair). Samples are grouped
+ * by chat, so each contact and group gets its own style profile: people
+ * write differently to their boss than to their friends. When the agent
+ * answers in the user's style it picks the samples most similar to the
+ * message at hand, preferring the same chat, and adds the style summary of
+ * that profile. Everything is stored in data/user_persona.json.
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const PERSONA_FILE = path.join(DATA_DIR, 'user_persona.json');
+
+// Key of the profile over all chats
+const GLOBAL_PROFILE = '*';
+
+const MIN_SAMPLE_LENGTH = 15; // Messages that don't answer anything need some substance
+const SUMMARY_MIN_SAMPLES = 10;
+const SUMMARY_REFRESH_EVERY = 20; // New samples before a summary is written again
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text The text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Cosine similarity of the word counts of two texts
+ * @param {string} a First text
+ * @param {string} b Second text
+ * @returns {number} 0 for nothing in common, 1 for the same words
+ */
+function similarity(a, b) {
+  const counts = (text) => tokenize(text).reduce((map, word) => map.set(word, (map.get(word) || 0) + 1), new Map());
+  const countsA = counts(a);
+  const countsB = counts(b);
+  if (countsA.size === 0 || countsB.size === 0) return 0;
+
+  let dot = 0;
+  for (const [word, count] of countsA) dot += count * (countsB.get(word) || 0);
+  const norm = (map) => Math.sqrt([...map.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+// Brings data/user_persona.json files of earlier versions to the current layout
+function migrate(stored) {
+  if (stored.version === 2) return stored;
+
+  const samples = (stored.styleSamples || []).map(text => ({ chatId: null, text, timestamp: 0 }));
+  for (const entry of stored.messageHistory || []) {
+    if (entry.correctionOf) {
+      samples.push({ chatId: null, text: entry.content, correctionOf: entry.correctionOf, timestamp: entry.timestamp });
+    }
+  }
+  return { version: 2, samples, profiles: {}, summaries: {} };
+}
+
+class PersonaStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] Where the persona is persisted
+   * @param {number} [options.maxSamples] Samples kept over all chats
+   * @param {number} [options.maxSamplesPerChat] Samples kept per chat
+   * @param {number} [options.pairWindowMs] How long after a message a reply still counts as its answer
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   * @param {Function} [options.redact] (text) => text as it should be stored
+   */
+  constructor({
+    file = PERSONA_FILE,
+    maxSamples = 500,
+    maxSamplesPerChat = 50,
+    pairWindowMs = 30 * 60 * 1000,
+    now = Date.now,
+    redact = (text) => text
+  } = {}) {
+    this.file = file;
+    this.maxSamples = maxSamples;
+    this.maxSamplesPerChat = maxSamplesPerChat;
+    this.pairWindowMs = pairWindowMs;
+    this.now = now;
+    this.redact = redact;
+    this.data = migrate({});
+    // The last message received in each chat, waiting for the user's answer
+    this.pending = {};
+  }
+
+  /**
+   * Loads the persona from disk, converting files of earlier versions
+   */
+  async load() {
+    try {
+      this.data = migrate(await readJson(this.file, {}));
+      console.log(`Loaded user persona with ${this.data.samples.length} samples`);
+    } catch (error) {
+      console.error('Error loading user persona:', error);
+    }
+  }
+
+  /**
+   * Persists the persona to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, this.data, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving user persona:', error);
+    }
+  }
+
+  /**
+   * Remembers a message someone sent, so the user's next message in that
+   * chat can be stored as the reply to it
+   * @param {string} chatId The serialized chat ID
+   * @param {string} text The message text
+   */
+  noteIncoming(chatId, text) {
+    if (text) this.pending[chatId] = { text: this.redact(text), timestamp: this.now() };
+  }
+
+  /**
+   * Stores a message the user wrote
+   * @param {Object} message
+   * @param {string} message.text What the user wrote
+   * @param {string} [message.chatId] The chat it was sent in
+   * @param {string} [message.chatName] Name of the chat, for the profile
+   * @param {boolean} [message.isGroup] Whether the chat is a group
+   * @param {string} [message.incoming] The message it answers, e.g. a quoted message
+   * @param {string} [message.correctionOf] The generated draft the user rewrote
+   * @returns {Promise<Object|null>} The stored sample, or null when the message was skipped
+   */
+  async learn({ text, chatId = null, chatName, isGroup, incoming, correctionOf }) {
+    text = (text || '').trim();
+
+    // Without a quoted message, the user answers the last message of the chat
+    const pending = chatId && this.pending[chatId];
+    if (!incoming && pending && this.now() - pending.timestamp <= this.pairWindowMs) {
+      incoming = pending.text;
+    }
+    if (chatId) delete this.pending[chatId];
+
+    if (!text || (!incoming && !correctionOf && text.length < MIN_SAMPLE_LENGTH)) return null;
+
+    const sample = { chatId, text: this.redact(text), timestamp: this.now() };
+    if (incoming) sample.incoming = this.redact(incoming);
+    if (correctionOf) sample.correctionOf = this.redact(correctionOf);
+    this.data.samples.push(sample);
+
+    if (chatId) {
+      const profile = this.data.profiles[chatId] || { samplesSinceSummary: 0 };
+      this.data.profiles[chatId] = { ...profile, chatName: chatName || profile.chatName || chatId, isGroup: Boolean(isGroup) };
+    }
+    for (const key of [chatId, GLOBAL_PROFILE].filter(Boolean)) {
+      const profile = this.data.profiles[key] || (this.data.profiles[key] = { samplesSinceSummary: 0 });
+      profile.samplesSinceSummary++;
+    }
+
+    this.trim(chatId);
+    await this.save();
+    return sample;
+  }
+
+  // Drops the oldest samples of a chat and overall once there are too many
+  trim(chatId) {
+    const { samples } = this.data;
+    if (chatId) {
+      const ofChat = samples.filter(sample => sample.chatId === chatId);
+      const drop = new Set(ofChat.slice(0, Math.max(0, ofChat.length - this.maxSamplesPerChat)));
+      this.data.samples = samples.filter(sample => !drop.has(sample));
+    }
+    if (this.data.samples.length > this.maxSamples) {
+      this.data.samples = this.data.samples.slice(-this.maxSamples);
+    }
+  }
+
+  /**
+   * Deletes what was learned from a chat, or everything
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<number>} How many samples were deleted
+   */
+  async forget(chatId) {
+    const before = this.data.samples.length;
+    if (chatId) {
+      this.data.samples = this.data.samples.filter(sample => sample.chatId !== chatId);
+      delete this.data.profiles[chatId];
+      delete this.data.summaries[chatId];
+      delete this.pending[chatId];
+    } else {
+      this.data = migrate({});
+      this.pending = {};
+    }
+    await this.save();
+    return before - this.data.samples.length;
+  }
+
+  /**
+   * Gets the samples of a profile, oldest first
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Array<Object>}
+   */
+  samplesFor(chatId) {
+    if (!chatId || chatId === GLOBAL_PROFILE) return this.data.samples;
+    return this.data.samples.filter(sample => sample.chatId === chatId);
+  }
+
+  /**
+   * Picks the samples that best show how the user would answer a message:
+   * replies to similar messages first, then samples from the same chat,
+   * then recent ones
+   * @param {string} messageText The message to answer
+   * @param {string} [chatId] The chat it was sent in
+   * @param {number} [count] How many samples to pick
+   * @returns {Array<Object>}
+   */
+  selectSamples(messageText, chatId, count = 5) {
+    const { samples } = this.data;
+    const scored = samples.map((sample, index) => ({
+      sample,
+      score: similarity(messageText, sample.incoming || sample.text)
+        + (chatId && sample.chatId === chatId ? 0.3 : 0)
+        + (sample.incoming ? 0.1 : 0)
+        + 0.1 * (index + 1) / samples.length
+    }));
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(({ sample }) => sample);
+  }
+
+  /**
+   * Gets the drafts the user rewrote, newest last
+   * @param {string} [chatId] Prefer the corrections made in this chat
+   * @param {number} [count] How many corrections to return
+   * @returns {Array<Object>}
+   */
+  corrections(chatId, count = 3) {
+    const all = this.data.samples.filter(sample => sample.correctionOf);
+    const inChat = all.filter(sample => sample.chatId === chatId);
+    return (inChat.length >= count ? inChat : all).slice(-count);
+  }
+
+  /**
+   * Gets the style summary for a chat, or the overall one
+   * @param {string} [chatId] The chat
+   * @returns {string|null}
+   */
+  summary(chatId) {
+    const summaries = this.data.summaries;
+    const entry = (chatId && summaries[chatId]) || summaries[GLOBAL_PROFILE];
+    return entry ? entry.text : null;
+  }
+
+  /**
+   * Lists the profiles whose style summary should be written again
+   * @param {string} [chatId] The chat a message was just learned from
+   * @returns {Array<string>} Profile keys, GLOBAL_PROFILE for the overall one
+   */
+  summariesDue(chatId) {
+    return [chatId, GLOBAL_PROFILE].filter(key => {
+      if (!key || !this.data.profiles[key]) return false;
+      if (this.samplesFor(key).length < SUMMARY_MIN_SAMPLES) return false;
+      return !this.data.summaries[key] || this.data.profiles[key].samplesSinceSummary >= SUMMARY_REFRESH_EVERY;
+    });
+  }
+
+  /**
+   * Stores a style summary
+   * @param {string} key The chat, or GLOBAL_PROFILE
+   * @param {string} text The summary
+   */
+  async setSummary(key, text) {
+    this.data.summaries[key] = { text, sampleCount: this.samplesFor(key).length, updatedAt: this.now() };
+    this.data.profiles[key] = { ...(this.data.profiles[key] || {}), samplesSinceSummary: 0 };
+    await this.save();
+  }
+}
+
+module.exports = { PersonaStore, GLOBAL_PROFILE, SUMMARY_MIN_SAMPLES, similarity, tokenize };
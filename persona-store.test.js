@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PersonaStore } = require('./persona-store');
+
+// A persona store in a temporary directory, with a clock the test moves
+function tempPersona(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'persona-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = { now: 1000 };
+  const persona = new PersonaStore({ file: path.join(dir, 'persona.json'), pairWindowMs: 60000, now: () => clock.now });
+  return { persona, clock };
+}
+
+test('your answer to the last message of a chat is stored as a reply pair', async (t) => {
+  const { persona } = tempPersona(t);
+  persona.noteIncoming('ann@c.us', 'Are we still on for dinner?');
+  const sample = await persona.learn({ text: 'yes!! 7 at the usual place', chatId: 'ann@c.us', chatName: 'Ann' });
+
+  assert.equal(sample.incoming, 'Are we still on for dinner?');
+  assert.deepEqual(persona.samplesFor('ann@c.us').map(({ incoming, text }) => ({ incoming, text })), [
+    { incoming: 'Are we still on for dinner?', text: 'yes!! 7 at the usual place' }
+  ]);
+  assert.equal(persona.data.profiles['ann@c.us'].chatName, 'Ann');
+
+  // The message is answered once; the next one stands alone
+  const next = await persona.learn({ text: 'bringing the wine this time', chatId: 'ann@c.us' });
+  assert.equal(next.incoming, undefined);
+});
+
+test('a quoted message is the one answered', async (t) => {
+  const { persona } = tempPersona(t);
+  persona.noteIncoming('team@g.us', 'Lunch?');
+  const sample = await persona.learn({ text: 'ok', chatId: 'team@g.us', incoming: 'Can you review my PR?' });
+  assert.equal(sample.incoming, 'Can you review my PR?');
+});
+
+test('a message long after the last one is not a reply, and short ones are skipped', async (t) => {
+  const { persona, clock } = tempPersona(t);
+  persona.noteIncoming('ann@c.us', 'Are we still on for dinner?');
+  clock.now += 60001;
+  assert.equal(await persona.learn({ text: 'ok', chatId: 'ann@c.us' }), null);
+  assert.deepEqual(persona.samplesFor('ann@c.us'), []);
+});
+
+test('learned samples are saved', async (t) => {
+  const { persona } = tempPersona(t);
+  persona.noteIncoming('ann@c.us', 'Are we still on for dinner?');
+  await persona.learn({ text: 'yes!! 7 at the usual place', chatId: 'ann@c.us' });
+
+  const loaded = new PersonaStore({ file: persona.file });
+  await loaded.load();
+  assert.equal(loaded.samplesFor('ann@c.us')[0].incoming, 'Are we still on for dinner?');
+});
@@ -0,0 +1,212 @@
+/**
+ * Client for the phone bridge protocol.
+ *
+ * A companion app on the phone runs a WebSocket server that exposes the
+ * phone's contacts, files, location and calendar. The agent connects to it,
+ * authenticates with a bearer token and sends JSON requests:
+ *
+ *   -> { "id": "1", "method": "contacts.list", "params": { "query": "Priya" } }
+ *   <- { "id": "1", "result": [{ "name": "Priya", "phoneNumbers": ["+91..."] }] }
+ *   <- { "id": "1", "error": { "code": "not_found", "message": "..." } }
+ *
+ * The full list of methods is documented in the README. The connection is
+ * kept open and re-established with exponential backoff when it drops.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+class PhoneBridgeError extends Error {
+  /**
+   * @param {string} message Error description
+   * @param {string} [code] Error code sent by the bridge, or a local one (timeout, not_connected)
+   */
+  constructor(message, code = 'bridge_error') {
+    super(message);
+    this.name = 'PhoneBridgeError';
+    this.code = code;
+  }
+}
+
+class PhoneBridgeClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url WebSocket URL of the bridge, e.g. ws://192.168.1.20:8765
+   * @param {string} [options.token] Bearer token the bridge expects
+   * @param {number} [options.requestTimeoutMs] How long to wait for a response
+   * @param {number} [options.reconnectDelayMs] First delay before reconnecting
+   * @param {number} [options.maxReconnectDelayMs] Upper bound of the reconnect delay
+   */
+  constructor({ url, token, requestTimeoutMs = 10000, reconnectDelayMs = 1000, maxReconnectDelayMs = 60000 }) {
+    super();
+    this.url = url;
+    this.token = token;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+
+    this.socket = null;
+    this.connected = false;
+    this.closing = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Opens the connection. Failures are retried in the background, so this
+   * resolves once the first attempt has either succeeded or failed.
+   * @returns {Promise<boolean>} Whether the first attempt connected
+   */
+  connect() {
+    this.closing = false;
+    return new Promise(resolve => {
+      const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+      const socket = new WebSocket(this.url, { headers, handshakeTimeout: this.requestTimeoutMs });
+      this.socket = socket;
+
+      socket.on('open', () => {
+        if (this.closing) {
+          socket.close();
+          return;
+        }
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        console.log(`Connected to phone bridge at ${this.url}`);
+        this.emit('connected');
+        resolve(true);
+      });
+
+      socket.on('message', (data) => this.handleMessage(data));
+
+      socket.on('unexpected-response', (request, response) => {
+        const error = response.statusCode === 401
+          ? new PhoneBridgeError('Phone bridge rejected the token', 'unauthorized')
+          : new PhoneBridgeError(`Phone bridge refused the connection (HTTP ${response.statusCode})`);
+        console.error('Phone bridge connection error:', error.message);
+        this.emit('bridgeError', error);
+        request.destroy();
+        handleClose();
+      });
+
+      socket.on('error', (error) => {
+        console.error('Phone bridge connection error:', error.message);
+        this.emit('bridgeError', error);
+      });
+
+      // Runs once per socket, whether the handshake was refused or an open connection dropped
+      let closed = false;
+      const handleClose = () => {
+        if (closed) return;
+        closed = true;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.rejectPending(new PhoneBridgeError('Phone bridge connection closed', 'not_connected'));
+        if (wasConnected) this.emit('disconnected');
+        if (!this.closing) this.scheduleReconnect();
+        resolve(false);
+      };
+      socket.on('close', handleClose);
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    const delay = Math.min(this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelayMs);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('Phone bridge sent invalid JSON');
+      return;
+    }
+
+    const pending = this.pending.get(String(message.id));
+    if (!pending) return;
+    this.pending.delete(String(message.id));
+    clearTimeout(pending.timer);
+
+    if (message.error) {
+      pending.reject(new PhoneBridgeError(message.error.message || 'Request failed', message.error.code));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  rejectPending(error) {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Sends a request to the bridge
+   * @param {string} method The method name, e.g. contacts.list
+   * @param {Object} [params] The method parameters
+   * @returns {Promise<*>} The result sent by the bridge
+   */
+  request(method, params = {}) {
+    if (!this.connected) {
+      return Promise.reject(new PhoneBridgeError('Phone bridge is not connected', 'not_connected'));
+    }
+
+    const id = String(this.nextId++);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new PhoneBridgeError(`Phone bridge did not answer ${method} within ${this.requestTimeoutMs}ms`, 'timeout'));
+      }, this.requestTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  /**
+   * Closes the connection and stops reconnecting
+   */
+  close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.close();
+    }
+  }
+
+  // The PhoneIntegration backend interface
+
+  async getContacts(query) {
+    return await this.request('contacts.list', query ? { query } : {});
+  }
+
+  async searchFiles(query) {
+    return await this.request('files.search', { query });
+  }
+
+  async readFile(path) {
+    const result = await this.request('files.read', { path });
+    return result.content;
+  }
+
+  async getLocation() {
+    return await this.request('location.get');
+  }
+
+  async getCalendarEvents(query) {
+    return await this.request('calendar.list', query ? { query } : {});
+  }
+}
+
+module.exports = { PhoneBridgeClient, PhoneBridgeError };
@@ -0,0 +1,20 @@
+/**
+ * Errors shared by the PhoneIntegration backends.
+ */
+
+class PhoneCapabilityError extends Error {
+  /**
+   * Thrown when a backend can't provide a kind of phone data at all, e.g. a
+   * missing Termux:API command or a backend without location access
+   * @param {string} message Error description
+   * @param {string} capability The capability that is unavailable, e.g. contacts
+   */
+  constructor(message, capability) {
+    super(message);
+    this.name = 'PhoneCapabilityError';
+    this.code = 'capability_missing';
+    this.capability = capability;
+  }
+}
+
+module.exports = { PhoneCapabilityError };
@@ -1,33 +1,104 @@
 /**
- * This is a placeholder module that demonstrates how the WhatsApp agent
- * could potentially integrate with local phone resources. In a real implementation,
- * you would need to use platform-specific technologies to access phone resources.
- * 
- * For Android: You might use the Termux API or develop a custom Android app
- * For iOS: You might need to develop a custom iOS app that exposes APIs
+ * Phone integration for the WhatsApp agent.
+ *
+ * PhoneIntegration is the interface the agent uses to reach phone resources.
+ * The actual work is done by a backend, selected with PHONE_BACKEND:
+ *
+ * - stub: placeholder that returns empty data (the default)
+ * - bridge: a companion app on the phone, reached over WebSockets (see phone-bridge-client.js)
+ * - termux: Termux:API commands, when the agent runs on the phone itself (see phone-termux.js)
+ * - local: calendars (.ics) and address books (.vcf) in a local directory (see phone-local.js)
+ *
+ * A backend implements getContacts, searchFiles, readFile, getLocation and
+ * getCalendarEvents with the signatures documented below.
  */
 
-// This is a theoretical interface - actual implementation would depend on your phone setup
+const { PhoneBridgeClient } = require('./phone-bridge-client');
+const { TermuxPhoneBackend } = require('./phone-termux');
+const { LocalPhoneBackend } = require('./phone-local');
+
+// Placeholder backend used when no phone is connected
+class StubPhoneBackend {
+  async getContacts() {
+    console.log('PhoneIntegration: Accessing contacts would require platform-specific code');
+    return [];
+  }
+
+  async searchFiles(query) {
+    console.log(`PhoneIntegration: Searching for files matching "${query}"`);
+    return [];
+  }
+
+  async readFile(path) {
+    console.log(`PhoneIntegration: Reading file at "${path}"`);
+    return '';
+  }
+
+  async getLocation() {
+    console.log('PhoneIntegration: Accessing location would require platform-specific code');
+    return { latitude: 0, longitude: 0 };
+  }
+
+  async getCalendarEvents() {
+    console.log('PhoneIntegration: Accessing calendar would require platform-specific code');
+    return [];
+  }
+}
+
+/**
+ * Creates the backend configured in the environment
+ * @returns {Object} The backend
+ */
+function createBackendFromEnv() {
+  switch (process.env.PHONE_BACKEND || 'stub') {
+    case 'bridge':
+      return new PhoneBridgeClient({
+        url: process.env.PHONE_BRIDGE_URL || 'ws://localhost:8765',
+        token: process.env.PHONE_BRIDGE_TOKEN,
+        requestTimeoutMs: parseInt(process.env.PHONE_BRIDGE_TIMEOUT_MS || '10000')
+      });
+    case 'termux':
+      return new TermuxPhoneBackend({
+        storageDir: process.env.TERMUX_STORAGE_DIR,
+        locationProvider: process.env.TERMUX_LOCATION_PROVIDER
+      });
+    case 'local':
+      return new LocalPhoneBackend({ dir: process.env.PHONE_LOCAL_DIR });
+    case 'stub':
+      return new StubPhoneBackend();
+    default:
+      throw new Error(`Unknown phone backend: ${process.env.PHONE_BACKEND}`);
+  }
+}
+
 class PhoneIntegration {
+  /**
+   * Selects the backend and connects to it if it keeps a connection
+   * @param {Object} [backend] The backend to use, defaults to the one configured in the environment
+   */
+  static async init(backend = createBackendFromEnv()) {
+    this.backend = backend;
+    if (typeof backend.connect === 'function') {
+      await backend.connect();
+    }
+  }
+
   /**
    * Gets contacts from the phone's address book
+   * @param {string} [query] Name or number to filter by
    * @returns {Promise<Array>} A list of contacts
    */
-  static async getContacts() {
-    console.log('PhoneIntegration: Accessing contacts would require platform-specific code');
-    // In a real implementation, this would use platform-specific APIs
-    return [];
+  static async getContacts(query) {
+    return await this.backend.getContacts(query);
   }
 
   /**
    * Searches for files on the phone
    * @param {string} query The search query
-   * @returns {Promise<Array>} A list of file paths
+   * @returns {Promise<Array>} A list of files
    */
   static async searchFiles(query) {
-    console.log(`PhoneIntegration: Searching for files matching "${query}"`);
-    // In a real implementation, this would use platform-specific APIs
-    return [];
+    return await this.backend.searchFiles(query);
   }
 
   /**
@@ -36,9 +107,7 @@ class PhoneIntegration {
    * @returns {Promise<string>} The file content
    */
   static async readFile(path) {
-    console.log(`PhoneIntegration: Reading file at "${path}"`);
-    // In a real implementation, this would use platform-specific APIs
-    return '';
+    return await this.backend.readFile(path);
   }
 
   /**
@@ -46,23 +115,24 @@ class PhoneIntegration {
    * @returns {Promise<Object>} The location coordinates
    */
   static async getLocation() {
-    console.log('PhoneIntegration: Accessing location would require platform-specific code');
-    // In a real implementation, this would use platform-specific APIs
-    return { latitude: 0, longitude: 0 };
+    return await this.backend.getLocation();
   }
 
   /**
    * Gets calendar events from the phone
+   * @param {string} [query] What to look for, e.g. "tomorrow" or a person's name
    * @returns {Promise<Array>} A list of calendar events
    */
-  static async getCalendarEvents() {
-    console.log('PhoneIntegration: Accessing calendar would require platform-specific code');
-    // In a real implementation, this would use platform-specific APIs
-    return [];
+  static async getCalendarEvents(query) {
+    return await this.backend.getCalendarEvents(query);
   }
 }
 
+// Start with the stub so calls work before init()
+PhoneIntegration.backend = new StubPhoneBackend();
+
 module.exports = PhoneIntegration;
+module.exports.StubPhoneBackend = StubPhoneBackend;
 
 /**
  * Implementation Notes:
@@ -77,5 +147,5 @@ module.exports = PhoneIntegration;
  * 
  * Cross-Platform Options:
  * - React Native or Flutter apps could be developed to bridge between this agent and phone features
- * - A dedicated mobile app could communicate with this server via WebSockets or REST
+ * - A dedicated mobile app can implement the bridge protocol (see phone-bridge-client.js)
  */ 
\ No newline at end of file
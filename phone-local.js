@@ -0,0 +1,225 @@
+/**
+ * Local files backend for PhoneIntegration.
+ *
+ * Reads calendars (.ics) and address books (.vcf) exported from a phone or
+ * a desktop client from a directory (PHONE_LOCAL_DIR, data/phone by
+ * default) and filters them by the model's query, so a question like
+ * "when is my dentist appointment?" only returns the matching events.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./data-store');
+const { parseIcs, parseVcf, expandEvents } = require('./calendar-files');
+const { PhoneCapabilityError } = require('./phone-errors');
+const { DEFAULT_TIMEZONE, getZonedParts, startOfDay, formatInZone } = require('./time-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 1;
+const DEFAULT_LOOKAHEAD_DAYS = 180;
+const MAX_EVENTS = 20;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'am', 'an', 'and', 'any', 'are', 'at', 'do', 'does', 'for', 'have', 'i', 'in',
+  'is', 'me', 'my', 'of', 'on', 'the', 'there', 'to', 'what', 'whats', 'when', 'where', 'which',
+  'who', 'with', 'whom', 'will', 'from', 'during', 'show', 'list', 'find', 'get', 'all', 'up',
+  // Words that describe calendars and contacts rather than what to look for
+  'calendar', 'schedule', 'scheduled', 'agenda', 'event', 'events', 'appointment', 'appointments',
+  'meeting', 'meetings', 'plan', 'plans', 'busy', 'free', 'contact', 'contacts', 'number', 'numbers',
+  'phone', 'mobile', 'email', 'emails', 'address', 'details'
+]);
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+function range(startDate, days) {
+  return { start: startDate.getTime(), end: startDate.getTime() + days * DAY_MS - 1 };
+}
+
+/**
+ * Works out the time range a calendar query refers to. Understands today,
+ * tonight, tomorrow, yesterday, this/next/last week, this weekend,
+ * this/next month, weekday names ("on friday", "next monday"),
+ * "in N days", ISO dates and dates like "12 june" or "june 12".
+ * @param {string} query The query
+ * @param {Date} [now] The current time
+ * @param {string} [timeZone] The user's zone
+ * @returns {{range: {start: number, end: number}|null, rest: string}} The range, if the query
+ *   names one, and the query with the time expression removed
+ */
+function parseTimeRange(query, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  let text = ` ${(query || '').toLowerCase().replace(/[?!.,]/g, ' ')} `;
+  const today = startOfDay(now, timeZone);
+  const day = (offset) => startOfDay(now, timeZone, offset);
+  const { weekday, day: dayOfMonth, month, year } = getZonedParts(now, timeZone);
+  const monday = (weekday + 6) % 7;
+  const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const nextMonthOffset = daysInMonth(year, month) - dayOfMonth + 1;
+  const todayUtc = Date.UTC(year, month - 1, dayOfMonth);
+
+  const patterns = [
+    [/\b(today|tonight)\b/, () => range(today, 1)],
+    [/\b(day after tomorrow)\b/, () => range(day(2), 1)],
+    [/\b(tomorrow)\b/, () => range(day(1), 1)],
+    [/\b(yesterday)\b/, () => range(day(-1), 1)],
+    [/\b(this week)\b/, () => ({ start: now.getTime(), end: day(7 - monday).getTime() - 1 })],
+    [/\b(next week)\b/, () => range(day(7 - monday), 7)],
+    [/\b(last week)\b/, () => range(day(-7 - monday), 7)],
+    [/\b(this weekend|weekend)\b/, () => range(day(weekday === 0 ? -1 : 6 - weekday), 2)],
+    [/\b(this month)\b/, () => ({ start: now.getTime(), end: day(nextMonthOffset).getTime() - 1 })],
+    [/\b(next month)\b/, () => range(day(nextMonthOffset), daysInMonth(year, month + 1))],
+    [/\bin (\d+) days?\b/, (match) => range(day(parseInt(match[1])), 1)],
+    [/\b(?:next |on |this )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/, (match) => {
+      let offset = (WEEKDAYS.indexOf(match[1]) - weekday + 7) % 7;
+      if (match[0].startsWith('next ') && offset === 0) offset = 7;
+      return range(day(offset), 1);
+    }],
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, (match) => {
+      const target = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+      return range(day(Math.round((target - todayUtc) / DAY_MS)), 1);
+    }],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${MONTHS.join('|')})\\b|\\b(${MONTHS.join('|')}) (\\d{1,2})(?:st|nd|rd|th)?\\b`), (match) => {
+      const dayNumber = parseInt(match[1] || match[4]);
+      const monthIndex = MONTHS.indexOf(match[2] || match[3]);
+      let target = Date.UTC(year, monthIndex, dayNumber);
+      // Dates in the past refer to next year
+      if (target < todayUtc) target = Date.UTC(year + 1, monthIndex, dayNumber);
+      return range(day(Math.round((target - todayUtc) / DAY_MS)), 1);
+    }]
+  ];
+
+  for (const [pattern, toRange] of patterns) {
+    const match = pattern.exec(text);
+    if (match) {
+      text = text.replace(match[0], ' ');
+      return { range: toRange(match), rest: text.trim() };
+    }
+  }
+  return { range: null, rest: text.trim() };
+}
+
+/**
+ * Splits a query into the words worth matching, dropping filler words
+ * @param {string} text The query
+ * @returns {Array<string>} Lowercase search terms
+ */
+function searchTerms(text) {
+  return ((text || '').toLowerCase().replace(/'s\b/g, '').match(/[\p{L}\p{N}+]+/gu) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+function matchesTerms(terms, ...fields) {
+  if (terms.length === 0) return true;
+  const haystack = fields.flat().filter(Boolean).join(' ').toLowerCase();
+  return terms.some(term => haystack.includes(term));
+}
+
+async function listFiles(dir, extension) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath, extension));
+    } else if (entry.name.toLowerCase().endsWith(extension)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+class LocalPhoneBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Directory with the .ics and .vcf files
+   * @param {string} [options.timeZone] The user's zone, for floating times and queries
+   * @param {Function} [options.now] Returns the current time, replaceable for tests
+   */
+  constructor({ dir = path.join(DATA_DIR, 'phone'), timeZone = DEFAULT_TIMEZONE, now = () => new Date() } = {}) {
+    this.dir = dir;
+    this.timeZone = timeZone;
+    this.now = now;
+  }
+
+  async readAll(extension, parse) {
+    const items = [];
+    for (const file of await listFiles(this.dir, extension)) {
+      try {
+        items.push(...parse(await fs.readFile(file, 'utf8')));
+      } catch (error) {
+        console.error(`Error reading ${file}:`, error.message);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Gets contacts, filtered by name, organization, email or number
+   * @param {string} [query] e.g. "Priya" or "what is Priya's number"
+   * @returns {Promise<Array<Object>>}
+   */
+  async getContacts(query) {
+    const contacts = await this.readAll('.vcf', parseVcf);
+    const terms = searchTerms(query);
+    const digits = (query || '').replace(/\D/g, '');
+
+    return contacts.filter(contact =>
+      matchesTerms(terms, contact.name, contact.organization, contact.emails) ||
+      (digits.length >= 4 && contact.phoneNumbers.some(number => number.replace(/\D/g, '').includes(digits)))
+    );
+  }
+
+  /**
+   * Gets calendar events matching a query. Time expressions ("tomorrow",
+   * "next week", ...) pick the range; other words must match the title,
+   * location, description or attendees. Without a time expression the
+   * coming months are searched.
+   * @param {string} [query] e.g. "dentist" or "meetings with Priya next week"
+   * @returns {Promise<Array<Object>>}
+   */
+  async getCalendarEvents(query) {
+    const now = this.now();
+    const { range: timeRange, rest } = parseTimeRange(query, now, this.timeZone);
+    const from = timeRange ? timeRange.start : now.getTime() - DEFAULT_LOOKBACK_DAYS * DAY_MS;
+    const to = timeRange ? timeRange.end : now.getTime() + DEFAULT_LOOKAHEAD_DAYS * DAY_MS;
+    const terms = searchTerms(rest);
+
+    const events = await this.readAll('.ics', text => parseIcs(text, this.timeZone));
+    return expandEvents(events, from, to)
+      .filter(event => matchesTerms(terms, event.title, event.location, event.description, event.attendees))
+      .slice(0, MAX_EVENTS)
+      .map(event => ({
+        title: event.title,
+        start: event.start.toISOString(),
+        end: event.end.toISOString(),
+        when: event.allDay
+          ? `${formatInZone(event.start, this.timeZone, true)} (all day)`
+          : `${formatInZone(event.start, this.timeZone)} - ${formatInZone(event.end, this.timeZone)}`,
+        allDay: event.allDay,
+        location: event.location,
+        description: event.description,
+        attendees: event.attendees
+      }));
+  }
+
+  async searchFiles() {
+    throw new PhoneCapabilityError('The local backend only provides calendars and contacts.', 'files');
+  }
+
+  async readFile() {
+    throw new PhoneCapabilityError('The local backend only provides calendars and contacts.', 'files');
+  }
+
+  async getLocation() {
+    throw new PhoneCapabilityError('The local backend has no location access.', 'location');
+  }
+}
+
+module.exports = { LocalPhoneBackend, parseTimeRange, searchTerms };
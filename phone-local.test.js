@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { LocalPhoneBackend, parseTimeRange, searchTerms } = require('./phone-local');
+const { PhoneCapabilityError } = require('./phone-errors');
+
+const ZONE = 'Europe/Berlin';
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(Date.UTC(2026, 9, 20, 10, 0)); // Tuesday, 12:00 in Berlin
+
+// The start of a day in Berlin, and the range that covers it and the days after
+const berlinDay = (month, day, offsetHours = 2) => Date.UTC(2026, month - 1, day) - offsetHours * 60 * 60 * 1000;
+const days = (start, count) => ({ start, end: start + count * DAY - 1 });
+
+// A backend over the exported calendar and contacts, on the test's Tuesday
+const backend = () => new LocalPhoneBackend({ dir: path.join(__dirname, 'fixtures', 'local'), timeZone: ZONE, now: () => NOW });
+
+const titles = (events) => events.map(event => event.title);
+
+test('parseTimeRange finds the days a query refers to and leaves the rest', () => {
+  const parse = (query) => parseTimeRange(query, NOW, ZONE);
+  assert.deepEqual(parse('What do I have today?'), { range: days(berlinDay(10, 20), 1), rest: 'what do i have' });
+  assert.deepEqual(parse('meetings with Priya next week'), { range: days(berlinDay(10, 26, 1), 7), rest: 'meetings with priya' });
+  assert.deepEqual(parse('this week').range, { start: NOW.getTime(), end: berlinDay(10, 26, 1) - 1 });
+  assert.deepEqual(parse('this weekend').range, days(berlinDay(10, 24), 2));
+  assert.deepEqual(parse('on friday').range, days(berlinDay(10, 23), 1));
+  // Today's weekday means next week's after "next"
+  assert.deepEqual(parse('tuesday').range, days(berlinDay(10, 20), 1));
+  assert.deepEqual(parse('next tuesday').range, days(berlinDay(10, 27, 1), 1));
+  assert.deepEqual(parse('in 3 days').range, days(berlinDay(10, 23), 1));
+  assert.deepEqual(parse('2026-11-01').range, days(berlinDay(11, 1, 1), 1));
+  // Dates that have passed this year are next year's
+  assert.deepEqual(parse('june 12th').range, days(Date.UTC(2027, 5, 11, 22), 1));
+  assert.deepEqual(parse('dentist'), { range: null, rest: 'dentist' });
+});
+
+test('searchTerms drops filler words, possessives and single letters', () => {
+  assert.deepEqual(searchTerms("What is Priya's number?"), ['priya']);
+  assert.deepEqual(searchTerms('Lunch with Anna on the 3rd'), ['lunch', 'anna', '3rd']);
+  assert.deepEqual(searchTerms(''), []);
+});
+
+test('calendar queries search the coming months, or the days they name', async () => {
+  const local = backend();
+  const [dentist] = await local.getCalendarEvents('When is my dentist appointment?');
+  assert.deepEqual(dentist, {
+    title: 'Dentist',
+    start: '2026-10-22T07:30:00.000Z',
+    end: '2026-10-22T08:15:00.000Z',
+    when: dentist.when,
+    allDay: false,
+    location: 'Praxis Dr. Weber, Hauptstr. 5',
+    description: 'Bring the insurance card.\nCheck-up and cleaning; about 45 minutes.',
+    attendees: []
+  });
+  assert.match(dentist.when, /09:30.* - .*10:15/);
+
+  assert.deepEqual(titles(await local.getCalendarEvents('tomorrow')), ['Standup']);
+  assert.deepEqual(titles(await local.getCalendarEvents('on friday')), ['Call with Bob']);
+  assert.deepEqual(titles(await local.getCalendarEvents('meetings with Priya next week')), ['Standup (moved)']);
+  assert.deepEqual(titles(await local.getCalendarEvents('next week')), ['Standup (moved)', 'Team drinks', "Anna's birthday"]);
+  assert.deepEqual(titles(await local.getCalendarEvents('kneipe')), ['Team drinks', 'Team drinks', 'Team drinks']);
+
+  const [birthday] = await local.getCalendarEvents('1 november');
+  assert.equal(birthday.allDay, true);
+  assert.match(birthday.when, /\(all day\)$/);
+  assert.deepEqual(await local.getCalendarEvents('yoga'), [], 'cancelled events are left out');
+});
+
+test('contacts are found by name, organization, email or digits of the number', async () => {
+  const local = backend();
+  const names = async (query) => (await local.getContacts(query)).map(contact => contact.name);
+  assert.deepEqual(await names(), ['Priya Patel', 'Klaus Weber', 'Anna Schmidt']);
+  assert.deepEqual(await names("What is Priya's number?"), ['Priya Patel']);
+  assert.deepEqual(await names('acme'), ['Priya Patel']);
+  assert.deepEqual(await names('.org'), ['Anna Schmidt']);
+  assert.deepEqual(await names('who has 30 1234567'), ['Klaus Weber']);
+  assert.deepEqual(await names('nobody'), []);
+});
+
+test('a missing folder is empty, and files and location are missing capabilities', async () => {
+  const local = new LocalPhoneBackend({ dir: path.join(__dirname, 'fixtures', 'local', 'missing'), timeZone: ZONE, now: () => NOW });
+  assert.deepEqual(await local.getContacts(), []);
+  assert.deepEqual(await local.getCalendarEvents('dentist'), []);
+
+  for (const [call, capability] of [['searchFiles', 'files'], ['readFile', 'files'], ['getLocation', 'location']]) {
+    await assert.rejects(local[call](), (error) => error instanceof PhoneCapabilityError && error.capability === capability);
+  }
+});
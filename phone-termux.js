@@ -0,0 +1,215 @@
+/**
+ * Termux:API backend for PhoneIntegration.
+ *
+ * For running the agent on the Android phone itself inside Termux. Contacts
+ * and location come from the Termux:API commands (termux-contact-list,
+ * termux-location), files are searched under shared storage (set up with
+ * termux-setup-storage). Needs the Termux:API app and `pkg install termux-api`.
+ *
+ * The output parsers are exported separately so they can be checked against
+ * recorded command output.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PhoneCapabilityError } = require('./phone-errors');
+
+const MAX_FILE_RESULTS = 20;
+const MAX_SEARCH_DEPTH = 6;
+const MAX_READ_BYTES = 100 * 1024;
+
+/**
+ * Runs a Termux:API command and returns its standard output
+ * @param {string} command The command, e.g. termux-location
+ * @param {Array<string>} args Command arguments
+ * @param {Object} options
+ * @param {string} options.capability The capability the command provides
+ * @param {number} [options.timeoutMs] How long the command may run
+ * @returns {Promise<string>} The output
+ */
+function runTermuxCommand(command, args, { capability, timeoutMs = 30000 }) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error && error.code === 'ENOENT') {
+        reject(new PhoneCapabilityError(
+          `${command} is not available. Install the Termux:API app and run "pkg install termux-api".`,
+          capability
+        ));
+      } else if (error && error.killed) {
+        reject(new Error(`${command} did not finish within ${timeoutMs}ms`));
+      } else if (error) {
+        reject(new Error(`${command} failed: ${error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Termux:API reports failures (e.g. a missing permission) as {"API_ERROR": "..."}
+function parseTermuxJson(output, command, capability) {
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (error) {
+    throw new Error(`${command} returned invalid JSON`);
+  }
+  if (data && data.API_ERROR) {
+    throw new PhoneCapabilityError(`${command} failed: ${data.API_ERROR}`, capability);
+  }
+  return data;
+}
+
+/**
+ * Parses termux-contact-list output into { name, phoneNumbers, emails } contacts.
+ * Termux lists one entry per number, so entries with the same name are merged.
+ * @param {string} output The command output
+ * @returns {Array<{name: string, phoneNumbers: Array<string>, emails: Array<string>}>}
+ */
+function parseContactList(output) {
+  const entries = parseTermuxJson(output, 'termux-contact-list', 'contacts');
+  if (!Array.isArray(entries)) {
+    throw new Error('termux-contact-list did not return a list');
+  }
+
+  const contacts = new Map();
+  for (const entry of entries) {
+    const name = entry.name || entry.number;
+    if (!name) continue;
+    const contact = contacts.get(name) || { name, phoneNumbers: [], emails: [] };
+    if (entry.number && !contact.phoneNumbers.includes(entry.number)) {
+      contact.phoneNumbers.push(entry.number);
+    }
+    contacts.set(name, contact);
+  }
+  return [...contacts.values()];
+}
+
+/**
+ * Parses termux-location output into { latitude, longitude, accuracy, ... }
+ * @param {string} output The command output
+ * @returns {{latitude: number, longitude: number, accuracy: number, altitude: number, provider: string}}
+ */
+function parseLocation(output) {
+  const data = parseTermuxJson(output, 'termux-location', 'location');
+  if (!data || typeof data.latitude !== 'number' || typeof data.longitude !== 'number') {
+    throw new PhoneCapabilityError('termux-location returned no position (is location enabled?)', 'location');
+  }
+  return {
+    latitude: data.latitude,
+    longitude: data.longitude,
+    accuracy: data.accuracy,
+    altitude: data.altitude,
+    provider: data.provider
+  };
+}
+
+class TermuxPhoneBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageDir] Root of the shared storage to search
+   * @param {string} [options.locationProvider] gps, network or passive
+   * @param {Function} [options.run] Command runner, replaceable for tests
+   */
+  constructor({
+    storageDir = path.join(os.homedir(), 'storage', 'shared'),
+    locationProvider = 'network',
+    run = runTermuxCommand
+  } = {}) {
+    this.storageDir = path.resolve(storageDir);
+    this.locationProvider = locationProvider;
+    this.run = run;
+  }
+
+  async getContacts(query) {
+    const output = await this.run('termux-contact-list', [], { capability: 'contacts' });
+    const contacts = parseContactList(output);
+    if (!query) return contacts;
+
+    const needle = query.toLowerCase();
+    return contacts.filter(contact =>
+      contact.name.toLowerCase().includes(needle) ||
+      contact.phoneNumbers.some(number => number.replace(/\s/g, '').includes(needle.replace(/\s/g, '')))
+    );
+  }
+
+  async getLocation() {
+    const output = await this.run(
+      'termux-location',
+      ['-p', this.locationProvider, '-r', 'once'],
+      { capability: 'location', timeoutMs: 60000 }
+    );
+    return parseLocation(output);
+  }
+
+  async getCalendarEvents() {
+    throw new PhoneCapabilityError('Termux:API has no calendar access. Use the bridge or local backend for calendars.', 'calendar');
+  }
+
+  async searchFiles(query) {
+    try {
+      await fs.access(this.storageDir);
+    } catch (error) {
+      throw new PhoneCapabilityError(
+        `Shared storage not found at ${this.storageDir}. Run "termux-setup-storage" first.`,
+        'files'
+      );
+    }
+
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    const walk = async (dir, depth) => {
+      if (depth > MAX_SEARCH_DEPTH || results.length >= MAX_FILE_RESULTS) return;
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Unreadable directory, e.g. Android/data
+      }
+
+      for (const entry of entries) {
+        if (results.length >= MAX_FILE_RESULTS) return;
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(fullPath, depth + 1);
+        } else if (entry.isFile() && words.every(word => entry.name.toLowerCase().includes(word))) {
+          const stats = await fs.stat(fullPath);
+          results.push({
+            path: fullPath,
+            name: entry.name,
+            size: stats.size,
+            modified: stats.mtime.toISOString()
+          });
+        }
+      }
+    };
+
+    await walk(this.storageDir, 0);
+    return results;
+  }
+
+  async readFile(filePath) {
+    const resolved = path.resolve(this.storageDir, filePath);
+    if (resolved !== this.storageDir && !resolved.startsWith(this.storageDir + path.sep)) {
+      throw new Error(`Only files under ${this.storageDir} can be read`);
+    }
+
+    const handle = await fs.open(resolved, 'r');
+    try {
+      const buffer = Buffer.alloc(MAX_READ_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, MAX_READ_BYTES, 0);
+      const { size } = await handle.stat();
+      const content = buffer.subarray(0, bytesRead).toString('utf8');
+      return size > MAX_READ_BYTES ? `${content}\n[truncated, file is ${size} bytes]` : content;
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = { TermuxPhoneBackend, PhoneCapabilityError, parseContactList, parseLocation };
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TermuxPhoneBackend, PhoneCapabilityError, parseContactList, parseLocation } = require('./phone-termux');
+
+// Output recorded from the Termux:API commands
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'termux', name), 'utf8');
+
+test('parseContactList merges the numbers of a contact and names unnamed ones by number', () => {
+  assert.deepEqual(parseContactList(fixture('contact-list.json')), [
+    { name: 'Anna Schmidt', phoneNumbers: ['+49 151 23456789', '+49 30 1234567'], emails: [] },
+    { name: 'Dentist', phoneNumbers: ['030 9876543'], emails: [] },
+    { name: '+44 7700 900123', phoneNumbers: ['+44 7700 900123'], emails: [] }
+  ]);
+  assert.deepEqual(parseContactList('[]'), []);
+});
+
+test('parseContactList rejects output that is not a contact list', () => {
+  assert.throws(() => parseContactList('{"API_ERROR": "Contacts permission not granted"}'), PhoneCapabilityError);
+  assert.throws(() => parseContactList('termux-api: not found'), /invalid JSON/);
+  assert.throws(() => parseContactList('{}'), /did not return a list/);
+});
+
+test('parseLocation keeps the position and where it came from', () => {
+  assert.deepEqual(parseLocation(fixture('location.json')), {
+    latitude: 52.5200066,
+    longitude: 13.404954,
+    accuracy: 14.199999809265137,
+    altitude: 74.30000305175781,
+    provider: 'network'
+  });
+});
+
+test('parseLocation reports a missing permission or position as a missing capability', () => {
+  assert.throws(() => parseLocation(fixture('location-permission-denied.json')), (error) => {
+    assert.ok(error instanceof PhoneCapabilityError);
+    assert.equal(error.capability, 'location');
+    assert.match(error.message, /ACCESS_FINE_LOCATION/);
+    return true;
+  });
+  assert.throws(() => parseLocation('{}'), /no position/);
+});
+
+test('getContacts filters by name or by number, ignoring spaces', async () => {
+  const backend = new TermuxPhoneBackend({ run: async () => fixture('contact-list.json') });
+  assert.deepEqual((await backend.getContacts('anna')).map(contact => contact.name), ['Anna Schmidt']);
+  assert.deepEqual((await backend.getContacts('0309876')).map(contact => contact.name), ['Dentist']);
+  assert.equal((await backend.getContacts()).length, 3);
+});
+
+test('getLocation asks the configured provider once', async () => {
+  const calls = [];
+  const backend = new TermuxPhoneBackend({
+    locationProvider: 'gps',
+    run: async (command, args, options) => {
+      calls.push({ command, args, capability: options.capability });
+      return fixture('location.json');
+    }
+  });
+  assert.equal((await backend.getLocation()).latitude, 52.5200066);
+  assert.deepEqual(calls, [{ command: 'termux-location', args: ['-p', 'gps', '-r', 'once'], capability: 'location' }]);
+});
+
+test('files are searched and read only under the shared storage', async (t) => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'termux-storage-'));
+  t.after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(storageDir, 'Documents'));
+  fs.writeFileSync(path.join(storageDir, 'Documents', 'Rental contract 2026.txt'), 'Rent: 900 EUR');
+  fs.writeFileSync(path.join(storageDir, 'Documents', 'notes.txt'), 'nothing');
+  fs.mkdirSync(path.join(storageDir, '.thumbnails'));
+  fs.writeFileSync(path.join(storageDir, '.thumbnails', 'contract.jpg'), '');
+
+  const backend = new TermuxPhoneBackend({ storageDir, run: async () => { throw new Error('not used'); } });
+  const results = await backend.searchFiles('rental CONTRACT');
+  assert.deepEqual(results.map(result => result.name), ['Rental contract 2026.txt']);
+  assert.equal(await backend.readFile(results[0].path), 'Rent: 900 EUR');
+  assert.equal(await backend.readFile('Documents/notes.txt'), 'nothing');
+  await assert.rejects(backend.readFile('../../etc/passwd'), /Only files under/);
+});
+
+test('a missing shared storage and calendars are missing capabilities', async () => {
+  const backend = new TermuxPhoneBackend({ storageDir: path.join(os.tmpdir(), 'no-such-termux-storage') });
+  await assert.rejects(backend.searchFiles('contract'), (error) => error instanceof PhoneCapabilityError && /termux-setup-storage/.test(error.message));
+  await assert.rejects(backend.getCalendarEvents(), (error) => error.capability === 'calendar');
+});
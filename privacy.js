@@ -0,0 +1,201 @@
+/**
+ * Export and deletion of the chat data the agent stores.
+ *
+ * Covers the conversation memory, the learned persona, pending drafts,
+ * scheduled messages, model usage, queued and failed messages, the chat
+ * history in the knowledge base and the style and evaluation reports. An
+ * export is a single plain JSON file in data/exports/, for one chat or for
+ * everything.
+ * Wiping a chat removes what is stored about it; wiping everything also
+ * removes the search cache, the reports and earlier exports. Settings and
+ * the access policy are configuration and are kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, EVAL_DIR, readJson, writeJson } = require('./data-store');
+const { REPORTS_DIR, snapshotName } = require('./style-metrics');
+
+const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+
+// The part of report and export file names that names a chat
+function chatSuffix(chatId) {
+  return snapshotName('', chatId);
+}
+
+async function listFiles(dir) {
+  try {
+    return (await fs.readdir(dir)).map(name => path.join(dir, name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+class PrivacyManager {
+  /**
+   * @param {Object} stores
+   * @param {ConversationMemory} stores.conversationMemory Per-chat history
+   * @param {PersonaStore} stores.persona The learned writing style
+   * @param {DraftManager} stores.drafts Replies waiting for approval
+   * @param {Scheduler} stores.scheduler Reminders and scheduled messages
+   * @param {WebSearch} [stores.webSearch] Its cache holds the search queries
+   * @param {UsageTracker} [stores.usage] Model usage per chat
+   * @param {MessageQueue} [stores.inbox] Messages waiting for an answer, and the failed ones
+   * @param {KnowledgeBase} [stores.knowledge] Its index holds passages of the chat history
+   * @param {string} [stores.reportsDir] Style reports, see style-metrics.js
+   * @param {string} [stores.evalDir] Persona evaluation reports
+   * @param {string} [stores.exportsDir] Where exports are written
+   * @param {Function} [stores.now] Returns the current time in milliseconds
+   */
+  constructor({
+    conversationMemory,
+    persona,
+    drafts,
+    scheduler,
+    webSearch = null,
+    usage = null,
+    inbox = null,
+    knowledge = null,
+    reportsDir = REPORTS_DIR,
+    evalDir = EVAL_DIR,
+    exportsDir = EXPORTS_DIR,
+    now = Date.now
+  }) {
+    this.conversationMemory = conversationMemory;
+    this.persona = persona;
+    this.drafts = drafts;
+    this.scheduler = scheduler;
+    this.webSearch = webSearch;
+    this.usage = usage;
+    this.inbox = inbox;
+    this.knowledge = knowledge;
+    this.reportsDir = reportsDir;
+    this.evalDir = evalDir;
+    this.exportsDir = exportsDir;
+    this.now = now;
+  }
+
+  // Report files about a chat, or all report files
+  async reportFiles(chatId) {
+    const files = await listFiles(this.reportsDir);
+    if (chatId) {
+      return files.filter(file => path.basename(file, path.extname(file)).endsWith(chatSuffix(chatId)));
+    }
+    return [...files, ...await listFiles(this.evalDir)];
+  }
+
+  // Model usage by day, of one chat or all
+  usageOf(chatId) {
+    const entries = Object.entries(this.usage.days).map(([date, day]) => [date, chatId ? day.chats[chatId] : day]);
+    return Object.fromEntries(entries.filter(([, counts]) => counts));
+  }
+
+  /**
+   * Gathers everything stored about a chat, or about all chats
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<Object>}
+   */
+  async collect(chatId) {
+    const { data } = this.persona;
+    const reports = {};
+    for (const file of await this.reportFiles(chatId)) {
+      if (path.extname(file) !== '.json') continue; // The Markdown files show the same reports
+      reports[`${path.basename(path.dirname(file))}/${path.basename(file)}`] = await readJson(file, null);
+    }
+
+    return {
+      exportedAt: new Date(this.now()).toISOString(),
+      chatId: chatId || null,
+      conversations: chatId
+        ? { [chatId]: this.conversationMemory.getTurns(chatId) }
+        : this.conversationMemory.chats,
+      persona: {
+        samples: this.persona.samplesFor(chatId),
+        profiles: chatId ? { [chatId]: data.profiles[chatId] } : data.profiles,
+        summaries: chatId ? { [chatId]: data.summaries[chatId] } : data.summaries
+      },
+      drafts: this.drafts.list().filter(draft => !chatId || draft.chatId === chatId),
+      scheduled: this.scheduler.list(chatId),
+      usage: this.usage ? this.usageOf(chatId) : {},
+      queued: this.inbox ? [...this.inbox.pending(chatId), ...this.inbox.deadLetters().filter(item => !chatId || item.chatId === chatId)] : [],
+      knowledge: this.knowledge ? this.knowledge.chatHistory(chatId) : [],
+      reports
+    };
+  }
+
+  /**
+   * Counts what is stored about a chat, or about all chats. Reports are
+   * counted without reading them, so files that can't be decrypted can
+   * still be wiped.
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<{turns: number, samples: number, drafts: number, scheduled: number, chatDays: number, reports: number}>}
+   */
+  async describe(chatId) {
+    const conversations = chatId ? [this.conversationMemory.getTurns(chatId)] : Object.values(this.conversationMemory.chats);
+    return {
+      turns: conversations.reduce((sum, turns) => sum + turns.length, 0),
+      samples: this.persona.samplesFor(chatId).length,
+      drafts: this.drafts.list().filter(draft => !chatId || draft.chatId === chatId).length,
+      scheduled: this.scheduler.list(chatId).length,
+      chatDays: this.knowledge ? this.knowledge.chatHistory(chatId).length : 0,
+      reports: (await this.reportFiles(chatId)).filter(file => path.extname(file) === '.json').length
+    };
+  }
+
+  /**
+   * Writes everything stored about a chat, or about all chats, to a file.
+   * The export is never encrypted, so it can be read anywhere.
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<string>} The path of the export
+   */
+  async export(chatId) {
+    const collected = await this.collect(chatId);
+    const name = `${chatId ? `chat${chatSuffix(chatId)}` : 'all'}-${collected.exportedAt.replace(/[:.]/g, '-')}.json`;
+    const file = path.join(this.exportsDir, name);
+    await writeJson(file, collected);
+    return file;
+  }
+
+  /**
+   * Deletes everything stored about a chat, or about all chats
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<{turns: number, samples: number, drafts: number, scheduled: number, chatDays: number, reports: number}>} What was deleted
+   */
+  async wipe(chatId) {
+    const counts = await this.describe(chatId);
+
+    if (chatId) {
+      await this.conversationMemory.clear(chatId);
+    } else {
+      await this.conversationMemory.clearAll();
+      if (this.webSearch) await this.webSearch.clearCache();
+    }
+    await this.persona.forget(chatId);
+    await this.drafts.forget(chatId);
+    await this.scheduler.forget(chatId);
+    if (this.usage) await this.usage.forget(chatId);
+    if (this.inbox) await this.inbox.forget(chatId);
+    if (this.knowledge) await this.knowledge.forget(chatId);
+
+    // Earlier exports of the chat go too, they hold the same data
+    const exports = (await listFiles(this.exportsDir))
+      .filter(file => !chatId || path.basename(file).startsWith(`chat${chatSuffix(chatId)}-`));
+    for (const file of [...await this.reportFiles(chatId), ...exports]) {
+      await fs.unlink(file).catch(error => console.error(`Error deleting ${file}:`, error.message));
+    }
+    return counts;
+  }
+}
+
+/**
+ * Describes the counts from describe() or wipe()
+ * @param {Object} counts The counts
+ * @returns {string} e.g. "12 conversation turns, 30 style samples, 0 drafts, ..."
+ */
+function formatCounts({ turns, samples, drafts, scheduled, chatDays, reports }) {
+  return `${turns} conversation turns, ${samples} style samples, ${drafts} drafts, ` +
+    `${scheduled} scheduled messages, ${chatDays} days of indexed chat history and ${reports} reports`;
+}
+
+module.exports = { PrivacyManager, formatCounts, EXPORTS_DIR };
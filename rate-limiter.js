@@ -0,0 +1,200 @@
+/**
+ * Protection against message floods before any model is called.
+ *
+ * - RateLimiter: at most N messages per minute in a chat and over all
+ *   chats. A chat or the whole agent that goes over its limit is ignored
+ *   until its cooldown ends.
+ * - LoopDetector: another bot answering our replies as fast as we answer
+ *   its messages is a loop. After a few such exchanges in a row, the chat
+ *   is paused for a while.
+ * - ReplyDeduper: the same question asked again in a chat shortly after
+ *   gets the answer that was already generated, instead of new model calls.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getLimits] Returns { perChat, global, cooldownMs }; limits are messages per minute
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    getLimits = () => ({ perChat: 6, global: 30, cooldownMs: MINUTE_MS }),
+    now = Date.now
+  } = {}) {
+    this.getLimits = getLimits;
+    this.now = now;
+    // Message times of the last minute and the end of the cooldown, by chat; '*' is all chats
+    this.windows = new Map();
+  }
+
+  window(key) {
+    if (!this.windows.has(key)) this.windows.set(key, { times: [], cooldownUntil: 0 });
+    return this.windows.get(key);
+  }
+
+  /**
+   * Counts a message and tells whether it may be answered
+   * @param {string} chatId The chat it was sent in
+   * @returns {{allowed: boolean, scope?: string, retryAfterMs?: number, started?: boolean}}
+   *   scope is 'chat' or 'global' when the message is refused; started is
+   *   true for the message that started the cooldown
+   */
+  hit(chatId) {
+    const now = this.now();
+    const { perChat, global, cooldownMs } = this.getLimits();
+
+    for (const [scope, key] of [['global', '*'], ['chat', chatId]]) {
+      const state = this.window(key);
+      if (state.cooldownUntil > now) {
+        return { allowed: false, scope, retryAfterMs: state.cooldownUntil - now, started: false };
+      }
+    }
+
+    const checks = [['global', '*', global], ['chat', chatId, perChat]];
+    for (const [scope, key, limit] of checks) {
+      const state = this.window(key);
+      state.times = state.times.filter(time => now - time < MINUTE_MS);
+      if (state.times.length >= limit) {
+        state.cooldownUntil = now + cooldownMs;
+        state.times = [];
+        return { allowed: false, scope, retryAfterMs: cooldownMs, started: true };
+      }
+    }
+    for (const [, key] of checks) {
+      this.window(key).times.push(now);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Lists the chats that are cooling down
+   * @returns {Array<{chatId: string, retryAfterMs: number}>} chatId '*' means all chats
+   */
+  cooldowns() {
+    const now = this.now();
+    return [...this.windows.entries()]
+      .filter(([, state]) => state.cooldownUntil > now)
+      .map(([chatId, state]) => ({ chatId, retryAfterMs: state.cooldownUntil - now }));
+  }
+}
+
+class LoopDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxExchanges] Fast answers in a row that count as a loop
+   * @param {number} [options.replyWindowMs] How soon after our reply an answer counts as fast
+   * @param {number} [options.pauseMs] How long a chat with a loop is paused
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({ maxExchanges = 5, replyWindowMs = 5000, pauseMs = 10 * MINUTE_MS, now = Date.now } = {}) {
+    this.maxExchanges = maxExchanges;
+    this.replyWindowMs = replyWindowMs;
+    this.pauseMs = pauseMs;
+    this.now = now;
+    this.chats = new Map();
+  }
+
+  chat(chatId) {
+    if (!this.chats.has(chatId)) this.chats.set(chatId, { lastReplyAt: 0, streak: 0, pausedUntil: 0 });
+    return this.chats.get(chatId);
+  }
+
+  /**
+   * Remembers that the agent answered in a chat
+   * @param {string} chatId The chat
+   */
+  noteReply(chatId) {
+    this.chat(chatId).lastReplyAt = this.now();
+  }
+
+  /**
+   * Checks a received message for a reply loop
+   * @param {string} chatId The chat it was sent in
+   * @returns {{paused: boolean, detected: boolean}} detected is true for the message that revealed the loop
+   */
+  noteIncoming(chatId) {
+    const now = this.now();
+    const state = this.chat(chatId);
+    if (state.pausedUntil > now) return { paused: true, detected: false };
+
+    const fast = state.lastReplyAt > 0 && now - state.lastReplyAt <= this.replyWindowMs;
+    state.streak = fast ? state.streak + 1 : 0;
+    if (state.streak >= this.maxExchanges) {
+      state.streak = 0;
+      state.pausedUntil = now + this.pauseMs;
+      return { paused: true, detected: true };
+    }
+    return { paused: false, detected: false };
+  }
+
+  /**
+   * Lists the chats paused because of a loop
+   * @returns {Array<{chatId: string, retryAfterMs: number}>}
+   */
+  paused() {
+    const now = this.now();
+    return [...this.chats.entries()]
+      .filter(([, state]) => state.pausedUntil > now)
+      .map(([chatId, state]) => ({ chatId, retryAfterMs: state.pausedUntil - now }));
+  }
+}
+
+// Ignores case, spacing and trailing punctuation, so "What's the time?" and "what's the time" match
+function normalizeQuestion(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?…]+$/u, '').trim();
+}
+
+class ReplyDeduper {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] How long an answer is reused
+   * @param {number} [options.minLength] Shorter messages, like "ok" or "yes", are always answered anew
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({ windowMs = 5 * MINUTE_MS, minLength = 10, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.minLength = minLength;
+    this.now = now;
+    this.answers = new Map();
+  }
+
+  /**
+   * Answers a message, reusing the answer to the same message in the same
+   * chat when there is one. A repeat sent while the first answer is still
+   * being generated waits for that answer.
+   * @param {string} chatId The chat
+   * @param {string} text The message
+   * @param {Function} produce async () => the answer
+   * @returns {Promise<{response: string, duplicate: boolean}>}
+   */
+  async run(chatId, text, produce) {
+    const question = normalizeQuestion(text);
+    if (question.length < this.minLength) {
+      return { response: await produce(), duplicate: false };
+    }
+
+    const now = this.now();
+    for (const [key, entry] of this.answers) {
+      if (now - entry.askedAt >= this.windowMs) this.answers.delete(key);
+    }
+
+    const key = `${chatId}\n${question}`;
+    const entry = this.answers.get(key);
+    if (entry) {
+      return { response: await entry.response, duplicate: true };
+    }
+
+    const response = produce();
+    this.answers.set(key, { askedAt: now, response });
+    try {
+      return { response: await response, duplicate: false };
+    } catch (error) {
+      this.answers.delete(key); // A failed answer is not reused
+      throw error;
+    }
+  }
+}
+
+module.exports = { RateLimiter, LoopDetector, ReplyDeduper, normalizeQuestion };
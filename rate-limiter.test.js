@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, LoopDetector, ReplyDeduper, normalizeQuestion } = require('./rate-limiter');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// A limiter whose clock the test moves
+function testLimiter(limits) {
+  const clock = { now: Date.UTC(2026, 9, 20, 10, 0) };
+  const limiter = new RateLimiter({ getLimits: () => limits, now: () => clock.now });
+  const at = (offsetMs, chatId) => {
+    clock.now = Date.UTC(2026, 9, 20, 10, 0) + offsetMs;
+    return limiter.hit(chatId);
+  };
+  return { limiter, at };
+}
+
+test('a chat may send its limit within any minute', () => {
+  const { at } = testLimiter({ perChat: 2, global: 100, cooldownMs: MINUTE });
+  assert.equal(at(0, 'ann@c.us').allowed, true);
+  assert.equal(at(30 * SECOND, 'ann@c.us').allowed, true);
+
+  // The first message leaves the window a minute after it was sent
+  assert.equal(at(MINUTE, 'ann@c.us').allowed, true);
+  assert.deepEqual(at(MINUTE + SECOND, 'ann@c.us'), { allowed: false, scope: 'chat', retryAfterMs: MINUTE, started: true });
+});
+
+test('a chat over its limit is ignored until its cooldown ends, and others are not', () => {
+  const { limiter, at } = testLimiter({ perChat: 3, global: 100, cooldownMs: 30 * SECOND });
+  for (const offset of [0, 10 * SECOND, 20 * SECOND]) {
+    assert.equal(at(offset, 'ann@c.us').allowed, true);
+  }
+  assert.deepEqual(at(30 * SECOND, 'ann@c.us'), { allowed: false, scope: 'chat', retryAfterMs: 30 * SECOND, started: true });
+  assert.deepEqual(at(45 * SECOND, 'ann@c.us'), { allowed: false, scope: 'chat', retryAfterMs: 15 * SECOND, started: false });
+  assert.equal(at(45 * SECOND, 'bob@c.us').allowed, true);
+  assert.deepEqual(limiter.cooldowns(), [{ chatId: 'ann@c.us', retryAfterMs: 15 * SECOND }]);
+
+  // The messages before the cooldown don't count afterwards
+  assert.equal(at(MINUTE, 'ann@c.us').allowed, true);
+  assert.deepEqual(limiter.cooldowns(), []);
+});
+
+test('going over the global limit ignores every chat', () => {
+  const { limiter, at } = testLimiter({ perChat: 10, global: 3, cooldownMs: MINUTE });
+  for (const chatId of ['ann@c.us', 'bob@c.us', 'team@g.us']) {
+    assert.equal(at(0, chatId).allowed, true);
+  }
+  assert.deepEqual(at(SECOND, 'carl@c.us'), { allowed: false, scope: 'global', retryAfterMs: MINUTE, started: true });
+  assert.deepEqual(at(2 * SECOND, 'ann@c.us'), { allowed: false, scope: 'global', retryAfterMs: MINUTE - SECOND, started: false });
+  assert.deepEqual(limiter.cooldowns(), [{ chatId: '*', retryAfterMs: MINUTE - SECOND }]);
+  assert.equal(at(MINUTE + SECOND, 'carl@c.us').allowed, true);
+});
+
+test('fast answers to every reply in a row pause the chat', () => {
+  const clock = { now: 0 };
+  const detector = new LoopDetector({ maxExchanges: 3, replyWindowMs: 5 * SECOND, pauseMs: 10 * MINUTE, now: () => clock.now });
+  const exchange = (replyAt, incomingAt) => {
+    clock.now = replyAt;
+    detector.noteReply('bot@c.us');
+    clock.now = incomingAt;
+    return detector.noteIncoming('bot@c.us');
+  };
+
+  assert.deepEqual(exchange(0, 2 * SECOND), { paused: false, detected: false });
+  assert.deepEqual(exchange(3 * SECOND, 4 * SECOND), { paused: false, detected: false });
+  // A slow answer starts the count again
+  assert.deepEqual(exchange(5 * SECOND, 12 * SECOND), { paused: false, detected: false });
+  assert.deepEqual(exchange(13 * SECOND, 14 * SECOND), { paused: false, detected: false });
+  assert.deepEqual(exchange(15 * SECOND, 16 * SECOND), { paused: false, detected: false });
+  assert.deepEqual(exchange(17 * SECOND, 18 * SECOND), { paused: true, detected: true });
+
+  clock.now = 20 * SECOND;
+  assert.deepEqual(detector.noteIncoming('bot@c.us'), { paused: true, detected: false });
+  assert.deepEqual(detector.paused(), [{ chatId: 'bot@c.us', retryAfterMs: 10 * MINUTE - 2 * SECOND }]);
+
+  clock.now = 18 * SECOND + 10 * MINUTE;
+  assert.deepEqual(detector.noteIncoming('bot@c.us'), { paused: false, detected: false });
+  assert.deepEqual(detector.paused(), []);
+});
+
+test('normalizeQuestion ignores case, spacing and trailing punctuation', () => {
+  assert.equal(normalizeQuestion("  What's   the TIME?! "), "what's the time");
+  assert.equal(normalizeQuestion(undefined), '');
+});
+
+test('the same question in a chat gets the answer already generated', async () => {
+  const clock = { now: 0 };
+  const deduper = new ReplyDeduper({ windowMs: 5 * MINUTE, minLength: 10, now: () => clock.now });
+  let calls = 0;
+  const produce = async () => `answer ${++calls}`;
+
+  // A repeat sent while the first answer is generated waits for it
+  const [first, repeat] = await Promise.all([
+    deduper.run('ann@c.us', 'When does the shop open?', produce),
+    deduper.run('ann@c.us', 'when does the shop open', produce)
+  ]);
+  assert.deepEqual(first, { response: 'answer 1', duplicate: false });
+  assert.deepEqual(repeat, { response: 'answer 1', duplicate: true });
+
+  assert.deepEqual(await deduper.run('bob@c.us', 'When does the shop open?', produce), { response: 'answer 2', duplicate: false });
+  assert.deepEqual(await deduper.run('ann@c.us', 'ok thanks', produce), { response: 'answer 3', duplicate: false });
+  assert.deepEqual(await deduper.run('ann@c.us', 'ok thanks', produce), { response: 'answer 4', duplicate: false });
+
+  clock.now = 5 * MINUTE;
+  assert.deepEqual(await deduper.run('ann@c.us', 'When does the shop open?', produce), { response: 'answer 5', duplicate: false });
+});
+
+test('a failed answer is not reused', async () => {
+  const deduper = new ReplyDeduper({ now: () => 0 });
+  await assert.rejects(deduper.run('ann@c.us', 'What is the weather like?', async () => { throw new Error('model is down'); }), /model is down/);
+  assert.deepEqual(await deduper.run('ann@c.us', 'What is the weather like?', async () => 'Sunny'), { response: 'Sunny', duplicate: false });
+});
@@ -0,0 +1,60 @@
+/**
+ * Redaction of personal data in message text.
+ *
+ * With REDACT_PII turned on, email addresses, phone numbers and card
+ * numbers are replaced with placeholders before messages are stored, logged
+ * or sent to a model that doesn't run locally:
+ *
+ *   redactPII('Mail me at jo@example.com or call +44 20 7946 0958')
+ *   // 'Mail me at [email] or call [phone]'
+ *
+ * The patterns err on the side of redacting: any run of 7 or more digits
+ * that isn't a date counts as a phone number.
+ */
+
+const EMAIL = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const CARD = /(?<![\w+])\d(?:[ -]?\d){12,18}(?!\w)/g;
+const PHONE = /(?<![\w+])(?:\+\s?)?\(?\d(?:[\s().-]{0,2}\d){6,14}(?!\w)/g;
+const DATE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+// Card numbers end with a Luhn check digit, which most other numbers don't pass
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Replaces email addresses, card numbers and phone numbers with [email],
+ * [card] and [phone]
+ * @param {string} text The text
+ * @returns {string} The redacted text
+ */
+function redactPII(text) {
+  if (!text) return text;
+  return String(text)
+    .replace(EMAIL, '[email]')
+    .replace(CARD, (match) => passesLuhn(match.replace(/\D/g, '')) ? '[card]' : match)
+    .replace(PHONE, (match) => DATE.test(match.trim()) ? match : '[phone]');
+}
+
+/**
+ * Shortens a WhatsApp ID for logs, e.g. 4915112345678@c.us to ***5678@c.us
+ * @param {string} id The serialized chat or contact ID
+ * @returns {string}
+ */
+function maskId(id) {
+  if (!id) return id;
+  const [user, server] = String(id).split('@');
+  const masked = user.length > 4 ? `***${user.slice(-4)}` : user;
+  return server ? `${masked}@${server}` : masked;
+}
+
+module.exports = { redactPII, maskId };
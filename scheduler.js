@@ -0,0 +1,359 @@
+/**
+ * Reminders and scheduled messages.
+ *
+ * Jobs are created from requests in plain language ("at 6pm to call mom",
+ * "every Monday at 9 'standup in 10 minutes'"), which the "schedule" model
+ * turns into a local time in the user's time zone. They are stored in
+ * data/schedule.json so they survive a restart, and sent through the send
+ * function given to the scheduler once they are due. A reminder is sent as
+ * "⏰ Reminder: ...", a scheduled message exactly as it was written.
+ *
+ * The clock is injectable and runDue() can be called directly, so the
+ * scheduler can be driven without timers:
+ *
+ *   const scheduler = new Scheduler({ send, now: () => fakeNow });
+ *   await scheduler.runDue();
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const llm = require('./llm');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+const { parseJsonResponse } = require('./tool-router');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, wallToMs, msToWall, formatInZone } = require('./time-utils');
+
+const SCHEDULE_FILE = path.join(DATA_DIR, 'schedule.json');
+
+const REPEATS = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
+const MAX_JOBS_PER_CHAT = 20;
+const MAX_SEND_ATTEMPTS = 3;
+
+class ScheduleError extends Error {
+  /**
+   * @param {string} message What is wrong with the request
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+/**
+ * Gets the wall time of the nth occurrence of a repeating time. Monthly and
+ * yearly occurrences on a day the month doesn't have move to its last day.
+ * @param {Object} wall The first occurrence
+ * @param {string} repeat One of REPEATS
+ * @param {number} n Occurrences after the first
+ * @returns {Object} The wall time
+ */
+function occurrenceWall(wall, repeat, n) {
+  if (repeat === 'daily' || repeat === 'weekly') {
+    const days = (repeat === 'daily' ? 1 : 7) * n;
+    return msToWall(wallToMs(wall) + days * 24 * 60 * 60 * 1000);
+  }
+  if (repeat === 'monthly' || repeat === 'yearly') {
+    const months = wall.month - 1 + (repeat === 'monthly' ? n : 12 * n);
+    const year = wall.year + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { ...wall, year, month, day: Math.min(wall.day, lastDay) };
+  }
+  return wall;
+}
+
+/**
+ * Builds the prompt that turns a request into a time and a text
+ * @param {string} request The request, e.g. "tomorrow at 6pm to call mom"
+ * @param {Date|number} now The current time
+ * @param {string} timeZone The user's time zone
+ * @returns {string}
+ */
+function buildSchedulePrompt(request, now, timeZone) {
+  return `It is now ${formatInZone(now, timeZone)} in the time zone ${timeZone}.
+Work out when this should happen and what should be sent: "${request}"
+
+Reply with a single JSON object and nothing else:
+{"time": "YYYY-MM-DDTHH:MM", "repeat": "none|daily|weekly|monthly|yearly", "text": "the reminder or message"}
+
+- time is the local time in ${timeZone} of the first occurrence, in the future.
+- Without a time of day, use 09:00.
+- text is what to remind of or the message to send, in the user's words; keep quoted text exactly as written.
+- If no time can be worked out, reply {"error": "a short explanation"}.`;
+}
+
+/**
+ * Turns a model reply into a schedule
+ * @param {string} reply The model reply
+ * @param {string} timeZone The user's time zone
+ * @returns {{wall: Object, dueAt: number, repeat: string, text: string}}
+ * @throws {ScheduleError} When the reply has no usable time
+ */
+function parseScheduleReply(reply, timeZone) {
+  const parsed = parseJsonResponse(reply);
+  if (!parsed) throw new ScheduleError('I could not work out when that should happen.');
+  if (parsed.error) throw new ScheduleError(String(parsed.error));
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/.exec(parsed.time || '');
+  if (!match) throw new ScheduleError(`"${parsed.time}" is not a valid time.`);
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  const wall = { year, month, day, hour, minute, second: 0 };
+
+  // Date.UTC rolls over invalid dates like February 30, which shows they don't exist
+  const check = msToWall(wallToMs(wall));
+  if (check.month !== month || check.day !== day || hour > 23 || minute > 59) {
+    throw new ScheduleError(`"${parsed.time}" is not a valid time.`);
+  }
+
+  const repeat = REPEATS.includes(parsed.repeat) ? parsed.repeat : 'none';
+  const text = typeof parsed.text === 'string' ? parsed.text.trim() : '';
+  if (!text) throw new ScheduleError('There is nothing to send. Say what the reminder or message should be.');
+
+  return { wall, dueAt: zonedTimeToUtc(wall, timeZone).getTime(), repeat, text };
+}
+
+/**
+ * Formats a job for a chat message
+ * @param {Object} job The job
+ * @returns {string}
+ */
+function formatJob(job) {
+  const repeat = job.repeat !== 'none' ? ` (${job.repeat})` : '';
+  const what = job.kind === 'reminder' ? `⏰ ${job.text}` : `"${job.text}"`;
+  return `${job.id} · ${formatInZone(job.dueAt, job.timeZone)}${repeat} · ${job.chatName}: ${what}`;
+}
+
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send async (job) => delivers a due job
+   * @param {string} [options.file] Where the jobs are persisted
+   * @param {Function} [options.generate] async (prompt) => model reply, for parsing requests
+   * @param {Function} [options.getTimeZone] Returns the user's time zone
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    send,
+    file = SCHEDULE_FILE,
+    generate = (prompt) => llm.generateText('schedule', prompt, { json: true, temperature: 0 }),
+    getTimeZone = () => DEFAULT_TIMEZONE,
+    now = Date.now
+  }) {
+    this.send = send;
+    this.file = file;
+    this.generate = generate;
+    this.getTimeZone = getTimeZone;
+    this.now = now;
+    this.jobs = {};
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Loads the jobs from disk
+   */
+  async load() {
+    try {
+      this.jobs = await readJson(this.file, {});
+    } catch (error) {
+      console.error('Error loading scheduled jobs:', error);
+      this.jobs = {};
+    }
+  }
+
+  /**
+   * Persists the jobs to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, this.jobs, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving scheduled jobs:', error);
+    }
+  }
+
+  // Four hex characters, short enough to type on a phone
+  newId() {
+    let id;
+    do {
+      id = crypto.randomBytes(2).toString('hex');
+    } while (this.jobs[id]);
+    return id;
+  }
+
+  /**
+   * Works out the time and text of a request with the model
+   * @param {string} request The request in plain language
+   * @returns {Promise<{wall: Object, dueAt: number, repeat: string, text: string, timeZone: string}>}
+   * @throws {ScheduleError} When no time in the future can be worked out
+   */
+  async parse(request) {
+    const timeZone = this.getTimeZone();
+    const reply = await this.generate(buildSchedulePrompt(request, this.now(), timeZone));
+    const schedule = parseScheduleReply(reply, timeZone);
+    if (schedule.dueAt <= this.now() && schedule.repeat === 'none') {
+      throw new ScheduleError(`${formatInZone(schedule.dueAt, timeZone)} is in the past.`);
+    }
+    return { ...schedule, timeZone };
+  }
+
+  /**
+   * Creates a job from a request in plain language
+   * @param {string} request The request, e.g. "at 6pm to call mom"
+   * @param {Object} target
+   * @param {string} target.chatId Where the job is sent
+   * @param {string} [target.chatName] Shown in the job list
+   * @param {'reminder'|'message'} [target.kind] Reminders get a "⏰ Reminder:" prefix
+   * @returns {Promise<Object>} The job
+   */
+  async schedule(request, { chatId, chatName, kind = 'reminder' }) {
+    if (!request || !request.trim()) throw new ScheduleError('Say when and what, e.g. "tomorrow at 6pm to call mom".');
+    if (this.list(chatId).length >= MAX_JOBS_PER_CHAT) {
+      throw new ScheduleError(`This chat already has ${MAX_JOBS_PER_CHAT} scheduled jobs. Cancel one first.`);
+    }
+
+    const { wall, dueAt, repeat, text, timeZone } = await this.parse(request);
+    const job = {
+      id: this.newId(),
+      chatId,
+      chatName: chatName || chatId,
+      kind,
+      text,
+      wall,
+      timeZone,
+      repeat,
+      occurrence: 0,
+      dueAt,
+      createdAt: this.now(),
+      failures: 0
+    };
+    // A repeating time that already passed today starts with its next occurrence
+    this.advance(job, this.now());
+
+    this.jobs[job.id] = job;
+    await this.save();
+    return job;
+  }
+
+  // Moves a repeating job to its first occurrence after a time
+  advance(job, afterMs) {
+    while (job.repeat !== 'none' && job.dueAt <= afterMs) {
+      job.occurrence++;
+      job.dueAt = zonedTimeToUtc(occurrenceWall(job.wall, job.repeat, job.occurrence), job.timeZone).getTime();
+    }
+  }
+
+  /**
+   * Gets a job
+   * @param {string} id The job ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.jobs[(id || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Removes a job so it is never sent
+   * @param {string} id The job ID
+   * @returns {Promise<Object|null>} The removed job
+   */
+  async cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    delete this.jobs[job.id];
+    await this.save();
+    return job;
+  }
+
+  /**
+   * Removes the jobs of a chat, or all jobs
+   * @param {string} [chatId] The chat, or all chats when left out
+   * @returns {Promise<number>} How many jobs were removed
+   */
+  async forget(chatId) {
+    const removed = this.list(chatId);
+    for (const job of removed) {
+      delete this.jobs[job.id];
+    }
+    await this.save();
+    return removed.length;
+  }
+
+  /**
+   * Lists the jobs, next due first
+   * @param {string} [chatId] Only the jobs of this chat
+   * @returns {Array<Object>}
+   */
+  list(chatId) {
+    return Object.values(this.jobs)
+      .filter(job => !chatId || job.chatId === chatId)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Sends the jobs that are due. Repeating jobs move to their next
+   * occurrence; occurrences missed while the agent was offline are sent
+   * once. Jobs that fail to send are retried on the next run and dropped
+   * after MAX_SEND_ATTEMPTS.
+   * @returns {Promise<{sent: Array<Object>, failed: Array<Object>}>}
+   */
+  async runDue() {
+    const result = { sent: [], failed: [] };
+    if (this.running) return result;
+    this.running = true;
+
+    try {
+      const due = this.list().filter(job => job.dueAt <= this.now());
+      for (const job of due) {
+        try {
+          await this.send(job);
+          result.sent.push(job);
+          job.failures = 0;
+          if (job.repeat === 'none') {
+            delete this.jobs[job.id];
+          } else {
+            this.advance(job, this.now());
+          }
+        } catch (error) {
+          console.error(`Error sending scheduled job ${job.id}:`, error.message);
+          job.failures = (job.failures || 0) + 1;
+          job.lastError = error.message;
+          if (job.failures >= MAX_SEND_ATTEMPTS) {
+            delete this.jobs[job.id];
+            result.failed.push(job);
+          }
+        }
+      }
+      if (due.length > 0) await this.save();
+    } finally {
+      this.running = false;
+    }
+    return result;
+  }
+
+  /**
+   * Checks for due jobs regularly
+   * @param {number} [intervalMs] How often to check
+   * @param {Function} [onResult] Called with the result of every run that sent or dropped jobs
+   */
+  start(intervalMs = 30 * 1000, onResult = () => {}) {
+    if (this.timer) return;
+    this.timer = setInterval(async () => {
+      const result = await this.runDue();
+      if (result.sent.length > 0 || result.failed.length > 0) onResult(result);
+    }, intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  Scheduler,
+  ScheduleError,
+  formatJob,
+  parseScheduleReply,
+  occurrenceWall,
+  REPEATS
+};
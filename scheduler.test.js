@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler, ScheduleError, parseScheduleReply, occurrenceWall } = require('./scheduler');
+
+const ZONE = 'Europe/Berlin';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// A scheduler in a temporary directory whose clock and model answer the test sets
+function testScheduler(t, { start = Date.UTC(2026, 9, 20, 10, 0) } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = { now: start };
+  const model = { reply: '' };
+  const sent = [];
+  const scheduler = new Scheduler({
+    send: async (job) => sent.push({ text: job.text, at: clock.now }),
+    file: path.join(dir, 'schedule.json'),
+    generate: async () => model.reply,
+    getTimeZone: () => ZONE,
+    now: () => clock.now
+  });
+  return { scheduler, clock, model, sent };
+}
+
+test('parseScheduleReply turns the local time into UTC', () => {
+  const schedule = parseScheduleReply('{"time": "2026-10-20T18:00", "repeat": "hourly", "text": " call mom "}', ZONE);
+  assert.equal(schedule.dueAt, Date.UTC(2026, 9, 20, 16, 0));
+  assert.equal(schedule.repeat, 'none');
+  assert.equal(schedule.text, 'call mom');
+});
+
+test('parseScheduleReply rejects replies without a usable time or text', () => {
+  const cases = [
+    ['not json', /could not work out/],
+    ['{"error": "No time was given."}', /No time was given/],
+    ['{"time": "2026-02-30T09:00", "text": "x"}', /not a valid time/],
+    ['{"time": "tomorrow", "text": "x"}', /not a valid time/],
+    ['{"time": "2026-10-21T09:00", "text": ""}', /nothing to send/]
+  ];
+  for (const [reply, message] of cases) {
+    assert.throws(() => parseScheduleReply(reply, ZONE), (error) => error instanceof ScheduleError && message.test(error.message));
+  }
+});
+
+test('monthly and yearly occurrences move to the last day of shorter months', () => {
+  const wall = { year: 2028, month: 1, day: 31, hour: 9, minute: 0, second: 0 };
+  assert.deepEqual(occurrenceWall(wall, 'monthly', 1), { ...wall, month: 2, day: 29 });
+  assert.deepEqual(occurrenceWall(wall, 'monthly', 2), { ...wall, month: 3, day: 31 });
+  assert.deepEqual(occurrenceWall({ ...wall, month: 2, day: 29 }, 'yearly', 1), { ...wall, year: 2029, month: 2, day: 28 });
+});
+
+test('a reminder is sent once it is due and then removed', async (t) => {
+  const { scheduler, clock, model, sent } = testScheduler(t);
+  model.reply = '{"time": "2026-10-20T18:00", "repeat": "none", "text": "call mom"}';
+  const job = await scheduler.schedule('at 6pm to call mom', { chatId: 'me@c.us', chatName: 'you' });
+
+  clock.now = job.dueAt - 1;
+  assert.deepEqual((await scheduler.runDue()).sent, []);
+  clock.now = job.dueAt;
+  assert.deepEqual((await scheduler.runDue()).sent.map(due => due.id), [job.id]);
+  assert.deepEqual(sent, [{ text: 'call mom', at: job.dueAt }]);
+  assert.deepEqual(scheduler.list(), []);
+});
+
+test('times in the past are refused unless they repeat', async (t) => {
+  const { scheduler, model } = testScheduler(t);
+  model.reply = '{"time": "2026-10-20T09:00", "repeat": "none", "text": "standup"}';
+  await assert.rejects(scheduler.schedule('at 9 standup', { chatId: 'me@c.us' }), /in the past/);
+
+  model.reply = '{"time": "2026-10-20T09:00", "repeat": "daily", "text": "standup"}';
+  const job = await scheduler.schedule('every day at 9 standup', { chatId: 'me@c.us' });
+  assert.equal(job.dueAt, Date.UTC(2026, 9, 21, 7, 0));
+});
+
+test('a weekly job keeps its local time over the change to winter time', async (t) => {
+  const { scheduler, clock, model } = testScheduler(t);
+  model.reply = '{"time": "2026-10-21T09:00", "repeat": "weekly", "text": "team meeting"}';
+  const job = await scheduler.schedule('every Wednesday at 9 team meeting', { chatId: 'team@g.us' });
+  assert.equal(job.dueAt, Date.UTC(2026, 9, 21, 7, 0)); // CEST, UTC+2
+
+  clock.now = job.dueAt;
+  await scheduler.runDue();
+  assert.equal(scheduler.get(job.id).dueAt, Date.UTC(2026, 9, 28, 8, 0)); // CET, UTC+1
+});
+
+test('occurrences missed while offline are sent once', async (t) => {
+  const { scheduler, clock, model, sent } = testScheduler(t);
+  model.reply = '{"time": "2026-10-20T18:00", "repeat": "daily", "text": "water the plants"}';
+  const job = await scheduler.schedule('every day at 6pm water the plants', { chatId: 'me@c.us' });
+  const firstDueAt = job.dueAt;
+
+  clock.now = firstDueAt + 3 * DAY + HOUR;
+  await scheduler.runDue();
+  assert.equal(sent.length, 1);
+  assert.equal(scheduler.get(job.id).dueAt, firstDueAt + 4 * DAY);
+});
+
+test('a job that keeps failing to send is dropped after three attempts', async (t) => {
+  const { scheduler, clock, model } = testScheduler(t);
+  model.reply = '{"time": "2026-10-20T18:00", "repeat": "none", "text": "call mom"}';
+  const job = await scheduler.schedule('at 6pm to call mom', { chatId: 'me@c.us' });
+  scheduler.send = async () => { throw new Error('not connected'); };
+
+  clock.now = job.dueAt;
+  assert.deepEqual((await scheduler.runDue()).failed, []);
+  assert.equal(scheduler.get(job.id).lastError, 'not connected');
+  await scheduler.runDue();
+  assert.deepEqual((await scheduler.runDue()).failed.map(failed => failed.id), [job.id]);
+  assert.equal(scheduler.get(job.id), null);
+});
+
+test('jobs survive a restart and can be cancelled', async (t) => {
+  const { scheduler, model } = testScheduler(t);
+  model.reply = '{"time": "2026-10-20T18:00", "repeat": "none", "text": "call mom"}';
+  const job = await scheduler.schedule('at 6pm to call mom', { chatId: 'me@c.us' });
+
+  const restarted = new Scheduler({ send: async () => {}, file: scheduler.file });
+  await restarted.load();
+  assert.equal(restarted.get(job.id.toUpperCase()).text, 'call mom');
+  assert.equal((await restarted.cancel(job.id)).id, job.id);
+  assert.deepEqual(restarted.list(), []);
+});
@@ -0,0 +1,357 @@
+/**
+ * Web search backends.
+ *
+ * Each provider exposes search(query, { limit }) => Promise<Array<{ title, link, snippet }>>
+ * and throws a SearchError when the backend can't be reached or returns
+ * something unexpected. WebSearch tries the configured providers in order,
+ * merges and de-duplicates their results and caches them in data/.
+ *
+ * The response parsers are exported separately so they can be checked
+ * against saved responses without any network access.
+ */
+
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const SEARCH_CACHE_FILE = path.join(DATA_DIR, 'search_cache.json');
+const SEARCH_TIMEOUT_MS = 10000;
+const MAX_CACHE_ENTRIES = 200;
+
+class SearchError extends Error {
+  /**
+   * @param {string} message Error description
+   * @param {Array<{provider: string, error: string}>} [failures] Errors of the individual providers
+   * @param {Object} [details]
+   * @param {boolean} [details.retryable] Whether the search may succeed if repeated
+   */
+  constructor(message, failures = [], { retryable = false } = {}) {
+    super(message);
+    this.name = 'SearchError';
+    this.failures = failures;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Parses a SearXNG JSON response (format=json)
+ * @param {Object} data The response body
+ * @returns {Array<{title: string, link: string, snippet: string}>}
+ */
+function parseSearxngResults(data) {
+  if (!data || !Array.isArray(data.results)) {
+    throw new SearchError('SearXNG response has no results array');
+  }
+  return data.results
+    .filter(result => result.url && result.title)
+    .map(result => ({ title: result.title, link: result.url, snippet: result.content || '' }));
+}
+
+/**
+ * Parses a Brave Search API response
+ * @param {Object} data The response body
+ * @returns {Array<{title: string, link: string, snippet: string}>}
+ */
+function parseBraveResults(data) {
+  if (!data || typeof data !== 'object') {
+    throw new SearchError('Brave response is not a JSON object');
+  }
+  const results = (data.web && data.web.results) || [];
+  return results
+    .filter(result => result.url && result.title)
+    .map(result => ({
+      title: cheerio.load(result.title).text(),
+      link: result.url,
+      snippet: cheerio.load(result.description || '').text()
+    }));
+}
+
+/**
+ * Parses a Bing Web Search API response
+ * @param {Object} data The response body
+ * @returns {Array<{title: string, link: string, snippet: string}>}
+ */
+function parseBingResults(data) {
+  if (!data || typeof data !== 'object') {
+    throw new SearchError('Bing response is not a JSON object');
+  }
+  const results = (data.webPages && data.webPages.value) || [];
+  return results
+    .filter(result => result.url && result.name)
+    .map(result => ({ title: result.name, link: result.url, snippet: result.snippet || '' }));
+}
+
+// DuckDuckGo wraps result links in a redirect: //duckduckgo.com/l/?uddg=<target>
+function unwrapDuckDuckGoLink(href) {
+  try {
+    const url = new URL(href, 'https://duckduckgo.com');
+    const target = url.searchParams.get('uddg');
+    return target || url.href;
+  } catch (error) {
+    return href;
+  }
+}
+
+/**
+ * Parses the DuckDuckGo HTML results page (html.duckduckgo.com)
+ * @param {string} html The page
+ * @returns {Array<{title: string, link: string, snippet: string}>}
+ */
+function parseDuckDuckGoHtml(html) {
+  const $ = cheerio.load(html || '');
+  const results = [];
+
+  $('.result').each((i, element) => {
+    if ($(element).hasClass('result--ad')) return;
+    const titleElement = $(element).find('.result__a').first();
+    const href = titleElement.attr('href');
+    if (!titleElement.length || !href) return;
+
+    results.push({
+      title: titleElement.text().trim(),
+      link: unwrapDuckDuckGoLink(href),
+      snippet: $(element).find('.result__snippet').first().text().trim()
+    });
+  });
+
+  // A page without results or the "no results" notice usually means a block or captcha
+  if (results.length === 0 && $('.no-results').length === 0) {
+    throw new SearchError('DuckDuckGo returned a page without results (markup changed or request blocked)');
+  }
+  return results;
+}
+
+// Network errors that may go away when the request is repeated
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Convert an axios failure into a SearchError, marking outages and rate limits as retryable
+function requestFailed(providerName, error) {
+  if (error instanceof SearchError) return error;
+  const status = error.response && error.response.status;
+  const retryable = status
+    ? status === 429 || status >= 500
+    : Boolean(error.request) || RETRYABLE_CODES.includes(error.code);
+  const statusText = status ? ` (HTTP ${status})` : '';
+  return new SearchError(`${providerName} request failed${statusText}: ${error.message}`, [], { retryable });
+}
+
+/**
+ * Creates a search provider by name
+ * @param {string} name One of searxng, brave, bing or duckduckgo
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] SearXNG instance URL
+ * @param {string} [options.apiKey] API key for Brave or Bing
+ * @param {number} [options.timeoutMs] Request timeout
+ * @returns {{name: string, search: Function}} The provider
+ */
+function createSearchProvider(name, { baseUrl, apiKey, timeoutMs = SEARCH_TIMEOUT_MS } = {}) {
+  switch (name) {
+    case 'searxng':
+      return {
+        name,
+        async search(query) {
+          if (!baseUrl) throw new SearchError('SearXNG needs SEARXNG_URL to be set');
+          try {
+            const { data } = await axios.get(`${baseUrl.replace(/\/+$/, '')}/search`, {
+              params: { q: query, format: 'json' },
+              timeout: timeoutMs
+            });
+            return parseSearxngResults(data);
+          } catch (error) {
+            throw requestFailed('SearXNG', error);
+          }
+        }
+      };
+    case 'brave':
+      return {
+        name,
+        async search(query, { limit } = {}) {
+          if (!apiKey) throw new SearchError('Brave search needs BRAVE_API_KEY to be set');
+          try {
+            const { data } = await axios.get('https://api.search.brave.com/res/v1/web/search', {
+              params: { q: query, count: limit },
+              headers: { Accept: 'application/json', 'X-Subscription-Token': apiKey },
+              timeout: timeoutMs
+            });
+            return parseBraveResults(data);
+          } catch (error) {
+            throw requestFailed('Brave', error);
+          }
+        }
+      };
+    case 'bing':
+      return {
+        name,
+        async search(query, { limit } = {}) {
+          if (!apiKey) throw new SearchError('Bing search needs BING_API_KEY to be set');
+          try {
+            const { data } = await axios.get(baseUrl || 'https://api.bing.microsoft.com/v7.0/search', {
+              params: { q: query, count: limit },
+              headers: { 'Ocp-Apim-Subscription-Key': apiKey },
+              timeout: timeoutMs
+            });
+            return parseBingResults(data);
+          } catch (error) {
+            throw requestFailed('Bing', error);
+          }
+        }
+      };
+    case 'duckduckgo':
+      return {
+        name,
+        async search(query) {
+          try {
+            const { data } = await axios.post(
+              'https://html.duckduckgo.com/html/',
+              new URLSearchParams({ q: query }).toString(),
+              {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: timeoutMs
+              }
+            );
+            return parseDuckDuckGoHtml(data);
+          } catch (error) {
+            throw requestFailed('DuckDuckGo', error);
+          }
+        }
+      };
+    default:
+      throw new SearchError(`Unknown search provider: ${name}`);
+  }
+}
+
+// Key used to recognize the same page behind slightly different URLs
+function normalizeLink(link) {
+  try {
+    const url = new URL(link);
+    const host = url.hostname.replace(/^www\./, '');
+    return `${host}${url.pathname.replace(/\/+$/, '')}${url.search}`.toLowerCase();
+  } catch (error) {
+    return link.toLowerCase();
+  }
+}
+
+/**
+ * Removes results that point to the same page, keeping the first one
+ * @param {Array<{link: string}>} results The results
+ * @returns {Array<Object>} The de-duplicated results
+ */
+function dedupeResults(results) {
+  const seen = new Set();
+  return results.filter(result => {
+    const key = normalizeLink(result.link);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+class WebSearch {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.providers Providers in fallback order
+   * @param {number} [options.maxResults] Number of results to return
+   * @param {number} [options.cacheTtlMs] How long results are reused, 0 disables the cache
+   * @param {string} [options.cacheFile] Where cached results are stored
+   */
+  constructor({ providers, maxResults = 3, cacheTtlMs = 60 * 60 * 1000, cacheFile = SEARCH_CACHE_FILE }) {
+    this.providers = providers;
+    this.maxResults = maxResults;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cacheFile = cacheFile;
+    this.cache = null;
+  }
+
+  async loadCache() {
+    if (this.cache) return;
+    try {
+      this.cache = await readJson(this.cacheFile, {});
+    } catch (error) {
+      console.error('Error loading search cache:', error);
+      this.cache = {};
+    }
+  }
+
+  async saveCache() {
+    const now = Date.now();
+    const entries = Object.entries(this.cache)
+      .filter(([, entry]) => now - entry.timestamp < this.cacheTtlMs)
+      .sort((a, b) => b[1].timestamp - a[1].timestamp)
+      .slice(0, MAX_CACHE_ENTRIES);
+    this.cache = Object.fromEntries(entries);
+    try {
+      await writeJson(this.cacheFile, this.cache, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving search cache:', error);
+    }
+  }
+
+  /**
+   * Drops every cached result, e.g. when all stored data is wiped
+   */
+  async clearCache() {
+    this.cache = {};
+    await this.saveCache();
+  }
+
+  /**
+   * Searches the web, trying providers in order until enough results are found
+   * @param {string} query The search query
+   * @returns {Promise<Array<{title: string, link: string, snippet: string, source: string}>>}
+   * @throws {SearchError} When every provider failed
+   */
+  async search(query) {
+    const cacheKey = query.trim().toLowerCase();
+    if (this.cacheTtlMs > 0) {
+      await this.loadCache();
+      const cached = this.cache[cacheKey];
+      // Copies, so callers adding citations don't change the cache
+      if (cached && Date.now() - cached.timestamp < this.cacheTtlMs) {
+        return cached.results.map(result => ({ ...result }));
+      }
+    }
+
+    const failures = [];
+    let results = [];
+    for (const provider of this.providers) {
+      try {
+        const providerResults = await provider.search(query, { limit: this.maxResults });
+        results = dedupeResults([
+          ...results,
+          ...providerResults.map(result => ({ ...result, source: provider.name }))
+        ]);
+        if (results.length >= this.maxResults) break;
+      } catch (error) {
+        console.error(`Search provider ${provider.name} failed:`, error.message);
+        failures.push({ provider: provider.name, error: error.message, retryable: Boolean(error.retryable) });
+      }
+    }
+
+    if (results.length === 0 && failures.length === this.providers.length) {
+      throw new SearchError(
+        `All search providers failed: ${failures.map(f => f.error).join('; ')}`,
+        failures,
+        { retryable: failures.some(f => f.retryable) }
+      );
+    }
+
+    results = results.slice(0, this.maxResults);
+    if (this.cacheTtlMs > 0) {
+      this.cache[cacheKey] = { results: results.map(result => ({ ...result })), timestamp: Date.now() };
+      await this.saveCache();
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  SearchError,
+  WebSearch,
+  createSearchProvider,
+  dedupeResults,
+  parseSearxngResults,
+  parseBraveResults,
+  parseBingResults,
+  parseDuckDuckGoHtml
+};
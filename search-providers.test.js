@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  SearchError,
+  WebSearch,
+  createSearchProvider,
+  dedupeResults,
+  parseSearxngResults,
+  parseBraveResults,
+  parseBingResults,
+  parseDuckDuckGoHtml
+} = require('./search-providers');
+
+// Responses saved from the real services
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'search', name), 'utf8');
+const jsonFixture = (name) => JSON.parse(fixture(name));
+
+test('parseSearxngResults keeps results with a link and title', () => {
+  assert.deepEqual(parseSearxngResults(jsonFixture('searxng.json')), [
+    {
+      title: 'Test runner | Node.js v20 Documentation',
+      link: 'https://nodejs.org/api/test.html',
+      snippet: 'The node:test module facilitates the creation of JavaScript tests.'
+    },
+    {
+      title: 'node/doc/api/test.md at main · nodejs/node',
+      link: 'https://github.com/nodejs/node/blob/main/doc/api/test.md',
+      snippet: ''
+    }
+  ]);
+});
+
+test('parseSearxngResults rejects a response without results', () => {
+  assert.throws(() => parseSearxngResults({ error: 'format not allowed' }), SearchError);
+});
+
+test('parseBraveResults strips the highlighting markup', () => {
+  assert.deepEqual(parseBraveResults(jsonFixture('brave.json')), [
+    {
+      title: 'Test runner | Node.js v20 Documentation',
+      link: 'https://nodejs.org/api/test.html',
+      snippet: 'The node:test module facilitates the creation of JavaScript tests.'
+    },
+    {
+      title: 'Using the built-in test runner & assertions',
+      link: 'https://example.com/blog/node-test',
+      snippet: 'A walkthrough of describe, it and mocks.'
+    }
+  ]);
+});
+
+test('parseBraveResults returns nothing when there are no web results', () => {
+  assert.deepEqual(parseBraveResults({ type: 'search', query: { original: 'x' } }), []);
+  assert.throws(() => parseBraveResults('<html>'), SearchError);
+});
+
+test('parseBingResults reads the web pages', () => {
+  assert.deepEqual(parseBingResults(jsonFixture('bing.json')), [
+    {
+      title: 'Test runner | Node.js v20 Documentation',
+      link: 'https://nodejs.org/api/test.html',
+      snippet: 'The node:test module facilitates the creation of JavaScript tests.'
+    },
+    {
+      title: 'Node.js test runner tutorial',
+      link: 'https://example.com/node-test-tutorial',
+      snippet: ''
+    }
+  ]);
+});
+
+test('parseDuckDuckGoHtml skips ads and unwraps redirect links', () => {
+  assert.deepEqual(parseDuckDuckGoHtml(fixture('duckduckgo.html')), [
+    {
+      title: 'Test runner | Node.js v20 Documentation',
+      link: 'https://nodejs.org/api/test.html',
+      snippet: 'The node:test module facilitates the creation of JavaScript tests.'
+    },
+    {
+      title: 'Writing tests with node:test',
+      link: 'https://example.com/node-test',
+      snippet: 'Describe, it and mocks.'
+    }
+  ]);
+});
+
+test('parseDuckDuckGoHtml tells an empty result page from a blocked one', () => {
+  assert.deepEqual(parseDuckDuckGoHtml(fixture('duckduckgo-no-results.html')), []);
+  assert.throws(() => parseDuckDuckGoHtml(fixture('duckduckgo-blocked.html')), SearchError);
+});
+
+test('dedupeResults treats www, trailing slashes and case as the same page', () => {
+  const results = dedupeResults([
+    { link: 'https://www.Example.com/a/' },
+    { link: 'https://example.com/a' },
+    { link: 'https://example.com/b' }
+  ]);
+  assert.deepEqual(results.map(result => result.link), ['https://www.Example.com/a/', 'https://example.com/b']);
+});
+
+test('WebSearch falls back to the next provider and merges results', async () => {
+  const search = new WebSearch({
+    providers: [
+      { name: 'broken', search: async () => { throw new SearchError('markup changed'); } },
+      { name: 'first', search: async () => [{ title: 'A', link: 'https://a.example/', snippet: '' }] },
+      { name: 'second', search: async () => [
+        { title: 'A again', link: 'https://www.a.example', snippet: '' },
+        { title: 'B', link: 'https://b.example/', snippet: '' }
+      ] }
+    ],
+    maxResults: 2,
+    cacheTtlMs: 0
+  });
+  const results = await search.search('query');
+  assert.deepEqual(results.map(result => [result.title, result.source]), [['A', 'first'], ['B', 'second']]);
+});
+
+test('WebSearch hands out copies of cached results', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  let calls = 0;
+  const search = new WebSearch({
+    providers: [{ name: 'only', search: async () => [{ title: 'A', link: `https://a.example/${++calls}`, snippet: '' }] }],
+    cacheFile: path.join(dir, 'search_cache.json')
+  });
+
+  const first = await search.search('query');
+  first[0].citation = 1;
+  const second = await search.search('Query ');
+  second[0].citation = 2;
+  const third = await search.search('query');
+  assert.equal(calls, 1);
+  assert.deepEqual(third, [{ title: 'A', link: 'https://a.example/1', snippet: '', source: 'only' }]);
+});
+
+test('WebSearch reports when every provider failed', async () => {
+  const search = new WebSearch({
+    providers: [{ name: 'broken', search: async () => { throw new SearchError('markup changed'); } }],
+    cacheTtlMs: 0
+  });
+  await assert.rejects(search.search('query'), (error) => {
+    assert.ok(error instanceof SearchError);
+    assert.equal(error.failures.length, 1);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+// A local server answering every request with the given status
+async function serverWithStatus(status) {
+  const server = http.createServer((req, res) => res.writeHead(status).end('{}'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('provider errors are retryable for outages and rate limits only', async () => {
+  for (const [status, retryable] of [[503, true], [429, true], [404, false], [403, false]]) {
+    const { server, url } = await serverWithStatus(status);
+    try {
+      const provider = createSearchProvider('searxng', { baseUrl: url });
+      await assert.rejects(provider.search('query'), (error) => {
+        assert.ok(error instanceof SearchError);
+        assert.equal(error.retryable, retryable, `HTTP ${status}`);
+        return true;
+      });
+    } finally {
+      server.close();
+    }
+  }
+});
+
+test('a refused connection is retryable, also when every provider failed', async () => {
+  const { server, url } = await serverWithStatus(200);
+  await new Promise(resolve => server.close(resolve));
+
+  const search = new WebSearch({ providers: [createSearchProvider('searxng', { baseUrl: url })], cacheTtlMs: 0 });
+  await assert.rejects(search.search('query'), (error) => {
+    assert.equal(error.failures[0].retryable, true);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+});
+
+test('a missing API key is not retryable', async () => {
+  await assert.rejects(createSearchProvider('brave').search('query'), (error) => error.retryable === false);
+});
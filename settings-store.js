@@ -0,0 +1,292 @@
+/**
+ * Settings that can be changed while the agent runs.
+ *
+ * Values set with "!agent set" are stored in data/settings.json and take
+ * precedence over environment variables, which take precedence over the
+ * defaults in the schema. Every value is checked against the schema before
+ * it is stored, and edits made to the file by hand are picked up without a
+ * restart.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+
+// Keys are the names of the environment variables they override
+const SETTINGS_SCHEMA = {
+  DEBUG_MODE: { type: 'boolean', default: false, description: 'Log details of every message' },
+  REDACT_PII: { type: 'boolean', default: false, description: 'Hide phone numbers, emails and card numbers from storage, logs and remote models' },
+  SEARCH_ENABLED: { type: 'boolean', default: true, description: 'Let the agent search the web' },
+  SEARCH_DEEP_READ: { type: 'boolean', default: false, description: 'Read the top search results and cite them' },
+  DEEP_READ_PAGES: { type: 'integer', default: 3, min: 1, max: 10, description: 'Search results read in deep read mode' },
+  PHONE_INTEGRATION_ENABLED: { type: 'boolean', default: false, description: 'Let the agent use phone data' },
+  USER_PERSONA_ENABLED: { type: 'boolean', default: false, description: 'Answer in your writing style' },
+  USER_PERSONA_LEARNING_MODE: { type: 'boolean', default: false, description: 'Learn your style from your messages' },
+  PERSONA_EXCLUDED_CHAT_IDS: { type: 'list', default: [], description: 'Chats your style is not learned from' },
+  CONVERSATION_MEMORY_ENABLED: { type: 'boolean', default: true, description: 'Remember recent messages of each chat' },
+  GROUP_RESTRICTION_ENABLED: { type: 'boolean', default: false, description: 'Only answer the allowed groups' },
+  ALLOWED_GROUP_IDS: { type: 'list', default: [], pattern: /@g\.us$|^[\d-]+$/, description: 'Groups answered with the group restriction' },
+  AGENT_PAUSED: { type: 'boolean', default: false, description: 'Stop answering everywhere' },
+  PAUSED_CHAT_IDS: { type: 'list', default: [], description: 'Chats where answering is paused' },
+  DRAFT_APPROVAL_ENABLED: { type: 'boolean', default: false, description: 'Send every reply to you for approval first' },
+  DRAFT_APPROVAL_CHAT_IDS: { type: 'list', default: [], description: 'Chats whose replies need your approval' },
+  DRAFT_EXPIRY_MINUTES: { type: 'integer', default: 60, min: 1, max: 10080, description: 'How long a draft waits for approval' },
+  REMINDERS_ENABLED: { type: 'boolean', default: true, description: 'Let contacts set reminders in their chat' },
+  MEDIA_VOICE_ENABLED: { type: 'boolean', default: false, description: 'Transcribe voice notes' },
+  MEDIA_IMAGES_ENABLED: { type: 'boolean', default: true, description: 'Describe images with the media model' },
+  MEDIA_DOCUMENTS_ENABLED: { type: 'boolean', default: true, description: 'Read PDFs and text documents' },
+  MEDIA_MAX_MB: { type: 'integer', default: 10, min: 1, max: 100, description: 'Largest media file that is processed' },
+  VOICE_MAX_SECONDS: { type: 'integer', default: 120, min: 1, max: 1800, description: 'Longest voice note that is transcribed' },
+  RATE_LIMIT_PER_CHAT: { type: 'integer', default: 6, min: 1, max: 600, description: 'Messages answered per minute in one chat' },
+  RATE_LIMIT_GLOBAL: { type: 'integer', default: 30, min: 1, max: 6000, description: 'Messages answered per minute over all chats' },
+  RATE_LIMIT_COOLDOWN_SECONDS: { type: 'integer', default: 60, min: 1, max: 86400, description: 'How long messages are ignored after a limit is hit' },
+  LOOP_PROTECTION_ENABLED: { type: 'boolean', default: true, description: 'Pause chats where another bot answers every reply' },
+  DAILY_REQUEST_BUDGET: { type: 'integer', default: 0, min: 0, max: 1000000, description: 'Model requests per day before degraded mode, 0 for no limit' },
+  DAILY_TOKEN_BUDGET: { type: 'integer', default: 0, min: 0, max: 1000000000, description: 'Model tokens per day before degraded mode, 0 for no limit' },
+  KNOWLEDGE_ENABLED: { type: 'boolean', default: false, description: 'Answer from your notes with the knowledge base' },
+  KNOWLEDGE_CHAT_HISTORY: { type: 'boolean', default: false, description: 'Also index your recent chat history' },
+  DIGEST_ENABLED: { type: 'boolean', default: false, description: 'Send you a daily digest of the allowed groups' },
+  DIGEST_HOUR: { type: 'integer', default: 20, min: 0, max: 23, description: 'Hour of the day the digest is sent at' },
+  CATCH_UP_MAX_HOURS: { type: 'integer', default: 12, min: 0, max: 168, description: 'How far back messages received while offline are answered, 0 to turn off' }
+};
+
+class SettingsError extends Error {
+  /**
+   * @param {string} key The setting
+   * @param {string} message What is wrong with the value
+   */
+  constructor(key, message) {
+    super(`${key}: ${message}`);
+    this.name = 'SettingsError';
+    this.key = key;
+  }
+}
+
+/**
+ * Converts a value given as text (environment variable, chat command) to the
+ * type the schema expects
+ * @param {Object} spec The schema entry
+ * @param {string} text The value as text
+ * @returns {*} The typed value, not yet validated
+ */
+function parseValue(spec, text) {
+  const value = String(text).trim();
+  switch (spec.type) {
+    case 'boolean':
+      if (['true', 'on', 'yes', '1'].includes(value.toLowerCase())) return true;
+      if (['false', 'off', 'no', '0'].includes(value.toLowerCase())) return false;
+      return value;
+    case 'integer':
+      return /^-?\d+$/.test(value) ? parseInt(value) : value;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Checks a value against its schema entry
+ * @param {string} key The setting
+ * @param {*} value The typed value
+ * @param {Object} [schema] The schema
+ * @throws {SettingsError} When the key is unknown or the value is invalid
+ */
+function validateSetting(key, value, schema = SETTINGS_SCHEMA) {
+  const spec = schema[key];
+  if (!spec) {
+    throw new SettingsError(key, 'unknown setting');
+  }
+
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new SettingsError(key, 'must be true or false');
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) throw new SettingsError(key, 'must be a whole number');
+      if (spec.min !== undefined && value < spec.min) throw new SettingsError(key, `must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new SettingsError(key, `must be at most ${spec.max}`);
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new SettingsError(key, 'must be a list of text values');
+      }
+      for (const item of value) {
+        if (spec.pattern && !spec.pattern.test(item)) throw new SettingsError(key, `"${item}" is not a valid entry`);
+      }
+      break;
+    default:
+      if (typeof value !== 'string') throw new SettingsError(key, 'must be text');
+  }
+}
+
+class SettingsStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] Where changed settings are stored
+   * @param {Object} [options.schema] Known settings with their types and defaults
+   * @param {Object} [options.env] Environment variables to layer below the file
+   */
+  constructor({ file = SETTINGS_FILE, schema = SETTINGS_SCHEMA, env = process.env } = {}) {
+    super();
+    this.file = file;
+    this.schema = schema;
+    this.env = env;
+    this.values = {};
+    this.watching = false;
+  }
+
+  /**
+   * Loads the stored settings, skipping entries that don't match the schema
+   */
+  async load() {
+    let stored;
+    try {
+      stored = await readJson(this.file, {});
+    } catch (error) {
+      console.error('Error loading settings, keeping the previous values:', error.message);
+      return;
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(stored)) {
+      try {
+        validateSetting(key, value, this.schema);
+        values[key] = value;
+      } catch (error) {
+        console.error(`Ignoring invalid setting ${error.message}`);
+      }
+    }
+
+    const previous = this.values;
+    this.values = values;
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(values)])) {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(values[key])) {
+        this.emit('change', key, this.get(key));
+      }
+    }
+  }
+
+  /**
+   * Reloads the settings whenever the file changes on disk
+   * @param {number} [intervalMs] How often the file is checked
+   */
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.file, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.load();
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    this.watching = false;
+    fs.unwatchFile(this.file);
+  }
+
+  // The value of the environment variable, or undefined when it is unset or invalid
+  envValue(key) {
+    if (this.env[key] === undefined || this.env[key] === '') return undefined;
+    const value = parseValue(this.schema[key], this.env[key]);
+    try {
+      validateSetting(key, value, this.schema);
+      return value;
+    } catch (error) {
+      return undefined; // Falls back to the default
+    }
+  }
+
+  /**
+   * Gets the current value of a setting
+   * @param {string} key The setting
+   * @returns {*} The stored value, else the environment variable, else the default
+   */
+  get(key) {
+    const spec = this.schema[key];
+    if (!spec) throw new SettingsError(key, 'unknown setting');
+    if (key in this.values) return this.values[key];
+    const envValue = this.envValue(key);
+    return envValue !== undefined ? envValue : spec.default;
+  }
+
+  /**
+   * Tells where the current value of a setting comes from
+   * @param {string} key The setting
+   * @returns {'settings'|'env'|'default'}
+   */
+  source(key) {
+    if (key in this.values) return 'settings';
+    if (this.envValue(key) !== undefined) return 'env';
+    return 'default';
+  }
+
+  /**
+   * Changes a setting and stores it
+   * @param {string} key The setting
+   * @param {*} value The value, as text or already typed
+   * @returns {Promise<*>} The stored value
+   * @throws {SettingsError} When the key is unknown or the value is invalid
+   */
+  async set(key, value) {
+    const spec = this.schema[key];
+    if (!spec) throw new SettingsError(key, 'unknown setting');
+
+    const typed = typeof value === 'string' ? parseValue(spec, value) : value;
+    validateSetting(key, typed, this.schema);
+
+    this.values = { ...this.values, [key]: typed };
+    await writeJson(this.file, this.values);
+    this.emit('change', key, typed);
+    return typed;
+  }
+
+  /**
+   * Removes a stored value, so the environment variable or default applies again
+   * @param {string} key The setting
+   */
+  async reset(key) {
+    if (!this.schema[key]) throw new SettingsError(key, 'unknown setting');
+    if (!(key in this.values)) return;
+
+    const { [key]: removed, ...rest } = this.values;
+    this.values = rest;
+    await writeJson(this.file, this.values);
+    this.emit('change', key, this.get(key));
+  }
+
+  /**
+   * Lists every setting with its current value and where it comes from
+   * @returns {Array<{key: string, value: *, source: string, description: string}>}
+   */
+  list() {
+    return Object.keys(this.schema).map(key => ({
+      key,
+      value: this.get(key),
+      source: this.source(key),
+      description: this.schema[key].description
+    }));
+  }
+}
+
+/**
+ * Formats a setting value for a chat message
+ * @param {*} value The value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(',') : '(none)';
+  return String(value);
+}
+
+module.exports = {
+  SettingsStore,
+  SettingsError,
+  SETTINGS_SCHEMA,
+  parseValue,
+  validateSetting,
+  formatValue
+};
@@ -0,0 +1,435 @@
+/**
+ * Local chat simulator, a transport that needs no WhatsApp account.
+ *
+ * Chats and messages live in memory. You play your contacts: direct chats,
+ * groups with several members, your own messages (for !agent commands) and
+ * media from files. The agent answers as it would on WhatsApp:
+ *
+ *   TRANSPORT=simulator npm start
+ *
+ * On the command line, text is sent as the current contact and /help lists
+ * the commands. With SIMULATOR_HTTP_PORT set, the same can be done over
+ * HTTP, which end-to-end tests can use:
+ *
+ *   POST /messages        { chatName, isGroup, from, body, fromMe, mentionMe, media: { path }, waitMs }
+ *                         => { message, reply }, reply being the agent's first answer within waitMs
+ *   GET  /chats           => the chats
+ *   GET  /chats/<id>/messages?limit=20
+ *
+ * Tests can also create the transport directly and call receive() and
+ * waitForReply().
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+
+const OWN_ID = 'me@c.us';
+
+const MEDIA_TYPES = {
+  '.ogg': ['audio/ogg; codecs=opus', 'ptt'],
+  '.opus': ['audio/ogg; codecs=opus', 'ptt'],
+  '.mp3': ['audio/mpeg', 'ptt'],
+  '.m4a': ['audio/mp4', 'ptt'],
+  '.wav': ['audio/wav', 'ptt'],
+  '.jpg': ['image/jpeg', 'image'],
+  '.jpeg': ['image/jpeg', 'image'],
+  '.png': ['image/png', 'image'],
+  '.webp': ['image/webp', 'image'],
+  '.mp4': ['video/mp4', 'video'],
+  '.pdf': ['application/pdf', 'document'],
+  '.txt': ['text/plain', 'document'],
+  '.md': ['text/markdown', 'document'],
+  '.csv': ['text/csv', 'document']
+};
+
+const HELP = `Simulator commands:
+  <text>                   send as the current contact; "@me" in a group mentions you
+  /dm <name>               chat directly with a contact
+  /group <name> <member>   chat in a group, as one of its members
+  /as <member>             write as another member of the current group
+  /me <text>               send as yourself, e.g. "/me !agent status"
+  /media <file> [caption]  send a voice note, image, video or document
+  /chats                   list the chats
+  /help                    show this help`;
+
+// Chat and contact IDs in the format WhatsApp uses, so access rules work the same
+function toId(name, isGroup = false) {
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chat';
+  return `${slug}@${isGroup ? 'g' : 'c'}.us`;
+}
+
+/**
+ * Reads a file as the media of a message
+ * @param {string} file Path of the file
+ * @returns {Promise<{mimetype: string, type: string, data: string, filename: string, size: number}>}
+ */
+async function mediaFromFile(file) {
+  const [mimetype, type] = MEDIA_TYPES[path.extname(file).toLowerCase()] || ['application/octet-stream', 'document'];
+  const data = await fs.readFile(file);
+  return { mimetype, type, data: data.toString('base64'), filename: path.basename(file), size: data.length };
+}
+
+class SimulatorTransport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.cli] Read simulated messages from the command line
+   * @param {number} [options.httpPort] Serve the HTTP API on this port, 0 for none
+   * @param {string} [options.httpHost] Interface to bind, localhost by default
+   * @param {string} [options.ownName] Your name in the simulated chats
+   * @param {Object} [options.input] Stream the command line is read from
+   * @param {Object} [options.output] Stream the command line writes to
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    cli = false,
+    httpPort = 0,
+    httpHost = '127.0.0.1',
+    ownName = 'You',
+    input = process.stdin,
+    output = process.stdout,
+    now = Date.now
+  } = {}) {
+    super();
+    this.name = 'simulator';
+    this.cli = cli;
+    this.httpPort = httpPort;
+    this.httpHost = httpHost;
+    this.input = input;
+    this.output = output;
+    this.now = now;
+    this.ownId = OWN_ID;
+    this.chats = new Map();
+    this.messages = new Map();
+    this.nextId = 1;
+    this.readline = null;
+    this.httpServer = null;
+    // Where the command line writes: a chat and, in groups, the member
+    this.current = { chatId: null, from: null };
+
+    this.addChat({ id: OWN_ID, name: ownName });
+  }
+
+  /**
+   * Creates a chat, or returns the existing one with this ID
+   * @param {Object} chat
+   * @param {string} [chat.id] The chat ID, made from the name when left out
+   * @param {string} chat.name Contact or group name
+   * @param {boolean} [chat.isGroup]
+   * @returns {Object} The stored chat
+   */
+  addChat({ id, name, isGroup = false }) {
+    const chatId = id || toId(name, isGroup);
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, { id: chatId, name: name || chatId, isGroup: isGroup || chatId.endsWith('@g.us'), unreadCount: 0, messageIds: [] });
+    }
+    return this.chats.get(chatId);
+  }
+
+  getChatRecord(chatId) {
+    const chat = this.chats.get(chatId);
+    if (!chat) throw new Error(`No simulated chat with ID ${chatId}`);
+    return chat;
+  }
+
+  // Stores a message and emits the events WhatsApp would
+  store(chat, { senderId, senderName = null, fromMe, fromAgent = false, body = '', media = null, mentionedIds = [], quotedId = null }) {
+    const record = {
+      id: `sim_${this.nextId++}`,
+      chatId: chat.id,
+      senderId,
+      senderName,
+      fromMe,
+      fromAgent,
+      body,
+      type: media ? media.type : 'chat',
+      timestamp: this.now(),
+      media,
+      mentionedIds,
+      quotedId
+    };
+    this.messages.set(record.id, record);
+    chat.messageIds.push(record.id);
+    chat.unreadCount = fromMe ? 0 : chat.unreadCount + 1;
+
+    const message = this.wrap(record);
+    this.emit('message_create', message);
+    if (!fromMe) this.emit('message', message);
+    return message;
+  }
+
+  /**
+   * Simulates a message sent by a contact, or by you from your phone
+   * @param {Object} message
+   * @param {string} [message.chatId] The chat, or
+   * @param {string} [message.chatName] the name of the chat, created when new
+   * @param {boolean} [message.isGroup] Whether a new chat is a group
+   * @param {string} [message.from] The sender's name, required in groups
+   * @param {string} [message.body] The text, or the caption of media
+   * @param {boolean} [message.fromMe] Sent by you
+   * @param {boolean} [message.mentionMe] Mentions you, in groups
+   * @param {Object} [message.media] { mimetype, type, data, filename } or { path }
+   * @param {string} [message.quotedId] ID of the message it answers
+   * @returns {Promise<Object>} The message, see transport.js
+   */
+  async receive({ chatId, chatName, isGroup = false, from, body = '', fromMe = false, mentionMe = false, media = null, quotedId = null }) {
+    const chat = chatId ? this.getChatRecord(chatId) : this.addChat({ name: chatName || from, isGroup });
+    if (chat.isGroup && !fromMe && !from) {
+      throw new Error('Messages in a group need a sender ("from")');
+    }
+    return this.store(chat, {
+      senderId: fromMe ? this.ownId : chat.isGroup ? toId(from) : chat.id,
+      senderName: fromMe ? null : chat.isGroup ? from : chat.name,
+      fromMe,
+      body,
+      media: media && media.path ? await mediaFromFile(media.path) : media,
+      mentionedIds: mentionMe ? [this.ownId] : [],
+      quotedId
+    });
+  }
+
+  /**
+   * Waits for the next message the agent sends in a chat
+   * @param {string} chatId The chat
+   * @param {number} [timeoutMs] How long to wait
+   * @returns {Promise<Object|null>} The message, or null after the timeout
+   */
+  waitForReply(chatId, timeoutMs = 30000) {
+    return new Promise((resolve) => {
+      const onSent = (message) => {
+        if (message.chatId !== chatId) return;
+        clearTimeout(timer);
+        this.off('sent', onSent);
+        resolve(message);
+      };
+      const timer = setTimeout(() => {
+        this.off('sent', onSent);
+        resolve(null);
+      }, timeoutMs);
+      this.on('sent', onSent);
+    });
+  }
+
+  wrap(record) {
+    return {
+      id: record.id,
+      chatId: record.chatId,
+      senderId: record.senderId,
+      senderName: record.senderName,
+      fromMe: record.fromMe,
+      fromAgent: record.fromAgent,
+      body: record.body,
+      type: record.type,
+      timestamp: record.timestamp,
+      hasMedia: Boolean(record.media),
+      duration: (record.media && record.media.duration) || 0,
+      size: record.media ? record.media.size || Buffer.byteLength(record.media.data || '', 'base64') : undefined,
+      mentionedIds: record.mentionedIds,
+      hasQuotedMsg: Boolean(record.quotedId),
+      getChat: async () => this.getChatById(record.chatId),
+      reply: async (text) => this.sendMessage(record.chatId, text, { quotedId: record.id }),
+      getQuotedMessage: async () => record.quotedId ? this.getMessageById(record.quotedId) : null,
+      downloadMedia: async () => record.media && { mimetype: record.media.mimetype, data: record.media.data, filename: record.media.filename }
+    };
+  }
+
+  async initialize() {
+    if (this.httpPort) await this.startHttp();
+    if (this.cli) this.startCli();
+    this.emit('ready');
+  }
+
+  /**
+   * Stops the command line and the HTTP API
+   */
+  async close() {
+    if (this.readline) {
+      this.readline.close();
+      this.readline = null;
+    }
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+
+  async sendMessage(chatId, text, { quotedId = null } = {}) {
+    const message = this.store(this.getChatRecord(chatId), { senderId: this.ownId, fromMe: true, fromAgent: true, body: text, quotedId });
+    this.emit('sent', message);
+    return message;
+  }
+
+  async getMessageById(messageId) {
+    const record = this.messages.get(messageId);
+    return record ? this.wrap(record) : null;
+  }
+
+  async getChats() {
+    const lastAt = (chat) => {
+      const last = this.messages.get(chat.messageIds[chat.messageIds.length - 1]);
+      return last ? last.timestamp : 0;
+    };
+    const chats = [...this.chats.values()].sort((a, b) => lastAt(b) - lastAt(a));
+    return Promise.all(chats.map(chat => this.getChatById(chat.id)));
+  }
+
+  async getChatById(chatId) {
+    const chat = this.getChatRecord(chatId);
+    return {
+      id: chat.id,
+      name: chat.name,
+      isGroup: chat.isGroup,
+      unreadCount: chat.unreadCount,
+      fetchMessages: async ({ limit = 50 } = {}) =>
+        chat.messageIds.slice(-limit).map(id => this.wrap(this.messages.get(id)))
+    };
+  }
+
+  // The command line: one line per message, or a /command
+  startCli() {
+    this.readline = readline.createInterface({ input: this.input, output: this.output });
+    const print = (text) => this.output.write(`${text}\n`);
+
+    this.on('sent', (message) => {
+      const chat = this.chats.get(message.chatId);
+      print(`\n← [${chat.name}] ${message.body}`);
+      this.prompt();
+    });
+    this.readline.on('line', (line) => {
+      this.handleCliLine(line.trim())
+        .then(reply => reply && print(reply))
+        .catch(error => print(`⚠️ ${error.message}`))
+        .finally(() => this.prompt());
+    });
+    // Ctrl+C on the command line stops the agent, as it does without the simulator
+    this.readline.on('SIGINT', () => process.kill(process.pid, 'SIGINT'));
+
+    print('Chat simulator. Type /help for the commands.');
+    this.prompt();
+  }
+
+  prompt() {
+    if (!this.readline) return;
+    const chat = this.current.chatId && this.chats.get(this.current.chatId);
+    const where = !chat ? 'no chat' : chat.isGroup ? `${chat.name} as ${this.current.from}` : chat.name;
+    this.readline.setPrompt(`[${where}]> `);
+    this.readline.prompt(true);
+  }
+
+  /**
+   * Runs one line of the command line
+   * @param {string} line The line
+   * @returns {Promise<string|null>} What to print
+   */
+  async handleCliLine(line) {
+    if (!line) return null;
+    const [command, ...args] = line.split(/\s+/);
+    const rest = line.slice(command.length).trim();
+
+    switch (command) {
+      case '/help':
+        return HELP;
+      case '/chats': {
+        const chats = await this.getChats();
+        return chats.map(chat => `${chat.id} · ${chat.name}${chat.isGroup ? ' (group)' : ''}`).join('\n');
+      }
+      case '/dm': {
+        if (!rest) throw new Error('Usage: /dm <name>');
+        this.current = { chatId: this.addChat({ name: rest }).id, from: rest };
+        return null;
+      }
+      case '/group': {
+        if (args.length < 2) throw new Error('Usage: /group <name> <member>');
+        this.current = { chatId: this.addChat({ name: args[0], isGroup: true }).id, from: args.slice(1).join(' ') };
+        return null;
+      }
+      case '/as': {
+        if (!rest) throw new Error('Usage: /as <member>');
+        this.current.from = rest;
+        return null;
+      }
+      case '/me':
+        await this.receive({ chatId: this.current.chatId || this.ownId, body: rest, fromMe: true });
+        return null;
+      case '/media': {
+        if (!args[0]) throw new Error('Usage: /media <file> [caption]');
+        const caption = rest.slice(args[0].length).trim();
+        await this.receiveFromCli(caption, await mediaFromFile(args[0]));
+        return null;
+      }
+      default:
+        if (command.startsWith('/')) throw new Error(`Unknown command ${command}. Type /help for the commands.`);
+        await this.receiveFromCli(line);
+        return null;
+    }
+  }
+
+  async receiveFromCli(body, media = null) {
+    if (!this.current.chatId) throw new Error('Open a chat first, with /dm <name> or /group <name> <member>');
+    await this.receive({
+      chatId: this.current.chatId,
+      from: this.current.from,
+      body,
+      media,
+      mentionMe: /(^|\s)@me\b/.test(body)
+    });
+  }
+
+  // The HTTP API described at the top of this file
+  async startHttp() {
+    const toJson = (message) => ({
+      id: message.id,
+      chatId: message.chatId,
+      senderId: message.senderId,
+      senderName: message.senderName,
+      fromMe: message.fromMe,
+      body: message.body,
+      type: message.type,
+      timestamp: new Date(message.timestamp).toISOString()
+    });
+    const send = (res, status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    this.httpServer = http.createServer(async (req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      try {
+        if (req.method === 'POST' && url.pathname === '/messages') {
+          let raw = '';
+          for await (const chunk of req) raw += chunk;
+          const { waitMs = 0, ...fields } = JSON.parse(raw || '{}');
+          const message = await this.receive(fields);
+          const reply = waitMs > 0 ? await this.waitForReply(message.chatId, waitMs) : null;
+          send(res, 201, { message: toJson(message), reply: reply && toJson(reply) });
+          return;
+        }
+        if (req.method === 'GET' && url.pathname === '/chats') {
+          const chats = await this.getChats();
+          send(res, 200, chats.map(({ fetchMessages, ...chat }) => chat));
+          return;
+        }
+        const match = url.pathname.match(/^\/chats\/([^/]+)\/messages$/);
+        if (req.method === 'GET' && match) {
+          const chat = await this.getChatById(decodeURIComponent(match[1]));
+          const messages = await chat.fetchMessages({ limit: parseInt(url.searchParams.get('limit')) || 20 });
+          send(res, 200, messages.map(toJson));
+          return;
+        }
+        send(res, 404, { error: 'Not found' });
+      } catch (error) {
+        send(res, 400, { error: error.message });
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.httpPort, this.httpHost, resolve);
+    });
+    console.log(`Chat simulator listening on http://${this.httpHost}:${this.httpPort}`);
+  }
+}
+
+module.exports = { SimulatorTransport, mediaFromFile, toId, OWN_ID };
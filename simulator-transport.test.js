@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { SimulatorTransport } = require('./simulator-transport');
+
+test('messages the agent sends are told from the ones you type', async () => {
+  const transport = new SimulatorTransport();
+  const created = [];
+  transport.on('message_create', message => created.push(message));
+
+  const incoming = await transport.receive({ chatName: 'Ann', body: 'Are we still on for dinner?' });
+  await incoming.reply('Yes, see you at 7.');
+  await transport.receive({ chatId: incoming.chatId, fromMe: true, body: 'bringing the wine' });
+
+  assert.deepEqual(created.map(({ body, fromMe, fromAgent }) => ({ body, fromMe, fromAgent })), [
+    { body: 'Are we still on for dinner?', fromMe: false, fromAgent: false },
+    { body: 'Yes, see you at 7.', fromMe: true, fromAgent: true },
+    { body: 'bringing the wine', fromMe: true, fromAgent: false }
+  ]);
+});
+
+// A port nothing listens on right now
+async function freePort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('the agent answers, obeys commands and learns your replies in the simulator', { timeout: 60000 }, async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulator-e2e-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // Started from the data directory, so no .env file of a real setup is read
+  const agent = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+    cwd: dataDir,
+    env: {
+      PATH: process.env.PATH,
+      TRANSPORT: 'simulator',
+      SIMULATOR_CLI: 'false',
+      SIMULATOR_HTTP_PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      DATA_DIR: dataDir,
+      MCP_SERVERS_FILE: path.join(dataDir, 'mcp-servers.json'),
+      USER_PERSONA_LEARNING_MODE: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  agent.stdout.on('data', data => { output += data; });
+  agent.stderr.on('data', data => { output += data; });
+  const exited = new Promise(resolve => agent.on('exit', (code, signal) => resolve({ code, signal })));
+  t.after(() => agent.exitCode === null && agent.kill('SIGKILL'));
+
+  const post = async (body) => {
+    const response = await fetch(`${baseUrl}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 201, output);
+    return response.json();
+  };
+
+  // Wait for the HTTP API
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${baseUrl}/chats`);
+      break;
+    } catch (error) {
+      if (attempt === 200 || agent.exitCode !== null) assert.fail(`The agent did not start:\n${output}`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const first = await post({ chatName: 'Ann', body: 'Are we still on for dinner?', waitMs: 15000 });
+  assert.equal(first.reply && first.reply.body, 'This is a mock response.', output);
+  const chatId = first.message.chatId;
+
+  // Ann gets no answer while the chat is paused
+  const pause = await post({ chatId, fromMe: true, body: '!agent pause', waitMs: 15000 });
+  assert.match(pause.reply.body, /Paused in this chat/);
+  const paused = await post({ chatId, body: 'Hello?', waitMs: 1500 });
+  assert.equal(paused.reply, null);
+  const resume = await post({ chatId, fromMe: true, body: '!agent resume', waitMs: 15000 });
+  assert.equal(resume.reply.body, '▶️ Resumed in this chat.');
+
+  await post({ chatId, fromMe: true, body: 'yes!! 7 at the usual place' });
+  const messages = await (await fetch(`${baseUrl}/chats/${encodeURIComponent(chatId)}/messages`)).json();
+  assert.deepEqual(messages.map(message => message.body), [
+    'Are we still on for dinner?',
+    'This is a mock response.',
+    '!agent pause',
+    '⏸️ Paused in this chat. Send "!agent resume" to continue.',
+    'Hello?',
+    '!agent resume',
+    '▶️ Resumed in this chat.',
+    'yes!! 7 at the usual place'
+  ]);
+
+  // The reply is learned after the message is stored, so wait for it to be saved
+  const personaFile = path.join(dataDir, 'user_persona.json');
+  const learned = () => fs.existsSync(personaFile) ? JSON.parse(fs.readFileSync(personaFile, 'utf8')).samples : [];
+  for (let attempt = 0; learned().length === 0; attempt++) {
+    if (attempt === 100) assert.fail(`The reply was not learned:\n${output}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  agent.kill('SIGTERM');
+  assert.deepEqual(await exited, { code: 0, signal: null }, output);
+  const persona = JSON.parse(fs.readFileSync(personaFile, 'utf8'));
+  assert.deepEqual(persona.samples.map(({ incoming, text }) => ({ incoming, text })), [
+    { incoming: 'Hello?', text: 'yes!! 7 at the usual place' }
+  ]);
+});
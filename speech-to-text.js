@@ -0,0 +1,186 @@
+/**
+ * Speech-to-text backends for voice notes.
+ *
+ * Every backend exposes transcribe({ data, mimeType }) => Promise<string>,
+ * where data is a Buffer with the audio. The default runs whisper.cpp
+ * locally, so voice notes never leave the machine:
+ *
+ *   STT_BACKEND=whispercpp
+ *   WHISPER_CPP_BIN=whisper-cli        the whisper.cpp binary (main in older builds)
+ *   WHISPER_MODEL=models/ggml-base.bin
+ *
+ * whisper.cpp only reads WAV, so the audio is converted with ffmpeg first.
+ * STT_BACKEND=openai sends the audio to an OpenAI-compatible
+ * /audio/transcriptions endpoint instead.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+class TranscriptionError extends Error {
+  /**
+   * @param {string} message Error description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptionError';
+  }
+}
+
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/wav': '.wav',
+  'audio/webm': '.webm',
+  'audio/amr': '.amr'
+};
+
+// File extension for an audio type; voice notes are "audio/ogg; codecs=opus"
+function audioExtension(mimeType) {
+  return AUDIO_EXTENSIONS[(mimeType || '').split(';')[0].trim()] || '.audio';
+}
+
+/**
+ * Runs a command and returns its standard output
+ * @param {string} command The command
+ * @param {Array<string>} args Command arguments
+ * @param {number} timeoutMs How long the command may run
+ * @returns {Promise<string>}
+ */
+function runCommand(command, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error && error.code === 'ENOENT') {
+        reject(new TranscriptionError(`${command} was not found. Install it or set its path in the configuration.`));
+      } else if (error && error.killed) {
+        reject(new TranscriptionError(`${command} did not finish within ${timeoutMs}ms`));
+      } else if (error) {
+        reject(new TranscriptionError(`${command} failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Cleans whisper.cpp output: drops timestamps and joins the segments
+ * @param {string} output The command output
+ * @returns {string} The transcript
+ */
+function parseWhisperOutput(output) {
+  return output
+    .split('\n')
+    .map(line => line.replace(/^\s*\[[\d:.]+\s*-->\s*[\d:.]+\]\s*/, '').trim())
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+class WhisperCppTranscriber {
+  /**
+   * @param {Object} options
+   * @param {string} options.model Path of the ggml model file
+   * @param {string} [options.binary] The whisper.cpp binary
+   * @param {string} [options.ffmpeg] The ffmpeg binary
+   * @param {string} [options.language] Spoken language, or auto to detect it
+   * @param {number} [options.timeoutMs] How long one step may run
+   * @param {Function} [options.run] Command runner, replaceable for tests
+   */
+  constructor({ model, binary = 'whisper-cli', ffmpeg = 'ffmpeg', language = 'auto', timeoutMs = 120000, run = runCommand }) {
+    this.name = 'whispercpp';
+    this.model = model;
+    this.binary = binary;
+    this.ffmpeg = ffmpeg;
+    this.language = language;
+    this.timeoutMs = timeoutMs;
+    this.run = run;
+  }
+
+  async transcribe({ data, mimeType }) {
+    if (!this.model) {
+      throw new TranscriptionError('WHISPER_MODEL is not set. Download a ggml model and set its path.');
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-voice-'));
+    try {
+      const input = path.join(dir, `input${audioExtension(mimeType)}`);
+      const wav = path.join(dir, 'audio.wav');
+      await fs.writeFile(input, data);
+
+      await this.run(this.ffmpeg, ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], this.timeoutMs);
+      const output = await this.run(
+        this.binary,
+        ['-m', this.model, '-f', wav, '-l', this.language, '-nt', '-np'],
+        this.timeoutMs
+      );
+      return parseWhisperOutput(output);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+class OpenAITranscriber {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] API root, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey] Bearer token
+   * @param {string} [options.model] Transcription model
+   * @param {number} [options.timeoutMs] Request timeout
+   */
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'whisper-1', timeoutMs = 60000 }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe({ data, mimeType }) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: mimeType }), `voice${audioExtension(mimeType)}`);
+    form.append('model', this.model);
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeoutMs
+      });
+      return (response.data.text || '').trim();
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.error;
+      throw new TranscriptionError(`Transcription failed: ${(detail && detail.message) || error.message}`);
+    }
+  }
+}
+
+/**
+ * Creates a speech-to-text backend by name
+ * @param {string} name whispercpp or openai
+ * @param {Object} [options] Backend options
+ * @returns {Object} The backend
+ */
+function createTranscriber(name, options = {}) {
+  switch (name) {
+    case 'whispercpp':
+      return new WhisperCppTranscriber(options);
+    case 'openai':
+      return new OpenAITranscriber(options);
+    default:
+      throw new TranscriptionError(`Unknown speech-to-text backend: ${name}`);
+  }
+}
+
+module.exports = {
+  TranscriptionError,
+  WhisperCppTranscriber,
+  OpenAITranscriber,
+  createTranscriber,
+  parseWhisperOutput
+};
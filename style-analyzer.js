@@ -1,78 +1,78 @@
 /**
  * Style Analyzer Tool
  * 
- * This tool analyzes the user's writing style to help the agent mimic it better.
- * It can be run separately to generate insights about the user's writing patterns.
+ * This tool reports on the user's writing style to help the agent mimic it better.
+ * It can be run separately to generate insights about the user's writing patterns:
+ *
+ *   node style-analyzer.js [chatId] [--ai] [--json]
+ *
+ * The report is computed locally (lengths, emoji, punctuation, capitalization,
+ * phrases, languages, active hours) and saved as a dated snapshot in
+ * data/style_reports/, with the changes since the previous snapshot. With --ai
+ * the model adds a written analysis to the report. The style summaries persona
+ * replies use belong to the running agent, which would overwrite a summary
+ * written from here; "!agent style" writes them again on demand.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const llm = require('./llm');
+const { PersonaStore } = require('./persona-store');
+const { computeStyleMetrics, compareMetrics, formatMarkdown, saveSnapshot, loadPreviousSnapshot } = require('./style-metrics');
+const { localDate } = require('./time-utils');
 
-// Initialize Google Generative AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const AI_MODEL = process.env.AI_MODEL || 'gemini-1.0-pro';
-
-const PERSONA_DIR = path.join(__dirname, 'data');
-const PERSONA_FILE = path.join(PERSONA_DIR, 'user_persona.json');
-
-async function main() {
+async function main(args = process.argv.slice(2)) {
   try {
-    // Check if persona file exists
-    try {
-      await fs.access(PERSONA_FILE);
-    } catch (error) {
-      console.error('Error: No user persona data found. Please enable USER_PERSONA_LEARNING_MODE and send some messages first.');
-      return;
-    }
+    const chatId = args.find(arg => !arg.startsWith('--'));
+    const withAnalysis = args.includes('--ai');
+    const asJson = args.includes('--json');
 
-    // Load user persona data
-    const data = await fs.readFile(PERSONA_FILE, 'utf8');
-    const userPersona = JSON.parse(data);
+    const persona = new PersonaStore();
+    await persona.load();
+    const samples = persona.samplesFor(chatId);
 
-    if (!userPersona.styleSamples || userPersona.styleSamples.length < 5) {
+    if (samples.length < 5) {
       console.error('Error: Not enough style samples collected. Please send more messages with USER_PERSONA_LEARNING_MODE enabled.');
-      console.log(`Current samples: ${userPersona.styleSamples ? userPersona.styleSamples.length : 0}/5 required`);
+      console.log(`Current samples: ${samples.length}/5 required`);
       return;
     }
 
-    console.log(`Analyzing ${userPersona.styleSamples.length} writing samples...`);
+    const date = localDate();
+    const metrics = computeStyleMetrics(samples);
+    const report = { profile: chatId || 'all chats', date, metrics };
 
-    // Get a few sample messages to show
-    const sampleMessages = userPersona.styleSamples.slice(0, 3).map(sample => 
-      sample.length > 50 ? sample.substring(0, 50) + '...' : sample
-    );
-    console.log('\nSample messages:');
-    sampleMessages.forEach((sample, i) => console.log(`${i+1}. "${sample}"`));
-
-    // Analyze the writing style
-    const styleAnalysis = await analyzeWritingStyle(userPersona.styleSamples);
-    console.log('\nWriting Style Analysis:');
-    console.log(styleAnalysis);
+    // Compare with the latest snapshot from an earlier day
+    const previous = await loadPreviousSnapshot(date, chatId);
+    if (previous) {
+      report.drift = { since: previous.date, changes: compareMetrics(previous.metrics, metrics) };
+    }
 
-    // Ask if user wants to save the analysis
-    await fs.writeFile(
-      path.join(PERSONA_DIR, 'style_analysis.txt'), 
-      `Writing Style Analysis:\n${styleAnalysis}\n\nBased on ${userPersona.styleSamples.length} samples`,
-      'utf8'
-    );
-    console.log('\nAnalysis saved to data/style_analysis.txt');
+    if (withAnalysis) {
+      report.analysis = await summarizeStyle(samples.map(sample => sample.text));
+    }
 
+    const files = await saveSnapshot(report, chatId);
+    console.log(asJson ? JSON.stringify(report, null, 2) : formatMarkdown(report));
+    console.error(`Report saved to ${[files.markdown, files.json].filter(Boolean).join(' and ')}`);
+    if (withAnalysis) {
+      console.error('Persona replies keep using the agent\'s own style summary. Send "!agent style" to have the agent write it again.');
+    }
   } catch (error) {
     console.error('Error analyzing writing style:', error);
   }
 }
 
-async function analyzeWritingStyle(samples) {
-  try {
-    const model = genAI.getGenerativeModel({ model: AI_MODEL });
-    
-    // Join a few samples together
-    const sampleText = samples.slice(0, 10).join('\n\n');
-    
-    // Create a prompt that instructs Gemini to analyze the writing style
-    const prompt = `Analyze the following writing samples from the same person and describe their writing style in detail:
+/**
+ * Describes the writing style of a set of samples
+ * @param {Array<string>} samples Messages written by the user, oldest first
+ * @returns {Promise<string>} The analysis
+ * @throws {LLMError} When the model can't be reached
+ */
+async function summarizeStyle(samples) {
+  // Join the most recent samples together
+  const sampleText = samples.slice(-20).join('\n\n');
+  
+  // Create a prompt that instructs the model to analyze the writing style
+  const prompt = `Analyze the following writing samples from the same person and describe their writing style in detail:
 
 ${sampleText}
 
@@ -83,9 +83,13 @@ Provide a detailed analysis of:
 4. Punctuation patterns
 5. Vocabulary choices
 6. Any other distinctive elements`;
-    
-    const result = await model.generateContent(prompt);
-    return result.response.text();
+  
+  return await llm.generateText('style', prompt);
+}
+
+async function analyzeWritingStyle(samples) {
+  try {
+    return await summarizeStyle(samples);
   } catch (error) {
     console.error('Error in style analysis:', error);
     return "Error analyzing writing style. Please check your API key and internet connection.";
@@ -97,4 +101,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { analyzeWritingStyle }; 
\ No newline at end of file
+module.exports = { analyzeWritingStyle, summarizeStyle }; 
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * Writing style metrics computed locally, without a model call.
+ *
+ * computeStyleMetrics() takes the user's samples ({ text, timestamp }) and
+ * measures message lengths, emoji and punctuation use, capitalization,
+ * common phrases, the scripts (languages) used and the hours the user is
+ * active. Reports can be rendered as Markdown and are kept as dated
+ * snapshots in data/style_reports/, so compareMetrics() can show how the
+ * style drifts over time.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, readJson, writeReport } = require('./data-store');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('./time-utils');
+const { tokenize } = require('./persona-store');
+
+const REPORTS_DIR = path.join(DATA_DIR, 'style_reports');
+
+const LENGTH_BUCKETS = [
+  { label: '1-20', max: 20 },
+  { label: '21-50', max: 50 },
+  { label: '51-100', max: 100 },
+  { label: '101-200', max: 200 },
+  { label: '200+', max: Infinity }
+];
+
+const PUNCTUATION = {
+  exclamation: /!/g,
+  question: /\?/g,
+  period: /\./g,
+  comma: /,/g,
+  ellipsis: /\.\.\.|…/g,
+  repeatedMarks: /[!?]{2,}/g
+};
+
+const SCRIPTS = ['Latin', 'Devanagari', 'Arabic', 'Cyrillic', 'Greek', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bengali', 'Tamil', 'Telugu', 'Gujarati', 'Gurmukhi', 'Hebrew', 'Thai'];
+const SCRIPT_PATTERNS = SCRIPTS.map(script => ({ script, pattern: new RegExp(`\\p{Script=${script}}`, 'gu') }));
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+
+// Words too common to say anything about a style
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'on', 'is', 'it', 'i', 'you', 'for', 'at', 'be', 'that', 'this', 'with', 'was', 'are', 'me', 'my']);
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+// The most frequent entries of a count map, as [{ value, count }]
+function top(counts, limit, minCount = 1) {
+  return [...counts.entries()]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Counts the word sequences of a length over all texts
+ * @param {Array<Array<string>>} tokenLists The words of every message
+ * @param {number} n Words per sequence
+ * @returns {Map<string, number>}
+ */
+function countNgrams(tokenLists, n) {
+  const counts = new Map();
+  for (const tokens of tokenLists) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n);
+      if (n === 1 && STOPWORDS.has(gram[0])) continue;
+      count(counts, gram.join(' '));
+    }
+  }
+  return counts;
+}
+
+/**
+ * Measures the writing style of a set of messages
+ * @param {Array<{text: string, timestamp?: number}>} samples The messages
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] Zone the active hours are counted in
+ * @returns {Object} The metrics
+ */
+function computeStyleMetrics(samples, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const texts = samples.map(sample => sample.text || '');
+  const total = texts.length;
+  const perMessage = (value) => (total > 0 ? round(value / total, 3) : 0);
+
+  // Lengths
+  const lengths = texts.map(text => [...text].length).sort((a, b) => a - b);
+  const wordCounts = texts.map(text => tokenize(text).length);
+  const buckets = LENGTH_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+  for (const length of lengths) {
+    buckets[LENGTH_BUCKETS.findIndex(bucket => length <= bucket.max)].count++;
+  }
+
+  // Emoji
+  const emojiCounts = new Map();
+  let messagesWithEmoji = 0;
+  for (const text of texts) {
+    const emojis = text.match(EMOJI) || [];
+    if (emojis.length > 0) messagesWithEmoji++;
+    emojis.forEach(emoji => count(emojiCounts, emoji));
+  }
+  const emojiTotal = [...emojiCounts.values()].reduce((sum, value) => sum + value, 0);
+
+  // Punctuation, per message
+  const punctuation = {};
+  for (const [name, pattern] of Object.entries(PUNCTUATION)) {
+    punctuation[name] = perMessage(texts.reduce((sum, text) => sum + (text.match(pattern) || []).length, 0));
+  }
+  const endings = { period: 0, exclamation: 0, question: 0, emoji: 0, none: 0 };
+  for (const text of texts) {
+    const trimmed = text.trim();
+    if (/[.…]$/.test(trimmed)) endings.period++;
+    else if (/!$/.test(trimmed)) endings.exclamation++;
+    else if (/\?$/.test(trimmed)) endings.question++;
+    else if (/\p{Extended_Pictographic}️?$/u.test(trimmed)) endings.emoji++;
+    else endings.none++;
+  }
+
+  // Capitalization, for messages with letters that have a case
+  const cased = texts.filter(text => /\p{Lu}|\p{Ll}/u.test(text));
+  const words = texts.flatMap(text => text.match(/\p{L}{2,}/gu) || []);
+  const capitalization = {
+    startsUppercase: cased.length > 0 ? round(cased.filter(text => /^\P{L}*\p{Lu}/u.test(text)).length / cased.length, 3) : 0,
+    allLowercase: cased.length > 0 ? round(cased.filter(text => !/\p{Lu}/u.test(text)).length / cased.length, 3) : 0,
+    shoutedWords: words.length > 0 ? round(words.filter(word => /^\p{Lu}+$/u.test(word) && word.length > 2).length / words.length, 3) : 0,
+    lowercaseI: round(texts.reduce((sum, text) => sum + (text.match(/(^|\s)i(\s|'|$)/g) || []).length, 0) /
+      Math.max(1, texts.reduce((sum, text) => sum + (text.match(/(^|\s)[iI](\s|'|$)/g) || []).length, 0)), 3)
+  };
+
+  // Common words and phrases
+  const tokenLists = texts.map(tokenize);
+  const ngrams = {
+    words: top(countNgrams(tokenLists, 1), 15, 2),
+    bigrams: top(countNgrams(tokenLists, 2), 10, 2),
+    trigrams: top(countNgrams(tokenLists, 3), 10, 2)
+  };
+
+  // Scripts: which writing systems the messages use, and how often they are mixed
+  const scriptMessages = new Map();
+  let mixedMessages = 0;
+  for (const text of texts) {
+    const found = SCRIPT_PATTERNS.filter(({ pattern }) => (text.match(pattern) || []).length > 0).map(({ script }) => script);
+    found.forEach(script => count(scriptMessages, script));
+    if (found.length > 1) mixedMessages++;
+  }
+
+  // Active hours, for samples with a time
+  const hours = new Array(24).fill(0);
+  const timed = samples.filter(sample => sample.timestamp > 0);
+  for (const sample of timed) {
+    hours[getZonedParts(sample.timestamp, timeZone).hour]++;
+  }
+  const busiestHours = hours
+    .map((messages, hour) => ({ hour, messages }))
+    .filter(entry => entry.messages > 0)
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, 3)
+    .map(entry => entry.hour);
+
+  return {
+    sampleCount: total,
+    length: {
+      meanChars: total > 0 ? round(lengths.reduce((sum, length) => sum + length, 0) / total, 1) : 0,
+      medianChars: percentile(lengths, 0.5),
+      p90Chars: percentile(lengths, 0.9),
+      maxChars: lengths.length > 0 ? lengths[lengths.length - 1] : 0,
+      meanWords: total > 0 ? round(wordCounts.reduce((sum, value) => sum + value, 0) / total, 1) : 0,
+      buckets
+    },
+    emoji: {
+      perMessage: perMessage(emojiTotal),
+      messagesWithEmoji: perMessage(messagesWithEmoji),
+      top: top(emojiCounts, 10)
+    },
+    punctuation: { ...punctuation, endings },
+    capitalization,
+    ngrams,
+    scripts: {
+      messages: Object.fromEntries(top(scriptMessages, SCRIPTS.length).map(({ value, count: messages }) => [value, messages])),
+      mixedMessages: perMessage(mixedMessages)
+    },
+    activeHours: { timeZone, timedSamples: timed.length, hours, busiestHours }
+  };
+}
+
+// Metrics followed over time, and how to read each from the metrics
+const DRIFT_METRICS = [
+  ['Mean length (chars)', m => m.length.meanChars],
+  ['Mean words', m => m.length.meanWords],
+  ['Emoji per message', m => m.emoji.perMessage],
+  ['Messages with emoji', m => m.emoji.messagesWithEmoji],
+  ['Exclamation marks per message', m => m.punctuation.exclamation],
+  ['Question marks per message', m => m.punctuation.question],
+  ['Starts uppercase', m => m.capitalization.startsUppercase],
+  ['All lowercase', m => m.capitalization.allLowercase],
+  ['Mixed-script messages', m => m.scripts.mixedMessages]
+];
+
+/**
+ * Compares the metrics of two reports
+ * @param {Object} previous Metrics of the earlier report
+ * @param {Object} current Metrics of the later report
+ * @returns {Array<{metric: string, before: number, after: number, change: number}>}
+ */
+function compareMetrics(previous, current) {
+  return DRIFT_METRICS.map(([metric, get]) => {
+    const before = get(previous);
+    const after = get(current);
+    return { metric, before, after, change: round(after - before, 3) };
+  });
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+function percent(value) {
+  return `${round(value * 100, 1)}%`;
+}
+
+/**
+ * Renders a report as Markdown
+ * @param {Object} report
+ * @param {string} report.profile The chat the samples come from, or "all chats"
+ * @param {string} report.date Date of the report, YYYY-MM-DD
+ * @param {Object} report.metrics From computeStyleMetrics()
+ * @param {Object} [report.drift] { since, changes } from compareMetrics()
+ * @param {string} [report.analysis] The model's qualitative analysis
+ * @returns {string}
+ */
+function formatMarkdown({ profile, date, metrics, drift, analysis }) {
+  const m = metrics;
+  const list = (entries) => entries.length > 0 ? entries.map(({ value, count: times }) => `${value} (${times})`).join(', ') : '-';
+  const sections = [
+    `# Writing style report: ${profile}`,
+    `${date}, based on ${m.sampleCount} messages.`,
+    '## Message length',
+    `Mean ${m.length.meanChars} characters (${m.length.meanWords} words), median ${m.length.medianChars}, 90% under ${m.length.p90Chars}, longest ${m.length.maxChars}.`,
+    table(['Characters', 'Messages'], m.length.buckets.map(bucket => [bucket.label, bucket.count])),
+    '## Emoji',
+    `${m.emoji.perMessage} emoji per message, ${percent(m.emoji.messagesWithEmoji)} of messages have at least one.\n\nMost used: ${list(m.emoji.top)}`,
+    '## Punctuation',
+    table(['Mark', 'Per message'], Object.entries(m.punctuation).filter(([name]) => name !== 'endings').map(([name, value]) => [name, value])),
+    `Messages end with: ${Object.entries(m.punctuation.endings).map(([name, value]) => `${name} ${value}`).join(', ')}`,
+    '## Capitalization',
+    `${percent(m.capitalization.startsUppercase)} of messages start with a capital letter, ${percent(m.capitalization.allLowercase)} are all lowercase. ` +
+      `${percent(m.capitalization.shoutedWords)} of words are in capitals, and "I" is written lowercase ${percent(m.capitalization.lowercaseI)} of the time.`,
+    '## Common words and phrases',
+    `Words: ${list(m.ngrams.words)}\n\nTwo words: ${list(m.ngrams.bigrams)}\n\nThree words: ${list(m.ngrams.trigrams)}`,
+    '## Languages',
+    `Scripts used: ${Object.entries(m.scripts.messages).map(([script, messages]) => `${script} (${messages})`).join(', ') || '-'}. ` +
+      `${percent(m.scripts.mixedMessages)} of messages mix scripts.`,
+    '## Active hours',
+    m.activeHours.timedSamples > 0
+      ? `Busiest hours (${m.activeHours.timeZone}): ${m.activeHours.busiestHours.map(hour => `${String(hour).padStart(2, '0')}:00`).join(', ')}\n\n` +
+        table(['Hour', 'Messages'], m.activeHours.hours.map((messages, hour) => [String(hour).padStart(2, '0'), messages]).filter(([, messages]) => messages > 0))
+      : 'No message times recorded yet.'
+  ];
+
+  if (drift) {
+    sections.push(
+      `## Changes since ${drift.since}`,
+      table(['Metric', 'Before', 'Now', 'Change'], drift.changes.map(({ metric, before, after, change }) =>
+        [metric, before, after, change > 0 ? `+${change}` : change]))
+    );
+  }
+  if (analysis) {
+    sections.push('## Analysis', analysis);
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+// File name safe version of a profile key
+function snapshotName(date, chatId) {
+  return chatId ? `${date}_${chatId.replace(/[^\w.-]/g, '_')}` : date;
+}
+
+/**
+ * Stores a report as a dated snapshot, see writeReport() for the files.
+ * A second report on the same day replaces the first.
+ * @param {Object} report The report, see formatMarkdown()
+ * @param {string} [chatId] The chat the report is for
+ * @param {string} [dir] Where snapshots are kept
+ * @returns {Promise<{json: string, markdown: string|null}>} The written files
+ */
+async function saveSnapshot(report, chatId, dir = REPORTS_DIR) {
+  return writeReport(path.join(dir, snapshotName(report.date, chatId)), report, formatMarkdown(report));
+}
+
+/**
+ * Finds the latest snapshot from before a date
+ * @param {string} date YYYY-MM-DD
+ * @param {string} [chatId] The chat the report is for
+ * @param {string} [dir] Where snapshots are kept
+ * @returns {Promise<Object|null>} The stored report
+ */
+async function loadPreviousSnapshot(date, chatId, dir = REPORTS_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const suffix = chatId ? `_${chatId.replace(/[^\w.-]/g, '_')}.json` : '.json';
+  const earlier = files
+    .filter(file => /^\d{4}-\d{2}-\d{2}/.test(file) && file.slice(0, 10) < date)
+    .filter(file => (chatId ? file.slice(10) === suffix : file.length === 15 && file.endsWith(suffix)))
+    .sort();
+  return earlier.length > 0 ? await readJson(path.join(dir, earlier[earlier.length - 1]), null) : null;
+}
+
+module.exports = {
+  computeStyleMetrics,
+  compareMetrics,
+  formatMarkdown,
+  saveSnapshot,
+  loadPreviousSnapshot,
+  snapshotName,
+  REPORTS_DIR
+};
@@ -0,0 +1,462 @@
+/**
+ * Chat summaries and the daily group digest.
+ *
+ * Summaries and digests are made from a transcript: the messages of a chat
+ * as { sender, body, timestamp, mentionsYou }, oldest first, with your own
+ * messages sent by "You". Long transcripts don't fit in one prompt, so they
+ * are split into chunks of whole messages (map-reduce): each chunk is
+ * summarized on its own, then the partial summaries are combined, in rounds
+ * if even they are too long together.
+ *
+ * A digest picks out decisions, questions aimed at you and action items
+ * the same way, as JSON. Links are taken from the messages directly, so
+ * none are lost or made up.
+ *
+ * DailyDigest sends a digest once a day at a set hour, covering what
+ * happened since the previous one. Like the scheduler, its clock is
+ * injectable and runDue() can be called directly:
+ *
+ *   const digest = new DailyDigest({ build, send, now: () => fakeNow });
+ *   await digest.runDue();
+ */
+
+const path = require('path');
+const llm = require('./llm');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+const { parseJsonResponse } = require('./tool-router');
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc, startOfDay, localDate, formatInZone } = require('./time-utils');
+
+const DIGEST_FILE = path.join(DATA_DIR, 'digest.json');
+const DIGEST_LISTS = ['decisions', 'questions', 'actionItems'];
+const MAX_LIST_ITEMS = 10;
+const MAX_DIGEST_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]}]/g;
+
+class SummaryError extends Error {
+  /**
+   * @param {string} message What went wrong
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SummaryError';
+  }
+}
+
+/**
+ * Works out the start of "since <time>"
+ * @param {string} text e.g. "2h", "30 minutes", "9am", "14:30", "today", "yesterday" or "2024-06-12"
+ * @param {Object} [options]
+ * @param {number} [options.now] The current time in milliseconds
+ * @param {string} [options.timeZone] Zone clock times and days are in
+ * @returns {number} The instant in milliseconds
+ * @throws {SummaryError} When the time isn't understood
+ */
+function parseSince(text, { now = Date.now(), timeZone = DEFAULT_TIMEZONE } = {}) {
+  const value = (text || '').trim().toLowerCase();
+
+  const duration = /^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/.exec(value);
+  if (duration) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS }[duration[2][0]];
+    return now - parseInt(duration[1]) * unit;
+  }
+  if (value === 'today') return startOfDay(now, timeZone).getTime();
+  if (value === 'yesterday') return startOfDay(now, timeZone, -1).getTime();
+
+  const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone).getTime();
+  }
+
+  // A clock time is the last time it was that time: today, or yesterday if that is still ahead
+  const clock = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(value);
+  if (clock && (clock[2] || clock[3])) {
+    let hour = parseInt(clock[1]);
+    const minute = parseInt(clock[2] || '0');
+    if (clock[3] && (hour < 1 || hour > 12)) hour = 99;
+    if (clock[3] === 'pm' && hour < 12) hour += 12;
+    if (clock[3] === 'am' && hour === 12) hour = 0;
+    if (hour <= 23 && minute <= 59) {
+      const { year, month, day } = getZonedParts(now, timeZone);
+      const instant = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).getTime();
+      return instant > now ? instant - DAY_MS : instant;
+    }
+  }
+
+  throw new SummaryError(`"${text}" is not a time I understand. Try "2h", "9am", "yesterday" or "2024-06-12".`);
+}
+
+/**
+ * Writes a transcript as text, one line per message with its time and a
+ * line for each new day
+ * @param {Array<{sender: string, body: string, timestamp: number, mentionsYou: boolean}>} messages Oldest first
+ * @param {string} [timeZone] Zone the times are shown in
+ * @returns {Array<string>} The lines
+ */
+function transcriptLines(messages, timeZone = DEFAULT_TIMEZONE) {
+  const lines = [];
+  let lastDate = null;
+  for (const message of messages) {
+    const date = localDate(message.timestamp, timeZone);
+    if (date !== lastDate) {
+      lines.push(`--- ${formatInZone(message.timestamp, timeZone, true)} ---`);
+      lastDate = date;
+    }
+    const { hour, minute } = getZonedParts(message.timestamp, timeZone);
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    const mention = message.mentionsYou ? ' (mentions You)' : '';
+    lines.push(`[${time}] ${message.sender}${mention}: ${message.body.replace(/\s*\n\s*/g, ' / ')}`);
+  }
+  return lines;
+}
+
+/**
+ * Splits lines into chunks of at most maxChars, without splitting a line.
+ * Lines longer than maxChars are cut.
+ * @param {Array<string>} lines The lines
+ * @param {number} maxChars Longest chunk
+ * @returns {Array<string>} The chunks
+ */
+function chunkLines(lines, maxChars) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  for (let line of lines) {
+    if (line.length > maxChars) line = `${line.slice(0, maxChars - 1)}…`;
+    if (current.length > 0 && length + line.length + 1 > maxChars) {
+      chunks.push(current.join('\n'));
+      current = [];
+      length = 0;
+    }
+    current.push(line);
+    length += line.length + 1;
+  }
+  if (current.length > 0) chunks.push(current.join('\n'));
+  return chunks;
+}
+
+/**
+ * Gets the links shared in a transcript, each once
+ * @param {Array<{sender: string, body: string}>} messages The transcript
+ * @returns {Array<{url: string, sender: string}>}
+ */
+function extractLinks(messages) {
+  const links = new Map();
+  for (const message of messages) {
+    for (const url of message.body.match(URL_PATTERN) || []) {
+      if (!links.has(url)) links.set(url, { url, sender: message.sender });
+    }
+  }
+  return [...links.values()];
+}
+
+// Describes the chat for a prompt
+function describeChat(chatName, isGroup) {
+  const chat = isGroup ? 'a group chat' : 'a chat';
+  return chatName ? `${chat} called "${chatName}"` : chat;
+}
+
+function buildMapPrompt(chunk, { chatName, isGroup, part, parts }) {
+  const position = parts > 1 ? ` This is part ${part} of ${parts}, in order.` : '';
+  return `These are messages from ${describeChat(chatName, isGroup)}. The user of this assistant is shown as "You".${position}
+
+${chunk}
+
+Summarize what was discussed for the user in a few short bullet points: the main topics, what was decided, open questions and anything that needs the user's attention. Say who said what when it matters. Only use what is in the messages.`;
+}
+
+function buildReducePrompt(summaries, { chatName, isGroup }) {
+  const parts = summaries.map((summary, i) => `Part ${i + 1}:\n${summary}`).join('\n\n');
+  return `These are summaries of consecutive parts of ${describeChat(chatName, isGroup)}, oldest first. The user of this assistant is shown as "You".
+
+${parts}
+
+Combine them into one summary for the user, in a few short bullet points. Leave out repetition and points later parts settled, keep decisions and open questions. Only use what is in the summaries.`;
+}
+
+function buildDigestPrompt(chunk, { chatName, part, parts }) {
+  const position = parts > 1 ? ` This is part ${part} of ${parts}, in order.` : '';
+  return `These are messages from the group chat "${chatName}". The user of this assistant is shown as "You".${position}
+
+${chunk}
+
+Pick out what the user needs to know. Reply with a single JSON object and nothing else:
+{"decisions": ["..."], "questions": ["..."], "actionItems": ["..."]}
+
+- decisions: what the group agreed on or decided.
+- questions: questions asked to You, by mention, by name or in reply to You, that You haven't answered.
+- actionItems: tasks someone took on or was asked to do, with who and by when if it was said.
+- Each entry is one short sentence. Use empty lists when there is nothing, and don't make anything up.`;
+}
+
+function buildDigestMergePrompt(partials, { chatName }) {
+  return `These are notes on consecutive parts of the group chat "${chatName}", oldest first, as JSON:
+
+${partials.map((partial, i) => `Part ${i + 1}: ${JSON.stringify(partial)}`).join('\n')}
+
+Merge them into one set of notes. Remove duplicates, and questions or action items a later part shows were answered or done. Reply with a single JSON object and nothing else:
+{"decisions": ["..."], "questions": ["..."], "actionItems": ["..."]}`;
+}
+
+// Takes the lists from a digest reply, or null when it has none
+function parseDigestReply(reply) {
+  const parsed = parseJsonResponse(reply);
+  if (!parsed) return null;
+  const digest = {};
+  for (const list of DIGEST_LISTS) {
+    digest[list] = (Array.isArray(parsed[list]) ? parsed[list] : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim())
+      .slice(0, MAX_LIST_ITEMS);
+  }
+  return digest;
+}
+
+class ChatSummarizer {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.generate] async (prompt, { json }) => model reply
+   * @param {number} [options.chunkChars] Longest piece of transcript or summaries in one prompt
+   * @param {string} [options.timeZone] Zone the message times are shown in
+   */
+  constructor({
+    generate = (prompt, { json = false } = {}) => llm.generateText('summary', prompt, { json, temperature: json ? 0 : 0.3 }),
+    chunkChars = 12000,
+    timeZone = DEFAULT_TIMEZONE
+  } = {}) {
+    this.generate = generate;
+    this.chunkChars = chunkChars;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Summarizes a transcript
+   * @param {Array<Object>} messages The transcript, oldest first
+   * @param {Object} [chat]
+   * @param {string} [chat.chatName] Name of the chat
+   * @param {boolean} [chat.isGroup] Whether it is a group
+   * @returns {Promise<string>} The summary
+   */
+  async summarize(messages, { chatName, isGroup = false } = {}) {
+    const chunks = chunkLines(transcriptLines(messages, this.timeZone), this.chunkChars);
+    let summaries = [];
+    for (const [i, chunk] of chunks.entries()) {
+      summaries.push((await this.generate(buildMapPrompt(chunk, { chatName, isGroup, part: i + 1, parts: chunks.length }))).trim());
+    }
+
+    // Partial summaries are combined in groups that fit a prompt until one is left
+    while (summaries.length > 1) {
+      const groups = chunkLines(summaries.map(summary => summary.replace(/\n+/g, ' / ')), this.chunkChars)
+        .map(group => group.split('\n'));
+      const combined = [];
+      for (const group of groups) {
+        combined.push(group.length === 1 ? group[0] : (await this.generate(buildReducePrompt(group, { chatName, isGroup }))).trim());
+      }
+      // Summaries too long to share a prompt are joined rather than combined again forever
+      if (combined.length === summaries.length) return summaries.join('\n\n');
+      summaries = combined;
+    }
+    return summaries[0] || '';
+  }
+
+  /**
+   * Picks out what you need to know from the transcript of a group
+   * @param {Array<Object>} messages The transcript, oldest first
+   * @param {Object} chat
+   * @param {string} chat.chatName Name of the group
+   * @returns {Promise<{decisions: Array<string>, questions: Array<string>, actionItems: Array<string>, links: Array<Object>}>}
+   * @throws {SummaryError} When the model reply can't be read
+   */
+  async digest(messages, { chatName }) {
+    const chunks = chunkLines(transcriptLines(messages, this.timeZone), this.chunkChars);
+    const partials = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const partial = parseDigestReply(await this.generate(buildDigestPrompt(chunk, { chatName, part: i + 1, parts: chunks.length }), { json: true }));
+      if (!partial) throw new SummaryError(`The digest of ${chatName} could not be read from the model reply.`);
+      partials.push(partial);
+    }
+
+    let digest = partials[0];
+    if (partials.length > 1) {
+      // Without a usable merge, the lists of the parts are put together as they are
+      digest = parseDigestReply(await this.generate(buildDigestMergePrompt(partials, { chatName }), { json: true }));
+      if (!digest) {
+        digest = {};
+        for (const list of DIGEST_LISTS) {
+          digest[list] = [...new Set(partials.flatMap(partial => partial[list]))].slice(0, MAX_LIST_ITEMS);
+        }
+      }
+    }
+    return { ...digest, links: extractLinks(messages).slice(0, MAX_LIST_ITEMS) };
+  }
+}
+
+/**
+ * Formats the digest of several groups for a chat message
+ * @param {Object} digest
+ * @param {number} digest.since Start of the period, in milliseconds
+ * @param {Array<Object>} digest.sections Per group: { chatName, count, decisions, questions, actionItems, links }
+ * @param {Array<string>} [digest.quiet] Groups without messages in the period
+ * @param {Array<string>} [digest.failed] Groups that could not be summarized
+ * @param {string} [timeZone] Zone the time is shown in
+ * @returns {string}
+ */
+function formatDigest({ since, sections, quiet = [], failed = [] }, timeZone = DEFAULT_TIMEZONE) {
+  const lines = [`📰 Digest since ${formatInZone(since, timeZone)}`];
+  const list = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(title, ...items.map(item => `- ${item}`));
+  };
+
+  for (const section of sections) {
+    lines.push('', `*${section.chatName}* · ${section.count} ${section.count === 1 ? 'message' : 'messages'}`);
+    list('✅ Decisions', section.decisions);
+    list('❓ Questions for you', section.questions);
+    list('📌 Action items', section.actionItems);
+    list('🔗 Links', section.links.map(link => `${link.url} (${link.sender})`));
+    if (DIGEST_LISTS.every(name => section[name].length === 0) && section.links.length === 0) {
+      lines.push('Nothing that needs you.');
+    }
+  }
+  if (quiet.length > 0) lines.push('', `No messages in ${quiet.join(', ')}.`);
+  if (failed.length > 0) lines.push('', `⚠️ Couldn't summarize ${failed.join(', ')}, see the log.`);
+  return lines.join('\n');
+}
+
+class DailyDigest {
+  /**
+   * @param {Object} options
+   * @param {Function} options.build async (since) => digest text, or null when there is nothing to send
+   * @param {Function} options.send async (text) => delivers the digest
+   * @param {Function} [options.isEnabled] Returns whether digests are sent
+   * @param {Function} [options.getHour] Returns the hour (0-23) the digest is sent at
+   * @param {string} [options.file] Where the time of the last digest is persisted
+   * @param {string} [options.timeZone] Zone of the hour
+   * @param {number} [options.retryDelayMs] Wait before trying a failed digest again
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    build,
+    send,
+    isEnabled = () => true,
+    getHour = () => 20,
+    file = DIGEST_FILE,
+    timeZone = DEFAULT_TIMEZONE,
+    retryDelayMs = 15 * 60 * 1000,
+    now = Date.now
+  }) {
+    this.build = build;
+    this.send = send;
+    this.isEnabled = isEnabled;
+    this.getHour = getHour;
+    this.file = file;
+    this.timeZone = timeZone;
+    this.retryDelayMs = retryDelayMs;
+    this.now = now;
+    this.state = { lastDate: null, lastSentAt: null };
+    this.failures = 0;
+    this.nextAttemptAt = 0;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Loads the time of the last digest from disk
+   */
+  async load() {
+    try {
+      this.state = { ...this.state, ...await readJson(this.file, {}) };
+    } catch (error) {
+      console.error('Error loading digest state:', error);
+    }
+  }
+
+  /**
+   * Persists the time of the last digest to disk
+   */
+  async save() {
+    try {
+      await writeJson(this.file, this.state);
+    } catch (error) {
+      console.error('Error saving digest state:', error);
+    }
+  }
+
+  /**
+   * Gets where the next digest starts: the previous digest, but at most a day back
+   * @returns {number} The instant in milliseconds
+   */
+  since() {
+    return Math.max(this.state.lastSentAt || 0, this.now() - DAY_MS);
+  }
+
+  /**
+   * Sends today's digest if its hour has come and it wasn't sent yet. A
+   * digest that fails is tried again after retryDelayMs, up to
+   * MAX_DIGEST_ATTEMPTS times a day.
+   * @returns {Promise<{sent: boolean, error: (Error|undefined)}|null>} null when nothing was due
+   */
+  async runDue() {
+    if (this.running || !this.isEnabled()) return null;
+    const now = this.now();
+    const today = localDate(now, this.timeZone);
+    const { year, month, day } = getZonedParts(now, this.timeZone);
+    const dueAt = zonedTimeToUtc({ year, month, day, hour: this.getHour() }, this.timeZone).getTime();
+    if (now < dueAt || this.state.lastDate === today || now < this.nextAttemptAt) return null;
+
+    this.running = true;
+    try {
+      const text = await this.build(this.since());
+      if (text) await this.send(text);
+      this.state = { lastDate: today, lastSentAt: now };
+      this.failures = 0;
+      await this.save();
+      return { sent: Boolean(text) };
+    } catch (error) {
+      console.error('Error sending the daily digest:', error.message);
+      this.failures++;
+      this.nextAttemptAt = now + this.retryDelayMs;
+      // Give up for today, the next digest covers the same messages
+      if (this.failures >= MAX_DIGEST_ATTEMPTS) {
+        this.state = { ...this.state, lastDate: today };
+        this.failures = 0;
+        await this.save();
+      }
+      return { sent: false, error };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Checks regularly whether the digest is due
+   * @param {number} [intervalMs] How often to check
+   * @param {Function} [onResult] Called with the result of every run that was due
+   */
+  start(intervalMs = 60 * 1000, onResult = () => {}) {
+    if (this.timer) return;
+    this.timer = setInterval(async () => {
+      const result = await this.runDue();
+      if (result) onResult(result);
+    }, intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  ChatSummarizer,
+  DailyDigest,
+  SummaryError,
+  parseSince,
+  transcriptLines,
+  chunkLines,
+  extractLinks,
+  formatDigest,
+  DIGEST_FILE
+};
@@ -0,0 +1,246 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ChatSummarizer,
+  DailyDigest,
+  SummaryError,
+  parseSince,
+  transcriptLines,
+  chunkLines,
+  extractLinks,
+  formatDigest
+} = require('./summarizer');
+
+const ZONE = 'Europe/Berlin';
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 9, 20, 8, 0); // 10:00 in Berlin
+
+// A transcript of short messages a minute apart
+function transcript(count, { sender = 'Ann', body = (i) => `message ${i}` } = {}) {
+  return Array.from({ length: count }, (_, i) => ({ sender, body: body(i), timestamp: START + i * 60 * 1000, mentionsYou: false }));
+}
+
+// A model that answers every prompt with the next canned reply and remembers the prompts
+function mockModel(reply = (prompt, i) => `summary ${i + 1}`) {
+  const prompts = [];
+  const generate = async (prompt, options = {}) => {
+    prompts.push({ prompt, json: Boolean(options.json) });
+    return reply(prompt, prompts.length - 1);
+  };
+  return { generate, prompts };
+}
+
+test('parseSince understands durations, clock times and days', () => {
+  const now = Date.UTC(2026, 9, 20, 6, 0); // 08:00 in Berlin
+  const options = { now, timeZone: ZONE };
+  assert.equal(parseSince('2h', options), now - 2 * HOUR);
+  assert.equal(parseSince('30 minutes', options), now - 30 * 60 * 1000);
+  assert.equal(parseSince('7am', options), Date.UTC(2026, 9, 20, 5, 0));
+  // Still ahead today, so yesterday's
+  assert.equal(parseSince('9am', options), Date.UTC(2026, 9, 19, 7, 0));
+  assert.equal(parseSince('today', options), Date.UTC(2026, 9, 19, 22, 0));
+  assert.equal(parseSince('2026-10-01', options), Date.UTC(2026, 8, 30, 22, 0));
+  for (const text of ['13pm', 'soon', '25:00', '9']) {
+    assert.throws(() => parseSince(text, options), SummaryError, text);
+  }
+});
+
+test('a transcript has a line per message and per new day', () => {
+  const lines = transcriptLines([
+    { sender: 'Ann', body: 'Dinner\nat 7?', timestamp: START + 5 * 60 * 1000, mentionsYou: true },
+    { sender: 'You', body: 'yes', timestamp: START + 24 * HOUR, mentionsYou: false }
+  ], ZONE);
+  assert.deepEqual(lines, [
+    '--- Tue, 20 Oct 2026 ---',
+    '[10:05] Ann (mentions You): Dinner / at 7?',
+    '--- Wed, 21 Oct 2026 ---',
+    '[10:00] You: yes'
+  ]);
+});
+
+test('chunks hold whole lines, and a line too long for a chunk is cut', () => {
+  assert.deepEqual(chunkLines(['aaaa', 'bbbb', 'cccc'], 10), ['aaaa\nbbbb', 'cccc']);
+  assert.deepEqual(chunkLines(['aaaa', 'b'.repeat(20)], 10), ['aaaa', `${'b'.repeat(9)}…`]);
+  assert.deepEqual(chunkLines([], 10), []);
+});
+
+test('a short transcript is summarized with one model call', async () => {
+  const model = mockModel(() => '  - Dinner at 7 \n');
+  const summarizer = new ChatSummarizer({ generate: model.generate, timeZone: ZONE });
+  assert.equal(await summarizer.summarize(transcript(3), { chatName: 'Ann' }), '- Dinner at 7');
+  assert.equal(model.prompts.length, 1);
+  assert.match(model.prompts[0].prompt, /a chat called "Ann"/);
+  assert.doesNotMatch(model.prompts[0].prompt, /This is part/);
+});
+
+test('a long transcript is summarized in parts, and the parts are combined', async () => {
+  const model = mockModel();
+  // Each message line is 24 characters, so three fit a chunk
+  const summarizer = new ChatSummarizer({ generate: model.generate, chunkChars: 80, timeZone: ZONE });
+  const summary = await summarizer.summarize(transcript(8), { chatName: 'Team', isGroup: true });
+
+  const maps = model.prompts.slice(0, 3).map(({ prompt }) => prompt);
+  assert.match(maps[0], /group chat called "Team"\. .* This is part 1 of 3/);
+  assert.match(maps[0], /message 0\n\[10:01\] Ann: message 1$/m);
+  assert.match(maps[2], /This is part 3 of 3/);
+  assert.match(maps[2], /message 7/);
+  assert.equal(model.prompts.length, 4);
+  assert.match(model.prompts[3].prompt, /Part 1:\nsummary 1\n\nPart 2:\nsummary 2\n\nPart 3:\nsummary 3/);
+  assert.equal(summary, 'summary 4');
+});
+
+test('partial summaries are combined in rounds when they don\'t fit one prompt', async () => {
+  const model = mockModel((prompt, i) => `partial summary number ${String(i + 1).padStart(2, '0')}`);
+  const summarizer = new ChatSummarizer({ generate: model.generate, chunkChars: 70, timeZone: ZONE });
+  const summary = await summarizer.summarize(transcript(6, { body: () => 'x'.repeat(30) }));
+
+  // Six chunks of one message (the first with the day line), then rounds of three, one and one reduce calls
+  const reduces = model.prompts.filter(({ prompt }) => /Combine them/.test(prompt));
+  assert.equal(model.prompts.length - reduces.length, 6);
+  assert.equal(reduces.length, 5);
+  assert.equal(summary, 'partial summary number 11');
+});
+
+test('summaries too long to share a prompt are joined instead of combined forever', async () => {
+  const model = mockModel((prompt, i) => `${i}`.repeat(50));
+  const summarizer = new ChatSummarizer({ generate: model.generate, chunkChars: 70, timeZone: ZONE });
+  const summary = await summarizer.summarize(transcript(2, { body: () => 'x'.repeat(30) }));
+  assert.equal(model.prompts.length, 2);
+  assert.equal(summary, `${'0'.repeat(50)}\n\n${'1'.repeat(50)}`);
+});
+
+test('a digest reads the lists from the model and takes the links from the messages', async () => {
+  const model = mockModel(() => '```json\n{"decisions": ["Meet at 7", ""], "questions": ["Can You bring wine?"], "actionItems": "none"}\n```');
+  const summarizer = new ChatSummarizer({ generate: model.generate, timeZone: ZONE });
+  const messages = [
+    { sender: 'Ann', body: 'Menu: https://example.com/menu.', timestamp: START, mentionsYou: false },
+    { sender: 'Bob', body: 'see https://example.com/menu and (https://maps.example/x)', timestamp: START + 1000, mentionsYou: false }
+  ];
+
+  const digest = await summarizer.digest(messages, { chatName: 'Team' });
+  assert.deepEqual(digest, {
+    decisions: ['Meet at 7'],
+    questions: ['Can You bring wine?'],
+    actionItems: [],
+    links: [{ url: 'https://example.com/menu', sender: 'Ann' }, { url: 'https://maps.example/x', sender: 'Bob' }]
+  });
+  assert.equal(model.prompts[0].json, true);
+  assert.deepEqual(extractLinks([{ sender: 'Ann', body: 'no links here' }]), []);
+});
+
+test('the digests of the parts are merged, or put together when the merge can\'t be read', async () => {
+  const parts = [
+    '{"decisions": ["Meet at 7"], "questions": [], "actionItems": ["Bob books"]}',
+    '{"decisions": ["Meet at 7", "Bring wine"], "questions": [], "actionItems": []}',
+    'Sorry, I cannot do that.'
+  ];
+  const model = mockModel((prompt, i) => parts[i]);
+  const summarizer = new ChatSummarizer({ generate: model.generate, chunkChars: 70, timeZone: ZONE });
+  const digest = await summarizer.digest(transcript(2, { body: () => 'x'.repeat(30) }), { chatName: 'Team' });
+
+  assert.match(model.prompts[2].prompt, /Part 1: \{"decisions":\["Meet at 7"\]/);
+  assert.deepEqual(digest, { decisions: ['Meet at 7', 'Bring wine'], questions: [], actionItems: ['Bob books'], links: [] });
+
+  const unreadable = new ChatSummarizer({ generate: async () => 'no JSON here', timeZone: ZONE });
+  await assert.rejects(unreadable.digest(transcript(1), { chatName: 'Team' }), SummaryError);
+});
+
+test('formatDigest lists each group and names the quiet and failed ones', () => {
+  const text = formatDigest({
+    since: START,
+    sections: [
+      { chatName: 'Team', count: 1, decisions: ['Meet at 7'], questions: [], actionItems: [], links: [{ url: 'https://example.com', sender: 'Ann' }] },
+      { chatName: 'Family', count: 4, decisions: [], questions: [], actionItems: [], links: [] }
+    ],
+    quiet: ['Club'],
+    failed: ['Work']
+  }, ZONE);
+  assert.equal(text.split('\n')[0].startsWith('📰 Digest since '), true);
+  assert.deepEqual(text.split('\n').slice(1), [
+    '',
+    '*Team* · 1 message',
+    '✅ Decisions',
+    '- Meet at 7',
+    '🔗 Links',
+    '- https://example.com (Ann)',
+    '',
+    '*Family* · 4 messages',
+    'Nothing that needs you.',
+    '',
+    'No messages in Club.',
+    '',
+    '⚠️ Couldn\'t summarize Work, see the log.'
+  ]);
+});
+
+// A daily digest in a temporary directory whose clock the test sets
+function testDigest(t, build) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = { now: START };
+  const sent = [];
+  const builds = [];
+  const digest = new DailyDigest({
+    build: async (since) => {
+      builds.push(since);
+      return build(since);
+    },
+    send: async (text) => sent.push(text),
+    getHour: () => 20,
+    file: path.join(dir, 'digest.json'),
+    timeZone: ZONE,
+    retryDelayMs: 15 * 60 * 1000,
+    now: () => clock.now
+  });
+  return { digest, clock, sent, builds, dir };
+}
+
+test('the digest is sent once a day from its hour on, covering the time since the last one', async (t) => {
+  const { digest, clock, sent, builds, dir } = testDigest(t, async () => 'digest');
+  assert.equal(await digest.runDue(), null);
+
+  // Sent late, as if the agent was offline at 20:00
+  clock.now = Date.UTC(2026, 9, 20, 19, 0);
+  assert.deepEqual(await digest.runDue(), { sent: true });
+  assert.equal(builds[0], clock.now - 24 * HOUR);
+  clock.now += HOUR;
+  assert.equal(await digest.runDue(), null);
+
+  // After a restart, the next day's digest starts where the last one ended
+  const restarted = new DailyDigest({
+    build: async (since) => {
+      builds.push(since);
+      return 'digest';
+    },
+    send: async (text) => sent.push(text),
+    file: path.join(dir, 'digest.json'),
+    timeZone: ZONE,
+    now: () => clock.now
+  });
+  await restarted.load();
+  clock.now = Date.UTC(2026, 9, 21, 17, 30);
+  assert.equal(await restarted.runDue(), null, 'not 20:00 yet');
+  clock.now = Date.UTC(2026, 9, 21, 18, 0);
+  assert.deepEqual(await restarted.runDue(), { sent: true });
+  assert.equal(builds[1], Date.UTC(2026, 9, 20, 19, 0));
+  assert.equal(sent.length, 2);
+});
+
+test('a failed digest is tried again later, and given up for the day after three attempts', async (t) => {
+  const { digest, clock, sent, builds } = testDigest(t, async () => { throw new Error('model is down'); });
+  clock.now = Date.UTC(2026, 9, 20, 18, 0);
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const result = await digest.runDue();
+    assert.equal(result.sent, false);
+    assert.equal(result.error.message, 'model is down');
+    assert.equal(await digest.runDue(), null, 'waits before trying again');
+    clock.now += 15 * 60 * 1000;
+  }
+  assert.equal(await digest.runDue(), null);
+  assert.equal(builds.length, 3);
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,167 @@
+/**
+ * Time zone helpers built on Intl, so no time zone database needs to be
+ * installed. "Wall time" is a local date and time in some zone, kept as
+ * { year, month, day, hour, minute, second } with month 1-12.
+ */
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks whether a time zone name is known to Intl
+ * @param {string} timeZone IANA zone name, e.g. Asia/Kolkata
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Gets the wall time of an instant in a time zone
+ * @param {Date|number} date The instant
+ * @param {string} [timeZone] IANA zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   weekday is 0 for Sunday
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const part of partsFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Wall time as milliseconds, as if it were UTC
+function wallToMs({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+function msToWall(ms) {
+  const date = new Date(ms);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// Offset of a zone from UTC at an instant, in milliseconds
+function zoneOffsetMs(instantMs, timeZone) {
+  return wallToMs(getZonedParts(instantMs, timeZone)) - Math.floor(instantMs / 1000) * 1000;
+}
+
+/**
+ * Converts a wall time in a zone to the instant it represents. Times that
+ * don't exist (skipped by a DST change) move forward by the gap.
+ * @param {Object} wall The wall time
+ * @param {string} [timeZone] IANA zone name
+ * @returns {Date} The instant
+ */
+function zonedTimeToUtc(wall, timeZone = DEFAULT_TIMEZONE) {
+  const naive = wallToMs(wall);
+  let instant = naive - zoneOffsetMs(naive, timeZone);
+  // A second pass settles the offset when a DST change lies in between
+  instant = naive - zoneOffsetMs(instant, timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Adds days to a wall time, keeping the time of day
+ * @param {Object} wall The wall time
+ * @param {number} days Days to add, may be negative
+ * @returns {Object} The new wall time
+ */
+function addDays(wall, days) {
+  return msToWall(wallToMs(wall) + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Gets the instant a calendar day starts in a zone
+ * @param {Date|number} date Any instant on that day
+ * @param {string} [timeZone] IANA zone name
+ * @param {number} [dayOffset] Days to move from that day
+ * @returns {Date} Midnight of the day
+ */
+function startOfDay(date, timeZone = DEFAULT_TIMEZONE, dayOffset = 0) {
+  const parts = getZonedParts(date, timeZone);
+  const midnight = addDays({ year: parts.year, month: parts.month, day: parts.day }, dayOffset);
+  return zonedTimeToUtc(midnight, timeZone);
+}
+
+/**
+ * Gets the calendar day of an instant in a zone, e.g. for file names
+ * @param {Date|number} [date] The instant, now by default
+ * @param {string} [timeZone] IANA zone name
+ * @returns {string} YYYY-MM-DD
+ */
+function localDate(date = Date.now(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an instant for people, e.g. "Wed, 12 Jun 2024, 10:30"
+ * @param {Date|number} date The instant
+ * @param {string} [timeZone] IANA zone name
+ * @param {boolean} [dateOnly] Leave out the time
+ * @returns {string}
+ */
+function formatInZone(date, timeZone = DEFAULT_TIMEZONE, dateOnly = false) {
+  const options = { timeZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' };
+  if (!dateOnly) {
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+    options.hourCycle = 'h23';
+  }
+  return new Intl.DateTimeFormat('en-GB', options).format(new Date(date));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  wallToMs,
+  msToWall,
+  addDays,
+  startOfDay,
+  localDate,
+  formatInZone
+};
@@ -0,0 +1,193 @@
+/**
+ * Tool registry.
+ *
+ * A tool is a capability the agent can use while answering a message, such
+ * as a web search or a phone data lookup. Every tool declares:
+ *   - name: unique identifier the model refers to
+ *   - description: what the tool does, shown to the model
+ *   - parameters: a JSON schema describing its arguments
+ *   - handler: async (args, context) => result
+ * and optionally:
+ *   - capability: the permission it needs (e.g. 'search', 'phone')
+ *   - isEnabled: () => boolean, to switch the tool off at runtime
+ *   - formatResult: (result) => string, to describe the result in a prompt
+ */
+
+class ToolValidationError extends Error {
+  /**
+   * @param {string} toolName The tool whose arguments were rejected
+   * @param {Array<string>} errors The validation errors
+   */
+  constructor(toolName, errors) {
+    super(`Invalid arguments for ${toolName}: ${errors.join('; ')}`);
+    this.name = 'ToolValidationError';
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && !Number.isNaN(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validates a value against the subset of JSON schema tools use:
+ * type, properties, required, additionalProperties, items, enum,
+ * minLength/maxLength and minimum/maximum.
+ * @param {Object} schema The JSON schema
+ * @param {*} value The value to check
+ * @param {string} [at] Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors, empty if the value is valid
+ */
+function validateSchema(schema, value, at = 'arguments') {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      return [`${at} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${at} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${at} should have at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${at} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${at} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${at}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Adds a tool, replacing any tool with the same name
+   * @param {Object} tool The tool definition
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler');
+    }
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+  }
+
+  /**
+   * Removes a tool
+   * @param {string} name The tool name
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Gets a tool by name
+   * @param {string} name The tool name
+   * @returns {Object|undefined} The tool definition
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Lists the tools that are currently enabled
+   * @param {Function} [filter] Extra predicate, e.g. to check capabilities
+   * @returns {Array<Object>} The tool definitions
+   */
+  list(filter) {
+    return [...this.tools.values()].filter(tool =>
+      (!tool.isEnabled || tool.isEnabled()) && (!filter || filter(tool))
+    );
+  }
+
+  /**
+   * Validates arguments against a tool's schema and runs its handler.
+   * Tools that are turned off can't be called, as list() doesn't show them.
+   * @param {string} name The tool name
+   * @param {Object} args The arguments
+   * @param {Object} [context] Extra information for the handler (chat ID, ...)
+   * @returns {Promise<*>} The handler's result
+   */
+  async call(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new ToolValidationError(name, [`unknown tool "${name}"`]);
+    }
+    if (tool.isEnabled && !tool.isEnabled()) {
+      throw new ToolValidationError(name, [`tool "${name}" is turned off`]);
+    }
+
+    const errors = validateSchema(tool.parameters, args);
+    if (errors.length > 0) {
+      throw new ToolValidationError(name, errors);
+    }
+
+    return await tool.handler(args, context);
+  }
+
+  /**
+   * Describes a tool result for a prompt, using the tool's formatter if it has one
+   * @param {string} name The tool name
+   * @param {*} result The handler's result
+   * @returns {string} The description
+   */
+  formatResult(name, result) {
+    const tool = this.tools.get(name);
+    if (tool && tool.formatResult) {
+      return tool.formatResult(result);
+    }
+    return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  }
+}
+
+module.exports = { ToolRegistry, ToolValidationError, validateSchema };
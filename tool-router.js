@@ -0,0 +1,134 @@
+/**
+ * Tool-calling router.
+ *
+ * Asks the routing model for a JSON plan: either call one or more tools or
+ * respond directly. Tool calls are validated against their schemas and run,
+ * and their results are shown to the model so it can call further tools
+ * (e.g. look up a contact, then search the calendar) before it is done.
+ */
+
+const llm = require('./llm');
+
+const TOOL_MAX_STEPS = parseInt(process.env.TOOL_MAX_STEPS || '3');
+const MAX_RESULT_CHARS = 2000;
+
+/**
+ * Extracts a JSON object from a model reply, tolerating code fences and
+ * text around the object
+ * @param {string} text The model reply
+ * @returns {Object|null} The parsed object, or null if there is none
+ */
+function parseJsonResponse(text) {
+  if (!text) return null;
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(unfenced.substring(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeTools(tools) {
+  if (tools.length === 0) return 'No tools are available right now.';
+  return tools.map(tool =>
+    `- ${tool.name}: ${tool.description}\n  Arguments (JSON schema): ${JSON.stringify(tool.parameters)}`
+  ).join('\n');
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+}
+
+function describeSteps(registry, steps) {
+  return steps.map((step, index) => {
+    const outcome = step.error
+      ? `Error: ${step.error}`
+      : truncate(registry.formatResult(step.name, step.result), MAX_RESULT_CHARS);
+    return `${index + 1}. ${step.name}(${JSON.stringify(step.arguments)})\n${outcome}`;
+  }).join('\n\n');
+}
+
+function buildPlanningPrompt(messageText, tools, registry, steps, history) {
+  let prompt = `You are a helpful WhatsApp assistant that decides how to answer a user's message.
+You can respond directly, or call tools first to gather information you don't have.
+
+Available tools:
+${describeTools(tools)}
+
+${history}Message: "${messageText}"
+`;
+
+  if (steps.length > 0) {
+    prompt += `\nTool calls made so far and their results:\n${describeSteps(registry, steps)}\n`;
+  }
+
+  prompt += `
+Reply with a single JSON object and nothing else, in one of these forms:
+{"action": "call_tools", "calls": [{"name": "<tool name>", "arguments": {}}]}
+{"action": "respond", "response": "<your reply to the message>"}
+
+Only call tools that are listed above, with arguments matching their schema.
+You may call several tools at once, and call more tools after seeing the results.
+Respond once you have enough information, or directly if no tool is needed.`;
+
+  return prompt;
+}
+
+/**
+ * Plans and runs tool calls for a message
+ * @param {string} messageText The user's message
+ * @param {Object} options
+ * @param {ToolRegistry} options.registry The registry the tools come from
+ * @param {Array<Object>} [options.tools] The tools allowed for this message, defaults to all enabled tools
+ * @param {string} [options.history] Formatted conversation history
+ * @param {Object} [options.context] Passed to every tool handler
+ * @param {number} [options.maxSteps] Maximum planning rounds that may call tools
+ * @returns {Promise<{response: string|null, steps: Array<Object>}>} The direct response, if the
+ *   model gave one, and every tool call made with its result or error; steps
+ *   that failed in a way that may go away are marked retryable
+ */
+async function runToolPlan(messageText, { registry, tools, history = '', context = {}, maxSteps = TOOL_MAX_STEPS }) {
+  const available = tools || registry.list();
+  const availableNames = new Set(available.map(tool => tool.name));
+  const steps = [];
+
+  for (let round = 0; round <= maxSteps; round++) {
+    const prompt = buildPlanningPrompt(messageText, available, registry, steps, history);
+    const reply = await llm.generateText('routing', prompt, { json: true });
+    const plan = parseJsonResponse(reply);
+
+    // A reply that isn't a plan is taken as a direct response
+    if (!plan) {
+      return { response: reply.trim(), steps };
+    }
+
+    const calls = Array.isArray(plan.calls) ? plan.calls : [];
+    if (plan.action !== 'call_tools' || calls.length === 0 || round === maxSteps) {
+      return { response: typeof plan.response === 'string' ? plan.response : null, steps };
+    }
+
+    for (const call of calls) {
+      const step = { name: call.name, arguments: call.arguments || {} };
+      try {
+        if (!availableNames.has(call.name)) {
+          throw new Error(`tool "${call.name}" is not available`);
+        }
+        step.result = await registry.call(call.name, step.arguments, context);
+      } catch (error) {
+        console.error(`Tool ${call.name} failed:`, error.message);
+        step.error = error.message;
+        if (error.retryable) step.retryable = true;
+      }
+      steps.push(step);
+    }
+  }
+
+  return { response: null, steps };
+}
+
+module.exports = { runToolPlan, parseJsonResponse, describeSteps };
@@ -0,0 +1,72 @@
+/**
+ * Messaging transports: the connection between the agent and a chat network.
+ *
+ * The agent only talks to a transport, never to a chat library directly, so
+ * it runs the same way on every network. The transport is selected with
+ * TRANSPORT:
+ *
+ * - whatsapp: WhatsApp Web through whatsapp-web.js (the default, see whatsapp-transport.js)
+ * - simulator: a local chat simulator on the command line and over HTTP (see simulator-transport.js)
+ *
+ * A transport is an EventEmitter with:
+ *
+ *   initialize()                 connects; emits 'qr' (code) if a login is needed, then 'ready'
+ *   ownId                        the ID of your own chat ("Message yourself"), once ready
+ *   sendMessage(chatId, text)    => Message
+ *   getMessageById(messageId)    => Message, or null when it doesn't exist
+ *   getChats()                   => Array<Chat>, most recent first
+ *   getChatById(chatId)          => Chat
+ *
+ * and the events 'message' (a message received from someone else) and
+ * 'message_create' (every new message, including your own).
+ *
+ * A Message has the fields id, chatId, senderId (the author in groups),
+ * senderName (their display name, if known), fromMe, fromAgent (sent by the
+ * agent rather than typed by you), body (the text, or the caption of media),
+ * type (chat, image, ptt, audio, video, document, ...), timestamp (in
+ * milliseconds), hasMedia,
+ * duration (of audio, in seconds), size (of media, in bytes, if known),
+ * mentionedIds and hasQuotedMsg, and the methods getChat() => Chat,
+ * reply(text) => Message, getQuotedMessage() => Message|null and
+ * downloadMedia() => { mimetype, data (base64), filename }.
+ *
+ * A Chat has the fields id, name, isGroup and unreadCount and the method
+ * fetchMessages({ limit }) => the last messages, oldest first.
+ *
+ * A new network is added with an adapter that turns its messages and chats
+ * into these shapes, and a case in createTransport().
+ */
+
+class TransportError extends Error {
+  /**
+   * @param {string} message Error description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TransportError';
+  }
+}
+
+/**
+ * Creates a transport by name
+ * @param {string} name whatsapp or simulator
+ * @param {Object} [options] Transport options
+ * @returns {EventEmitter} The transport
+ */
+function createTransport(name, options = {}) {
+  switch (name) {
+    case 'whatsapp': {
+      // Required here, so the simulator runs without Puppeteer
+      const { WhatsAppTransport } = require('./whatsapp-transport');
+      return new WhatsAppTransport(options);
+    }
+    case 'simulator': {
+      const { SimulatorTransport } = require('./simulator-transport');
+      return new SimulatorTransport(options);
+    }
+    default:
+      throw new TransportError(`Unknown transport: ${name}`);
+  }
+}
+
+module.exports = { TransportError, createTransport };
@@ -0,0 +1,199 @@
+/**
+ * Daily model usage per chat and per feature, and the daily budget.
+ *
+ * Every usage event of llm.js is counted for the day it happened on (in
+ * TIMEZONE), under its feature and the chat it was made for. When the
+ * requests or tokens of the day reach DAILY_REQUEST_BUDGET or
+ * DAILY_TOKEN_BUDGET, isOverBudget() turns true until the next day and the
+ * agent answers in a cheaper way. The budget is checked before a message is
+ * handled, so the calls of the message that crosses it still go through.
+ * Counts are stored in data/usage.json for the last 30 days.
+ */
+
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./data-store');
+const { DEFAULT_TIMEZONE, localDate } = require('./time-utils');
+
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+
+// Key for calls that weren't made for a chat, e.g. from the command line
+const NO_CHAT = '-';
+
+function emptyCounts() {
+  return { requests: 0, tokens: 0 };
+}
+
+function addTo(counts, tokens) {
+  counts.requests += 1;
+  counts.tokens += tokens;
+}
+
+class UsageTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] Where the daily counts are persisted
+   * @param {Function} [options.getBudget] Returns { requests, tokens } per day, 0 for no limit
+   * @param {number} [options.keepDays] Days of history kept
+   * @param {Function} [options.getTimeZone] Returns the zone days are counted in
+   * @param {Function} [options.now] Returns the current time in milliseconds
+   */
+  constructor({
+    file = USAGE_FILE,
+    getBudget = () => ({ requests: 0, tokens: 0 }),
+    keepDays = 30,
+    getTimeZone = () => DEFAULT_TIMEZONE,
+    now = Date.now
+  } = {}) {
+    this.file = file;
+    this.getBudget = getBudget;
+    this.keepDays = keepDays;
+    this.getTimeZone = getTimeZone;
+    this.now = now;
+    this.days = {};
+  }
+
+  /**
+   * Loads the stored counts
+   */
+  async load() {
+    try {
+      this.days = await readJson(this.file, {});
+    } catch (error) {
+      console.error('Error loading usage:', error);
+      this.days = {};
+    }
+  }
+
+  /**
+   * Persists the counts, dropping days older than keepDays
+   */
+  async save() {
+    const keep = Object.keys(this.days).sort().slice(-this.keepDays);
+    this.days = Object.fromEntries(keep.map(date => [date, this.days[date]]));
+    try {
+      await writeJson(this.file, this.days, { encrypt: true });
+    } catch (error) {
+      console.error('Error saving usage:', error);
+    }
+  }
+
+  today() {
+    return localDate(this.now(), this.getTimeZone());
+  }
+
+  /**
+   * Counts a usage event from llm.js
+   * @param {Object} event
+   * @param {string} event.feature The LLM feature
+   * @param {string} [event.chatId] The chat the call was made for
+   * @param {number} [event.totalTokens] Tokens used
+   */
+  async record({ feature, chatId, totalTokens = 0 }) {
+    const date = this.today();
+    const day = this.days[date] || (this.days[date] = { ...emptyCounts(), features: {}, chats: {} });
+    const chat = chatId || NO_CHAT;
+    addTo(day, totalTokens);
+    addTo(day.features[feature] || (day.features[feature] = emptyCounts()), totalTokens);
+    addTo(day.chats[chat] || (day.chats[chat] = emptyCounts()), totalTokens);
+    await this.save();
+  }
+
+  /**
+   * Counts every call reported by llm.js from now on
+   * @param {EventEmitter} usageEvents llm.usageEvents
+   */
+  attach(usageEvents) {
+    usageEvents.on('usage', (event) => {
+      this.record(event).catch(error => console.error('Error recording usage:', error));
+    });
+  }
+
+  /**
+   * Gets the counts of the last days, today first; days without calls are left out
+   * @param {number} [days] How many days, including today
+   * @returns {Array<{date: string, requests: number, tokens: number, features: Object, chats: Object}>}
+   */
+  history(days = 1) {
+    const today = this.today();
+    const first = localDate(this.now() - (days - 1) * 24 * 60 * 60 * 1000, this.getTimeZone());
+    return Object.keys(this.days)
+      .filter(date => date >= first && date <= today)
+      .sort()
+      .reverse()
+      .map(date => ({ date, ...this.days[date] }));
+  }
+
+  /**
+   * Tells whether today's requests or tokens reached the budget
+   * @returns {boolean}
+   */
+  isOverBudget() {
+    const { requests, tokens } = this.getBudget();
+    const day = this.days[this.today()] || emptyCounts();
+    return (requests > 0 && day.requests >= requests) || (tokens > 0 && day.tokens >= tokens);
+  }
+
+  /**
+   * Deletes the counts of a chat, or all counts
+   * @param {string} [chatId] The chat, or all chats when left out
+   */
+  async forget(chatId) {
+    if (chatId) {
+      for (const day of Object.values(this.days)) {
+        delete day.chats[chatId];
+      }
+    } else {
+      this.days = {};
+    }
+    await this.save();
+  }
+}
+
+/**
+ * Formats the usage of some days for the owner
+ * @param {Array<Object>} days From UsageTracker.history()
+ * @param {Object} [options]
+ * @param {Object} [options.budget] Today's { requests, tokens } budget, to compare a single day with
+ * @param {Object} [options.chatNames] Names by chat ID
+ * @param {number} [options.topChats] How many chats to list
+ * @returns {string}
+ */
+function formatUsage(days, { budget = { requests: 0, tokens: 0 }, chatNames = {}, topChats = 10 } = {}) {
+  if (days.length === 0) return 'No model calls were made in this period.';
+
+  // Adds up the counts of the same feature or chat over the days
+  const total = { ...emptyCounts(), features: {}, chats: {} };
+  for (const day of days) {
+    total.requests += day.requests;
+    total.tokens += day.tokens;
+    for (const group of ['features', 'chats']) {
+      for (const [key, counts] of Object.entries(day[group])) {
+        const sum = total[group][key] || (total[group][key] = emptyCounts());
+        sum.requests += counts.requests;
+        sum.tokens += counts.tokens;
+      }
+    }
+  }
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const describe = (counts) => `${plural(counts.requests, 'request')}, ${plural(counts.tokens, 'token')}`;
+  const byTokens = (group) => Object.entries(group).sort((a, b) => b[1].tokens - a[1].tokens);
+  const chatName = (id) => id === NO_CHAT ? 'no chat' : chatNames[id] ? `${chatNames[id]} (${id})` : id;
+  const limit = (used, max) => max > 0 ? ` of ${max} (${Math.round(100 * used / max)}%)` : '';
+
+  const period = days.length === 1 ? days[0].date : `${days[days.length - 1].date} to ${days[0].date}`;
+  const lines = [`Model usage ${period}: ${describe(total)}`];
+  if (budget.requests > 0 || budget.tokens > 0) {
+    lines.push(`Budget: ${plural(total.requests, 'request')}${limit(total.requests, budget.requests)}, ${plural(total.tokens, 'token')}${limit(total.tokens, budget.tokens)}`);
+  }
+  lines.push('Per feature:', ...byTokens(total.features).map(([feature, counts]) => `- ${feature}: ${describe(counts)}`));
+
+  const chats = byTokens(total.chats);
+  lines.push('Per chat:', ...chats.slice(0, topChats).map(([id, counts]) => `- ${chatName(id)}: ${describe(counts)}`));
+  if (chats.length > topChats) {
+    lines.push(`- and ${chats.length - topChats} more chats`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { UsageTracker, formatUsage, NO_CHAT };
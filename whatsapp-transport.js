@@ -0,0 +1,153 @@
+/**
+ * WhatsApp transport, on top of whatsapp-web.js.
+ *
+ * Runs WhatsApp Web in Puppeteer and logs in with a QR code the first time;
+ * the session is kept in .wwebjs_auth/ by LocalAuth. Messages and chats of
+ * whatsapp-web.js are wrapped in the shapes described in transport.js, with
+ * plain string IDs and timestamps in milliseconds.
+ */
+
+const EventEmitter = require('events');
+const { Client, LocalAuth } = require('whatsapp-web.js');
+
+// whatsapp-web.js IDs are objects in some places and strings in others
+function serialize(id) {
+  return typeof id === 'string' ? id : id && id._serialized;
+}
+
+/**
+ * Wraps a whatsapp-web.js chat
+ * @param {Object} chat The whatsapp-web.js chat
+ * @param {WhatsAppTransport} [transport] Tracks the messages the agent sends
+ * @returns {Object} The chat, see transport.js
+ */
+function wrapChat(chat, transport = null) {
+  return {
+    id: serialize(chat.id),
+    name: chat.name,
+    isGroup: chat.isGroup,
+    unreadCount: chat.unreadCount || 0,
+    fetchMessages: async (options) => (await chat.fetchMessages(options)).map(message => wrapMessage(message, transport))
+  };
+}
+
+/**
+ * Wraps a whatsapp-web.js message. fromAgent is only known for new
+ * messages, older ones count as typed by you.
+ * @param {Object} message The whatsapp-web.js message
+ * @param {WhatsAppTransport} [transport] Tracks the messages the agent sends
+ * @returns {Object} The message, see transport.js
+ */
+function wrapMessage(message, transport = null) {
+  return {
+    id: serialize(message.id),
+    chatId: serialize(message.id.remote),
+    senderId: message.author || message.from,
+    senderName: (message._data && message._data.notifyName) || null,
+    fromMe: message.fromMe,
+    fromAgent: false,
+    body: message.body,
+    type: message.type,
+    timestamp: message.timestamp * 1000,
+    hasMedia: message.hasMedia,
+    duration: parseInt(message.duration) || 0,
+    size: message._data && message._data.size,
+    mentionedIds: (message.mentionedIds || []).map(serialize),
+    hasQuotedMsg: message.hasQuotedMsg,
+    getChat: async () => wrapChat(await message.getChat(), transport),
+    reply: async (text) => transport
+      ? transport.send(serialize(message.id.remote), text, () => message.reply(text))
+      : wrapMessage(await message.reply(text)),
+    getQuotedMessage: async () => {
+      const quoted = message.hasQuotedMsg ? await message.getQuotedMessage() : null;
+      return quoted ? wrapMessage(quoted, transport) : null;
+    },
+    downloadMedia: async () => {
+      const media = await message.downloadMedia();
+      return media && { mimetype: media.mimetype, data: media.data, filename: media.filename };
+    }
+  };
+}
+
+class WhatsAppTransport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.puppeteerArgs] Arguments for the browser
+   */
+  constructor({ puppeteerArgs = ['--no-sandbox'] } = {}) {
+    super();
+    this.name = 'whatsapp';
+    this.client = new Client({
+      authStrategy: new LocalAuth(),
+      puppeteer: {
+        args: puppeteerArgs,
+      }
+    });
+
+    // Texts the agent is sending, counted by chat, to tell its messages from the ones you type
+    this.sending = new Map();
+
+    this.client.on('qr', (qr) => this.emit('qr', qr));
+    this.client.on('ready', () => this.emit('ready'));
+    this.client.on('message', (message) => this.emit('message', wrapMessage(message, this)));
+    this.client.on('message_create', (message) => {
+      const wrapped = wrapMessage(message, this);
+      wrapped.fromAgent = wrapped.fromMe && this.claimSent(wrapped.chatId, wrapped.body);
+      this.emit('message_create', wrapped);
+    });
+    this.client.on('disconnected', (reason) => console.warn('WhatsApp disconnected:', reason));
+  }
+
+  get ownId() {
+    return this.client.info ? serialize(this.client.info.wid) : null;
+  }
+
+  async initialize() {
+    await this.client.initialize();
+  }
+
+  async sendMessage(chatId, text) {
+    return this.send(chatId, text, () => this.client.sendMessage(chatId, text));
+  }
+
+  // Sends a message of the agent. Its 'message_create' can come before or
+  // after whatsapp-web.js returns, so the text is noted before sending.
+  async send(chatId, text, sendWith) {
+    const key = `${chatId}\n${text}`;
+    this.sending.set(key, (this.sending.get(key) || 0) + 1);
+    try {
+      return { ...wrapMessage(await sendWith(), this), fromAgent: true };
+    } catch (error) {
+      this.claimSent(chatId, text);
+      throw error;
+    }
+  }
+
+  // Whether a new message of yours is one the agent is sending; each send is claimed once
+  claimSent(chatId, text) {
+    const key = `${chatId}\n${text}`;
+    const count = this.sending.get(key);
+    if (!count) return false;
+    if (count === 1) {
+      this.sending.delete(key);
+    } else {
+      this.sending.set(key, count - 1);
+    }
+    return true;
+  }
+
+  async getMessageById(messageId) {
+    const message = await this.client.getMessageById(messageId);
+    return message ? wrapMessage(message, this) : null;
+  }
+
+  async getChats() {
+    return (await this.client.getChats()).map(chat => wrapChat(chat, this));
+  }
+
+  async getChatById(chatId) {
+    return wrapChat(await this.client.getChatById(chatId), this);
+  }
+}
+
+module.exports = { WhatsAppTransport, wrapMessage, wrapChat };